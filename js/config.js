@@ -24,6 +24,103 @@ const CONFIG = {
             dof: false,
             dofFocalDistance: 5.0,
             dofFocalRange: 2.0
+        },
+        accumulation: {
+            maxSamples: 1024,    // Samples per pixel after which the reference render stops tracing
+            bounces: 4           // Indirect bounces per path in the reference render
+        },
+        dynamicResolution: {
+            enabled: true,       // Lower the ray-march resolution when frames exceed the budget
+            targetFPS: 60,       // Frame rate the scaler aims for
+            minScale: 0.4,       // Lowest fraction of the full resolution per dimension
+            recoverStep: 0.05,   // Scale step when raising resolution; scales snap to multiples of it
+            adjustInterval: 500, // Minimum milliseconds between scale changes
+            edgeSharpness: 8.0   // How strongly the upscale filter avoids blending across edges
+        },
+        taa: {
+            enabled: true,       // Temporal anti-aliasing of the realtime render
+            blend: 0.1,          // Weight of the new frame in the history each frame
+            jitterSamples: 8,    // Length of the sub-pixel jitter sequence
+            supersamples: 64     // Jittered frames averaged by the supersampled still
+        },
+        environment: {
+            cubeSize: 256,         // Face size of the environment cubemap; its mips are prefiltered down to 8px
+            irradianceSize: 32,    // Face size of the diffuse irradiance cubemap
+            prefilterSamples: 256, // GGX samples per texel when prefiltering for roughness
+            brdfLutSize: 128,      // Size of the split-sum BRDF lookup table
+            preset: 'Default Sky', // Preset shown at startup and after a reset
+            // Painted by Renderer.generateEnvironment: a flat color, or a sky gradient with lights
+            // (direction towards the light; discs have a size, rectangles a width and height, in degrees)
+            presets: {
+                'Default Sky': {
+                    top: [0.4, 0.65, 1.0],
+                    horizon: [0.8, 0.9, 1.0],
+                    ground: [0.3, 0.25, 0.2],
+                    lights: [
+                        { direction: [-0.5, 0.5, -0.7], color: [1.0, 0.9, 0.7], intensity: 2.0, size: 2.7 }
+                    ]
+                },
+                'Studio Softbox': {
+                    top: [0.03, 0.03, 0.03],
+                    horizon: [0.08, 0.08, 0.08],
+                    ground: [0.04, 0.04, 0.04],
+                    lights: [
+                        { direction: [-0.6, 0.5, 0.6], color: [1.0, 0.98, 0.95], intensity: 6.0, width: 30, height: 22 },
+                        { direction: [0.8, 0.2, 0.5], color: [0.9, 0.95, 1.0], intensity: 2.0, width: 20, height: 30 },
+                        { direction: [0.1, 0.4, -1.0], color: [1.0, 1.0, 1.0], intensity: 4.0, width: 6, height: 40 }
+                    ]
+                },
+                'Overcast': {
+                    top: [1.0, 1.02, 1.05],
+                    horizon: [0.45, 0.47, 0.5],
+                    ground: [0.15, 0.14, 0.13]
+                },
+                'Sunset': {
+                    top: [0.15, 0.18, 0.4],
+                    horizon: [1.2, 0.55, 0.25],
+                    ground: [0.08, 0.06, 0.06],
+                    lights: [
+                        { direction: [0.9, 0.06, -0.4], color: [1.0, 0.5, 0.2], intensity: 15.0, size: 2.0 }
+                    ]
+                },
+                'Neon Night': {
+                    top: [0.01, 0.005, 0.03],
+                    horizon: [0.08, 0.02, 0.12],
+                    ground: [0.02, 0.01, 0.03],
+                    lights: [
+                        { direction: [1.0, 0.15, 0.3], color: [1.0, 0.1, 0.8], intensity: 6.0, width: 40, height: 3 },
+                        { direction: [-0.8, 0.3, -0.5], color: [0.1, 0.9, 1.0], intensity: 6.0, width: 30, height: 4 },
+                        { direction: [0.2, 0.6, -1.0], color: [0.2, 0.3, 1.0], intensity: 4.0, width: 5, height: 30 }
+                    ]
+                },
+                'Pure Color': {
+                    color: [0.5, 0.5, 0.5] // Replaced by the color picked in the UI
+                }
+            }
+        },
+        sky: {
+            timeOfDay: 10,             // Default local solar time in hours
+            turbidity: 3,              // Default haziness (2 clear to 10 hazy)
+            heading: 0,                // Default compass rotation of the sun path in degrees
+            latitude: 40,              // Latitude in degrees; sets how high the sun climbs
+            imageWidth: 256,           // Width of the generated equirectangular image
+            exposure: 0.07,            // Scale from Preetham luminance (kcd/m²) to scene radiance
+            sunIntensity: 1.5,         // Directional light intensity for an overhead sun
+            moonIntensity: 0.15,       // Directional light intensity for the moon
+            moonColor: [0.6, 0.7, 1.0],
+            horizonFade: 2,            // Degrees above the horizon over which the sun and moon light fade in
+            twilightDepth: 12,         // Degrees below the horizon at which the sky turns to night
+            nightColor: [0.004, 0.006, 0.012],
+            groundAlbedo: [0.3, 0.25, 0.2],
+            discSize: 1.5,             // Angular radius of the sun and moon discs in degrees
+            sunDiscIntensity: 20,
+            moonDiscIntensity: 1,
+            presets: {
+                'Dawn': { timeOfDay: 6.8, turbidity: 4 },
+                'Noon': { timeOfDay: 12, turbidity: 2.5 },
+                'Sunset': { timeOfDay: 17.2, turbidity: 5 },
+                'Night': { timeOfDay: 23, turbidity: 2 }
+            }
         }
     },
     
@@ -35,6 +132,7 @@ const CONFIG = {
         defaultMass: 1,          // Default mass for new objects (kg)
         defaultFriction: 0.3,    // Default friction for new objects
         defaultRestitution: 0.7, // Default restitution (bounciness)
+        allowSleep: true,        // Resting bodies sleep, so their shapes aren't re-uploaded every frame
     },
     
     // Camera settings
@@ -50,11 +148,30 @@ const CONFIG = {
     
     // Light settings
     lights: {
+        maxCount: 16,                       // Lights the renderer evaluates; each costs a shadow march per pixel
         directional: {
             direction: [-0.5, -0.7, -0.5], // Default directional light direction
             color: [1.0, 0.95, 0.9],       // Default directional light color (warm white)
             intensity: 1.0                  // Default directional light intensity
         },
+        point: {
+            color: [1.0, 0.85, 0.7],        // Default point light color (warm)
+            intensity: 8.0,                 // Point and spot lights fall off with distance, so start brighter
+            range: 15.0                     // Distance at which the light fades out completely
+        },
+        spot: {
+            innerAngle: 20,                 // Full-intensity cone half-angle (degrees)
+            outerAngle: 35                  // Cone half-angle where the light reaches zero (degrees)
+        },
+        area: {
+            width: 2.0,                     // Rectangle size in world units
+            height: 2.0
+        },
+        emissive: {
+            maxShapes: 4,                   // Emissive shapes lit as sphere lights, brightest first; each costs like a point light
+            intensity: 1.0,                 // Multiplier on the material's emissive color and factor
+            range: 12.0                     // Distance at which an emissive shape's light fades out completely
+        },
         ambient: {
             color: [0.4, 0.4, 0.5],         // Default ambient light color (cool)
             intensity: 0.2                  // Default ambient light intensity
@@ -111,14 +228,38 @@ const CONFIG = {
             emissive: [0, 0, 0],
             ior: 1.2,
             soundType: 'soft'
+        },
+        marble: {
+            albedo: [0.92, 0.9, 0.88],
+            metallic: 0.0,
+            roughness: 0.15,
+            emissive: [0, 0, 0],
+            ior: 1.5,
+            soundType: 'generic'
+        },
+        stripes: {
+            albedo: [0.9, 0.9, 0.9],
+            metallic: 0.0,
+            roughness: 0.4,
+            emissive: [0, 0, 0],
+            ior: 1.45,
+            soundType: 'generic'
+        },
+        noise: {
+            albedo: [0.75, 0.75, 0.78],
+            metallic: 1.0,
+            roughness: 0.3,
+            emissive: [0, 0, 0],
+            ior: 2.5,
+            soundType: 'metal'
         }
     },
     
     // Shape presets
     shapes: {
-        maxCount: 50,  // Maximum number of shapes allowed in the scene
-        defaultSize: 1.0,
-        types: ['sphere', 'box', 'torus', 'cylinder', 'cone', 'capsule']
+        maxCount: 1000,  // Maximum number of shapes allowed in the scene (also capped by the GPU texture size)
+        limitPolicy: 'refuse',  // Spawning at the limit: 'refuse', 'recycle' (remove the oldest shape) or 'warn' (spawn anyway)
+        defaultSize: 1.0  // Fallback when a shape type declares no default (types live in ShapeTypeRegistry)
     },
     
     // Audio settings
@@ -140,6 +281,13 @@ const CONFIG = {
             show: true,
             updateInterval: 500  // ms
         }
+    },
+    
+    // Render benchmark settings (see RenderBenchmark)
+    benchmark: {
+        shapeCount: 400,         // Shapes in the generated benchmark scene
+        warmupFrames: 30,        // Frames skipped while shaders and textures settle
+        frames: 300              // Frames measured per run
     }
 };
 
@@ -6,11 +6,15 @@
 // Sketch scope variables (previously global)
 let shapeManager;
 let materialLibrary;
+let lightManager;
 let renderer;
 let physics;
 let interaction;
 let audio;
 let ui;
+let sceneSerializer;
+let benchmark;
+let commandHistory;
 let lastFrameTime = 0;
 let defaultFont; // Global font variable
 let orbitControlsEnabled = true; // Define camera controls variable to manage its state
@@ -35,9 +39,12 @@ function initializeSystems(p) {
         // Create shape manager
         shapeManager = new ShapeManager();
         
+        // Create light manager with the default directional light
+        lightManager = new LightManager();
+        
         // Create renderer (BEFORE physics)
         try {
-            renderer = new Renderer(p, shapeManager, materialLibrary);
+            renderer = new Renderer(p, shapeManager, materialLibrary, lightManager);
         } catch (err) {
             console.error("Failed to create Renderer:", err);
             // Create fallback renderer to prevent errors
@@ -56,8 +63,11 @@ function initializeSystems(p) {
         physics = new PhysicsSystem(shapeManager, renderer); // Pass renderer
 
         
+        // Create undo/redo history for scene edits
+        commandHistory = new CommandHistory();
+        
         // Create interaction handler
-        interaction = new InteractionHandler(p, shapeManager, physics);
+        interaction = new InteractionHandler(p, shapeManager, physics, commandHistory);
         
         // Create audio system with safe initialization
         try {
@@ -85,9 +95,15 @@ function initializeSystems(p) {
             };
         }
 
+        // Create scene serializer for save/load
+        sceneSerializer = new SceneSerializer(p, shapeManager, materialLibrary, physics, renderer, commandHistory);
+        
+        // Create render benchmark (swaps scenes through the serializer)
+        benchmark = new RenderBenchmark(p, materialLibrary, sceneSerializer);
+
         // Create UI manager with robust error handling
         try {
-            ui = new UIManager(p, shapeManager, materialLibrary, interaction, physics, audio, renderer);
+            ui = new UIManager(p, shapeManager, materialLibrary, interaction, physics, audio, renderer, sceneSerializer, benchmark);
             console.log("UI created successfully");
         } catch (err) {
             console.error("Failed to create UIManager:", err);
@@ -98,8 +114,18 @@ function initializeSystems(p) {
             };
         }
         
-        // Create initial scene
-        createInitialScene(p);
+        // Load a shared scene from the URL hash, or build the default scene
+        if (sceneSerializer.getSceneFromHash()) {
+            sceneSerializer.loadFromHash().then(loaded => {
+                if (loaded) {
+                    if (ui && typeof ui.syncWithScene === 'function') ui.syncWithScene();
+                } else {
+                    createInitialScene(p);
+                }
+            });
+        } else {
+            createInitialScene(p);
+        }
     } catch (err) {
         console.error("Error initializing systems:", err);
     }
@@ -152,6 +178,9 @@ function createInitialScene(p) {
         1.3,
         materialLibrary.getMaterial(3).id // Wood
     );
+    
+    // The starting scene is not something the user should be able to undo
+    if (commandHistory) commandHistory.clear();
 }
 
 /**
@@ -305,6 +334,9 @@ const sketch = (p) => {
                 0, 1, 0
             );
             console.log("Camera initialized to bird's eye view");
+            
+            // A scene loaded during setup overrides the default camera
+            if (sceneSerializer) sceneSerializer.applyPendingCameraPose();
         }
         
         // Apply orbit controls EVERY FRAME if enabled - this is critical for them to work properly
@@ -354,6 +386,9 @@ const sketch = (p) => {
             p.pop(); // Restore state
         }
         
+        // Record frame time for a running benchmark
+        if (benchmark) benchmark.update();
+        
         // Update UI
         if (ui) ui.update();
     };
@@ -559,6 +594,15 @@ const app = new p5(sketch, 'sketch-holder');
     setTimeout(fixP5Sound, 500);
 })();
 
+// Reload the scene when a different shared link is pasted into the same tab
+window.addEventListener('hashchange', function() {
+    if (!sceneSerializer || !sceneSerializer.getSceneFromHash()) return;
+    
+    sceneSerializer.loadFromHash().then(loaded => {
+        if (loaded && ui && typeof ui.syncWithScene === 'function') ui.syncWithScene();
+    });
+});
+
 // Global handler for the specific p5.sound unhandled promise rejection
 window.addEventListener('unhandledrejection', function(event) {
     const reason = event.reason;
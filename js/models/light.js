@@ -0,0 +1,247 @@
+/**
+ * Light class represents a single scene light
+ * Directional lights only use direction; point, spot and area lights sit at a
+ * position and fade out over their range.
+ */
+class Light {
+    /**
+     * Create a new light
+     * @param {Object} properties - Light properties
+     * @param {number} properties.type - Light type (Light.TYPES)
+     * @param {Array<number>} properties.position - World position [x,y,z] (point, spot, area)
+     * @param {Array<number>} properties.direction - Direction the light shines in [x,y,z] (directional, spot, area)
+     * @param {Array<number>} properties.color - Light color [r,g,b] in range [0-1]
+     * @param {number} properties.intensity - Brightness multiplier
+     * @param {number} properties.range - Distance at which the light fades out (point, spot, area)
+     * @param {number} properties.innerAngle - Full-intensity cone half-angle in degrees (spot)
+     * @param {number} properties.outerAngle - Cone half-angle in degrees where the light reaches zero (spot)
+     * @param {number} properties.width - Rectangle width (area)
+     * @param {number} properties.height - Rectangle height (area)
+     * @param {boolean} properties.castShadows - Whether the light is occluded by shapes
+     */
+    constructor(properties = {}) {
+        this.id = properties.id;  // Assigned by LightManager.addLight when undefined
+        this.type = properties.type !== undefined ? properties.type : Light.TYPES.POINT;
+
+        const defaults = this.type === Light.TYPES.DIRECTIONAL ? CONFIG.lights.directional : CONFIG.lights.point;
+
+        this.position = properties.position ? [...properties.position] : [0, 4, 0];
+        this.direction = properties.direction ? [...properties.direction] :
+            (this.type === Light.TYPES.DIRECTIONAL ? [...CONFIG.lights.directional.direction] : [0, -1, 0]);
+        this.color = properties.color ? [...properties.color] : [...defaults.color];
+        this.intensity = typeof properties.intensity === 'number' ? properties.intensity : defaults.intensity;
+        this.range = typeof properties.range === 'number' ? properties.range : CONFIG.lights.point.range;
+
+        // Spot cone
+        this.innerAngle = typeof properties.innerAngle === 'number' ? properties.innerAngle : CONFIG.lights.spot.innerAngle;
+        this.outerAngle = typeof properties.outerAngle === 'number' ? properties.outerAngle : CONFIG.lights.spot.outerAngle;
+
+        // Area rectangle, centered on position and facing along direction
+        this.width = typeof properties.width === 'number' ? properties.width : CONFIG.lights.area.width;
+        this.height = typeof properties.height === 'number' ? properties.height : CONFIG.lights.area.height;
+
+        this.castShadows = properties.castShadows !== undefined ? !!properties.castShadows : true;
+
+        // Stamped on every edit so the renderer knows when to re-upload lights
+        this.version = Light.nextVersion();
+    }
+
+    /**
+     * Get the display name of this light
+     * @returns {string} Light type name and ID
+     */
+    get name() {
+        return `${Light.TYPE_NAMES[this.type] || 'Light'} ${this.id}`;
+    }
+
+    /**
+     * Check whether this light has a position that can be moved in the viewport
+     * @returns {boolean} True for every type except directional
+     */
+    get isPositional() {
+        return this.type !== Light.TYPES.DIRECTIONAL;
+    }
+
+    /**
+     * Flag this light as edited
+     * Call after changing properties directly
+     */
+    markDirty() {
+        this.version = Light.nextVersion();
+    }
+
+    /**
+     * Get a new edit stamp, larger than every stamp handed out before
+     * @returns {number} Edit stamp
+     */
+    static nextVersion() {
+        return ++Light.versionCounter;
+    }
+
+    /**
+     * Convert light to JSON for serialization
+     * @returns {Object} JSON representation of light
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            type: this.type,
+            position: [...this.position],
+            direction: [...this.direction],
+            color: [...this.color],
+            intensity: this.intensity,
+            range: this.range,
+            innerAngle: this.innerAngle,
+            outerAngle: this.outerAngle,
+            width: this.width,
+            height: this.height,
+            castShadows: this.castShadows
+        };
+    }
+
+    /**
+     * Create a light from serialized JSON
+     * @param {Object} json - JSON representation of light
+     * @returns {Light} New light instance
+     */
+    static fromJSON(json) {
+        return new Light(json);
+    }
+
+    /**
+     * Create the sphere light standing in for an emissive shape
+     * These are rebuilt by the renderer every upload and never stored in a LightManager
+     * @param {Shape} shape - The glowing shape
+     * @param {Material} material - The shape's material
+     * @param {number} radius - Radius of a sphere enclosing the shape
+     * @returns {Light} Light of type EMISSIVE_SHAPE
+     */
+    static fromEmissiveShape(shape, material, radius) {
+        return new Light({
+            type: Light.TYPES.EMISSIVE_SHAPE,
+            position: [shape.position.x, shape.position.y, shape.position.z],
+            color: material.emissive,
+            intensity: material.emissiveFactor * CONFIG.lights.emissive.intensity,
+            range: CONFIG.lights.emissive.range,
+            width: radius
+        });
+    }
+}
+
+// Light types, matching the LIGHT_* defines in lighting.js
+Light.TYPES = {
+    DIRECTIONAL: 0,
+    POINT: 1,
+    SPOT: 2,
+    AREA: 3,
+    EMISSIVE_SHAPE: 4 // Created from glowing shapes by the renderer, not user-editable
+};
+
+// Display names of the user-editable types
+Light.TYPE_NAMES = ['Directional', 'Point', 'Spot', 'Area'];
+
+// Last edit stamp handed out, shared by all lights and managers
+Light.versionCounter = 0;
+
+/**
+ * LightManager holds the scene's lights
+ */
+class LightManager {
+    constructor() {
+        this.lights = [];
+        this.nextId = 0;
+        this.selectedLight = null;
+
+        // Stamped when lights are added or removed, see getVersion
+        this.version = 0;
+
+        this.createDefaultLights();
+    }
+
+    /**
+     * Replace the lights with the default directional light from CONFIG
+     */
+    createDefaultLights() {
+        this.clearLights();
+        this.addLight(new Light({
+            type: Light.TYPES.DIRECTIONAL,
+            direction: CONFIG.lights.directional.direction,
+            color: CONFIG.lights.directional.color,
+            intensity: CONFIG.lights.directional.intensity
+        }));
+    }
+
+    /**
+     * Add a light
+     * @param {Light} light - The light to add
+     * @returns {Light|null} The added light, or null when CONFIG.lights.maxCount is reached
+     */
+    addLight(light) {
+        if (this.lights.length >= CONFIG.lights.maxCount) {
+            console.warn(`Light limit reached (${CONFIG.lights.maxCount})`);
+            return null;
+        }
+
+        // If no ID provided, assign the next available one
+        if (light.id === undefined) {
+            light.id = this.nextId++;
+        } else {
+            // Update nextId if this light's ID is higher
+            this.nextId = Math.max(this.nextId, light.id + 1);
+        }
+
+        this.lights.push(light);
+        this.version = Light.nextVersion();
+        return light;
+    }
+
+    /**
+     * Get a light by ID
+     * @param {number} id - Light ID to find
+     * @returns {Light|null} The found light or null if not found
+     */
+    getLight(id) {
+        return this.lights.find(light => light.id === id) || null;
+    }
+
+    /**
+     * Remove a light by ID
+     * @param {number} id - Light ID to remove
+     * @returns {boolean} True if the light was found and removed
+     */
+    removeLight(id) {
+        const index = this.lights.findIndex(light => light.id === id);
+        if (index < 0) return false;
+
+        if (this.selectedLight === this.lights[index]) this.selectedLight = null;
+        this.lights.splice(index, 1);
+        this.version = Light.nextVersion();
+        return true;
+    }
+
+    /**
+     * Remove every light
+     */
+    clearLights() {
+        this.lights = [];
+        this.nextId = 0;
+        this.selectedLight = null;
+        this.version = Light.nextVersion();
+    }
+
+    /**
+     * Get all lights
+     * @returns {Array<Light>} Array of all lights
+     */
+    getAllLights() {
+        return [...this.lights];
+    }
+
+    /**
+     * Get a number that changes whenever a light is added, removed or edited
+     * @returns {number} Light list version
+     */
+    getVersion() {
+        return this.lights.reduce((latest, light) => Math.max(latest, light.version), this.version);
+    }
+}
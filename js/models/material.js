@@ -12,11 +12,14 @@ class Material {
      * @param {Array<number>} properties.emissive - Emissive color [r,g,b] in range [0-1]
      * @param {number} properties.emissiveFactor - Emissive intensity multiplier
      * @param {number} properties.ior - Index of refraction (1.0=no refraction, 1.45=glass)
+     * @param {boolean} properties.emitsLight - Whether emissive shapes with this material light their surroundings
+     * @param {Object} properties.pattern - Procedural pattern {type, color, scale, turbulence, roughness, metallic}
+     * @param {number} properties.textureMapping - How textures are projected (Material.TEXTURE_MAPPINGS)
      * @param {Object} properties.flags - Boolean material flags
      */
     constructor(properties = {}) {
         // Generate unique ID for this material
-        this.id = properties.id || Material.nextId++;
+        this.id = properties.id !== undefined ? properties.id : Material.nextId++;
         
         // Basic PBR properties
         this.albedo = properties.albedo || [1.0, 1.0, 1.0];
@@ -28,6 +31,9 @@ class Material {
         this.emissiveFactor = typeof properties.emissiveFactor === 'number' ? properties.emissiveFactor : 0.0;
         this.ior = typeof properties.ior === 'number' ? properties.ior : 1.0; // Index of refraction
         
+        // Shapes with an emissive color act as lights unless this is turned off (see Renderer.getLightEmitters)
+        this.emitsLight = properties.emitsLight !== undefined ? !!properties.emitsLight : true;
+        
         // Material flags (bitfield encoded in shader)
         this.flags = {
             isTransparent: !!properties.flags?.isTransparent || false,
@@ -48,9 +54,41 @@ class Material {
         this.textureScale = properties.textureScale || [1.0, 1.0];
         this.textureOffset = properties.textureOffset || [0.0, 0.0];
         this.textureRotation = typeof properties.textureRotation === 'number' ? properties.textureRotation : 0.0; // In radians
+        this.textureMapping = typeof properties.textureMapping === 'number'
+            ? properties.textureMapping : Material.TEXTURE_MAPPINGS.TRIPLANAR;
+        
+        // Procedural pattern, evaluated in object space by the shader: where the
+        // pattern is 1 the surface takes the pattern's color, roughness and metallic
+        this.pattern = {
+            type: typeof properties.pattern?.type === 'number' ? properties.pattern.type : Material.PATTERNS.NONE,
+            color: properties.pattern?.color || [0.2, 0.2, 0.2],
+            scale: typeof properties.pattern?.scale === 'number' ? properties.pattern.scale : 4.0, // Features per unit
+            turbulence: typeof properties.pattern?.turbulence === 'number' ? properties.pattern.turbulence : 1.0,
+            roughness: typeof properties.pattern?.roughness === 'number' ? properties.pattern.roughness : this.roughness,
+            metallic: typeof properties.pattern?.metallic === 'number' ? properties.pattern.metallic : this.metallic
+        };
         
         // User-friendly display name
         this.name = properties.name || `Material_${this.id}`;
+        
+        // Stamped on every edit so the renderer knows when to re-upload materials
+        this.version = Material.nextVersion();
+    }
+    
+    /**
+     * Flag this material as edited
+     * Call after changing properties directly; the setters below do it themselves
+     */
+    markDirty() {
+        this.version = Material.nextVersion();
+    }
+    
+    /**
+     * Get a new edit stamp, larger than every stamp handed out before
+     * @returns {number} Edit stamp
+     */
+    static nextVersion() {
+        return ++Material.versionCounter;
     }
     
     /**
@@ -65,6 +103,7 @@ class Material {
         }
         
         this.textures[type] = textureIndex;
+        this.markDirty();
     }
     
     /**
@@ -78,6 +117,7 @@ class Material {
         }
         
         this.textures[type] = -1;
+        this.markDirty();
     }
     
     /**
@@ -98,6 +138,8 @@ class Material {
         if (typeof rotation === 'number') {
             this.textureRotation = rotation;
         }
+        
+        this.markDirty();
     }
     
     /**
@@ -114,12 +156,17 @@ class Material {
             emissive: [...this.emissive],
             emissiveFactor: this.emissiveFactor,
             ior: this.ior,
+            emitsLight: this.emitsLight,
             
             // Texture properties
             textures: { ...this.textures },
             textureScale: [...this.textureScale],
             textureOffset: [...this.textureOffset],
             textureRotation: this.textureRotation,
+            textureMapping: this.textureMapping,
+            
+            // Pattern
+            pattern: { ...this.pattern, color: [...this.pattern.color] },
             
             // Flags
             flags: { ...this.flags },
@@ -191,9 +238,62 @@ class Material {
                     albedo: [0.65, 0.45, 0.25],
                     metallic: 0.0,
                     roughness: 0.75,
+                    pattern: {
+                        type: Material.PATTERNS.WOOD,
+                        color: [0.4, 0.24, 0.12],
+                        scale: 3.0,
+                        turbulence: 0.6,
+                        roughness: 0.6
+                    },
                     name: 'Wood'
                 });
                 
+            case 'marble':
+                return new Material({
+                    albedo: [0.92, 0.9, 0.88],
+                    metallic: 0.0,
+                    roughness: 0.15,
+                    pattern: {
+                        type: Material.PATTERNS.MARBLE,
+                        color: [0.25, 0.27, 0.3],
+                        scale: 2.0,
+                        turbulence: 2.5,
+                        roughness: 0.25
+                    },
+                    name: 'Marble'
+                });
+                
+            case 'stripes':
+                return new Material({
+                    albedo: [0.9, 0.9, 0.9],
+                    metallic: 0.0,
+                    roughness: 0.4,
+                    pattern: {
+                        type: Material.PATTERNS.STRIPES,
+                        color: [0.8, 0.1, 0.1],
+                        scale: 3.0,
+                        turbulence: 0.0
+                    },
+                    name: 'Stripes'
+                });
+                
+            case 'noise':
+                // Rusted metal: noise blends bare metal with rough, dull rust
+                return new Material({
+                    albedo: [0.75, 0.75, 0.78],
+                    metallic: 1.0,
+                    roughness: 0.3,
+                    pattern: {
+                        type: Material.PATTERNS.NOISE,
+                        color: [0.45, 0.2, 0.08],
+                        scale: 3.0,
+                        turbulence: 1.0,
+                        roughness: 0.9,
+                        metallic: 0.0
+                    },
+                    name: 'Noise'
+                });
+                
             case 'chrome':
                 return new Material({
                     albedo: [0.8, 0.8, 0.8],
@@ -232,10 +332,13 @@ class Material {
             emissive: [...this.emissive],
             emissiveFactor: this.emissiveFactor,
             ior: this.ior,
+            emitsLight: this.emitsLight,
             textures: { ...this.textures },
             textureScale: [...this.textureScale],
             textureOffset: [...this.textureOffset],
             textureRotation: this.textureRotation,
+            textureMapping: this.textureMapping,
+            pattern: { ...this.pattern, color: [...this.pattern.color] },
             flags: { ...this.flags }
         };
     }
@@ -253,6 +356,31 @@ class Material {
 // Static ID counter
 Material.nextId = 0;
 
+// Procedural pattern types (matches the PATTERN_* defines in the fragment shader)
+Material.PATTERNS = {
+    NONE: 0,
+    STRIPES: 1,
+    WOOD: 2,
+    MARBLE: 3,
+    NOISE: 4
+};
+
+// Display names indexed by pattern type
+Material.PATTERN_NAMES = ['None', 'Stripes', 'Wood', 'Marble', 'Noise'];
+
+// Texture projections (matches the TEXTURE_MAPPING_* defines in the fragment shader):
+// triplanar works on any shape, primitive uses the UVs the shape type declares
+Material.TEXTURE_MAPPINGS = {
+    TRIPLANAR: 0,
+    PRIMITIVE: 1
+};
+
+// Display names indexed by texture mapping
+Material.TEXTURE_MAPPING_NAMES = ['Triplanar', 'Primitive UVs'];
+
+// Last edit stamp handed out, shared by all materials and libraries
+Material.versionCounter = 0;
+
 /**
  * MaterialLibrary manages a collection of materials
  */
@@ -261,6 +389,9 @@ class MaterialLibrary {
         this.materials = [];
         this.nextId = 0;
         
+        // Stamped when materials are added or removed, see getVersion
+        this.version = 0;
+        
         // Initialize with default materials
         this.createDefaultMaterials();
     }
@@ -294,6 +425,7 @@ class MaterialLibrary {
         }
         
         this.materials.push(material);
+        this.version = Material.nextVersion();
         return material.id;
     }
     
@@ -315,6 +447,7 @@ class MaterialLibrary {
         const index = this.materials.findIndex(m => m.id === id);
         if (index >= 0) {
             this.materials.splice(index, 1);
+            this.version = Material.nextVersion();
             return true;
         }
         return false;
@@ -327,4 +460,13 @@ class MaterialLibrary {
     getAllMaterials() {
         return [...this.materials];
     }
+    
+    /**
+     * Get a number that changes whenever the library or any material in it changes
+     * Every change takes a fresh, larger stamp, so the latest one identifies the state
+     * @returns {number} Library version
+     */
+    getVersion() {
+        return this.materials.reduce((latest, material) => Math.max(latest, material.version), this.version);
+    }
 }
\ No newline at end of file
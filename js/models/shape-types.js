@@ -0,0 +1,597 @@
+/**
+ * Shape type registry
+ * Each shape type is declared once here: its GLSL SDF, physics collider,
+ * fallback p5 drawing, UI name, default size and shape parameters.
+ * The shader's SHAPE_* defines and evaluateShape() are generated from it,
+ * so this file must load before the shader sources.
+ */
+class ShapeTypeRegistry {
+    /**
+     * Register a shape type
+     * @param {Object} definition - Shape type definition
+     * @param {number} definition.id - Stable type ID stored in shapes and scene files
+     * @param {string} definition.key - Identifier used for the GLSL define (SHAPE_<KEY>)
+     * @param {string} definition.name - Human-readable name shown in the UI
+     * @param {number} definition.defaultSize - Size used when spawning this type
+     * @param {boolean} definition.spawnable - Whether the type is offered in the Shapes tab (default true)
+     * @param {Object} definition.parameters - Map of param1-param4 to {label, min, max, default, step}
+     * @param {string} definition.glsl - GLSL helper functions for this type (optional)
+     * @param {string} definition.distance - GLSL expression for the unit-size distance, using p and params
+     * @param {number} definition.boundingRadius - Unit-space radius enclosing the shape; the distance
+     *     expression is only evaluated near it (optional, for expensive SDFs)
+     * @param {number} definition.stepBudget - Loop bound for iterative SDFs, emitted as SHAPE_<KEY>_STEPS (optional)
+     * @param {string} definition.uvMapping - Analytic texture projection: 'spherical', 'cylindrical' or 'box'
+     *     (optional; materials mapped per primitive fall back to triplanar without one)
+     * @param {Function} definition.createCollider - (shape, size) => CANNON.Shape or Array of {shape, offset}
+     * @param {Function} definition.enclosingRadius - (shape, size) => radius of a sphere around the unmodified
+     *     SDF (optional; otherwise derived from boundingRadius or the collider)
+     * @param {Function} definition.drawFallback - (p, shape, size) => draws the shape with p5 primitives
+     */
+    static register(definition) {
+        if (ShapeTypeRegistry.types.has(definition.id)) {
+            throw new Error(`Shape type ${definition.id} is already registered as "${ShapeTypeRegistry.types.get(definition.id).name}"`);
+        }
+
+        ShapeTypeRegistry.types.set(definition.id, Object.assign({
+            defaultSize: 1.0,
+            spawnable: true,
+            parameters: {},
+            glsl: ''
+        }, definition));
+    }
+
+    /**
+     * Remove a shape type from the registry
+     * @param {number} id - Shape type ID
+     */
+    static unregister(id) {
+        ShapeTypeRegistry.types.delete(id);
+    }
+
+    /**
+     * Register (or replace) a user-defined shape type from a GLSL snippet
+     * The snippet must define float sdCustom(vec3 p, vec4 params); the function is
+     * renamed per type so several custom shapes can coexist in the shader
+     * @param {string} name - Name shown in the UI; control characters are replaced and it is
+     *     cut to CUSTOM_NAME_MAX_LENGTH, as it also ends up in a shader comment
+     * @param {string} code - GLSL snippet
+     * @param {number} id - ID of the custom type to replace (optional)
+     * @returns {Object} The registered shape type definition
+     * @throws {Error} If the snippet lacks sdCustom or the ID is outside the custom range
+     */
+    static registerCustom(name, code, id) {
+        if (id !== undefined && !ShapeTypeRegistry.isCustomId(id)) {
+            throw new Error(`Custom shape type IDs must be integers from ${ShapeTypeRegistry.CUSTOM_TYPE_START}, got ${id}`);
+        }
+        if (!/float\s+sdCustom\s*\(\s*vec3\s+\w+\s*,\s*vec4\s+\w+\s*\)/.test(code)) {
+            throw new Error('The snippet must define float sdCustom(vec3 p, vec4 params)');
+        }
+
+        if (id === undefined) {
+            const customIds = ShapeTypeRegistry.getAll().filter(type => type.custom).map(type => type.id);
+            id = Math.max(ShapeTypeRegistry.CUSTOM_TYPE_START - 1, ...customIds) + 1;
+        }
+        ShapeTypeRegistry.unregister(id);
+
+        // Names come from the editor, scene files and links; a line break would end the comment early
+        const label = typeof name !== 'string' ? '' : name
+            .replace(/[\u0000-\u001f\u007f-\u009f\u2028\u2029]+/g, ' ')
+            .trim()
+            .slice(0, ShapeTypeRegistry.CUSTOM_NAME_MAX_LENGTH);
+
+        const functionName = `sdCustom${id}`;
+        const glsl = code.replace(/\bsdCustom\b/g, functionName);
+
+        ShapeTypeRegistry.register({
+            id: id,
+            key: `custom${id}`,
+            name: label || `Custom ${id - ShapeTypeRegistry.CUSTOM_TYPE_START + 1}`,
+            custom: true,
+            code: code,
+            defaultSize: 1.0,
+            parameters: {
+                param1: { label: 'Param 1', min: 0, max: 4, default: 0 },
+                param2: { label: 'Param 2', min: 0, max: 4, default: 0 },
+                param3: { label: 'Param 3', min: 0, max: 4, default: 0 },
+                param4: { label: 'Param 4', min: 0, max: 4, default: 0 }
+            },
+            // Markers let the renderer map compile errors back to snippet lines
+            glsl: `${ShapeTypeRegistry.CUSTOM_BEGIN_MARKER} ${id}\n${glsl}\n${ShapeTypeRegistry.CUSTOM_END_MARKER} ${id}`,
+            distance: `${functionName}(p, params)`,
+            // Arbitrary SDFs have no known extent; assume the unit box like the primitives
+            createCollider: (shape, size) => new CANNON.Box(new CANNON.Vec3(size[0] / 2, size[1] / 2, size[2] / 2)),
+            drawFallback: (p, shape, size) => p.box(size[0] * 2, size[1] * 2, size[2] * 2)
+        });
+
+        return ShapeTypeRegistry.get(id);
+    }
+
+    /**
+     * Check whether an ID lies in the range reserved for custom types
+     * Only these may be replaced by registerCustom, and they end up in GLSL names.
+     * @param {*} id - Candidate type ID
+     * @returns {boolean} True for integers from CUSTOM_TYPE_START
+     */
+    static isCustomId(id) {
+        return Number.isInteger(id) && id >= ShapeTypeRegistry.CUSTOM_TYPE_START;
+    }
+
+    /**
+     * Get a registered shape type
+     * @param {number} id - Shape type ID
+     * @returns {Object|null} Shape type definition or null if not registered
+     */
+    static get(id) {
+        return ShapeTypeRegistry.types.get(id) || null;
+    }
+
+    /**
+     * Get all registered shape types, ordered by ID
+     * @returns {Array<Object>} Shape type definitions
+     */
+    static getAll() {
+        return Array.from(ShapeTypeRegistry.types.values()).sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * Get options for a Tweakpane list of spawnable shape types
+     * @returns {Object} Map of type name to type ID
+     */
+    static getUIOptions() {
+        const options = {};
+        ShapeTypeRegistry.getAll()
+            .filter(type => type.spawnable)
+            .forEach(type => { options[type.name] = type.id; });
+        return options;
+    }
+
+    /**
+     * Generate the GLSL for every registered type: SHAPE_* defines, SDF helper
+     * functions and the evaluateShape() dispatcher used by mapScene
+     * @returns {string} GLSL source
+     */
+    static generateGLSL() {
+        const types = ShapeTypeRegistry.getAll();
+
+        const defines = types
+            .map(type => `#define SHAPE_${type.key.toUpperCase()} ${type.id}`)
+            .join('\n');
+
+        const stepBudgets = types
+            .filter(type => type.stepBudget)
+            .map(type => `#define SHAPE_${type.key.toUpperCase()}_STEPS ${type.stepBudget}`)
+            .join('\n');
+
+        const functions = types
+            .filter(type => type.glsl)
+            // Printable ASCII only: GLSL splices lines ending in a backslash, even in comments
+            .map(type => `// ${type.name.replace(/[^\x20-\x5b\x5d-\x7e]/g, '?')} SDF\n${type.glsl.trim()}`)
+            .join('\n\n');
+
+        const cases = types
+            .map(type => ShapeTypeRegistry.generateCase(type))
+            .join('\n');
+
+        const uvDefines = Object.entries(ShapeTypeRegistry.UV_MAPPINGS)
+            .map(([name, id]) => `#define UV_${name.toUpperCase()} ${id}`)
+            .join('\n');
+
+        const uvCases = types
+            .filter(type => type.uvMapping)
+            .map(type => `    if (shapeType == SHAPE_${type.key.toUpperCase()}) return UV_${type.uvMapping.toUpperCase()};`)
+            .join('\n');
+
+        return `
+// Shape type enumeration
+${defines}
+
+// Iteration budgets for iterative SDFs, independent of the scene's MAX_STEPS
+${stepBudgets}
+
+// Shape SDFs
+${functions}
+
+// Evaluates a unit-sized primitive in object space
+// params holds shape.parameters param1-param4 (see ShapeTypeRegistry)
+float evaluateShape(vec3 p, int shapeType, vec4 params) {
+${cases}
+    return MAX_DIST;
+}
+
+// Analytic texture projections
+${uvDefines}
+
+// Projection declared by a shape type, UV_NONE if it has none
+int getShapeUVMapping(int shapeType) {
+${uvCases}
+    return UV_NONE;
+}
+`;
+    }
+
+    /**
+     * Generate the evaluateShape() branch for one shape type
+     * @param {Object} type - Shape type definition
+     * @returns {string} GLSL source
+     */
+    static generateCase(type) {
+        const define = `SHAPE_${type.key.toUpperCase()}`;
+
+        if (!type.boundingRadius) {
+            return `    if (shapeType == ${define}) return ${type.distance};`;
+        }
+
+        // The bounding sphere is a conservative distance, so far-away points skip the SDF
+        const margin = ShapeTypeRegistry.BOUND_MARGIN.toFixed(4);
+        return `    if (shapeType == ${define}) {
+        float bound = length(p) - ${type.boundingRadius.toFixed(4)};
+        return bound > ${margin} ? bound : ${type.distance};
+    }`;
+    }
+}
+
+// Registered shape types keyed by ID
+ShapeTypeRegistry.types = new Map();
+
+// Corners of the regular tetrahedron used by the Sierpinski fractal
+ShapeTypeRegistry.TETRAHEDRON_VERTICES = [[1, 1, 1], [-1, -1, 1], [-1, 1, -1], [1, -1, -1]];
+ShapeTypeRegistry.TETRAHEDRON_FACES = [[1, 2, 3], [0, 3, 2], [0, 1, 3], [0, 2, 1]]; // Outward winding
+
+// User-defined shape types get IDs from here up, clear of the built-in types
+ShapeTypeRegistry.CUSTOM_TYPE_START = 100;
+
+// Comment lines wrapped around custom snippets in the generated shader
+ShapeTypeRegistry.CUSTOM_BEGIN_MARKER = '// BEGIN CUSTOM SDF';
+ShapeTypeRegistry.CUSTOM_END_MARKER = '// END CUSTOM SDF';
+
+// Longest custom shape name kept
+ShapeTypeRegistry.CUSTOM_NAME_MAX_LENGTH = 40;
+
+// Unit-space distance from a bounding sphere within which the full SDF is evaluated
+ShapeTypeRegistry.BOUND_MARGIN = 0.1;
+
+// Texture projections a shape type can declare as uvMapping, emitted as UV_* defines
+ShapeTypeRegistry.UV_MAPPINGS = {
+    none: 0,
+    spherical: 1,
+    cylindrical: 2,
+    box: 3
+};
+
+// ---------------
+// Built-in shapes
+// ---------------
+
+ShapeTypeRegistry.register({
+    id: 0,
+    key: 'sphere',
+    name: 'Sphere',
+    defaultSize: 1.0,
+    glsl: `
+float sdSphere(vec3 p, float radius) {
+    return length(p) - radius;
+}`,
+    distance: 'sdSphere(p, 1.0)', // Unit sphere (scaled by size)
+    uvMapping: 'spherical',
+    createCollider: (shape, size) => new CANNON.Sphere(size[0]), // Unit sphere scaled by size, like the SDF
+    enclosingRadius: (shape, size) => Math.max(...size), // Non-uniform sizes stretch it to the largest one
+    drawFallback: (p, shape, size) => p.sphere(size[0])
+});
+
+ShapeTypeRegistry.register({
+    id: 1,
+    key: 'box',
+    name: 'Box',
+    defaultSize: 1.0,
+    parameters: {
+        param1: { label: 'Corner Radius', min: 0, max: 0.5, default: 0 }
+    },
+    glsl: `
+float sdBox(vec3 p, vec3 size) {
+    vec3 d = abs(p) - size * 0.5;
+    return min(max(d.x, max(d.y, d.z)), 0.0) + length(max(d, 0.0));
+}
+
+// Box with rounded corners (radius in the same units as size)
+float sdRoundBox(vec3 p, vec3 size, float radius) {
+    return sdBox(p, size - 2.0 * radius) - radius;
+}`,
+    distance: 'sdRoundBox(p, vec3(1.0), clamp(params.x, 0.0, 0.5))', // Unit box with corner radius
+    uvMapping: 'box',
+    // Half-extents (corner rounding only trims the corners, so the hull is kept)
+    createCollider: (shape, size) => new CANNON.Box(new CANNON.Vec3(size[0] / 2, size[1] / 2, size[2] / 2)),
+    drawFallback: (p, shape, size) => p.box(size[0] * 2, size[1] * 2, size[2] * 2)
+});
+
+ShapeTypeRegistry.register({
+    id: 2,
+    key: 'torus',
+    name: 'Torus',
+    defaultSize: 1.5,
+    parameters: {
+        param1: { label: 'Major Radius', min: 0.1, max: 1, default: 0.5 },
+        param2: { label: 'Minor Radius', min: 0.02, max: 0.5, default: 0.2 }
+    },
+    glsl: `
+float sdTorus(vec3 p, float radius, float thickness) {
+    vec2 q = vec2(length(p.xz) - radius, p.y);
+    return length(q) - thickness;
+}`,
+    distance: 'sdTorus(p, params.x, params.y)', // Major and minor radius
+    // Approximated with a cylinder enclosing the ring
+    createCollider: (shape, size) => {
+        const outerRadius = (shape.getParameter('param1') + shape.getParameter('param2')) * size[0];
+        return new CANNON.Cylinder(outerRadius, outerRadius, shape.getParameter('param2') * 2 * size[1], 16);
+    },
+    // The cylinder's corners stick out past the ring
+    enclosingRadius: (shape, size) => (shape.getParameter('param1') + shape.getParameter('param2')) * Math.max(...size),
+    drawFallback: (p, shape, size) => {
+        p.torus(size[0] * 2 * shape.getParameter('param1'), size[0] * 2 * shape.getParameter('param2'));
+    }
+});
+
+ShapeTypeRegistry.register({
+    id: 3,
+    key: 'cylinder',
+    name: 'Cylinder',
+    defaultSize: 1.0,
+    parameters: {
+        param1: { label: 'Radius', min: 0.05, max: 1, default: 0.5 },
+        param2: { label: 'Height', min: 0.1, max: 2, default: 1.0 }
+    },
+    glsl: `
+float sdCylinder(vec3 p, float radius, float height) {
+    // Distance from cylinder axis and height
+    vec2 d = vec2(length(p.xz) - radius, abs(p.y) - height * 0.5);
+    return min(max(d.x, d.y), 0.0) + length(max(d, 0.0));
+}`,
+    distance: 'sdCylinder(p, params.x, params.y)', // Radius and height
+    uvMapping: 'cylindrical',
+    createCollider: (shape, size) => {
+        const radius = shape.getParameter('param1') * size[0];
+        return new CANNON.Cylinder(radius, radius, shape.getParameter('param2') * size[1], 16);
+    },
+    drawFallback: (p, shape, size) => {
+        p.cylinder(size[0] * 2 * shape.getParameter('param1'), size[2] * 2 * shape.getParameter('param2'));
+    }
+});
+
+ShapeTypeRegistry.register({
+    id: 4,
+    key: 'cone',
+    name: 'Cone',
+    defaultSize: 1.0,
+    parameters: {
+        param1: { label: 'Base Radius', min: 0.05, max: 1, default: 0.5 },
+        param2: { label: 'Height', min: 0.1, max: 2, default: 1.0 },
+        param3: { label: 'Tip Radius', min: 0, max: 1, default: 0 }
+    },
+    glsl: `
+// Cone frustum with base radius at -height/2 and tip radius at +height/2
+float sdCappedCone(vec3 p, float height, float baseRadius, float tipRadius) {
+    float h = height * 0.5;
+    vec2 q = vec2(length(p.xz), p.y);
+    vec2 k1 = vec2(tipRadius, h);
+    vec2 k2 = vec2(tipRadius - baseRadius, 2.0 * h);
+    vec2 ca = vec2(q.x - min(q.x, (q.y < 0.0) ? baseRadius : tipRadius), abs(q.y) - h);
+    vec2 cb = q - k1 + k2 * clamp(dot(k1 - q, k2) / dot(k2, k2), 0.0, 1.0);
+    float s = (cb.x < 0.0 && ca.y < 0.0) ? -1.0 : 1.0;
+    return s * sqrt(min(dot(ca, ca), dot(cb, cb)));
+}`,
+    distance: 'sdCappedCone(p, params.y, params.x, params.z)', // Height, base and tip radius
+    uvMapping: 'cylindrical',
+    // Cylinder frustum; the tip radius is kept above zero for stability
+    createCollider: (shape, size) => new CANNON.Cylinder(
+        Math.max(shape.getParameter('param3') * size[0], 0.01),
+        shape.getParameter('param1') * size[0],
+        shape.getParameter('param2') * size[1],
+        16
+    ),
+    drawFallback: (p, shape, size) => {
+        p.cone(size[0] * 2 * shape.getParameter('param1'), size[2] * 2 * shape.getParameter('param2'));
+    }
+});
+
+ShapeTypeRegistry.register({
+    id: 5,
+    key: 'capsule',
+    name: 'Capsule',
+    defaultSize: 1.0,
+    parameters: {
+        param1: { label: 'Radius', min: 0.05, max: 1, default: 0.5 },
+        param2: { label: 'Length', min: 0, max: 2, default: 1.0 }
+    },
+    glsl: `
+float sdCapsule(vec3 p, float radius, float height) {
+    // Line segment from -h/2 to h/2 on y-axis
+    vec3 a = vec3(0.0, -height * 0.5, 0.0);
+    vec3 b = vec3(0.0, height * 0.5, 0.0);
+
+    // Project point onto line segment
+    vec3 pa = p - a;
+    vec3 ba = b - a;
+    float h = clamp(dot(pa, ba) / dot(ba, ba), 0.0, 1.0);
+
+    // Distance to closest point on line segment
+    return length(pa - ba * h) - radius;
+}`,
+    distance: 'sdCapsule(p, params.x, params.y)', // Radius and segment length
+    uvMapping: 'cylindrical',
+    // Compound of a cylinder and two spheres capping its ends
+    createCollider: (shape, size) => {
+        const radius = shape.getParameter('param1') * size[0];
+        const length = shape.getParameter('param2') * size[1];
+        return [
+            { shape: new CANNON.Cylinder(radius, radius, Math.max(length, 0.01), 16) },
+            { shape: new CANNON.Sphere(radius), offset: new CANNON.Vec3(0, length / 2, 0) },
+            { shape: new CANNON.Sphere(radius), offset: new CANNON.Vec3(0, -length / 2, 0) }
+        ];
+    },
+    drawFallback: (p, shape, size) => {
+        const radius = size[0] * 2 * shape.getParameter('param1');
+        const length = size[2] * 2 * shape.getParameter('param2');
+
+        // Draw cylinder body
+        p.cylinder(radius, length);
+
+        // Draw end caps as spheres
+        p.push();
+        p.translate(0, length / 2, 0);
+        p.sphere(radius);
+        p.pop();
+
+        p.push();
+        p.translate(0, -length / 2, 0);
+        p.sphere(radius);
+        p.pop();
+    }
+});
+
+ShapeTypeRegistry.register({
+    id: 6,
+    key: 'plane',
+    name: 'Plane',
+    defaultSize: 1.0,
+    spawnable: false, // Only used for the ground
+    glsl: `
+float sdPlane(vec3 p, vec3 normal, float distance) {
+    return dot(p, normalize(normal)) - distance;
+}`,
+    distance: 'sdPlane(p, vec3(0.0, 1.0, 0.0), 0.0)', // Ground plane
+    createCollider: () => new CANNON.Plane(),
+    enclosingRadius: () => Infinity, // Unbounded
+    drawFallback: (p, shape, size) => {
+        p.rotateX(Math.PI / 2);
+        p.plane(size[0] * 100, size[2] * 100);
+    }
+});
+
+// ----------------
+// Fractal shapes
+// ----------------
+// Fractals are scaled to fit a unit box like the primitives above. Their iteration
+// loops are bounded by a per-type step budget, and the bounding sphere keeps rays
+// that pass far away from paying for the iterations at all.
+
+ShapeTypeRegistry.register({
+    id: 7,
+    key: 'mandelbulb',
+    name: 'Mandelbulb',
+    defaultSize: 2.0,
+    stepBudget: 12,
+    boundingRadius: 1.0,
+    parameters: {
+        param1: { label: 'Iterations', min: 1, max: 12, default: 6, step: 1 },
+        param2: { label: 'Power', min: 2, max: 12, default: 8 }
+    },
+    glsl: `
+float sdMandelbulb(vec3 p, float iterations, float power) {
+    vec3 z = p;
+    float dr = 1.0;
+    float r = length(z);
+    int maxIterations = int(iterations + 0.5);
+
+    for (int i = 0; i < SHAPE_MANDELBULB_STEPS; i++) {
+        if (i >= maxIterations || r > 2.0) break;
+
+        // Raise z to the given power in spherical coordinates
+        float theta = acos(clamp(z.z / max(r, EPSILON), -1.0, 1.0)) * power;
+        float phi = atan(z.y, z.x) * power;
+        dr = pow(r, power - 1.0) * power * dr + 1.0;
+        z = pow(r, power) * vec3(sin(theta) * cos(phi), sin(phi) * sin(theta), cos(theta)) + p;
+        r = length(z);
+    }
+
+    return 0.5 * log(max(r, EPSILON)) * r / dr;
+}`,
+    // Bulb axis along Y, halved so it fits the unit box
+    distance: 'sdMandelbulb(p.xzy * 2.0, params.x, params.y) * 0.5',
+    createCollider: (shape, size) => new CANNON.Sphere(0.55 * size[0]),
+    drawFallback: (p, shape, size) => p.sphere(size[0] * 2 * 0.55)
+});
+
+ShapeTypeRegistry.register({
+    id: 8,
+    key: 'menger',
+    name: 'Menger Sponge',
+    defaultSize: 2.0,
+    stepBudget: 5,
+    boundingRadius: 0.9,
+    parameters: {
+        param1: { label: 'Iterations', min: 1, max: 5, default: 3, step: 1 },
+        param2: { label: 'Scale', min: 2, max: 4, default: 3 }
+    },
+    glsl: `
+float sdMengerSponge(vec3 p, float iterations, float scale) {
+    // Cube spanning [-1, 1], carved by crosses at each scale
+    float d = sdBox(p, vec3(2.0));
+    float s = 1.0;
+    int maxIterations = int(iterations + 0.5);
+
+    for (int i = 0; i < SHAPE_MENGER_STEPS; i++) {
+        if (i >= maxIterations) break;
+
+        vec3 a = mod(p * s, 2.0) - 1.0;
+        s *= scale;
+        vec3 r = abs(1.0 - scale * abs(a));
+        float da = max(r.x, r.y);
+        float db = max(r.y, r.z);
+        float dc = max(r.z, r.x);
+        d = max(d, (min(da, min(db, dc)) - 1.0) / s);
+    }
+
+    return d;
+}`,
+    distance: 'sdMengerSponge(p * 2.0, params.x, params.y) * 0.5',
+    createCollider: (shape, size) => new CANNON.Box(new CANNON.Vec3(size[0] / 2, size[1] / 2, size[2] / 2)),
+    drawFallback: (p, shape, size) => p.box(size[0] * 2, size[1] * 2, size[2] * 2)
+});
+
+ShapeTypeRegistry.register({
+    id: 9,
+    key: 'sierpinski',
+    name: 'Sierpinski Tetrahedron',
+    defaultSize: 2.0,
+    stepBudget: 10,
+    boundingRadius: 0.9,
+    parameters: {
+        param1: { label: 'Iterations', min: 1, max: 10, default: 6, step: 1 },
+        param2: { label: 'Scale', min: 1.5, max: 3, default: 2 }
+    },
+    glsl: `
+float sdSierpinski(vec3 p, float iterations, float scale) {
+    float k = 1.0;
+    int maxIterations = int(iterations + 0.5);
+
+    // Fold towards the (1, 1, 1) corner and scale about it
+    for (int i = 0; i < SHAPE_SIERPINSKI_STEPS; i++) {
+        if (i >= maxIterations) break;
+
+        if (p.x + p.y < 0.0) p.xy = -p.yx;
+        if (p.x + p.z < 0.0) p.xz = -p.zx;
+        if (p.y + p.z < 0.0) p.zy = -p.yz;
+        p = p * scale - vec3(scale - 1.0);
+        k *= scale;
+    }
+
+    // Distance to the tetrahedron with corners at (1,1,1), (-1,-1,1), (-1,1,-1), (1,-1,-1)
+    float d = max(max(-p.x - p.y - p.z, p.x + p.y - p.z), max(-p.x + p.y + p.z, p.x - p.y + p.z));
+    return (d - 1.0) / (sqrt(3.0) * k);
+}`,
+    distance: 'sdSierpinski(p * 2.0, params.x, params.y) * 0.5',
+    // Convex hull of the outer tetrahedron
+    createCollider: (shape, size) => new CANNON.ConvexPolyhedron({
+        vertices: ShapeTypeRegistry.TETRAHEDRON_VERTICES.map(v => new CANNON.Vec3(
+            v[0] * size[0] / 2, v[1] * size[1] / 2, v[2] * size[2] / 2
+        )),
+        faces: ShapeTypeRegistry.TETRAHEDRON_FACES
+    }),
+    drawFallback: (p, shape, size) => {
+        const v = ShapeTypeRegistry.TETRAHEDRON_VERTICES.map(c => [c[0] * size[0], c[1] * size[1], c[2] * size[2]]);
+        p.beginShape(p.TRIANGLES);
+        ShapeTypeRegistry.TETRAHEDRON_FACES.forEach(face => {
+            face.forEach(i => p.vertex(v[i][0], v[i][1], v[i][2]));
+        });
+        p.endShape();
+    }
+});
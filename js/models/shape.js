@@ -7,12 +7,17 @@ class Shape {
      * Create a new shape
      * @param {object} options - Shape options
      * @param {number} options.id - Unique shape ID
-     * @param {number} options.type - Shape type enum (0=sphere, 1=box, etc.)
+     * @param {number} options.type - Shape type ID registered in ShapeTypeRegistry (0=sphere, 1=box, etc.)
      * @param {p5.Vector} options.position - Position in world space
      * @param {array} options.orientation - Quaternion rotation [x, y, z, w]
      * @param {number|array} options.size - Size (scalar for uniform, array for [x,y,z])
      * @param {number} options.materialId - ID of the material to use
      * @param {number} options.mass - Physics mass (0 = static)
+     * @param {number} options.blendMode - How this shape combines with its blend target (Shape.BLEND_MODES)
+     * @param {number} options.blendShapeId - ID of the shape to blend with (-1 = none)
+     * @param {number} options.blendFactor - Smooth-union radius
+     * @param {Object} options.parameters - Shape-specific SDF parameters (param1-param4)
+     * @param {Array<Object>} options.modifiers - Ordered domain modifiers, e.g. {type: 'twist', amount: 2, axis: 1}
      */
     constructor(options = {}, p) { // Added p parameter
         if (!p || typeof p.createVector !== 'function') {
@@ -20,22 +25,46 @@ class Shape {
         }
         this.p = p; // Store p5 instance
         // Core properties
-        this.id = options.id || 0;
+        this.id = options.id; // Assigned by ShapeManager.addShape when undefined
         this.type = options.type !== undefined ? options.type : 0; // Sphere by default
         this.position = options.position || this.p.createVector(0, 0, 0);
  // Use p.createVector
         this.orientation = options.orientation || [0, 0, 0, 1]; // Identity quaternion
-        this.size = options.size || CONFIG.shapes.defaultSize;
+        this.size = options.size || (this.definition ? this.definition.defaultSize : CONFIG.shapes.defaultSize);
         this.materialId = options.materialId !== undefined ? options.materialId : 0;
         
+        // Shape-specific SDF parameters, see ShapeTypeRegistry
+        this.parameters = Object.assign(Shape.getDefaultParameters(this.type), options.parameters);
+        
+        // Domain modifiers applied in order before the SDF, see Shape.MODIFIER_TYPES
+        this.modifiers = (options.modifiers || [])
+            .filter(modifier => Shape.MODIFIER_TYPES[modifier.type])
+            .slice(0, Shape.MAX_MODIFIERS);
+        
         // Physics properties
         this.mass = options.mass !== undefined ? options.mass : CONFIG.physics.defaultMass;
-        this.friction = options.friction || CONFIG.physics.defaultFriction;
-        this.restitution = options.restitution || CONFIG.physics.defaultRestitution;
+        this.friction = options.friction !== undefined ? options.friction : CONFIG.physics.defaultFriction;
+        this.restitution = options.restitution !== undefined ? options.restitution : CONFIG.physics.defaultRestitution;
         this.physicsBody = null; // Will be set when added to physics world
         
+        // CSG blending against another shape
+        this.blendMode = options.blendMode !== undefined ? options.blendMode : Shape.BLEND_MODES.UNION;
+        this.blendShapeId = options.blendShapeId !== undefined ? options.blendShapeId : -1;
+        this.blendFactor = options.blendFactor !== undefined ? options.blendFactor : 0.5;
+        
         // Utility properties
         this.selected = false;
+        
+        // Set when the shape changes; DataTexture clears it after uploading the shape's row
+        this.dirty = true;
+    }
+    
+    /**
+     * Flag this shape's texture row for re-upload
+     * Call after editing properties; physics motion flags shapes itself
+     */
+    markDirty() {
+        this.dirty = true;
     }
     
     /**
@@ -43,15 +72,86 @@ class Shape {
      * @returns {string} Shape type name
      */
     get typeName() {
-        const types = ['Sphere', 'Box', 'Torus', 'Cylinder', 'Cone', 'Capsule', 'Plane'];
-        return types[this.type] || 'Unknown';
+        return this.definition ? this.definition.name : 'Unknown';
+    }
+    
+    /**
+     * Get the registered definition of this shape type
+     * @returns {Object|null} Shape type definition from ShapeTypeRegistry
+     */
+    get definition() {
+        return ShapeTypeRegistry.get(this.type);
+    }
+    
+    /**
+     * Get the parameter definitions for this shape type
+     * @returns {Object} Map of parameter key to {label, min, max, default}
+     */
+    get parameterDefinitions() {
+        return this.definition ? this.definition.parameters : {};
+    }
+    
+    /**
+     * Get a shape parameter, falling back to its default
+     * @param {string} key - Parameter key (param1-param4)
+     * @returns {number} Parameter value
+     */
+    getParameter(key) {
+        const value = this.parameters[key];
+        if (value !== undefined) return value;
+        
+        const definition = this.parameterDefinitions[key];
+        return definition ? definition.default : 0;
+    }
+    
+    /**
+     * Get the default parameters for a shape type
+     * @param {number} typeId - Shape type ID
+     * @returns {Object} Object with param1-param4
+     */
+    static getDefaultParameters(typeId) {
+        const type = ShapeTypeRegistry.get(typeId);
+        const definitions = type ? type.parameters : {};
+        const parameters = {};
+        
+        Shape.PARAMETER_KEYS.forEach(key => {
+            parameters[key] = definitions[key] ? definitions[key].default : 0;
+        });
+        
+        return parameters;
+    }
+    
+    /**
+     * Create a modifier of the given type with default values
+     * @param {string} type - Modifier type key from Shape.MODIFIER_TYPES
+     * @returns {Object} Modifier object
+     */
+    static createModifier(type) {
+        const modifier = { type: type };
+        const params = Shape.MODIFIER_TYPES[type].params;
+        
+        Object.keys(params).forEach(key => {
+            modifier[key] = params[key].default;
+        });
+        
+        return modifier;
+    }
+    
+    /**
+     * Check whether this shape modifies another shape instead of being a standalone union
+     * @returns {boolean} True if a blend target is set with a non-union mode
+     */
+    get isBlended() {
+        return this.blendShapeId >= 0 && this.blendMode !== Shape.BLEND_MODES.UNION;
     }
     
     /**
      * Update position and orientation from physics body
+     * Sleeping and static bodies don't move, so their shapes stay clean
      */
     updateFromPhysics() {
         if (!this.physicsBody) return;
+        if (this.physicsBody.type === CANNON.Body.STATIC || this.physicsBody.sleepState === CANNON.Body.SLEEPING) return;
         
         // Update position from physics
         const pos = this.physicsBody.position;
@@ -70,6 +170,8 @@ class Shape {
         // Update orientation from physics
         const quat = this.physicsBody.quaternion;
         this.orientation = [quat.x, quat.y, quat.z, quat.w];
+        
+        this.dirty = true;
     }
     
     /**
@@ -89,13 +191,138 @@ class Shape {
             materialId: overrides.materialId !== undefined ? overrides.materialId : this.materialId,
             mass: overrides.mass !== undefined ? overrides.mass : this.mass,
             friction: overrides.friction !== undefined ? overrides.friction : this.friction,
-            restitution: overrides.restitution !== undefined ? overrides.restitution : this.restitution
+            restitution: overrides.restitution !== undefined ? overrides.restitution : this.restitution,
+            blendMode: overrides.blendMode !== undefined ? overrides.blendMode : this.blendMode,
+            blendShapeId: overrides.blendShapeId !== undefined ? overrides.blendShapeId : this.blendShapeId,
+            blendFactor: overrides.blendFactor !== undefined ? overrides.blendFactor : this.blendFactor,
+            parameters: overrides.parameters || { ...this.parameters },
+            modifiers: overrides.modifiers || this.modifiers.map(modifier => ({ ...modifier }))
         }, this.p); // Pass the stored p5 instance
         
         return newShape;
     }
+    
+    /**
+     * Serialize this shape to JSON
+     * @returns {Object} JSON representation of shape
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            type: this.type,
+            position: [this.position.x, this.position.y, this.position.z],
+            orientation: [...this.orientation],
+            size: Array.isArray(this.size) ? [...this.size] : this.size,
+            mass: this.mass,
+            friction: this.friction,
+            restitution: this.restitution,
+            materialId: this.materialId,
+            blendMode: this.blendMode,
+            blendShapeId: this.blendShapeId,
+            blendFactor: this.blendFactor,
+            parameters: { ...this.parameters },
+            modifiers: this.modifiers.map(modifier => ({ ...modifier }))
+        };
+    }
+    
+    /**
+     * Create a shape from serialized JSON
+     * @param {Object} json - JSON representation of shape
+     * @param {p5} p - The p5 instance
+     * @returns {Shape} New shape instance
+     */
+    static fromJSON(json, p) {
+        const position = Array.isArray(json.position) ? json.position : [0, 0, 0];
+        
+        return new Shape({
+            id: json.id,
+            type: json.type,
+            position: p.createVector(position[0], position[1], position[2]),
+            orientation: Array.isArray(json.orientation) ? [...json.orientation] : undefined,
+            size: Array.isArray(json.size) ? [...json.size] : json.size,
+            mass: json.mass,
+            friction: json.friction,
+            restitution: json.restitution,
+            materialId: json.materialId,
+            blendMode: json.blendMode,
+            blendShapeId: json.blendShapeId,
+            blendFactor: json.blendFactor,
+            parameters: json.parameters ? { ...json.parameters } : undefined,
+            modifiers: Array.isArray(json.modifiers) ? json.modifiers.map(modifier => ({ ...modifier })) : undefined
+        }, p);
+    }
 }
 
+// CSG blend modes, matching the BLEND_* defines in sdf-functions.js
+Shape.BLEND_MODES = {
+    UNION: 0,
+    SUBTRACTION: 1,
+    INTERSECTION: 2,
+    SMOOTH_UNION: 3
+};
+
+// Axis options for modifiers that act along one axis
+Shape.MODIFIER_AXES = { X: 0, Y: 1, Z: 2 };
+
+// Domain modifiers, matching the MODIFIER_* defines in sdf-functions.js. Values
+// are in unit object space; params are packed into the GBA channels in order
+Shape.MODIFIER_TYPES = {
+    twist: {
+        id: 1,
+        name: 'Twist',
+        params: {
+            amount: { label: 'Rate', min: -8, max: 8, default: 2 },
+            axis: { label: 'Axis', options: Shape.MODIFIER_AXES, default: 1 }
+        }
+    },
+    bend: {
+        id: 2,
+        name: 'Bend',
+        params: {
+            amount: { label: 'Curvature', min: -4, max: 4, default: 1 },
+            axis: { label: 'Axis', options: Shape.MODIFIER_AXES, default: 0 }
+        }
+    },
+    elongate: {
+        id: 3,
+        name: 'Elongate',
+        params: {
+            x: { label: 'X', min: 0, max: 2, default: 0.5 },
+            y: { label: 'Y', min: 0, max: 2, default: 0 },
+            z: { label: 'Z', min: 0, max: 2, default: 0 }
+        }
+    },
+    round: {
+        id: 4,
+        name: 'Round',
+        params: {
+            radius: { label: 'Radius', min: 0, max: 0.5, default: 0.1 }
+        }
+    },
+    onion: {
+        id: 5,
+        name: 'Onion',
+        params: {
+            thickness: { label: 'Thickness', min: 0.01, max: 0.3, default: 0.05 }
+        }
+    },
+    repeat: {
+        id: 6,
+        name: 'Repeat',
+        params: {
+            spacing: { label: 'Spacing', min: 1, max: 5, default: 2.5 },
+            count: { label: 'Copies Per Side', min: 1, max: 5, default: 1, step: 1 },
+            axes: { label: 'Axes', options: { X: 1, Y: 2, Z: 4, XZ: 5, XYZ: 7 }, default: 5 } // Bit mask
+        }
+    }
+};
+
+// Maximum number of modifiers per shape (one texture pixel each)
+Shape.MAX_MODIFIERS = 4;
+
+// Keys of shape.parameters, in texture channel order (pixel 4 RGBA)
+Shape.PARAMETER_KEYS = ['param1', 'param2', 'param3', 'param4'];
+
 /**
  * ShapeManager manages a collection of shapes in the scene
  */
@@ -104,6 +331,28 @@ class ShapeManager {
         this.shapes = [];
         this.nextId = 0;
         this.selectedShape = null;
+        
+        // Shape limit; the renderer lowers it to what the GPU can hold
+        this.maxShapes = CONFIG.shapes.maxCount;
+    }
+    
+    /**
+     * Check whether the scene has reached its shape limit
+     * @returns {boolean} True if no more shapes should be added
+     */
+    isFull() {
+        return this.shapes.length >= this.maxShapes;
+    }
+    
+    /**
+     * Find the shape to remove first when recycling shapes at the limit
+     * Only user-spawnable shapes are recycled, so the ground plane stays
+     * @returns {Shape} The oldest spawnable shape or null if there is none
+     */
+    getOldestRecyclableShape() {
+        return this.shapes
+            .filter(shape => shape.definition && shape.definition.spawnable)
+            .reduce((oldest, shape) => (!oldest || shape.id < oldest.id ? shape : oldest), null);
     }
     
     /**
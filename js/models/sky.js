@@ -0,0 +1,323 @@
+/**
+ * Sky describes a procedural daylight sky
+ * The sky color follows the Preetham model and the sunlight is dimmed by
+ * Rayleigh and aerosol (Mie) extinction along its path through the air. The
+ * sun moves on its equinox path for CONFIG.render.sky.latitude; after sunset
+ * the moon, opposite it, lights the scene.
+ */
+class Sky {
+    /**
+     * Create a new sky
+     * @param {Object} properties - Sky properties
+     * @param {number} properties.timeOfDay - Local solar time in hours [0-24)
+     * @param {number} properties.turbidity - Haziness, 2 for a clear sky up to 10 for haze
+     * @param {number} properties.heading - Compass rotation of the sun path in degrees
+     */
+    constructor(properties = {}) {
+        const defaults = CONFIG.render.sky;
+        this.timeOfDay = typeof properties.timeOfDay === 'number' ? properties.timeOfDay : defaults.timeOfDay;
+        this.turbidity = typeof properties.turbidity === 'number' ? properties.turbidity : defaults.turbidity;
+        this.heading = typeof properties.heading === 'number' ? properties.heading : defaults.heading;
+    }
+
+    /**
+     * Get the display name of this sky
+     * @returns {string} Time of day as hh:mm
+     */
+    get name() {
+        return `Sky ${Sky.formatTime(this.timeOfDay)}`;
+    }
+
+    /**
+     * Get the direction towards the sun
+     * Points below the horizon at night.
+     * @returns {Array<number>} Unit vector [x,y,z]
+     */
+    getSunDirection() {
+        const hourAngle = (this.timeOfDay - 12) / 24 * 2 * Math.PI;
+        const latitude = MathUtils.degToRad(CONFIG.render.sky.latitude);
+
+        // East, south and up for a sun on the celestial equator
+        const east = -Math.sin(hourAngle);
+        const south = Math.sin(latitude) * Math.cos(hourAngle);
+        const up = Math.cos(latitude) * Math.cos(hourAngle);
+
+        // Turn the compass: the sun rises towards +X and stands towards +Z at noon with no heading
+        const heading = MathUtils.degToRad(this.heading);
+        const cos = Math.cos(heading);
+        const sin = Math.sin(heading);
+        return [east * cos + south * sin, up, south * cos - east * sin];
+    }
+
+    /**
+     * Get the fraction of sunlight that reaches the ground through the air
+     * @param {number} elevation - Angle of the light above the horizon in radians
+     * @returns {Array<number>} Transmittance per RGB channel
+     */
+    getTransmittance(elevation) {
+        // Air mass relative to the zenith (Kasten and Young), capped at the horizon
+        const degrees = Math.max(MathUtils.radToDeg(elevation), 0);
+        const airMass = 1 / (Math.sin(MathUtils.degToRad(degrees)) + 0.50572 * Math.pow(degrees + 6.07995, -1.6364));
+
+        // Zenith optical depths at 680, 550 and 440nm; aerosols from Angstrom's formula as in Preetham
+        const beta = 0.04608 * this.turbidity - 0.04586;
+        return Sky.RAYLEIGH_DEPTH.map((rayleigh, i) => {
+            const mie = beta * Math.pow(Sky.WAVELENGTHS[i], -1.3);
+            return Math.exp(-(rayleigh + mie) * airMass);
+        });
+    }
+
+    /**
+     * Get the light standing in for the sun, or the moon at night
+     * Fades out as either reaches the horizon, so the swap at sunset is seamless.
+     * @returns {Object} {direction, color, intensity}, direction being where the light shines
+     */
+    getLight() {
+        const settings = CONFIG.render.sky;
+        const sun = this.getSunDirection();
+        const elevation = Math.asin(sun[1]);
+        const fade = MathUtils.smoothstep(0, MathUtils.degToRad(settings.horizonFade), Math.abs(elevation));
+
+        if (elevation < 0) {
+            return {
+                direction: [...sun],
+                color: [...settings.moonColor],
+                intensity: settings.moonIntensity * fade
+            };
+        }
+
+        // Keep the color in [0-1] and move the brightness into the intensity
+        const transmittance = this.getTransmittance(elevation);
+        const peak = Math.max(...transmittance);
+        return {
+            direction: sun.map(c => -c),
+            color: transmittance.map(c => c / peak),
+            intensity: settings.sunIntensity * peak * fade
+        };
+    }
+
+    /**
+     * Work out the per-sky terms of getSkyRadiance
+     * @returns {Object} Sun direction, Perez coefficients and the zenith values they are scaled to
+     * @private
+     */
+    getSkyTerms() {
+        const sun = this.getSunDirection();
+
+        // Preetham is only fitted for a sun above the horizon; below it the sun is held at the horizon
+        const sunTheta = Math.acos(Math.max(sun[1], 0));
+        const sunLength = Math.hypot(sun[0], sun[2]) || 1;
+        const horizonSun = sun[1] < 0 ? [sun[0] / sunLength, 0, sun[2] / sunLength] : sun;
+
+        const coefficients = this.getPerezCoefficients();
+        const zenith = this.getZenith(sunTheta);
+        const cosSun = Math.cos(sunTheta);
+        const scale = coefficients.map((c, i) => zenith[i] /
+            ((1 + c[0] * Math.exp(c[1])) * (1 + c[2] * Math.exp(c[3] * sunTheta) + c[4] * cosSun * cosSun)));
+
+        // Twilight dims the sky towards the night color
+        const settings = CONFIG.render.sky;
+        const twilight = MathUtils.smoothstep(-MathUtils.degToRad(settings.twilightDepth), 0, Math.asin(sun[1]));
+
+        return { sun, horizonSun, coefficients, scale, twilight };
+    }
+
+    /**
+     * Get the sky radiance in a direction, without the sun and moon discs
+     * @param {Array<number>} dir - Unit view direction, pointing up from the horizon
+     * @param {Object} terms - Result of getSkyTerms (optional)
+     * @returns {Array<number>} Linear RGB radiance
+     */
+    getSkyRadiance(dir, terms = this.getSkyTerms()) {
+        const settings = CONFIG.render.sky;
+        const { horizonSun, coefficients, scale, twilight } = terms;
+
+        const cosTheta = Math.max(dir[1], 0.01);
+        const cosGamma = Math.min(1, dir[0] * horizonSun[0] + dir[1] * horizonSun[1] + dir[2] * horizonSun[2]);
+        const gamma = Math.acos(Math.max(cosGamma, -1));
+
+        // Perez distribution relative to its value at the zenith
+        const Yxy = coefficients.map((c, i) => scale[i] * (1 + c[0] * Math.exp(c[1] / cosTheta)) *
+            (1 + c[2] * Math.exp(c[3] * gamma) + c[4] * cosGamma * cosGamma));
+
+        const rgb = Sky.xyYToRGB(Yxy[1], Yxy[2], Yxy[0] * settings.exposure * twilight);
+        return rgb.map((c, i) => c + settings.nightColor[i] * (1 - twilight));
+    }
+
+    /**
+     * Get the Preetham zenith luminance (kcd/m²) and chromaticity
+     * @param {number} sunTheta - Angle between the sun and the zenith in radians
+     * @returns {Array<number>} [Y, x, y]
+     * @private
+     */
+    getZenith(sunTheta) {
+        const T = this.turbidity;
+        const chi = (4 / 9 - T / 120) * (Math.PI - 2 * sunTheta);
+        const Y = (4.0453 * T - 4.9710) * Math.tan(chi) - 0.2155 * T + 2.4192;
+
+        const t = sunTheta;
+        const t2 = t * t;
+        const t3 = t2 * t;
+        const x = T * T * (0.00166 * t3 - 0.00375 * t2 + 0.00209 * t) +
+            T * (-0.02903 * t3 + 0.06377 * t2 - 0.03202 * t + 0.00394) +
+            (0.11693 * t3 - 0.21196 * t2 + 0.06052 * t + 0.25886);
+        const y = T * T * (0.00275 * t3 - 0.00610 * t2 + 0.00317 * t) +
+            T * (-0.04214 * t3 + 0.08970 * t2 - 0.04153 * t + 0.00516) +
+            (0.15346 * t3 - 0.26756 * t2 + 0.06670 * t + 0.26688);
+
+        return [Math.max(Y, 0), x, y];
+    }
+
+    /**
+     * Get the Perez distribution coefficients A-E for this turbidity
+     * @returns {Array<Array<number>>} Coefficients for Y, x and y
+     * @private
+     */
+    getPerezCoefficients() {
+        const T = this.turbidity;
+        return [
+            [0.1787 * T - 1.4630, -0.3554 * T + 0.4275, -0.0227 * T + 5.3251, 0.1206 * T - 2.5771, -0.0670 * T + 0.3703],
+            [-0.0193 * T - 0.2592, -0.0665 * T + 0.0008, -0.0004 * T + 0.2125, -0.0641 * T - 0.8989, -0.0033 * T + 0.0452],
+            [-0.0167 * T - 0.2608, -0.0950 * T + 0.0092, -0.0079 * T + 0.2102, -0.0441 * T - 1.6537, -0.0109 * T + 0.0529]
+        ];
+    }
+
+    /**
+     * Get the ambient color matching this sky
+     * The mean sky radiance over the upper hemisphere, scaled by the ambient intensity in CONFIG.
+     * @returns {Array<number>} Linear RGB color
+     */
+    getAmbientColor() {
+        const terms = this.getSkyTerms();
+        const sum = [0, 0, 0];
+        let weight = 0;
+
+        // Coarse cosine-weighted average; the ambient term is flat anyway
+        for (let i = 0; i < 8; i++) {
+            const theta = (i + 0.5) / 8 * Math.PI / 2;
+            for (let j = 0; j < 16; j++) {
+                const phi = (j + 0.5) / 16 * 2 * Math.PI;
+                const dir = [Math.sin(theta) * Math.cos(phi), Math.cos(theta), Math.sin(theta) * Math.sin(phi)];
+                const w = Math.cos(theta) * Math.sin(theta);
+                this.getSkyRadiance(dir, terms).forEach((c, k) => { sum[k] += c * w; });
+                weight += w;
+            }
+        }
+
+        return sum.map(c => c / weight * CONFIG.lights.ambient.intensity);
+    }
+
+    /**
+     * Paint the sky into an equirectangular image for EnvironmentMap
+     * The ground below the horizon is lit by the sun and the sky.
+     * @param {number} width - Image width in pixels (the height is half of it)
+     * @returns {Object} Image {width, height, data} with linear RGBA floats, top row first
+     */
+    generateImage(width = CONFIG.render.sky.imageWidth) {
+        const settings = CONFIG.render.sky;
+        const height = width / 2;
+        const data = new Float32Array(width * height * 4);
+
+        const terms = this.getSkyTerms();
+        const sun = terms.sun;
+        const moon = sun.map(c => -c);
+        const sunColor = this.getTransmittance(Math.asin(sun[1]));
+        const discThreshold = Math.cos(MathUtils.degToRad(settings.discSize));
+
+        // Lambertian ground under the sky's ambient light and the direct sun
+        const light = this.getLight();
+        const ambient = this.getAmbientColor().map(c => c / CONFIG.lights.ambient.intensity);
+        const cosLight = Math.max(-light.direction[1], 0);
+        const ground = settings.groundAlbedo.map((albedo, i) =>
+            albedo * (ambient[i] + light.color[i] * light.intensity * cosLight / Math.PI));
+
+        for (let y = 0; y < height; y++) {
+            // Rows run from straight up to straight down, columns around the horizon
+            const theta = (y + 0.5) / height * Math.PI;
+            for (let x = 0; x < width; x++) {
+                const phi = ((x + 0.5) / width - 0.5) * 2 * Math.PI;
+                const dir = [Math.sin(theta) * Math.cos(phi), Math.cos(theta), Math.sin(theta) * Math.sin(phi)];
+                const offset = (y * width + x) * 4;
+
+                if (dir[1] < 0) {
+                    data.set(ground, offset);
+                    data[offset + 3] = 1;
+                    continue;
+                }
+
+                const color = this.getSkyRadiance(dir, terms);
+
+                // Sun and moon discs, softened at the rim
+                const discs = [[sun, sunColor, settings.sunDiscIntensity], [moon, settings.moonColor, settings.moonDiscIntensity]];
+                for (const [center, tint, intensity] of discs) {
+                    const cosAngle = dir[0] * center[0] + dir[1] * center[1] + dir[2] * center[2];
+                    const disc = MathUtils.smoothstep(discThreshold, 1 - (1 - discThreshold) * 0.5, cosAngle);
+                    if (disc > 0 && center[1] > 0) {
+                        for (let i = 0; i < 3; i++) color[i] += tint[i] * intensity * disc;
+                    }
+                }
+
+                data.set(color, offset);
+                data[offset + 3] = 1;
+            }
+        }
+
+        return { width, height, data };
+    }
+
+    /**
+     * Convert sky settings to JSON for serialization
+     * @returns {Object} JSON representation of the sky
+     */
+    toJSON() {
+        return {
+            timeOfDay: this.timeOfDay,
+            turbidity: this.turbidity,
+            heading: this.heading
+        };
+    }
+
+    /**
+     * Create a sky from serialized JSON
+     * @param {Object} json - JSON representation of a sky
+     * @returns {Sky} New sky instance
+     */
+    static fromJSON(json) {
+        return new Sky(json);
+    }
+
+    /**
+     * Format a time of day
+     * @param {number} hours - Time in hours
+     * @returns {string} Time as hh:mm
+     */
+    static formatTime(hours) {
+        const minutes = Math.round(hours * 60) % (24 * 60);
+        const pad = value => String(value).padStart(2, '0');
+        return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+    }
+
+    /**
+     * Convert a CIE xyY color to linear sRGB
+     * @param {number} x - Chromaticity x
+     * @param {number} y - Chromaticity y
+     * @param {number} Y - Luminance
+     * @returns {Array<number>} Linear RGB, clamped to be non-negative
+     */
+    static xyYToRGB(x, y, Y) {
+        if (y <= 0 || Y <= 0) return [0, 0, 0];
+        const X = x / y * Y;
+        const Z = (1 - x - y) / y * Y;
+        return [
+            Math.max(0, 3.2406 * X - 1.5372 * Y - 0.4986 * Z),
+            Math.max(0, -0.9689 * X + 1.8758 * Y + 0.0415 * Z),
+            Math.max(0, 0.0557 * X - 0.2040 * Y + 1.0570 * Z)
+        ];
+    }
+}
+
+// Representative wavelengths of the RGB channels in micrometers
+Sky.WAVELENGTHS = [0.68, 0.55, 0.44];
+
+// Rayleigh optical depth of the atmosphere at the zenith for those wavelengths
+Sky.RAYLEIGH_DEPTH = [0.046, 0.098, 0.236];
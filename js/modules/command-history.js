@@ -0,0 +1,287 @@
+/**
+ * Command history for undo/redo of scene edits
+ * Records spawn, remove, clear, material, transform and physics edits
+ */
+class CommandHistory {
+    /**
+     * Create a new command history
+     * @param {number} maxSize - Maximum number of commands kept for undo
+     */
+    constructor(maxSize = 100) {
+        this.maxSize = maxSize;
+        this.undoStack = [];
+        this.redoStack = [];
+
+        // Listeners notified whenever the stacks change
+        this.listeners = [];
+    }
+
+    /**
+     * Run a command and record it for undo
+     * @param {Object} command - Command with name, execute() and undo() methods
+     */
+    execute(command) {
+        command.execute();
+        this.record(command);
+    }
+
+    /**
+     * Record a command whose effect has already been applied
+     * @param {Object} command - Command with name, execute() and undo() methods
+     */
+    record(command) {
+        this.undoStack.push(command);
+        this.redoStack = [];
+
+        // Drop the oldest commands beyond the limit
+        if (this.undoStack.length > this.maxSize) {
+            this.undoStack.splice(0, this.undoStack.length - this.maxSize);
+        }
+
+        this.notify();
+    }
+
+    /**
+     * Undo the most recent command
+     * @returns {boolean} True if a command was undone
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return false;
+
+        try {
+            command.undo();
+        } catch (err) {
+            console.error(`Error undoing "${command.name}":`, err);
+        }
+
+        this.redoStack.push(command);
+        this.notify();
+        return true;
+    }
+
+    /**
+     * Redo the most recently undone command
+     * @returns {boolean} True if a command was redone
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return false;
+
+        try {
+            command.execute();
+        } catch (err) {
+            console.error(`Error redoing "${command.name}":`, err);
+        }
+
+        this.undoStack.push(command);
+        this.notify();
+        return true;
+    }
+
+    /**
+     * Check whether there is anything to undo
+     * @returns {boolean} True if undo is available
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Check whether there is anything to redo
+     * @returns {boolean} True if redo is available
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Forget all recorded commands (e.g. after loading a scene)
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notify();
+    }
+
+    /**
+     * Take the recorded commands, leaving the history empty
+     * For temporary scene swaps (see RenderBenchmark) that hand them back with restore()
+     * @returns {Object} Saved stacks {undoStack, redoStack}
+     */
+    save() {
+        const saved = { undoStack: this.undoStack, redoStack: this.redoStack };
+        this.clear();
+        return saved;
+    }
+
+    /**
+     * Put back commands taken by save(), replacing any recorded since
+     * @param {Object} saved - Stacks returned by save()
+     */
+    restore(saved) {
+        this.undoStack = saved.undoStack;
+        this.redoStack = saved.redoStack;
+        this.notify();
+    }
+
+    /**
+     * Register a listener called whenever the history changes
+     * @param {Function} listener - Callback receiving this history
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Notify listeners of a history change
+     * @private
+     */
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+}
+
+/**
+ * Factory for undoable shape commands
+ * Commands snapshot the Shape and its CANNON body so both can be restored
+ */
+class ShapeCommands {
+    /**
+     * Capture the full state of a shape and its physics body
+     * @param {Shape} shape - The shape to capture
+     * @param {PhysicsSystem} physics - The physics system instance
+     * @returns {Object} Shape state snapshot
+     */
+    static captureState(shape, physics) {
+        return {
+            shape: shape.toJSON(),
+            body: physics ? physics.getBodyState(shape) : null
+        };
+    }
+
+    /**
+     * Restore a shape snapshot, re-creating the shape if it no longer exists
+     * @param {Object} context - Object with p, shapeManager and physics
+     * @param {Object} state - Snapshot from captureState
+     * @returns {Shape} The restored shape
+     */
+    static applyState(context, state) {
+        const { p, shapeManager, physics } = context;
+        let shape = shapeManager.getShape(state.shape.id);
+
+        if (!shape) {
+            shape = Shape.fromJSON(state.shape, p);
+            shapeManager.addShape(shape);
+        } else {
+            // Copy every serialized property; runtime links stay with the live shape
+            const restored = Shape.fromJSON(state.shape, p);
+            Object.keys(restored).forEach(key => {
+                if (key === 'p' || key === 'physicsBody' || key === 'selected') return;
+                shape[key] = restored[key];
+            });
+        }
+
+        // Always rebuild the body so mass, size and material changes take effect
+        if (physics) {
+            physics.rebuildShape(shape);
+            physics.setBodyState(shape, state.body);
+        }
+
+        return shape;
+    }
+
+    /**
+     * Remove a shape from the scene and the physics world
+     * @param {Object} context - Object with shapeManager and physics
+     * @param {number} id - ID of the shape to remove
+     */
+    static removeById(context, id) {
+        const { shapeManager, physics } = context;
+        const shape = shapeManager.getShape(id);
+        if (!shape) return;
+
+        if (physics) physics.removeShape(shape);
+        shapeManager.removeShape(id);
+        
+        ShapeCommands.rebuildBlendedShapes(context, id);
+    }
+    
+    /**
+     * Rebuild the bodies of shapes blended into a target that appeared or disappeared,
+     * since blend tools only stay static while their target exists
+     * @param {Object} context - Object with shapeManager and physics
+     * @param {number} targetId - ID of the blend target
+     */
+    static rebuildBlendedShapes(context, targetId) {
+        const { shapeManager, physics } = context;
+        if (!physics) return;
+        
+        shapeManager.getAllShapes()
+            .filter(shape => shape.isBlended && shape.blendShapeId === targetId)
+            .forEach(shape => {
+                const body = physics.getBodyState(shape);
+                physics.rebuildShape(shape);
+                physics.setBodyState(shape, body);
+            });
+    }
+
+    /**
+     * Create a command for a shape that has just been spawned
+     * @param {Object} context - Object with p, shapeManager and physics
+     * @param {Shape} shape - The spawned shape
+     * @returns {Object} Command
+     */
+    static spawn(context, shape) {
+        const state = ShapeCommands.captureState(shape, context.physics);
+
+        return {
+            name: `Spawn ${shape.typeName}`,
+            execute: () => ShapeCommands.applyState(context, state),
+            undo: () => ShapeCommands.removeById(context, state.shape.id)
+        };
+    }
+
+    /**
+     * Create a command that removes one or more shapes
+     * @param {Object} context - Object with p, shapeManager and physics
+     * @param {Array<Shape>} shapes - Shapes to remove
+     * @param {string} name - Display name of the command
+     * @returns {Object} Command
+     */
+    static remove(context, shapes, name = 'Remove Shape') {
+        let states = [];
+
+        return {
+            name: name,
+            execute: () => {
+                // Snapshot at execution time so redo removes the shapes as they are now
+                states = shapes
+                    .map(shape => context.shapeManager.getShape(shape.id))
+                    .filter(shape => shape)
+                    .map(shape => ShapeCommands.captureState(shape, context.physics));
+                states.forEach(state => ShapeCommands.removeById(context, state.shape.id));
+            },
+            undo: () => {
+                states.forEach(state => ShapeCommands.applyState(context, state));
+            }
+        };
+    }
+
+    /**
+     * Create a command that moves a shape between two snapshots
+     * Used for material assignment, transform edits and physics-parameter changes
+     * @param {Object} context - Object with p, shapeManager and physics
+     * @param {Object} before - Snapshot before the edit
+     * @param {Object} after - Snapshot after the edit
+     * @param {string} name - Display name of the command
+     * @returns {Object} Command
+     */
+    static update(context, before, after, name = 'Edit Shape') {
+        return {
+            name: name,
+            execute: () => ShapeCommands.applyState(context, after),
+            undo: () => ShapeCommands.applyState(context, before)
+        };
+    }
+}
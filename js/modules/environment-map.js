@@ -0,0 +1,710 @@
+/**
+ * Environment map for image-based lighting
+ * Turns an equirectangular HDR image into the maps the ray-march shader
+ * lights with, following the split-sum approximation:
+ *   - a radiance cubemap whose mip levels are prefiltered with the GGX
+ *     distribution for increasing roughness (level 0 is the sharp environment)
+ *   - a small irradiance cubemap for diffuse light
+ *   - a BRDF lookup table scaling the prefiltered radiance by view angle and roughness
+ * p5 has no cubemap render targets, so the passes use WebGL 2 directly and
+ * restore the state p5 relies on afterwards. The maps are built in the
+ * context of the shader they are bound to, the first time they are needed.
+ */
+class EnvironmentMap {
+    /**
+     * Create a new environment map
+     * @param {p5} p - The p5 instance
+     */
+    constructor(p) {
+        this.p = p;
+
+        // Equirectangular image the maps are built from, kept to rebuild them in another context
+        this.image = null;
+        this.name = '';
+        this.needsUpdate = false;
+
+        // Bumped whenever the image changes, so accumulated renders restart
+        this.version = 0;
+
+        // Context the maps live in: its renderer, GL and p5 instance (the canvas or a graphics)
+        this.renderer = null;
+        this.gl = null;
+        this.target = null;
+
+        // Maps the shader samples; the lookup table is a p5.Framebuffer so p5 can bind it like its other samplers
+        this.radianceMap = null;
+        this.irradianceMap = null;
+        this.brdfLut = null;
+        this.radianceLevels = 0;
+
+        // Pass resources in the current context
+        this.framebuffer = null;
+        this.vertexArray = null; // No attributes; the vertex shader builds the triangle
+        this.programs = {};
+        this.floatTargets = false;
+    }
+
+    /**
+     * Replace the environment with an equirectangular image
+     * The maps are rebuilt the next time they are bound.
+     * @param {Object} image - {width, height, data} with linear RGBA floats, top row first (see HDRLoader)
+     * @param {string} name - Display name (optional)
+     * @returns {boolean} True if the image was accepted
+     */
+    setEquirectangular(image, name = '') {
+        if (!image || !(image.width > 0) || !(image.height > 0) || !image.data ||
+            image.data.length < image.width * image.height * 4) {
+            console.error("Invalid environment image");
+            return false;
+        }
+
+        this.image = image;
+        this.name = name;
+        this.needsUpdate = true;
+        this.version++;
+        return true;
+    }
+
+    /**
+     * Bind the maps for the ray-march shader, building them first if needed
+     * Call after the shader is current; the cubemaps take the texture units
+     * after p5's samplers, which p5 doesn't touch.
+     * @param {p5.Shader} shader - The ray-march shader
+     * @returns {Array<number>} Cubemap texture units bound, to pass to unbind(); empty without maps
+     */
+    bind(shader) {
+        if (!this.image || !shader._glProgram) return [];
+
+        if (shader._renderer !== this.renderer) this.attach(shader._renderer);
+        if (this.needsUpdate) this.update();
+        if (!this.radianceMap) return [];
+
+        const gl = this.gl;
+        const firstUnit = shader.samplers ? shader.samplers.length : 0;
+        const units = [];
+
+        [['uEnvironmentMap', this.radianceMap], ['uIrradianceMap', this.irradianceMap]].forEach(([name, texture], i) => {
+            const location = gl.getUniformLocation(shader._glProgram, name);
+            if (location === null) return;
+
+            gl.activeTexture(gl.TEXTURE0 + firstUnit + i);
+            gl.bindTexture(gl.TEXTURE_CUBE_MAP, texture);
+            gl.uniform1i(location, firstUnit + i);
+            units.push(firstUnit + i);
+        });
+        gl.activeTexture(gl.TEXTURE0);
+
+        shader.setUniform('uBRDFLut', this.brdfLut);
+        shader.setUniform('uEnvMapMaxLod', this.radianceLevels - 1);
+        return units;
+    }
+
+    /**
+     * Unbind the cubemaps after drawing
+     * @param {Array<number>} units - What bind() returned
+     */
+    unbind(units) {
+        const gl = this.gl;
+        if (!gl) return;
+
+        units.forEach(unit => {
+            gl.activeTexture(gl.TEXTURE0 + unit);
+            gl.bindTexture(gl.TEXTURE_CUBE_MAP, null);
+        });
+        gl.activeTexture(gl.TEXTURE0);
+    }
+
+    /**
+     * Release the maps and GPU objects
+     */
+    cleanup() {
+        this.detach();
+        this.image = null;
+    }
+
+    /**
+     * Move to the context of a renderer, dropping everything built in the previous one
+     * @param {p5.RendererGL} renderer - Renderer of the shader the maps are bound to
+     * @private
+     */
+    attach(renderer) {
+        this.detach();
+
+        const gl = renderer.GL;
+        this.renderer = renderer;
+        this.gl = gl;
+        this.target = renderer._pInst;
+        this.framebuffer = gl.createFramebuffer();
+        this.vertexArray = gl.createVertexArray();
+
+        // Half-float targets keep the HDR range; without them values above 1 clip
+        this.floatTargets = !!gl.getExtension('EXT_color_buffer_float');
+        if (!this.floatTargets) {
+            console.warn("EXT_color_buffer_float unavailable, environment lighting is limited to LDR");
+        }
+
+        this.needsUpdate = true;
+    }
+
+    /**
+     * Delete everything built in the current context
+     * @private
+     */
+    detach() {
+        const gl = this.gl;
+        if (!gl) return;
+
+        this.deleteMaps();
+        if (this.brdfLut) this.brdfLut.remove();
+        Object.values(this.programs).forEach(program => gl.deleteProgram(program));
+        gl.deleteFramebuffer(this.framebuffer);
+        gl.deleteVertexArray(this.vertexArray);
+
+        this.brdfLut = null;
+        this.programs = {};
+        this.framebuffer = null;
+        this.vertexArray = null;
+        this.renderer = null;
+        this.gl = null;
+        this.target = null;
+    }
+
+    /**
+     * Build the maps from the current image
+     * A failed build isn't retried until the image changes.
+     * @private
+     */
+    update() {
+        const gl = this.gl;
+        const settings = CONFIG.render.environment;
+        const image = this.image;
+        this.needsUpdate = false;
+
+        const maxSize = gl.getParameter(gl.MAX_TEXTURE_SIZE);
+        if (image.width > maxSize || image.height > maxSize) {
+            console.error(`Environment image exceeds the maximum texture size of ${maxSize} pixels`);
+            return;
+        }
+
+        const saved = this.saveState();
+        try {
+            if (!this.brdfLut) this.brdfLut = this.createBRDFLut(settings.brdfLutSize);
+
+            const equirect = this.uploadEquirectangular(image);
+            const source = this.createSourceCubemap(equirect, image.width, settings.cubeSize);
+            gl.deleteTexture(equirect);
+
+            const levels = Math.max(1, Math.floor(Math.log2(settings.cubeSize / 8)) + 1); // Down to 8px faces
+            const radiance = this.createRadianceCubemap(source, settings.cubeSize, levels);
+            const irradiance = this.createIrradianceCubemap(source, settings.cubeSize, settings.irradianceSize);
+            gl.deleteTexture(source);
+
+            this.deleteMaps();
+            this.radianceMap = radiance;
+            this.irradianceMap = irradiance;
+            this.radianceLevels = levels;
+        } catch (err) {
+            console.error("Failed to build environment maps:", err);
+        } finally {
+            this.restoreState(saved);
+        }
+    }
+
+    /**
+     * Delete the cubemaps of the current image
+     * @private
+     */
+    deleteMaps() {
+        if (this.radianceMap) this.gl.deleteTexture(this.radianceMap);
+        if (this.irradianceMap) this.gl.deleteTexture(this.irradianceMap);
+        this.radianceMap = null;
+        this.irradianceMap = null;
+    }
+
+    // Passes
+
+    /**
+     * Upload the equirectangular image with mipmaps, so shrinking it onto the cube doesn't alias
+     * @param {Object} image - {width, height, data}
+     * @returns {WebGLTexture} The texture
+     * @private
+     */
+    uploadEquirectangular(image) {
+        const gl = this.gl;
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+        gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false);
+        if (this.floatTargets) {
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA16F, image.width, image.height, 0, gl.RGBA, gl.FLOAT, image.data);
+        } else {
+            const bytes = new Uint8Array(image.data.length);
+            image.data.forEach((value, i) => { bytes[i] = Math.min(255, Math.max(0, Math.round(value * 255))); });
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, image.width, image.height, 0, gl.RGBA, gl.UNSIGNED_BYTE, bytes);
+        }
+        gl.generateMipmap(gl.TEXTURE_2D);
+
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT); // Longitude wraps around
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        return texture;
+    }
+
+    /**
+     * Project the equirectangular image onto a cubemap with a full mip chain
+     * The mips let the prefilter passes read pre-averaged texels for wide lobes.
+     * @param {WebGLTexture} equirect - Equirectangular texture
+     * @param {number} equirectWidth - Its width in pixels
+     * @param {number} size - Face size in pixels
+     * @returns {WebGLTexture} The cubemap
+     * @private
+     */
+    createSourceCubemap(equirect, equirectWidth, size) {
+        const gl = this.gl;
+        const cubemap = this.createCubemap(size, Math.floor(Math.log2(size)) + 1);
+
+        const program = this.getProgram('equirect', this.getEquirectFragmentShader());
+        gl.useProgram(program);
+        this.bindInput(program, 'uEquirect', gl.TEXTURE_2D, equirect);
+        // Equirectangular texels per cube texel along the equator, as a mip level
+        gl.uniform1f(gl.getUniformLocation(program, 'uLod'), Math.max(0, Math.log2(equirectWidth / (4 * size))));
+        this.renderCubemap(program, cubemap, size, 0);
+
+        gl.bindTexture(gl.TEXTURE_CUBE_MAP, cubemap);
+        gl.generateMipmap(gl.TEXTURE_CUBE_MAP);
+        return cubemap;
+    }
+
+    /**
+     * Prefilter the source for increasing roughness, one roughness per mip level
+     * @param {WebGLTexture} source - Source cubemap with mips
+     * @param {number} size - Face size of level 0
+     * @param {number} levels - Mip levels; the last one is roughness 1
+     * @returns {WebGLTexture} The radiance cubemap
+     * @private
+     */
+    createRadianceCubemap(source, size, levels) {
+        const gl = this.gl;
+        const cubemap = this.createCubemap(size, levels);
+
+        const program = this.getProgram('prefilter', this.getPrefilterFragmentShader());
+        gl.useProgram(program);
+        this.bindInput(program, 'uSource', gl.TEXTURE_CUBE_MAP, source);
+        gl.uniform1f(gl.getUniformLocation(program, 'uSourceSize'), size);
+        gl.uniform1i(gl.getUniformLocation(program, 'uSampleCount'), CONFIG.render.environment.prefilterSamples);
+
+        for (let level = 0; level < levels; level++) {
+            gl.uniform1f(gl.getUniformLocation(program, 'uRoughness'), levels > 1 ? level / (levels - 1) : 0);
+            this.renderCubemap(program, cubemap, size >> level, level);
+        }
+        return cubemap;
+    }
+
+    /**
+     * Convolve the source with the cosine lobe for diffuse lighting
+     * @param {WebGLTexture} source - Source cubemap with mips
+     * @param {number} sourceSize - Its face size
+     * @param {number} size - Face size of the irradiance map
+     * @returns {WebGLTexture} The irradiance cubemap
+     * @private
+     */
+    createIrradianceCubemap(source, sourceSize, size) {
+        const gl = this.gl;
+        const cubemap = this.createCubemap(size, 1);
+
+        const program = this.getProgram('irradiance', this.getIrradianceFragmentShader());
+        gl.useProgram(program);
+        this.bindInput(program, 'uSource', gl.TEXTURE_CUBE_MAP, source);
+        // The sample grid is coarse, so read a level about as blurred as its spacing
+        gl.uniform1f(gl.getUniformLocation(program, 'uLod'), Math.max(0, Math.log2(sourceSize / 16)));
+        this.renderCubemap(program, cubemap, size, 0);
+        return cubemap;
+    }
+
+    /**
+     * Integrate the GGX specular BRDF into a table of scale (R) and bias (G) to F0,
+     * indexed by N·V (U) and roughness (V); it doesn't depend on the environment
+     * @param {number} size - Table size in pixels
+     * @returns {p5.Framebuffer} The lookup table
+     * @private
+     */
+    createBRDFLut(size) {
+        const gl = this.gl;
+        const lut = this.target.createFramebuffer({
+            width: size,
+            height: size,
+            density: 1,
+            format: this.p.HALF_FLOAT,
+            channels: this.p.RGBA,
+            depth: false,
+            antialias: false,
+            textureFiltering: this.p.LINEAR
+        });
+
+        const program = this.getProgram('brdf', this.getBRDFFragmentShader());
+        gl.useProgram(program);
+        gl.uniform1f(gl.getUniformLocation(program, 'uSize'), size);
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, lut.color.rawTexture(), 0);
+        gl.viewport(0, 0, size, size);
+        gl.drawArrays(gl.TRIANGLES, 0, 3);
+        return lut;
+    }
+
+    /**
+     * Allocate an empty cubemap
+     * @param {number} size - Face size of level 0
+     * @param {number} levels - Mip levels
+     * @returns {WebGLTexture} The cubemap
+     * @private
+     */
+    createCubemap(size, levels) {
+        const gl = this.gl;
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_CUBE_MAP, texture);
+        gl.texStorage2D(gl.TEXTURE_CUBE_MAP, levels, this.floatTargets ? gl.RGBA16F : gl.RGBA8, size, size);
+        gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_MIN_FILTER, levels > 1 ? gl.LINEAR_MIPMAP_LINEAR : gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_WRAP_R, gl.CLAMP_TO_EDGE);
+        return texture;
+    }
+
+    /**
+     * Draw a program into the six faces of one cubemap level
+     * @param {WebGLProgram} program - Current program, with a uFace uniform
+     * @param {WebGLTexture} cubemap - Target cubemap
+     * @param {number} size - Face size at this level
+     * @param {number} level - Mip level
+     * @private
+     */
+    renderCubemap(program, cubemap, size, level) {
+        const gl = this.gl;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        gl.viewport(0, 0, size, size);
+        gl.uniform1f(gl.getUniformLocation(program, 'uSize'), size);
+
+        for (let face = 0; face < 6; face++) {
+            gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_CUBE_MAP_POSITIVE_X + face, cubemap, level);
+            gl.uniform1i(gl.getUniformLocation(program, 'uFace'), face);
+            gl.drawArrays(gl.TRIANGLES, 0, 3);
+        }
+    }
+
+    /**
+     * Bind an input texture to unit 0 for the current pass
+     * @param {WebGLProgram} program - Current program
+     * @param {string} name - Sampler uniform
+     * @param {number} target - gl.TEXTURE_2D or gl.TEXTURE_CUBE_MAP
+     * @param {WebGLTexture} texture - Input texture
+     * @private
+     */
+    bindInput(program, name, target, texture) {
+        const gl = this.gl;
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(target, texture);
+        gl.uniform1i(gl.getUniformLocation(program, name), 0);
+    }
+
+    /**
+     * Get a compiled pass program, building it on first use
+     * @param {string} key - Cache key
+     * @param {string} fragmentSource - Fragment shader source
+     * @returns {WebGLProgram} The program
+     * @throws {Error} If the shaders don't compile or link
+     * @private
+     */
+    getProgram(key, fragmentSource) {
+        if (this.programs[key]) return this.programs[key];
+
+        const gl = this.gl;
+        const compile = (type, source) => {
+            const shader = gl.createShader(type);
+            gl.shaderSource(shader, source);
+            gl.compileShader(shader);
+            if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+                const log = gl.getShaderInfoLog(shader);
+                gl.deleteShader(shader);
+                throw new Error(`Environment ${key} shader: ${log}`);
+            }
+            return shader;
+        };
+
+        const vertex = compile(gl.VERTEX_SHADER, this.getVertexShader());
+        const fragment = compile(gl.FRAGMENT_SHADER, fragmentSource);
+        const program = gl.createProgram();
+        gl.attachShader(program, vertex);
+        gl.attachShader(program, fragment);
+        gl.linkProgram(program);
+        gl.deleteShader(vertex);
+        gl.deleteShader(fragment);
+
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            const log = gl.getProgramInfoLog(program);
+            gl.deleteProgram(program);
+            throw new Error(`Environment ${key} program: ${log}`);
+        }
+
+        this.programs[key] = program;
+        return program;
+    }
+
+    /**
+     * Capture the WebGL state the passes change
+     * @returns {Object} State for restoreState
+     * @private
+     */
+    saveState() {
+        const gl = this.gl;
+        const state = {
+            program: gl.getParameter(gl.CURRENT_PROGRAM),
+            framebuffer: gl.getParameter(gl.FRAMEBUFFER_BINDING),
+            vertexArray: gl.getParameter(gl.VERTEX_ARRAY_BINDING),
+            viewport: gl.getParameter(gl.VIEWPORT),
+            activeTexture: gl.getParameter(gl.ACTIVE_TEXTURE),
+            flipY: gl.getParameter(gl.UNPACK_FLIP_Y_WEBGL),
+            premultiply: gl.getParameter(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL),
+            blend: gl.isEnabled(gl.BLEND),
+            depthTest: gl.isEnabled(gl.DEPTH_TEST),
+            cullFace: gl.isEnabled(gl.CULL_FACE),
+            scissorTest: gl.isEnabled(gl.SCISSOR_TEST)
+        };
+
+        gl.disable(gl.BLEND);
+        gl.disable(gl.DEPTH_TEST);
+        gl.disable(gl.CULL_FACE);
+        gl.disable(gl.SCISSOR_TEST);
+        gl.bindVertexArray(this.vertexArray);
+        return state;
+    }
+
+    /**
+     * Put back the state saved by saveState
+     * @param {Object} state - What saveState returned
+     * @private
+     */
+    restoreState(state) {
+        const gl = this.gl;
+        const toggle = (capability, enabled) => (enabled ? gl.enable(capability) : gl.disable(capability));
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, state.framebuffer);
+        gl.bindVertexArray(state.vertexArray);
+        gl.useProgram(state.program);
+        gl.viewport(state.viewport[0], state.viewport[1], state.viewport[2], state.viewport[3]);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, null);
+        gl.bindTexture(gl.TEXTURE_CUBE_MAP, null);
+        gl.activeTexture(state.activeTexture);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, state.flipY);
+        gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, state.premultiply);
+        toggle(gl.BLEND, state.blend);
+        toggle(gl.DEPTH_TEST, state.depthTest);
+        toggle(gl.CULL_FACE, state.cullFace);
+        toggle(gl.SCISSOR_TEST, state.scissorTest);
+    }
+
+    // Shader source code
+
+    /**
+     * Get vertex shader for a full-screen triangle made from the vertex index
+     * @returns {string} Vertex shader source
+     */
+    getVertexShader() {
+        return `#version 300 es
+        void main() {
+            vec2 position = vec2(float((gl_VertexID << 1) & 2), float(gl_VertexID & 2));
+            gl_Position = vec4(position * 2.0 - 1.0, 0.0, 1.0);
+        }`;
+    }
+
+    /**
+     * Get the declarations shared by the cubemap passes
+     * @returns {string} GLSL source
+     */
+    getCubemapCommon() {
+        return `#version 300 es
+        precision highp float;
+
+        #define PI 3.14159265359
+
+        uniform int uFace;   // Cubemap face being drawn: +X, -X, +Y, -Y, +Z, -Z
+        uniform float uSize; // Face size in pixels at the level being drawn
+
+        out vec4 fragColor;
+
+        // Direction through a pixel of the face, in the layout cubemap lookups use
+        vec3 getFaceDirection(vec2 fragCoord) {
+            vec2 st = fragCoord / uSize * 2.0 - 1.0;
+            if (uFace == 0) return normalize(vec3(1.0, -st.y, -st.x));
+            if (uFace == 1) return normalize(vec3(-1.0, -st.y, st.x));
+            if (uFace == 2) return normalize(vec3(st.x, 1.0, st.y));
+            if (uFace == 3) return normalize(vec3(st.x, -1.0, -st.y));
+            if (uFace == 4) return normalize(vec3(st.x, -st.y, 1.0));
+            return normalize(vec3(-st.x, -st.y, -1.0));
+        }
+
+        // Point i of n in the Hammersley set, evenly covering the unit square
+        vec2 hammersley(uint i, uint n) {
+            uint bits = i;
+            bits = (bits << 16u) | (bits >> 16u);
+            bits = ((bits & 0x55555555u) << 1u) | ((bits & 0xAAAAAAAAu) >> 1u);
+            bits = ((bits & 0x33333333u) << 2u) | ((bits & 0xCCCCCCCCu) >> 2u);
+            bits = ((bits & 0x0F0F0F0Fu) << 4u) | ((bits & 0xF0F0F0F0u) >> 4u);
+            bits = ((bits & 0x00FF00FFu) << 8u) | ((bits & 0xFF00FF00u) >> 8u);
+            return vec2(float(i) / float(n), float(bits) * 2.3283064365386963e-10);
+        }
+
+        // GGX microfacet normal around N for a point of the unit square
+        vec3 importanceSampleGGX(vec2 xi, vec3 N, float roughness) {
+            float a = roughness * roughness;
+            float phi = 2.0 * PI * xi.x;
+            float cosTheta = sqrt((1.0 - xi.y) / (1.0 + (a * a - 1.0) * xi.y));
+            float sinTheta = sqrt(1.0 - cosTheta * cosTheta);
+
+            vec3 up = abs(N.z) < 0.999 ? vec3(0.0, 0.0, 1.0) : vec3(1.0, 0.0, 0.0);
+            vec3 tangent = normalize(cross(up, N));
+            vec3 bitangent = cross(N, tangent);
+            return normalize(tangent * cos(phi) * sinTheta + bitangent * sin(phi) * sinTheta + N * cosTheta);
+        }
+        `;
+    }
+
+    /**
+     * Get fragment shader projecting the equirectangular image onto a face
+     * @returns {string} Fragment shader source
+     */
+    getEquirectFragmentShader() {
+        return `${this.getCubemapCommon()}
+        uniform sampler2D uEquirect;
+        uniform float uLod;
+
+        void main() {
+            vec3 dir = getFaceDirection(gl_FragCoord.xy);
+            vec2 uv = vec2(atan(dir.z, dir.x) / (2.0 * PI) + 0.5, acos(clamp(dir.y, -1.0, 1.0)) / PI);
+            fragColor = vec4(textureLod(uEquirect, uv, uLod).rgb, 1.0);
+        }`;
+    }
+
+    /**
+     * Get fragment shader prefiltering the environment for one roughness
+     * Importance samples the GGX lobe with the view along the normal, reading
+     * from a source mip that matches each sample's footprint so bright spots
+     * like the sun don't turn into speckles.
+     * @returns {string} Fragment shader source
+     */
+    getPrefilterFragmentShader() {
+        return `${this.getCubemapCommon()}
+        uniform samplerCube uSource;
+        uniform float uSourceSize;
+        uniform float uRoughness;
+        uniform int uSampleCount;
+
+        void main() {
+            vec3 N = getFaceDirection(gl_FragCoord.xy);
+
+            if (uRoughness == 0.0) {
+                fragColor = vec4(textureLod(uSource, N, 0.0).rgb, 1.0);
+                return;
+            }
+
+            float a = uRoughness * uRoughness;
+            float texelSolidAngle = 4.0 * PI / (6.0 * uSourceSize * uSourceSize);
+            uint count = uint(uSampleCount);
+
+            vec3 color = vec3(0.0);
+            float weight = 0.0;
+            for (uint i = 0u; i < count; i++) {
+                vec3 H = importanceSampleGGX(hammersley(i, count), N, uRoughness);
+                vec3 L = reflect(-N, H);
+                float NdotL = dot(N, L);
+                if (NdotL <= 0.0) continue;
+
+                // With V = N the sample's pdf is D / 4
+                float NdotH = max(dot(N, H), 0.0);
+                float d = (NdotH * NdotH) * (a * a - 1.0) + 1.0;
+                float pdf = a * a / (PI * d * d) / 4.0;
+                float sampleSolidAngle = 1.0 / (float(count) * pdf + 0.0001);
+                float lod = 0.5 * log2(sampleSolidAngle / texelSolidAngle) + 1.0;
+
+                color += textureLod(uSource, L, max(lod, 0.0)).rgb * NdotL;
+                weight += NdotL;
+            }
+
+            fragColor = vec4(color / max(weight, 0.0001), 1.0);
+        }`;
+    }
+
+    /**
+     * Get fragment shader convolving the environment with the cosine lobe
+     * Stores the cosine-weighted average radiance over the hemisphere, so
+     * diffuse light is the albedo times the lookup.
+     * @returns {string} Fragment shader source
+     */
+    getIrradianceFragmentShader() {
+        return `${this.getCubemapCommon()}
+        uniform samplerCube uSource;
+        uniform float uLod;
+
+        void main() {
+            vec3 N = getFaceDirection(gl_FragCoord.xy);
+            vec3 up = abs(N.y) < 0.999 ? vec3(0.0, 1.0, 0.0) : vec3(1.0, 0.0, 0.0);
+            vec3 tangent = normalize(cross(up, N));
+            vec3 bitangent = cross(N, tangent);
+
+            const int PHI_STEPS = 64;
+            const int THETA_STEPS = 16;
+            vec3 sum = vec3(0.0);
+            for (int i = 0; i < PHI_STEPS; i++) {
+                float phi = (float(i) + 0.5) / float(PHI_STEPS) * 2.0 * PI;
+                for (int j = 0; j < THETA_STEPS; j++) {
+                    float theta = (float(j) + 0.5) / float(THETA_STEPS) * 0.5 * PI;
+                    vec3 dir = (tangent * cos(phi) + bitangent * sin(phi)) * sin(theta) + N * cos(theta);
+                    sum += textureLod(uSource, dir, uLod).rgb * cos(theta) * sin(theta);
+                }
+            }
+
+            // Riemann sum over phi and theta (area PI^2), divided by PI for the cosine lobe's integral
+            fragColor = vec4(sum * PI / float(PHI_STEPS * THETA_STEPS), 1.0);
+        }`;
+    }
+
+    /**
+     * Get fragment shader integrating the split-sum BRDF term
+     * @returns {string} Fragment shader source
+     */
+    getBRDFFragmentShader() {
+        return `${this.getCubemapCommon()}
+        void main() {
+            // Pixel centres, so N·V and roughness never reach 0
+            float NdotV = gl_FragCoord.x / uSize;
+            float roughness = gl_FragCoord.y / uSize;
+
+            vec3 V = vec3(sqrt(1.0 - NdotV * NdotV), 0.0, NdotV);
+            vec3 N = vec3(0.0, 0.0, 1.0);
+            float k = roughness * roughness / 2.0; // Schlick-GGX remapping for image-based lighting
+
+            const uint SAMPLES = 512u;
+            vec2 result = vec2(0.0);
+            for (uint i = 0u; i < SAMPLES; i++) {
+                vec3 H = importanceSampleGGX(hammersley(i, SAMPLES), N, roughness);
+                vec3 L = reflect(-V, H);
+                float NdotL = max(L.z, 0.0);
+                if (NdotL <= 0.0) continue;
+
+                float NdotH = max(H.z, 0.0);
+                float VdotH = max(dot(V, H), 0.0);
+                float G = (NdotV / (NdotV * (1.0 - k) + k)) * (NdotL / (NdotL * (1.0 - k) + k));
+                float visibility = G * VdotH / (NdotH * NdotV);
+                float fresnel = pow(1.0 - VdotH, 5.0);
+
+                result += vec2((1.0 - fresnel) * visibility, fresnel * visibility);
+            }
+
+            fragColor = vec4(result / float(SAMPLES), 0.0, 1.0);
+        }`;
+    }
+}
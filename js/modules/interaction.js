@@ -8,11 +8,13 @@ class InteractionHandler {
      * @param {p5} p - The p5 instance
      * @param {ShapeManager} shapeManager - The shape manager instance
      * @param {PhysicsSystem} physics - The physics system instance
+     * @param {CommandHistory} history - The command history for undo/redo (optional)
      */
-    constructor(p, shapeManager, physics) {
+    constructor(p, shapeManager, physics, history) {
         this.p = p;
         this.shapeManager = shapeManager;
         this.physics = physics;
+        this.history = history || null;
         
         // Mouse state
         this.mousePressed = false;
@@ -31,6 +33,17 @@ class InteractionHandler {
         
         // Time tracking for velocity calculation
         this.lastDragTime = 0;
+        
+        // Shape snapshot taken when a drag starts, for undo
+        this.dragStartState = null;
+    }
+    
+    /**
+     * Get the context object shape commands operate on
+     * @returns {Object} Object with p, shapeManager and physics
+     */
+    getCommandContext() {
+        return { p: this.p, shapeManager: this.shapeManager, physics: this.physics };
     }
     
     /**
@@ -58,6 +71,7 @@ class InteractionHandler {
                 
                 // If we hit a shape, select it
                 if (this.draggedShape) {
+                    this.dragStartState = ShapeCommands.captureState(this.draggedShape, this.physics);
                     this.selectedShape = this.draggedShape;
                     this.shapeManager.selectShape(this.draggedShape.id);
                     return true; // Only prevent default behavior if we actually grabbed a shape
@@ -141,6 +155,18 @@ class InteractionHandler {
         // End drag if we were dragging
         if (this.isDragging && this.draggedShape) {
             this.physics.endDrag(throwVelocity);
+            
+            // Record the drag as an undoable transform edit
+            if (this.history && this.dragStartState) {
+                this.history.record(ShapeCommands.update(
+                    this.getCommandContext(),
+                    this.dragStartState,
+                    ShapeCommands.captureState(this.draggedShape, this.physics),
+                    `Move ${this.draggedShape.typeName}`
+                ));
+            }
+            this.dragStartState = null;
+            
             this.isDragging = false;
             this.draggedShape = null;
             return true; // Prevent default
@@ -154,11 +180,34 @@ class InteractionHandler {
      * @param {Object} event - The keyboard event
      */
     keyPress(event) {
+        // Leave shortcuts alone while typing into UI fields
+        const target = event.target;
+        if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA')) {
+            return false;
+        }
+        
+        // Undo/redo with Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS), Ctrl+Y as an alternative redo
+        const modifier = event.ctrlKey || event.metaKey;
+        const key = (event.key || '').toLowerCase();
+        if (modifier && this.history) {
+            if (key === 'z') {
+                if (event.shiftKey) {
+                    this.redo();
+                } else {
+                    this.undo();
+                }
+                return true;
+            }
+            if (key === 'y') {
+                this.redo();
+                return true;
+            }
+        }
+        
         // Delete selected shape with Delete key
         if (event.keyCode === 46 || event.key === 'Delete') {
             if (this.selectedShape) {
-                this.physics.removeShape(this.selectedShape);
-                this.shapeManager.removeShape(this.selectedShape.id);
+                this.removeShapes([this.selectedShape], `Delete ${this.selectedShape.typeName}`);
                 this.selectedShape = null;
                 return true;
             }
@@ -167,15 +216,90 @@ class InteractionHandler {
         return false;
     }
     
+    /**
+     * Remove shapes from the scene, recording the removal for undo
+     * @param {Array<Shape>} shapes - Shapes to remove
+     * @param {string} name - Display name of the command
+     */
+    removeShapes(shapes, name) {
+        const command = ShapeCommands.remove(this.getCommandContext(), shapes, name);
+        
+        if (this.history) {
+            this.history.execute(command);
+        } else {
+            command.execute();
+        }
+        
+        this.syncSelection();
+    }
+    
+    /**
+     * Undo the last scene edit
+     * @returns {boolean} True if an edit was undone
+     */
+    undo() {
+        if (!this.history) return false;
+        const undone = this.history.undo();
+        this.syncSelection();
+        return undone;
+    }
+    
+    /**
+     * Redo the last undone scene edit
+     * @returns {boolean} True if an edit was redone
+     */
+    redo() {
+        if (!this.history) return false;
+        const redone = this.history.redo();
+        this.syncSelection();
+        return redone;
+    }
+    
+    /**
+     * Drop the selection if undo/redo removed the selected shape
+     */
+    syncSelection() {
+        if (this.selectedShape && !this.shapeManager.getShape(this.selectedShape.id)) {
+            this.selectedShape = null;
+        }
+    }
+    
+    /**
+     * Apply CONFIG.shapes.limitPolicy when the scene is at its shape limit
+     * @returns {boolean} True if a new shape may be spawned
+     */
+    makeRoomForShape() {
+        const limit = this.shapeManager.maxShapes;
+        
+        switch (CONFIG.shapes.limitPolicy) {
+            case 'recycle': {
+                const oldest = this.shapeManager.getOldestRecyclableShape();
+                if (!oldest) break;
+                this.removeShapes([oldest], `Recycle ${oldest.typeName}`);
+                return true;
+            }
+            case 'warn':
+                console.warn(`Scene is over the limit of ${limit} shapes; shapes past the GPU limit are not drawn`);
+                return true;
+        }
+        
+        console.warn(`Shape limit of ${limit} reached; remove shapes before spawning more`);
+        return false;
+    }
+    
     /**
      * Spawn a new shape at a given position with specified properties
      * @param {number} type - Shape type (0=sphere, 1=box, etc.)
      * @param {p5.Vector} position - Position in world space
-     * @param {number} size - Size of the shape
+     * @param {number} size - Size of the shape (optional, defaults to the type's default size)
      * @param {number} materialId - Material ID to use
-     * @returns {Shape} The created shape
+     * @returns {Shape} The created shape, or null if the shape limit refused it
      */
     spawnShape(type, position, size, materialId) {
+        if (this.shapeManager.isFull() && !this.makeRoomForShape()) {
+            return null;
+        }
+        
         // Create a default position if none provided
         let finalPosition = position;
         if (!finalPosition) {
@@ -192,7 +316,7 @@ class InteractionHandler {
         const shape = new Shape({
             type: type,
             position: finalPosition,
-            size: size || CONFIG.shapes.defaultSize,
+            size: size, // Shape falls back to the type's registered default size
             materialId: materialId || 0
         }, this.p); // Pass the p5 instance
         
@@ -206,6 +330,11 @@ class InteractionHandler {
         this.selectedShape = shape;
         this.shapeManager.selectShape(shape.id);
         
+        // Record the spawn for undo
+        if (this.history) {
+            this.history.record(ShapeCommands.spawn(this.getCommandContext(), shape));
+        }
+        
         return shape;
     }
 }
\ No newline at end of file
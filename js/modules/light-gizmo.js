@@ -0,0 +1,177 @@
+/**
+ * Light gizmo
+ * Draws a handle over every positional light in the viewport and lets the
+ * user drag it. Lights move on the plane through the light facing the camera.
+ * Handles are DOM elements positioned with Renderer.worldToScreen, so they
+ * line up with the ray-marched image without another WebGL pass.
+ */
+class LightGizmo {
+    /**
+     * Create a new light gizmo
+     * @param {p5} p - The p5 instance
+     * @param {LightManager} lightManager - The light manager instance
+     * @param {Renderer} renderer - Used to project lights and unproject the mouse
+     * @param {Function} onChange - Called with a light after it was selected or moved
+     */
+    constructor(p, lightManager, renderer, onChange) {
+        this.p = p;
+        this.lightManager = lightManager;
+        this.renderer = renderer;
+        this.onChange = onChange;
+
+        this.visible = true;
+
+        // Handle elements by light ID
+        this.handles = new Map();
+
+        // Light being dragged and the plane it moves on
+        this.drag = null;
+
+        this.onMouseMove = this.onMouseMove.bind(this);
+        this.onMouseUp = this.onMouseUp.bind(this);
+    }
+
+    /**
+     * Show or hide the handles
+     * @param {boolean} visible - Whether handles are drawn
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        if (!visible) this.endDrag();
+        this.update();
+    }
+
+    /**
+     * Match the handles to the current lights and move them to their screen positions; call once per frame
+     */
+    update() {
+        const lights = this.visible ? this.lightManager.getAllLights().filter(light => light.isPositional) : [];
+        const ids = new Set(lights.map(light => light.id));
+
+        // Drop handles of removed lights
+        this.handles.forEach((handle, id) => {
+            if (!ids.has(id)) {
+                handle.remove();
+                this.handles.delete(id);
+            }
+        });
+
+        const canvas = this.p.canvas;
+        const rect = canvas ? canvas.getBoundingClientRect() : { left: 0, top: 0 };
+
+        lights.forEach(light => {
+            let handle = this.handles.get(light.id);
+            if (!handle) {
+                handle = this.createHandle(light);
+                this.handles.set(light.id, handle);
+            }
+
+            const screen = this.renderer.worldToScreen(light.position);
+            if (!screen) {
+                handle.style.display = 'none';
+                return;
+            }
+
+            const selected = this.lightManager.selectedLight === light;
+            const [r, g, b] = light.color.map(c => Math.round(Math.min(c, 1) * 255));
+            handle.style.display = 'block';
+            handle.style.left = `${rect.left + screen.x - LightGizmo.HANDLE_SIZE / 2}px`;
+            handle.style.top = `${rect.top + screen.y - LightGizmo.HANDLE_SIZE / 2}px`;
+            handle.style.backgroundColor = `rgb(${r}, ${g}, ${b})`;
+            handle.style.borderColor = selected ? 'white' : 'rgba(0, 0, 0, 0.6)';
+            handle.title = light.name;
+        });
+    }
+
+    /**
+     * Create the handle element for a light
+     * @param {Light} light - The light the handle moves
+     * @returns {HTMLElement} Handle element
+     */
+    createHandle(light) {
+        const handle = document.createElement('div');
+        handle.style.position = 'fixed';
+        handle.style.width = `${LightGizmo.HANDLE_SIZE}px`;
+        handle.style.height = `${LightGizmo.HANDLE_SIZE}px`;
+        handle.style.boxSizing = 'border-box';
+        handle.style.border = '2px solid';
+        handle.style.borderRadius = '50%';
+        handle.style.cursor = 'move';
+        handle.style.zIndex = '50';
+
+        // Keep the press away from p5 so the camera and shape dragging stay put
+        handle.addEventListener('mousedown', (event) => {
+            event.stopPropagation();
+            event.preventDefault();
+            this.startDrag(light);
+        });
+
+        document.body.appendChild(handle);
+        return handle;
+    }
+
+    /**
+     * Select a light and start dragging it
+     * @param {Light} light - The light to drag
+     */
+    startDrag(light) {
+        const ray = this.renderer.screenToRay(this.p.width / 2, this.p.height / 2);
+        if (!ray) return;
+
+        this.lightManager.selectedLight = light;
+        this.drag = {
+            light: light,
+            point: [...light.position],
+            normal: ray.direction // Camera forward
+        };
+
+        window.addEventListener('mousemove', this.onMouseMove);
+        window.addEventListener('mouseup', this.onMouseUp);
+
+        if (this.onChange) this.onChange(light);
+    }
+
+    /**
+     * Move the dragged light under the mouse
+     * @param {MouseEvent} event - The mouse event
+     */
+    onMouseMove(event) {
+        if (!this.drag) return;
+
+        const rect = this.p.canvas.getBoundingClientRect();
+        const ray = this.renderer.screenToRay(event.clientX - rect.left, event.clientY - rect.top);
+        if (!ray) return;
+
+        // Intersect the mouse ray with the drag plane
+        const { point, normal, light } = this.drag;
+        const denominator = MathUtils.dot(ray.direction, normal);
+        if (Math.abs(denominator) < 1e-6) return;
+
+        const t = MathUtils.dot([0, 1, 2].map(i => point[i] - ray.origin[i]), normal) / denominator;
+        if (t <= 0) return;
+
+        light.position = [0, 1, 2].map(i => ray.origin[i] + ray.direction[i] * t);
+        light.markDirty();
+
+        if (this.onChange) this.onChange(light);
+    }
+
+    /**
+     * Finish dragging on mouse release
+     */
+    onMouseUp() {
+        this.endDrag();
+    }
+
+    /**
+     * Stop dragging and release the window listeners
+     */
+    endDrag() {
+        this.drag = null;
+        window.removeEventListener('mousemove', this.onMouseMove);
+        window.removeEventListener('mouseup', this.onMouseUp);
+    }
+}
+
+// Handle diameter in CSS pixels
+LightGizmo.HANDLE_SIZE = 14;
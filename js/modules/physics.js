@@ -43,6 +43,9 @@ class PhysicsSystem {
         // Set solver iterations
         this.world.solver.iterations = CONFIG.physics.iterations;
         
+        // Let bodies at rest sleep until something touches them
+        this.world.allowSleep = CONFIG.physics.allowSleep;
+        
         // Add a ground plane
         this.addGroundPlane();
     }
@@ -85,6 +88,15 @@ class PhysicsSystem {
         this.shapeManager.updateFromPhysics();
     }
     
+    /**
+     * Set the vertical gravity and wake every body so resting ones respond
+     * @param {number} y - Gravity along Y (m/s²)
+     */
+    setGravity(y) {
+        this.world.gravity.set(0, y, 0);
+        this.world.bodies.forEach(body => body.wakeUp());
+    }
+    
     /**
      * Add a shape to the physics world
      * @param {Shape} shape - The shape to add physics for
@@ -110,97 +122,44 @@ class PhysicsSystem {
      * @returns {CANNON.Body} The created physics body
      */
     createPhysicsBody(shape) {
-        // Create appropriate physics shape based on shape type
-        let physicsShape;
-        
         // Get size (convert from scalar to array if needed)
         const size = Array.isArray(shape.size) ? shape.size : [shape.size, shape.size, shape.size];
         
-        // Create shape based on type
-        switch (shape.type) {
-            // Sphere
-            case 0:
-                physicsShape = new CANNON.Sphere(size[0] / 2); // Radius is half the diameter
-                break;
-            
-            // Box
-            case 1:
-                physicsShape = new CANNON.Box(new CANNON.Vec3(
-                    size[0] / 2, size[1] / 2, size[2] / 2
-                )); // Half-extents
-                break;
-            
-            // Torus (approximate with cylinder for physics)
-            case 2:
-                const torusRadius = size[0] / 2;
-                const torusThickness = size[0] * 0.2; // Approximation
-                physicsShape = new CANNON.Cylinder(
-                    torusRadius + torusThickness, // radiusTop
-                    torusRadius + torusThickness, // radiusBottom
-                    torusThickness * 2, // height
-                    16 // segments
-                );
-                break;
-            
-            // Cylinder
-            case 3:
-                physicsShape = new CANNON.Cylinder(
-                    size[0] / 2, // radiusTop
-                    size[0] / 2, // radiusBottom
-                    size[1], // height
-                    16 // segments
-                );
-                break;
-            
-            // Cone (approximated with cylinder)
-            case 4:
-                physicsShape = new CANNON.Cylinder(
-                    0.1, // radiusTop (small, not zero for stability)
-                    size[0] / 2, // radiusBottom
-                    size[1], // height
-                    16 // segments
-                );
-                break;
-            
-            // Capsule (cylinder with spherical ends)
-            case 5:
-                // Approximated as cylinder for now (capsule would be better but needs custom setup)
-                physicsShape = new CANNON.Cylinder(
-                    size[0] / 2, // radiusTop
-                    size[0] / 2, // radiusBottom
-                    size[1], // height
-                    16 // segments
-                );
-                break;
-            
-            // Plane (static ground)
-            case 6:
-                physicsShape = new CANNON.Plane();
-                break;
-            
-            // Default to box if unknown type
-            default:
-                physicsShape = new CANNON.Box(new CANNON.Vec3(
-                    size[0] / 2, size[1] / 2, size[2] / 2
-                ));
-                break;
+        // Build the collider registered for this shape type, defaulting to a box if unknown
+        const type = shape.definition || ShapeTypeRegistry.get(1);
+        const collider = type.createCollider(shape, size);
+        
+        // Colliders are a single CANNON shape or a compound list of {shape, offset}
+        let parts = Array.isArray(collider) ? collider : [{ shape: collider }];
+        
+        // Modifiers deform the SDF in ways the primitive collider can't follow,
+        // so fall back to a box around the deformed bounds
+        if (shape.modifiers.length > 0 && !(collider instanceof CANNON.Plane)) {
+            const halfExtents = this.getModifiedHalfExtents(shape, size, parts);
+            parts = [{ shape: new CANNON.Box(new CANNON.Vec3(halfExtents[0], halfExtents[1], halfExtents[2])) }];
         }
         
-        // Create physics body with the shape
+        // Shapes blended into another shape are sculpting tools: they stay where
+        // they are placed and don't push their target apart
+        const isBlendTool = shape.isBlended && this.shapeManager.getShape(shape.blendShapeId) !== null;
+        
+        // Create physics body; collider parts are attached below
         const body = new CANNON.Body({
-            mass: shape.mass, // 0 means static
+            mass: isBlendTool ? 0 : shape.mass, // 0 means static
+            collisionResponse: !isBlendTool,
             position: new CANNON.Vec3(
                 shape.position.x,
                 shape.position.y,
                 shape.position.z
             ),
-            shape: physicsShape,
             material: new CANNON.Material({
                 friction: shape.friction,
                 restitution: shape.restitution
             })
         });
         
+        parts.forEach(part => body.addShape(part.shape, part.offset)); // Updates mass properties
+        
         // Apply initial orientation if not identity
         if (shape.orientation[0] !== 0 || 
             shape.orientation[1] !== 0 || 
@@ -217,6 +176,68 @@ class PhysicsSystem {
         return body;
     }
     
+    /**
+     * Estimate the half-extents of a shape after its domain modifiers are applied
+     * @param {Shape} shape - The shape with modifiers
+     * @param {Array<number>} size - Shape size [x, y, z]
+     * @param {Array<Object>} parts - The unmodified collider parts as {shape, offset}
+     * @returns {Array<number>} Half-extents [x, y, z]
+     */
+    getModifiedHalfExtents(shape, size, parts) {
+        // Start from the bounds of the unmodified collider
+        const probe = new CANNON.Body({ mass: 0 });
+        parts.forEach(part => probe.addShape(part.shape, part.offset));
+        probe.computeAABB();
+        
+        const lower = probe.aabb.lowerBound;
+        const upper = probe.aabb.upperBound;
+        const half = [
+            Math.max(Math.abs(lower.x), Math.abs(upper.x)),
+            Math.max(Math.abs(lower.y), Math.abs(upper.y)),
+            Math.max(Math.abs(lower.z), Math.abs(upper.z))
+        ];
+        const minSize = Math.min(size[0], size[1], size[2]);
+        
+        shape.modifiers.forEach(modifier => {
+            switch (modifier.type) {
+                case 'twist': {
+                    // Rotation around the axis sweeps the other two into a circle
+                    const [a, b] = [0, 1, 2].filter(axis => axis !== modifier.axis);
+                    const radius = Math.hypot(half[a], half[b]);
+                    half[a] = radius;
+                    half[b] = radius;
+                    break;
+                }
+                case 'bend': {
+                    // Bending can swing any axis outwards; use the enclosing cube
+                    const extent = Math.hypot(half[0], half[1], half[2]);
+                    half.fill(extent);
+                    break;
+                }
+                case 'elongate':
+                    half[0] += modifier.x * size[0];
+                    half[1] += modifier.y * size[1];
+                    half[2] += modifier.z * size[2];
+                    break;
+                case 'round':
+                    half.forEach((value, axis) => { half[axis] = value + modifier.radius * minSize; });
+                    break;
+                case 'onion':
+                    half.forEach((value, axis) => { half[axis] = value + modifier.thickness * minSize; });
+                    break;
+                case 'repeat':
+                    half.forEach((value, axis) => {
+                        if (modifier.axes & (1 << axis)) {
+                            half[axis] = value + modifier.count * modifier.spacing * size[axis];
+                        }
+                    });
+                    break;
+            }
+        });
+        
+        return half;
+    }
+    
     /**
      * Remove a shape from the physics world
      * @param {Shape} shape - The shape to remove
@@ -231,7 +252,54 @@ class PhysicsSystem {
             if (body === this.draggedBody) {
                 this.endDrag();
             }
+            
+            // Bodies resting on this one would otherwise sleep in mid-air
+            this.world.bodies.forEach(other => other.wakeUp());
         }
+        
+        // Allow the shape to be re-added later (e.g. by undo)
+        if (shape.physicsBody === body) {
+            shape.physicsBody = null;
+        }
+    }
+    
+    /**
+     * Recreate a shape's physics body after its size, mass or material parameters changed
+     * @param {Shape} shape - The shape to rebuild
+     */
+    rebuildShape(shape) {
+        this.removeShape(shape);
+        shape.physicsBody = null;
+        this.addShape(shape);
+    }
+    
+    /**
+     * Capture the dynamic state of a shape's physics body
+     * @param {Shape} shape - The shape to read
+     * @returns {Object|null} Velocity and angular velocity arrays, or null without a body
+     */
+    getBodyState(shape) {
+        const body = shape.physicsBody;
+        if (!body) return null;
+        
+        return {
+            velocity: [body.velocity.x, body.velocity.y, body.velocity.z],
+            angularVelocity: [body.angularVelocity.x, body.angularVelocity.y, body.angularVelocity.z]
+        };
+    }
+    
+    /**
+     * Restore the dynamic state of a shape's physics body
+     * @param {Shape} shape - The shape to update
+     * @param {Object} state - State from getBodyState
+     */
+    setBodyState(shape, state) {
+        const body = shape.physicsBody;
+        if (!body || !state) return;
+        
+        body.velocity.set(...state.velocity);
+        body.angularVelocity.set(...state.angularVelocity);
+        body.wakeUp();
     }
     
     /**
@@ -386,6 +454,7 @@ class PhysicsSystem {
             
             // Get the hit body
             this.draggedBody = result.body;
+            this.draggedBody.wakeUp();
             
             // Store hit point in body coordinates
             const hitPointWorld = new CANNON.Vec3().copy(result.hitPointWorld);
@@ -449,6 +518,9 @@ class PhysicsSystem {
             // Update constraint target position
             this.dragConstraint.bodyB.position.copy(targetPos);
             this.dragConstraint.update(); // Explicitly update constraint
+            
+            // A body held still long enough falls asleep; moving the mouse wakes it
+            this.draggedBody.wakeUp();
         } catch (err) {
             console.error("Error in updateDrag:", err);
         }
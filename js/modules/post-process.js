@@ -1,7 +1,8 @@
 // filepath: c:\WORK_win\shape-sandbox\js\modules\post-process.js
 /**
  * Post-processing module for visual effects
- * Handles bloom, depth of field, and other effects
+ * Handles bloom, depth of field, and other effects, and averages the
+ * path-traced samples of the reference render mode
  */
 class PostProcessSystem {
     /**
@@ -24,6 +25,17 @@ class PostProcessSystem {
         this.blurShader = null;
         this.compositeShader = null;
         
+        // Progressive accumulation for the reference render and supersampled stills; the buffers
+        // share the main canvas' WebGL context so the ray-march shader can draw into them
+        this.sampleBuffer = null;       // Float buffer receiving one sample per pixel
+        this.accumulationBuffers = [];  // Ping-pong float buffers holding the running average
+        this.accumulationIndex = 0;     // Buffer holding the latest average
+        this.sampleCount = 0;
+        this.maxSamples = CONFIG.render.accumulation.maxSamples;
+        this.toneMapSamples = true;     // Samples are linear radiance (path tracing) rather than display colors
+        this.accumulateShader = null;
+        this.presentShader = null;
+        
         // Settings
         this.enabled = CONFIG.render.postProcess.enabled;
         this.bloomEnabled = CONFIG.render.postProcess.bloom;
@@ -83,10 +95,112 @@ class PostProcessSystem {
         );
     }
     
+    /**
+     * Create the accumulation buffers and shaders on first use
+     */
+    initAccumulation() {
+        const options = {
+            format: this.p.FLOAT,
+            depth: false,
+            antialias: false,
+            textureFiltering: this.p.NEAREST
+        };
+        
+        // Without width and height the buffers follow the canvas size
+        this.sampleBuffer = this.p.createFramebuffer(options);
+        this.accumulationBuffers = [this.p.createFramebuffer(options), this.p.createFramebuffer(options)];
+        
+        if (this.sampleBuffer.format !== this.p.FLOAT) {
+            console.warn("Float render targets unavailable; the reference render will band and clip highlights");
+        }
+        
+        this.accumulateShader = this.p.createShader(this.getCompositeVertexShader(), this.getAccumulateFragmentShader());
+        this.presentShader = this.p.createShader(this.getCompositeVertexShader(), this.getPresentFragmentShader());
+    }
+    
+    /**
+     * Set how many samples to average and whether they still need tone mapping
+     * Samples accumulated under other settings are discarded
+     * @param {number} maxSamples - Samples per pixel after which accumulation stops
+     * @param {boolean} toneMap - True for linear radiance, false for already tone-mapped colors
+     */
+    configureAccumulation(maxSamples, toneMap) {
+        if (maxSamples === this.maxSamples && toneMap === this.toneMapSamples) return;
+        
+        this.maxSamples = maxSamples;
+        this.toneMapSamples = toneMap;
+        this.resetAccumulation();
+    }
+    
+    /**
+     * Discard the accumulated samples, e.g. after the camera or scene changed
+     */
+    resetAccumulation() {
+        this.sampleCount = 0;
+    }
+    
+    /**
+     * Check whether enough samples have been averaged to stop tracing
+     * @returns {boolean} True once maxSamples samples are accumulated
+     */
+    isConverged() {
+        return this.sampleCount >= this.maxSamples;
+    }
+    
+    /**
+     * Start rendering one sample; draw the frame until endSample()
+     * @returns {p5.Framebuffer} The buffer being drawn to
+     */
+    beginSample() {
+        if (!this.sampleBuffer) this.initAccumulation();
+        
+        this.sampleBuffer.begin();
+        return this.sampleBuffer;
+    }
+    
+    /**
+     * Add the sample drawn since beginSample() to the running average and show the result
+     */
+    endSample() {
+        this.sampleBuffer.end();
+        
+        const previous = this.accumulationBuffers[this.accumulationIndex];
+        const next = this.accumulationBuffers[1 - this.accumulationIndex];
+        
+        // Incremental mean: the nth sample gets weight 1/n, so the first replaces stale history
+        next.draw(() => {
+            this.p.shader(this.accumulateShader);
+            this.accumulateShader.setUniform('uSampleTexture', this.sampleBuffer);
+            this.accumulateShader.setUniform('uHistoryTexture', previous);
+            this.accumulateShader.setUniform('uWeight', 1 / (this.sampleCount + 1));
+            this.p.rect(0, 0, next.width, next.height);
+        });
+        
+        this.accumulationIndex = 1 - this.accumulationIndex;
+        this.sampleCount++;
+        
+        this.presentAccumulation();
+    }
+    
+    /**
+     * Show the accumulated average on the screen, tone mapped if the samples are radiance
+     */
+    presentAccumulation() {
+        if (!this.sampleBuffer) return;
+        
+        this.p.shader(this.presentShader);
+        this.presentShader.setUniform('uTexture', this.accumulationBuffers[this.accumulationIndex]);
+        this.presentShader.setUniform('uToneMap', this.toneMapSamples);
+        this.p.rect(0, 0, this.p.width, this.p.height);
+    }
+    
     /**
      * Handle window resize
      */
     handleWindowResize() {
+        // Accumulation buffers resize with the canvas, but their contents no longer line up
+        this.resetAccumulation();
+        
         if (!this.enabled) return;
         
         // Recreate main buffer at new resolution
@@ -234,10 +348,21 @@ class PostProcessSystem {
                 this.bloomBlurV = null;
             }
             
+            if (this.sampleBuffer) {
+                this.sampleBuffer.remove();
+                this.sampleBuffer = null;
+            }
+            
+            this.accumulationBuffers.forEach(buffer => buffer.remove());
+            this.accumulationBuffers = [];
+            this.sampleCount = 0;
+            
             // Shaders are managed by p5 and don't need explicit deletion
             this.brightPassShader = null;
             this.blurShader = null;
             this.compositeShader = null;
+            this.accumulateShader = null;
+            this.presentShader = null;
             
             console.log("PostProcessSystem resources cleaned up");
         } catch (e) {
@@ -405,4 +530,52 @@ class PostProcessSystem {
             gl_FragColor = mainColor;
         }`;
     }
+    
+    /**
+     * Get fragment shader that blends a new sample into the running average
+     * @returns {string} Fragment shader source
+     */
+    getAccumulateFragmentShader() {
+        return `
+        precision highp float;
+        
+        uniform sampler2D uSampleTexture;
+        uniform sampler2D uHistoryTexture;
+        uniform float uWeight;
+        
+        varying vec2 vTexCoord;
+        
+        void main() {
+            vec3 history = texture2D(uHistoryTexture, vTexCoord).rgb;
+            vec3 newSample = texture2D(uSampleTexture, vTexCoord).rgb;
+            
+            gl_FragColor = vec4(mix(history, newSample, uWeight), 1.0);
+        }`;
+    }
+    
+    /**
+     * Get fragment shader that shows the accumulated average, tone mapping radiance for display
+     * @returns {string} Fragment shader source
+     */
+    getPresentFragmentShader() {
+        return `
+        precision highp float;
+        
+        uniform sampler2D uTexture;
+        uniform bool uToneMap;
+        
+        varying vec2 vTexCoord;
+        
+        void main() {
+            vec3 color = texture2D(uTexture, vTexCoord).rgb;
+            
+            // HDR tone mapping (simple Reinhard), then gamma correction
+            if (uToneMap) {
+                color = color / (color + vec3(1.0));
+                color = pow(color, vec3(1.0 / 2.2));
+            }
+            
+            gl_FragColor = vec4(color, 1.0);
+        }`;
+    }
 }
\ No newline at end of file
@@ -0,0 +1,170 @@
+/**
+ * Render benchmark
+ * Loads a generated scene with many static shapes, measures frame times over
+ * a fixed number of frames and then restores the scene that was open before.
+ * Run it before and after a renderer change to compare frame times.
+ */
+class RenderBenchmark {
+    /**
+     * Create a new render benchmark
+     * @param {p5} p - The p5 instance
+     * @param {MaterialLibrary} materialLibrary - The material library
+     * @param {SceneSerializer} sceneSerializer - Used to swap the benchmark scene in and out
+     */
+    constructor(p, materialLibrary, sceneSerializer) {
+        this.p = p;
+        this.materialLibrary = materialLibrary;
+        this.sceneSerializer = sceneSerializer;
+
+        // State of the run in progress, null when idle
+        this.run = null;
+    }
+
+    /**
+     * Check whether a benchmark is in progress
+     * @returns {boolean} True while frames are being measured
+     */
+    isRunning() {
+        return this.run !== null;
+    }
+
+    /**
+     * Build the benchmark scene: a ground plane and a grid of static shapes
+     * cycling through the primitive types and materials. Every fourth shape is
+     * smoothly blended into its neighbour so blend groups are exercised too.
+     * @param {number} count - Number of shapes besides the ground plane
+     * @returns {Object} Scene data accepted by SceneSerializer.deserialize
+     */
+    createScene(count = CONFIG.benchmark.shapeCount) {
+        const materials = this.materialLibrary.getAllMaterials();
+        const side = Math.ceil(Math.sqrt(count));
+        const spacing = 2.5;
+        const offset = (side - 1) * spacing * 0.5;
+        const shapes = [{ id: 0, type: 6, position: [0, 0, 0], mass: 0, materialId: materials[0].id }];
+
+        for (let i = 0; i < count; i++) {
+            const row = Math.floor(i / side);
+            const column = i % side;
+            const shape = {
+                id: i + 1,
+                type: RenderBenchmark.SHAPE_TYPES[i % RenderBenchmark.SHAPE_TYPES.length],
+                position: [column * spacing - offset, 1 + (i % 3) * 0.5, row * spacing - offset],
+                size: 1.0,
+                mass: 0, // Static, so every run renders the same frames
+                materialId: materials[i % materials.length].id
+            };
+
+            if (i % 4 === 3) {
+                shape.position[0] -= spacing * 0.6;
+                shape.blendMode = Shape.BLEND_MODES.SMOOTH_UNION;
+                shape.blendShapeId = i;
+                shape.blendFactor = 0.5;
+            }
+
+            shapes.push(shape);
+        }
+
+        return {
+            version: SceneSerializer.SCHEMA_VERSION,
+            shapes: shapes,
+            camera: {
+                eye: [0, offset * 0.6 + 6, offset + 8],
+                center: [0, 0, 0],
+                up: [0, 1, 0]
+            }
+        };
+    }
+
+    /**
+     * Load the benchmark scene and measure frame times
+     * The previous scene and its undo history are restored afterwards; the
+     * history is empty during the run, so nothing is undone in the benchmark scene.
+     * @param {Object} options - Run options
+     * @param {number} options.shapeCount - Shapes in the benchmark scene
+     * @param {number} options.warmupFrames - Frames skipped before measuring
+     * @param {number} options.frames - Frames measured
+     * @returns {Promise<Object>} Resolves with the results, see finish()
+     */
+    start(options = {}) {
+        if (this.run) return Promise.reject(new Error("A benchmark is already running"));
+
+        const shapeCount = options.shapeCount !== undefined ? options.shapeCount : CONFIG.benchmark.shapeCount;
+        const previousScene = this.sceneSerializer.serialize();
+        const history = this.sceneSerializer.history;
+        const previousHistory = history ? history.save() : null;
+
+        if (!this.sceneSerializer.deserialize(this.createScene(shapeCount))) {
+            if (previousHistory) history.restore(previousHistory);
+            return Promise.reject(new Error("Failed to load the benchmark scene"));
+        }
+
+        return new Promise(resolve => {
+            this.run = {
+                shapeCount: shapeCount,
+                warmupFrames: options.warmupFrames !== undefined ? options.warmupFrames : CONFIG.benchmark.warmupFrames,
+                frames: options.frames !== undefined ? options.frames : CONFIG.benchmark.frames,
+                frameTimes: [],
+                lastTime: null,
+                previousScene: previousScene,
+                previousHistory: previousHistory,
+                resolve: resolve
+            };
+        });
+    }
+
+    /**
+     * Record the current frame; call once per draw
+     * Frame time is wall-clock time between draws, so it includes GPU work
+     * that the renderer's own CPU-side timing misses.
+     */
+    update() {
+        const run = this.run;
+        if (!run) return;
+
+        const now = performance.now();
+
+        if (run.warmupFrames > 0) {
+            run.warmupFrames--;
+        } else if (run.lastTime !== null) {
+            run.frameTimes.push(now - run.lastTime);
+        }
+        run.lastTime = now;
+
+        if (run.frameTimes.length >= run.frames) this.finish();
+    }
+
+    /**
+     * Summarise the run, restore the previous scene and resolve the promise
+     * Results: {shapeCount, frames, averageFrameTime, medianFrameTime,
+     * p95FrameTime, averageFPS} with times in milliseconds.
+     */
+    finish() {
+        const run = this.run;
+        this.run = null;
+
+        const sorted = [...run.frameTimes].sort((a, b) => a - b);
+        const average = sorted.reduce((sum, time) => sum + time, 0) / sorted.length;
+        const results = {
+            shapeCount: run.shapeCount,
+            frames: sorted.length,
+            averageFrameTime: average,
+            medianFrameTime: sorted[Math.floor(sorted.length * 0.5)],
+            p95FrameTime: sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))],
+            averageFPS: 1000 / average
+        };
+
+        this.sceneSerializer.deserialize(run.previousScene);
+        if (run.previousHistory) this.sceneSerializer.history.restore(run.previousHistory);
+
+        console.log(
+            `Benchmark: ${results.shapeCount} shapes, ${results.frames} frames, ` +
+            `avg ${results.averageFrameTime.toFixed(2)} ms, median ${results.medianFrameTime.toFixed(2)} ms, ` +
+            `p95 ${results.p95FrameTime.toFixed(2)} ms (${results.averageFPS.toFixed(1)} fps)`
+        );
+
+        run.resolve(results);
+    }
+}
+
+// Primitive types cycled through by the benchmark scene (see ShapeTypeRegistry)
+RenderBenchmark.SHAPE_TYPES = [0, 1, 2, 3, 4, 5];
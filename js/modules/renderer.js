@@ -8,17 +8,25 @@ class Renderer {
      * @param {p5} p - The p5 instance
      * @param {ShapeManager} shapeManager - The shape manager instance
      * @param {MaterialLibrary} materialLibrary - The material library instance
+     * @param {LightManager} lightManager - The light manager instance
      */
-    constructor(p, shapeManager, materialLibrary) {
+    constructor(p, shapeManager, materialLibrary, lightManager) {
         this.p = p;
         this.shapeManager = shapeManager;
         this.materialLibrary = materialLibrary;
+        this.lightManager = lightManager;
 
         this.shader = null;
         this.shapeDataTexture = null;
         this.materialDataTexture = null;
-        this.environmentMap = null;
-        this.environmentTexture = null; // Hold the WebGL texture object
+        this.uploadedMaterialVersion = -1; // MaterialLibrary version in the material texture
+        this.uploadedLightVersion = -1; // LightManager version in the light texture
+        this.uploadedEmitterIds = null; // Shape IDs of the emissive shapes in the light texture
+        this.environment = null; // Image-based lighting maps (see EnvironmentMap)
+        this.sky = null; // Procedural sky shown in the environment, null while an image is shown
+        this.environmentPreset = null; // {name, color} of the preset shown, null for skies and images
+        this.sunLightId = null; // Directional light the sky points at its sun
+        this.lightingBeforeSky = null; // Ambient color and sun light settings the sky replaced (see setSky)
 
         // Add initialization state tracking
         this.initialized = false;
@@ -34,6 +42,12 @@ class Renderer {
         // Post-processing system
         this.postProcess = null;
 
+        // Renders the ray-march pass at reduced resolution when frames run long
+        this.resolutionScaler = null;
+
+        // Jitters the camera and blends frames over time to smooth edges
+        this.temporalAA = null;
+
         // Camera properties
         this.cameraPos = p.createVector(
             CONFIG.camera.defaultPosition[0],
@@ -44,11 +58,19 @@ class Renderer {
         this.viewMatrix = null;
         this.projectionMatrix = null;
 
-        // Lighting properties
-        this.lightDirection = CONFIG.lights.directional.direction;
-        this.lightColor = CONFIG.lights.directional.color;
-        this.lightIntensity = CONFIG.lights.directional.intensity;
+        // Ambient lighting (scene lights live in the LightManager)
         this.ambientColor = CONFIG.lights.ambient.color.map(c => c * CONFIG.lights.ambient.intensity);
+        
+        // Most emissive shapes lit as sphere lights (see getLightEmitters)
+        this.emissiveLightBudget = CONFIG.lights.emissive.maxShapes;
+        
+        // Reference render mode: path-traced samples averaged while nothing changes
+        this.referenceMode = false;
+        this.pathBounces = CONFIG.render.accumulation.bounces;
+        this.accumulationKey = null; // View and settings the accumulated samples were traced with
+        
+        // Supersampled still: jittered realtime frames averaged while nothing changes
+        this.supersampleStill = false;
 
         // Performance tracking
         this.lastFrameTime = 0;
@@ -64,24 +86,33 @@ class Renderer {
      */
     init() {
         try {
+            // Create data textures first; their storage format decides how the shader reads them
+            this.createDataTextures();
+            
+            // Never let the scene grow past what the data textures can hold
+            this.shapeManager.maxShapes = Math.min(CONFIG.shapes.maxCount, this.shapeDataTexture.getShapeLimit());
+
             // Create ray marching shader
             console.log("Creating shader...");
-            this.shader = this.p.createShader(VERTEX_SHADER, FRAGMENT_SHADER);
+            this.shader = this.p.createShader(VERTEX_SHADER, this.buildShaderSource());
             
             // Check if shader was created properly
             if (!this.shader) {
                 throw new Error("Failed to create shader - p5.createShader returned null/undefined");
             }
 
-            // Create data textures
-            this.createDataTextures();
-
-            // Create environment map graphics and texture
+            // Create the image-based lighting with the default sky
             this.createEnvironmentMap();
 
             // Initialize post-processing system
             this.postProcess = new PostProcessSystem(this.p);
 
+            // Initialize dynamic resolution
+            this.resolutionScaler = new ResolutionScaler(this.p);
+
+            // Initialize temporal anti-aliasing
+            this.temporalAA = new TemporalAA(this.p);
+
             // Load default textures
             this.loadDefaultTextures();
             
@@ -155,6 +186,119 @@ class Renderer {
         }
     }
 
+    /**
+     * Register or replace a user-defined SDF shape type and recompile the shader
+     * If compilation fails, the previous type definition and shader are kept
+     * @param {string} name - Name shown in the UI
+     * @param {string} code - GLSL snippet defining float sdCustom(vec3 p, vec4 params)
+     * @param {number} id - ID of the custom type to replace (optional)
+     * @returns {Object} Result with success, typeId and errors [{typeId, line, message}]
+     */
+    defineCustomShape(name, code, id) {
+        const previous = id !== undefined ? ShapeTypeRegistry.get(id) : null;
+        
+        let type;
+        try {
+            type = ShapeTypeRegistry.registerCustom(name, code, id);
+        } catch (err) {
+            return { success: false, typeId: id, errors: [{ typeId: id, line: 0, message: err.message }] };
+        }
+        
+        const result = this.rebuildShader();
+        if (!result.success) {
+            // Roll the registry back so it matches the shader that is still running
+            ShapeTypeRegistry.unregister(type.id);
+            if (previous) ShapeTypeRegistry.register(previous);
+        }
+        
+        return { ...result, typeId: type.id };
+    }
+    
+    /**
+     * Rebuild the ray marching shader from the current shape type registry
+     * The new source is compiled up front so a broken shader never replaces a working one
+     * @returns {Object} Result with success and errors [{typeId, line, message}]
+     */
+    rebuildShader() {
+        const source = this.buildShaderSource();
+        const log = this.compileFragmentShader(source);
+        
+        if (log) {
+            const errors = this.mapShaderErrors(source, log);
+            console.warn("Shader compilation failed, keeping the previous shader:", errors);
+            return { success: false, errors: errors };
+        }
+        
+        this.shader = this.p.createShader(VERTEX_SHADER, source);
+        return { success: true, errors: [] };
+    }
+    
+    /**
+     * Compile fragment shader source with raw WebGL to check it for errors
+     * @param {string} source - Fragment shader source
+     * @returns {string} Info log, or an empty string if compilation succeeded
+     */
+    compileFragmentShader(source) {
+        const gl = this.p._renderer.GL;
+        const glShader = gl.createShader(gl.FRAGMENT_SHADER);
+        
+        gl.shaderSource(glShader, source);
+        gl.compileShader(glShader);
+        
+        const compiled = gl.getShaderParameter(glShader, gl.COMPILE_STATUS);
+        const log = compiled ? '' : (gl.getShaderInfoLog(glShader) || 'Unknown shader compile error');
+        gl.deleteShader(glShader);
+        
+        return log;
+    }
+    
+    /**
+     * Map a shader info log onto the source, translating line numbers inside
+     * custom SDF snippets back to the lines the user typed
+     * @param {string} source - Fragment shader source that was compiled
+     * @param {string} log - Shader info log
+     * @returns {Array<Object>} Errors as {typeId, line, message}; typeId is null outside custom snippets
+     */
+    mapShaderErrors(source, log) {
+        // Find the source line where each custom snippet starts and ends
+        const blocks = [];
+        source.split('\n').forEach((text, index) => {
+            const line = index + 1;
+            if (text.startsWith(ShapeTypeRegistry.CUSTOM_BEGIN_MARKER)) {
+                blocks.push({ typeId: parseInt(text.slice(ShapeTypeRegistry.CUSTOM_BEGIN_MARKER.length), 10), start: line, end: Infinity });
+            } else if (text.startsWith(ShapeTypeRegistry.CUSTOM_END_MARKER) && blocks.length > 0) {
+                blocks[blocks.length - 1].end = line;
+            }
+        });
+        
+        return log.split('\n')
+            .map(entry => entry.trim())
+            .filter(entry => entry)
+            .map(entry => {
+                // e.g. "ERROR: 0:123: 'foo' : undeclared identifier"
+                const match = entry.match(/^(?:ERROR|WARNING):\s*\d+:(\d+):\s*(.*)$/);
+                if (!match) return { typeId: null, line: 0, message: entry };
+                
+                const line = parseInt(match[1], 10);
+                const block = blocks.find(b => line > b.start && line < b.end);
+                if (!block) return { typeId: null, line: line, message: match[2] };
+                
+                return {
+                    typeId: block.typeId,
+                    line: line - block.start,
+                    message: match[2].replace(new RegExp(`\\bsdCustom${block.typeId}\\b`, 'g'), 'sdCustom')
+                };
+            });
+    }
+    
+    /**
+     * Build the ray marching fragment shader source for the current data texture format
+     * @returns {string} GLSL source
+     */
+    buildShaderSource() {
+        return buildFragmentShader(this.shapeDataTexture ? this.shapeDataTexture.getShaderDefines() : '');
+    }
+
     /**
      * Create data textures for shapes and materials
      */
@@ -246,297 +390,447 @@ class Renderer {
     }
 
     /**
-     * Create a more sophisticated environment map for reflections and IBL
+     * Set up image-based lighting with the startup environment preset
      */
     createEnvironmentMap() {
-        const p = this.p;
-        const size = 256; // Increased size for better quality
-
-        // Create p5.Graphics objects for the faces
-        this.environmentMap = {
-            faces: Array(6).fill().map(() => p.createGraphics(size, size))
-        };
+        this.environment = new EnvironmentMap(this.p);
+        this.setEnvironmentPreset(CONFIG.render.environment.preset);
+    }
 
-        // Generate the content for the faces
-        this.generateEnvironmentMapFaces();
+    /**
+     * Light the scene with an equirectangular image, e.g. from HDRLoader
+     * @param {Object} image - {width, height, data} with linear RGBA floats, top row first
+     * @param {string} name - Display name (optional)
+     * @returns {boolean} True if the image was accepted
+     */
+    setEnvironmentImage(image, name = '') {
+        if (!this.showEnvironmentImage(image, name)) return false;
+        this.restoreLightingBeforeSky();
+        this.environmentPreset = null;
+        return true;
+    }
 
-        // Create the WebGL cubemap texture using the generated faces
-        const glTexture = this.createCubemapTexture(this.environmentMap.faces); // Calls the updated method
+    /**
+     * Hand an equirectangular image to the environment map
+     * @param {Object} image - {width, height, data} with linear RGBA floats, top row first
+     * @param {string} name - Display name
+     * @returns {boolean} True if the image was accepted
+     * @private
+     */
+    showEnvironmentImage(image, name) {
+        if (!this.environment || !this.environment.setEquirectangular(image, name)) return false;
 
-        if (glTexture) {
-             // Store the WebGL texture object in a way p5 doesn't overwrite
-            this.environmentTexture = {
-                _renderer: p._renderer, // Reference renderer
-                _tex: glTexture,        // The actual WebGLTexture object
-                isCube: true           // Flag for potential future use
-            };
-            console.log("Environment cubemap texture created successfully.");
-        } else {
-             console.error("Failed to create environment cubemap texture.");
-             this.environmentTexture = null;
-        }
+        // The history and accumulated samples show the old lighting
+        if (this.temporalAA) this.temporalAA.reset();
+        return true;
     }
 
     /**
-     * Generate the six faces of the environment cubemap
+     * Go back to the startup environment preset
      */
-    generateEnvironmentMapFaces() {
-        // Generate a richer environment with sky, ground, and directional lighting
-        const faces = this.environmentMap.faces;
-        const p = this.p;
+    resetEnvironment() {
+        this.setEnvironmentPreset(CONFIG.render.environment.preset);
+    }
 
-        // Define colors for the environment
-        const skyColors = {
-            top: [0.4, 0.65, 1.0],      // Sky blue
-            horizon: [0.8, 0.9, 1.0],    // Horizon light blue
-            ground: [0.3, 0.25, 0.2],    // Ground/earth brown
-            sunDirection: [-0.5, 0.5, -0.7], // Direction of the sun
-            sunColor: [1.0, 0.9, 0.7],   // Warm sun color
-            sunIntensity: 2.0,           // Sun brightness
-            sunSize: 0.03                // Angular size of the sun
-        };
+    /**
+     * Light the scene with a named preset from CONFIG.render.environment.presets
+     * @param {string} name - Preset name
+     * @param {Array<number>} color - Linear RGB replacing the color of flat presets (optional)
+     * @returns {boolean} True if the preset was applied
+     */
+    setEnvironmentPreset(name, color) {
+        const preset = CONFIG.render.environment.presets[name];
+        if (!preset) {
+            console.warn(`Unknown environment preset "${name}"`);
+            return false;
+        }
 
-        // Helper function to normalize a vector
-        const normalize = (v) => {
-            const len = Math.sqrt(v[0]*v[0] + v[1]*v[1] + v[2]*v[2]);
-            return len > 0 ? [v[0]/len, v[1]/len, v[2]/len] : [0,0,0];
-        };
+        const settings = preset.color && Array.isArray(color) ? { ...preset, color: [...color] } : preset;
+        if (!this.setEnvironmentImage(this.generateEnvironment(settings), name)) return false;
 
-        // Helper function to add vectors
-        const add = (a, b) => [a[0]+b[0], a[1]+b[1], a[2]+b[2]];
-
-        // Helper function to scale a vector
-        const scale = (v, s) => [v[0]*s, v[1]*s, v[2]*s];
-
-        // Helper function to calculate dot product
-        const dot = (a, b) => a[0]*b[0] + a[1]*b[1] + a[2]*b[2];
-
-        // Helper to convert from cube face direction + UV to 3D direction vector
-        const faceDirToVector = (faceIdx, u, v) => {
-            // Map u,v from [0,1] to [-1,1]
-            const nx = u * 2 - 1;
-            const ny = v * 2 - 1;
-
-            // Calculate direction based on face index
-            // Order: +X, -X, +Y, -Y, +Z, -Z
-            switch(faceIdx) {
-                case 0: return normalize([1, -ny, -nx]);  // +X face
-                case 1: return normalize([-1, -ny, nx]);  // -X face
-                case 2: return normalize([nx, 1, ny]);    // +Y face (up)
-                case 3: return normalize([nx, -1, -ny]);  // -Y face (down)
-                case 4: return normalize([nx, -ny, 1]);   // +Z face
-                case 5: return normalize([-nx, -ny, -1]); // -Z face
-            }
-            return [0, 0, 0];
-        };
+        this.environmentPreset = { name, color: settings.color ? [...settings.color] : null };
+        return true;
+    }
 
-        // Helper function to blend colors based on direction
-        const getEnvironmentColor = (dir) => {
-            // Normalize direction
-            dir = normalize(dir);
-
-            // Calculate sky gradient based on y component (up direction)
-            const skyFactor = Math.max(0, dir[1]); // 0 at horizon, 1 at zenith
-            const groundFactor = Math.max(0, -dir[1]); // 0 at horizon, 1 at nadir
-
-            // Get basic sky/ground gradient
-            let color;
-            if (dir[1] >= 0) {
-                // Sky gradient from horizon to top
-                color = [
-                    skyColors.horizon[0] * (1-skyFactor) + skyColors.top[0] * skyFactor,
-                    skyColors.horizon[1] * (1-skyFactor) + skyColors.top[1] * skyFactor,
-                    skyColors.horizon[2] * (1-skyFactor) + skyColors.top[2] * skyFactor
-                ];
-            } else {
-                // Ground gradient from horizon to bottom
-                color = [
-                    skyColors.horizon[0] * (1-groundFactor) + skyColors.ground[0] * groundFactor,
-                    skyColors.horizon[1] * (1-groundFactor) + skyColors.ground[1] * groundFactor,
-                    skyColors.horizon[2] * (1-groundFactor) + skyColors.ground[2] * groundFactor
-                ];
-            }
+    /**
+     * Light the scene with a procedural sky
+     * Regenerates the environment map and moves the sun light and the ambient
+     * color with the sky, so shadows and reflections agree. Call again after
+     * changing the sky.
+     * @param {Sky} sky - The sky to show
+     * @returns {boolean} True if the sky was applied
+     */
+    setSky(sky) {
+        if (!this.showEnvironmentImage(sky.generateImage(), sky.name)) return false;
+        this.environmentPreset = null;
+
+        const lightCount = this.lightManager.lights.length;
+        const light = this.getSunLight();
+
+        // Remember what the sky takes over, for when another environment replaces it
+        if (!this.sky) {
+            this.lightingBeforeSky = {
+                ambientColor: [...this.ambientColor],
+                lightId: light ? light.id : null,
+                addedLight: this.lightManager.lights.length > lightCount,
+                direction: light ? [...light.direction] : null,
+                color: light ? [...light.color] : null,
+                intensity: light ? light.intensity : 0
+            };
+        }
+        this.sky = sky;
+
+        if (light) {
+            const sun = sky.getLight();
+            light.direction = sun.direction;
+            light.color = sun.color;
+            light.intensity = sun.intensity;
+            light.markDirty();
+        }
 
-            // Add a bright sun
-            const sunDirNorm = normalize(skyColors.sunDirection);
-            const sunAngle = dot(dir, sunDirNorm);
-            const sunPower = 1 / Math.max(0.001, skyColors.sunSize); // Avoid division by zero, make smaller size sharper
-            // Use smoothstep for a slightly softer edge, or pow for sharper
-            // let sunFactor = Math.pow(Math.max(0.0, sunAngle), sunPower);
-            const sunThreshold = Math.cos(skyColors.sunSize * Math.PI * 0.5); // Angle to radius approximation
-            let sunFactor = Math.max(0.0, (sunAngle - sunThreshold) / (1.0 - sunThreshold));
-            sunFactor = Math.pow(sunFactor, 2); // Make it fade faster
-
-            if (sunFactor > 0) {
-                 color = add(color, scale(skyColors.sunColor, sunFactor * skyColors.sunIntensity));
-            }
+        this.ambientColor = sky.getAmbientColor();
+        return true;
+    }
 
-            // Clamp and convert to 0-255 range for p5 color
-            return [
-                Math.min(255, Math.max(0, color[0] * 255)),
-                Math.min(255, Math.max(0, color[1] * 255)),
-                Math.min(255, Math.max(0, color[2] * 255))
-            ];
+    /**
+     * Give back the ambient color and sun light the sky took over
+     * Without a record of them (e.g. the sky came from a scene file), the CONFIG defaults are used.
+     * Does nothing while no sky is shown.
+     * @private
+     */
+    restoreLightingBeforeSky() {
+        if (!this.sky) return;
+
+        const saved = this.lightingBeforeSky || {
+            ambientColor: CONFIG.lights.ambient.color.map(c => c * CONFIG.lights.ambient.intensity),
+            lightId: this.sunLightId,
+            addedLight: false,
+            direction: CONFIG.lights.directional.direction,
+            color: CONFIG.lights.directional.color,
+            intensity: CONFIG.lights.directional.intensity
         };
+        this.sky = null;
+        this.lightingBeforeSky = null;
 
-        // Draw each face using standard 2D drawing functions
-        faces.forEach((face, i) => {
-            face.loadPixels(); // Ensure pixel array is ready if using direct pixel manipulation later
+        this.ambientColor = [...saved.ambientColor];
 
-            // Use beginShape/endShape for potentially faster drawing than rects
-            face.noStroke();
-            const resolution = 16; // Draw grid cells
-            const cellSize = face.width / resolution;
-
-            for (let y = 0; y < resolution; y++) {
-                for (let x = 0; x < resolution; x++) {
-                    const u = (x + 0.5) / resolution;
-                    const v = (y + 0.5) / resolution;
-                    const dir = faceDirToVector(i, u, v);
-                    const col = getEnvironmentColor(dir);
-
-                    face.fill(col[0], col[1], col[2]);
-                    face.rect(x * cellSize, y * cellSize, cellSize, cellSize);
-                }
-            }
-             face.updatePixels(); // Update the canvas if pixels were manipulated directly
-        });
-         console.log("Generated environment map faces.");
+        const light = this.lightManager.getLight(saved.lightId);
+        if (!light || light.type !== Light.TYPES.DIRECTIONAL) return;
+        if (saved.addedLight) {
+            this.lightManager.removeLight(light.id);
+            return;
+        }
+        light.direction = [...saved.direction];
+        light.color = [...saved.color];
+        light.intensity = saved.intensity;
+        light.markDirty();
     }
 
-
-    // ============================================================== //
-    // ==  UPDATED createCubemapTexture Method                      == //
-    // ==  Re-enabling texture parameters                           == //
-    // ============================================================== //
     /**
-     * Create a WebGL cubemap texture from six p5.Graphics objects
-     * @param {Array<p5.Graphics>} faces - Array of 6 p5.Graphics for each cube face
-     * @returns {WebGLTexture | null} The created cubemap texture or null on failure
+     * Get the directional light a sky drives
+     * The one it drove before, else the first directional light; one is added if there is none.
+     * @returns {Light|null} The sun light, or null when the light limit is reached
      */
-    createCubemapTexture(faces) {
-        console.log("[createCubemapTexture] Starting cubemap creation.");
-        const gl = this.p._renderer.GL;
-        if (!gl) {
-            console.error("[createCubemapTexture] WebGL context not available.");
-            return null;
-        }
-        
-        const texture = gl.createTexture();
-        if (!texture) {
-             console.error("[createCubemapTexture] Failed to create WebGL texture object.");
-             return null;
+    getSunLight() {
+        let light = this.lightManager.getLight(this.sunLightId);
+        if (!light || light.type !== Light.TYPES.DIRECTIONAL) {
+            light = this.lightManager.getAllLights().find(l => l.type === Light.TYPES.DIRECTIONAL) ||
+                this.lightManager.addLight(new Light({ type: Light.TYPES.DIRECTIONAL }));
+            this.sunLightId = light ? light.id : null;
         }
-        
-        gl.bindTexture(gl.TEXTURE_CUBE_MAP, texture);
+        return light;
+    }
 
-        // Set texture parameters - RE-ENABLED
-        try {
-            // Use settings known to be safe for NPOT textures even in WebGL1
-            gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-            gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-            gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-            gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-            
-            // Add R coordinate wrapping for cubemaps
-            if (gl.getExtension('EXT_texture_filter_anisotropic')) {
-                gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_WRAP_R, gl.CLAMP_TO_EDGE);
+    /**
+     * Paint an environment preset into an equirectangular image
+     * A preset is either a flat color, or a gradient from the ground through the
+     * horizon to the top of the sky with light sources on it: discs (size is the
+     * angular radius) or rectangles (width and height), all sizes in degrees.
+     * Values aren't clamped, so lights stay brighter than the sky around them.
+     * @param {Object} preset - Preset {color} or {top, horizon, ground, lights}
+     * @param {number} width - Image width in pixels (the height is half of it)
+     * @returns {Object} Image {width, height, data} with linear RGBA floats, top row first
+     */
+    generateEnvironment(preset, width = 256) {
+        const height = width / 2;
+        const data = new Float32Array(width * height * 4);
+
+        const top = preset.color || preset.top;
+        const horizon = preset.color || preset.horizon;
+        const ground = preset.color || preset.ground;
+
+        // Orient each light: discs need only their center, rectangles a frame around it
+        const lights = (preset.lights || []).map(light => {
+            const center = MathUtils.normalize(light.direction);
+            const right = Math.abs(center[1]) < 0.999 ?
+                MathUtils.normalize(MathUtils.cross([0, 1, 0], center)) : [1, 0, 0];
+            return {
+                ...light,
+                center,
+                right,
+                up: MathUtils.cross(center, right),
+                threshold: Math.cos(MathUtils.degToRad(light.size || 0))
+            };
+        });
+
+        for (let y = 0; y < height; y++) {
+            // Rows run from straight up to straight down, columns around the horizon
+            const theta = (y + 0.5) / height * Math.PI;
+            for (let x = 0; x < width; x++) {
+                const phi = ((x + 0.5) / width - 0.5) * 2 * Math.PI;
+                const dir = [Math.sin(theta) * Math.cos(phi), Math.cos(theta), Math.sin(theta) * Math.sin(phi)];
+
+                // Sky gradient from horizon to top, ground gradient from horizon to bottom
+                const far = dir[1] >= 0 ? top : ground;
+                const t = Math.abs(dir[1]);
+                const color = horizon.map((c, i) => c * (1 - t) + far[i] * t);
+
+                lights.forEach(light => {
+                    const factor = this.getEnvironmentLightFactor(light, dir);
+                    for (let i = 0; i < 3; i++) color[i] += light.color[i] * light.intensity * factor;
+                });
+
+                const offset = (y * width + x) * 4;
+                data.set(color, offset);
+                data[offset + 3] = 1;
             }
-            
-            console.log("[createCubemapTexture] Texture parameters set successfully.");
-        } catch (e) {
-            console.warn("[createCubemapTexture] Error setting texture parameters:", e);
-            // Continue anyway - some platforms might still work without these
         }
 
-        const targets = [
-            gl.TEXTURE_CUBE_MAP_POSITIVE_X, gl.TEXTURE_CUBE_MAP_NEGATIVE_X,
-            gl.TEXTURE_CUBE_MAP_POSITIVE_Y, gl.TEXTURE_CUBE_MAP_NEGATIVE_Y,
-            gl.TEXTURE_CUBE_MAP_POSITIVE_Z, gl.TEXTURE_CUBE_MAP_NEGATIVE_Z
-        ];
+        return { width, height, data };
+    }
 
-        let tempCanvas, tempCtx;
-        try {
-             tempCanvas = document.createElement('canvas');
-             tempCtx = tempCanvas.getContext('2d');
-             if (!tempCanvas || !tempCtx) throw new Error("Failed to create temporary canvas/context.");
-        } catch (e) {
-             console.error("[createCubemapTexture] Error creating temporary canvas:", e);
-             gl.bindTexture(gl.TEXTURE_CUBE_MAP, null);
-             gl.deleteTexture(texture);
-             return null;
+    /**
+     * Get how much of an environment preset light covers a direction
+     * @param {Object} light - Light oriented by generateEnvironment
+     * @param {Array<number>} dir - Unit direction
+     * @returns {number} Coverage (0-1)
+     * @private
+     */
+    getEnvironmentLightFactor(light, dir) {
+        const forward = MathUtils.dot(dir, light.center);
+
+        // Rectangles have sharp edges softened over a fifth of their smaller side
+        if (light.width !== undefined) {
+            if (forward <= 0) return 0;
+            const u = Math.abs(MathUtils.radToDeg(Math.atan2(MathUtils.dot(dir, light.right), forward)));
+            const v = Math.abs(MathUtils.radToDeg(Math.atan2(MathUtils.dot(dir, light.up), forward)));
+            const edge = Math.min(light.width, light.height) * 0.1;
+            return (1 - MathUtils.smoothstep(light.width / 2 - edge, light.width / 2 + edge, u)) *
+                (1 - MathUtils.smoothstep(light.height / 2 - edge, light.height / 2 + edge, v));
         }
 
-        console.log("[createCubemapTexture] Processing faces...");
-        let success = true;
+        // Discs fade quickly from the center
+        const factor = Math.max(0.0, (forward - light.threshold) / (1.0 - light.threshold));
+        return factor * factor;
+    }
+
+    /**
+     * Update the data textures with current shape, material and light data
+     * Each only uploads what changed since the last frame
+     * @returns {boolean} True if anything was uploaded
+     */
+    updateDataTextures() {
+        // Pick emissive light sources before the shape upload clears the dirty flags
+        const emitters = this.getLightEmitters();
+        const emitterIds = emitters.map(emitter => emitter.shape.id).join(',');
+        const emittersChanged = emitterIds !== this.uploadedEmitterIds || emitters.some(emitter => emitter.shape.dirty);
+        
+        // Update shape data texture (skips clean rows itself)
+        const shapes = this.shapeManager.getAllShapes();
+        const shapesChanged = this.shapeDataTexture.hasShapeChanges(shapes);
+        this.shapeDataTexture.updateShapeTexture(shapes);
         
-        for (let i = 0; i < faces.length; i++) {
-            const face = faces[i];
-            const target = targets[i];
+        // Update material data texture, only after the library changed
+        const materialVersion = this.materialLibrary.getVersion();
+        const materialsChanged = materialVersion !== this.uploadedMaterialVersion;
+        if (materialsChanged) {
+            this.shapeDataTexture.updateMaterialTexture(this.materialLibrary.getAllMaterials());
+            this.uploadedMaterialVersion = materialVersion;
+        }
+        
+        // Update light data texture, only after a light, an emitter or its material changed
+        const lightVersion = this.lightManager.getVersion();
+        const lightsChanged = lightVersion !== this.uploadedLightVersion || emittersChanged || materialsChanged;
+        if (lightsChanged) {
+            const lights = this.lightManager.getAllLights().concat(
+                emitters.map(emitter => Light.fromEmissiveShape(emitter.shape, emitter.material, emitter.radius))
+            );
+            this.shapeDataTexture.updateLightTexture(lights);
+            this.uploadedLightVersion = lightVersion;
+            this.uploadedEmitterIds = emitterIds;
+        }
+        
+        return shapesChanged || materialsChanged || lightsChanged;
+    }
+    
+    /**
+     * Switch the path-traced reference render mode on or off
+     * @param {boolean} enabled - Whether to accumulate path-traced samples
+     */
+    setReferenceMode(enabled) {
+        this.referenceMode = enabled;
+        this.accumulationKey = null;
+        if (this.temporalAA) this.temporalAA.reset();
+    }
+    
+    /**
+     * Switch supersampled stills on or off
+     * Without TAA's reprojection a still camera converges to a clean image for screenshots
+     * @param {boolean} enabled - Whether to average jittered realtime frames
+     */
+    setSupersampleStill(enabled) {
+        this.supersampleStill = enabled;
+        this.accumulationKey = null;
+        if (this.temporalAA) this.temporalAA.reset();
+    }
+    
+    /**
+     * Get how far the reference render or supersampled still has converged
+     * @returns {Object} {samples, maxSamples}; samples is 0 while nothing is accumulated
+     */
+    getAccumulationProgress() {
+        const postProcess = this.postProcess;
+        const accumulating = this.referenceMode || this.supersampleStill;
+        return {
+            samples: accumulating && postProcess ? postProcess.sampleCount : 0,
+            maxSamples: postProcess ? postProcess.maxSamples : CONFIG.render.accumulation.maxSamples
+        };
+    }
+    
+    /**
+     * Describe everything besides the data textures that accumulated samples depend on
+     * Accumulation restarts when this changes
+     * @returns {string} Camera, canvas size and render settings
+     */
+    getAccumulationKey() {
+        return [
+            ...(this.viewMatrix ? this.viewMatrix.mat4 : []),
+            this.p.width,
+            this.p.height,
+            ...this.ambientColor,
+            ...CONFIG.render.defaultBackground,
+            CONFIG.render.envMapEnabled,
+            CONFIG.render.envMapIntensity,
+            this.environment ? this.environment.version : 0,
+            CONFIG.render.shadowSoftness,
+            this.pathBounces
+        ].join(',');
+    }
+    
+    /**
+     * Pick the emissive shapes that light the scene
+     * Shapes whose material glows and has emitsLight set are ranked by emitted
+     * power (emissive luminance times surface area of their bounding sphere);
+     * the brightest ones, up to emissiveLightBudget and the free light slots,
+     * are lit as sphere lights.
+     * @returns {Array<Object>} Emitters {shape, material, radius}, brightest first
+     */
+    getLightEmitters() {
+        const budget = Math.min(this.emissiveLightBudget, CONFIG.lights.maxCount - this.lightManager.lights.length);
+        if (budget <= 0) return [];
+        
+        const emitters = [];
+        this.shapeManager.getAllShapes().forEach(shape => {
+            const material = shape ? this.materialLibrary.getMaterial(shape.materialId) : null;
+            if (!material || !material.emitsLight) return;
             
-            // Skip invalid faces but continue processing
-            if (!face || !face.elt || !(face.elt instanceof HTMLCanvasElement) || face.width <= 0 || face.height <= 0) {
-                console.warn(`[createCubemapTexture] Face ${i} is invalid - using placeholder.`);
-                const size = 64;
-                const placeholderData = new Uint8Array(size * size * 4);
-                for (let k = 0; k < placeholderData.length; k += 4) { 
-                    placeholderData[k] = 255; placeholderData[k + 1] = 0; 
-                    placeholderData[k + 2] = 255; placeholderData[k + 3] = 255; 
-                } 
-                
-                try {
-                    gl.texImage2D(target, 0, gl.RGBA, size, size, 0, gl.RGBA, gl.UNSIGNED_BYTE, placeholderData);
-                } catch (err) {
-                    console.error(`[createCubemapTexture] Failed to create placeholder for face ${i}:`, err);
-                    success = false;
-                }
-                continue;
-            }
+            const [r, g, b] = material.emissive;
+            const luminance = (0.2126 * r + 0.7152 * g + 0.0722 * b) * material.emissiveFactor;
+            if (luminance <= 0) return;
             
-            // Use a simpler, more direct approach to upload the texture
-            try {
-                gl.texImage2D(target, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, face.elt);
-                console.log(`[createCubemapTexture] Face ${i} uploaded successfully.`);
-            } catch (uploadError) {
-                console.error(`[createCubemapTexture] Error uploading face ${i}:`, uploadError);
-                success = false;
-                
-                // Create a red placeholder texture for failed uploads
-                const size = 64;
-                const placeholderData = new Uint8Array(size * size * 4);
-                for (let k = 0; k < placeholderData.length; k += 4) { 
-                    placeholderData[k] = 255; placeholderData[k + 1] = 0; 
-                    placeholderData[k + 2] = 0; placeholderData[k + 3] = 255; 
-                } 
-                
-                try {
-                    gl.texImage2D(target, 0, gl.RGBA, size, size, 0, gl.RGBA, gl.UNSIGNED_BYTE, placeholderData);
-                } catch (err) {
-                    console.error(`[createCubemapTexture] Failed to create error placeholder for face ${i}`);
-                }
-            }
-        }
-
-        gl.bindTexture(gl.TEXTURE_CUBE_MAP, null);
+            const radius = this.getEmitterRadius(shape);
+            if (radius >= DataTexture.WORLD_EXTENT) return; // Planes have no position to light from
+            
+            emitters.push({ shape, material, radius, power: luminance * radius * radius });
+        });
+        
+        return emitters.sort((a, b) => b.power - a.power).slice(0, budget);
+    }
 
-        if (!success) {
-            console.warn("[createCubemapTexture] One or more faces had issues, but texture may still work partially.");
-        } else {
-            console.log("[createCubemapTexture] Cubemap texture created successfully.");
+    /**
+     * Get the radius of a sphere enclosing a shape's rendered SDF
+     * Kept tight, as an emitter's light power grows with it and its shadow rays stop at it.
+     * @param {Shape} shape - The shape
+     * @returns {number} Radius in world units (infinite for planes)
+     */
+    getEmitterRadius(shape) {
+        const size = Array.isArray(shape.size) ? shape.size : [shape.size, shape.size, shape.size];
+        const definition = shape.definition;
+
+        // Types that know their extent; modifiers move the surface, so then only the collider follows it
+        if (definition && shape.modifiers.length === 0) {
+            if (definition.enclosingRadius) return definition.enclosingRadius(shape, size);
+            if (definition.boundingRadius) return definition.boundingRadius * Math.max(...size);
         }
 
-        return texture;
+        const body = shape.physicsBody;
+        if (!body) return Math.hypot(size[0], size[1], size[2]);
+
+        // Half the diagonal of the collider's bounds
+        body.updateAABB();
+        const center = [shape.position.x, shape.position.y, shape.position.z];
+        const lower = body.aabb.lowerBound;
+        const upper = body.aabb.upperBound;
+        return Math.hypot(
+            Math.max(center[0] - lower.x, upper.x - center[0]),
+            Math.max(center[1] - lower.y, upper.y - center[1]),
+            Math.max(center[2] - lower.z, upper.z - center[2])
+        );
     }
 
     /**
-     * Update the data textures with current shape and material data
+     * Project a world position to canvas pixels
+     * Inverts getCameraRay in the fragment shader, so overlays line up with the render
+     * @param {Array<number>} position - World position [x, y, z]
+     * @returns {Object|null} Canvas position {x, y}, or null when behind the camera
      */
-    updateDataTextures() {
-        // Update shape data texture
-        this.shapeDataTexture.updateShapeTexture(this.shapeManager.getAllShapes());
+    worldToScreen(position) {
+        if (!this.viewMatrix) return null;
+        
+        const m = this.viewMatrix.mat4;
+        const [x, y, z] = position;
+        const viewX = m[0] * x + m[4] * y + m[8] * z + m[12];
+        const viewY = m[1] * x + m[5] * y + m[9] * z + m[13];
+        const viewZ = m[2] * x + m[6] * y + m[10] * z + m[14];
+        if (viewZ > -CONFIG.camera.near) return null;
+        
+        const fovScale = Math.tan(MathUtils.degToRad(CONFIG.camera.fov) * 0.5);
+        const aspect = this.p.width / this.p.height;
+        const u = viewX / -viewZ / (fovScale * aspect);
+        const v = viewY / -viewZ / fovScale;
+        
+        return {
+            x: (u + 1) * 0.5 * this.p.width,
+            y: (v + 1) * 0.5 * this.p.height
+        };
+    }
+    
+    /**
+     * Get the camera ray through a canvas pixel, as traced by getCameraRay in the fragment shader
+     * @param {number} x - Canvas X in pixels
+     * @param {number} y - Canvas Y in pixels
+     * @returns {Object|null} Ray {origin, direction} as [x, y, z] arrays
+     */
+    screenToRay(x, y) {
+        if (!this.viewMatrix || !this.cameraPos) return null;
+        
+        const fovScale = Math.tan(MathUtils.degToRad(CONFIG.camera.fov) * 0.5);
+        const aspect = this.p.width / this.p.height;
+        const viewX = (2 * x / this.p.width - 1) * aspect * fovScale;
+        const viewY = (2 * y / this.p.height - 1) * fovScale;
+        const viewZ = -1;
+        
+        const m = this.viewMatrix.copy().invert().mat4;
+        const direction = MathUtils.normalize([
+            m[0] * viewX + m[4] * viewY + m[8] * viewZ,
+            m[1] * viewX + m[5] * viewY + m[9] * viewZ,
+            m[2] * viewX + m[6] * viewY + m[10] * viewZ
+        ]);
         
-        // Update material data texture
-        this.shapeDataTexture.updateMaterialTexture(this.materialLibrary.getAllMaterials());
+        return {
+            origin: [this.cameraPos.x, this.cameraPos.y, this.cameraPos.z],
+            direction: direction
+        };
     }
 
     /**
@@ -648,21 +942,75 @@ class Renderer {
         // Check if post-processing is enabled (only for advanced rendering)
         const usePostProcess = this.postProcess && this.postProcess.enabled && !this.usesFallback;
 
+        // Reference mode traces into the accumulation buffers instead (no bloom)
+        const referenceMode = this.referenceMode && this.postProcess && !this.usesFallback;
+        
+        // Supersampled stills average jittered realtime frames in the same buffers
+        const supersampling = !referenceMode && this.supersampleStill && this.postProcess && !this.usesFallback;
+        const accumulating = referenceMode || supersampling;
+
         // Check if we're using fallback rendering
         if (this.usesFallback && this.fallbackShader) {
             // FALLBACK RENDERING PATH
             this.renderFallback();
         } else {
             // NORMAL ADVANCED RENDERING PATH
-            // Update data textures with current state
-            if (this.shapeManager && this.shapeManager.getAllShapes && this.shapeManager.getAllShapes().length > 0) {
-                this.updateDataTextures();
+            // Update data textures with current state, also once the last shape is gone
+            // so its removal (and light edits in an empty scene) still reach the GPU
+            let sceneChanged = false;
+            if (this.shapeManager && this.shapeManager.getAllShapes) {
+                sceneChanged = this.updateDataTextures();
             }
             
-            // Get the render target (post-process buffer or screen)
-            const renderTarget = usePostProcess ? this.postProcess.beginRender() : null;
+            if (accumulating) {
+                this.postProcess.configureAccumulation(
+                    referenceMode ? CONFIG.render.accumulation.maxSamples : CONFIG.render.taa.supersamples,
+                    referenceMode // Path-traced samples are radiance, realtime frames are already tone mapped
+                );
+                
+                // Start over whenever the image being averaged would change
+                const accumulationKey = this.getAccumulationKey();
+                if (sceneChanged || accumulationKey !== this.accumulationKey) {
+                    this.postProcess.resetAccumulation();
+                    this.accumulationKey = accumulationKey;
+                }
+                
+                // Converged: keep showing the average without tracing more samples
+                if (this.postProcess.isConverged()) {
+                    this.postProcess.presentAccumulation();
+                    this.updatePerformanceMetrics(performance.now() - frameStartTime);
+                    return;
+                }
+            }
+            
+            // Get the render target (sample buffer, post-process buffer or screen)
+            const sampleTarget = accumulating ? this.postProcess.beginSample() : null;
+            const renderTarget = usePostProcess && !accumulating ? this.postProcess.beginRender() : null;
+
+            // Blend jittered frames over time (accumulated samples are averaged instead)
+            const taaTarget = !accumulating && this.temporalAA && this.temporalAA.enabled && this.viewMatrix
+                ? (renderTarget || p) : null;
+
+            // Draw at reduced resolution and upscale when the scaler asks for it
+            const scaledTarget = !accumulating && this.resolutionScaler && this.resolutionScaler.isActive()
+                ? (renderTarget || p) : null;
 
             try {
+                // TAA resolves the upscaled frame, so its buffer is the outer one
+                const taaBuffer = taaTarget ? this.temporalAA.begin(taaTarget) : null;
+                const scaledBuffer = scaledTarget ? this.resolutionScaler.begin(scaledTarget) : null;
+                
+                // Sub-pixel camera offset, in pixels of the buffer the ray-march pass draws into
+                const drawBuffer = scaledBuffer || taaBuffer || sampleTarget || renderTarget || p;
+                const resolution = [drawBuffer.width * drawBuffer.pixelDensity(), drawBuffer.height * drawBuffer.pixelDensity()];
+                let jitter = [0, 0];
+                if (taaBuffer) {
+                    jitter = this.temporalAA.jitter;
+                } else if (supersampling) {
+                    jitter = TemporalAA.getJitter(this.postProcess.sampleCount);
+                }
+                const jitterUV = [jitter[0] / resolution[0], jitter[1] / resolution[1]];
+
                 // If using post-processing, set the render target
                 if (renderTarget) {
                     renderTarget.push();
@@ -686,58 +1034,40 @@ class Renderer {
                 // Set scene uniforms
                 const shapeCount = this.shapeManager ? this.shapeManager.shapes.length : 0;
                 this.shader.setUniform('uShapeCount', shapeCount);
-                this.shader.setUniform('uLightDirection', this.lightDirection);
-                this.shader.setUniform('uLightColor', this.lightColor.map(c => c * this.lightIntensity));
                 this.shader.setUniform('uAmbientColor', this.ambientColor);
                 this.shader.setUniform('uShadowSoftness', CONFIG.render.shadowSoftness);
                 this.shader.setUniform('uBackgroundColor', CONFIG.render.defaultBackground);
 
-                // Environment mapping
-                let envMapEnabled = false;
-                if (this.environmentTexture && this.environmentTexture._tex) {
-                    try {
-                        // Verify the texture is valid
-                        const gl = p._renderer.GL;
-                        gl.bindTexture(gl.TEXTURE_CUBE_MAP, this.environmentTexture._tex);
-                        gl.bindTexture(gl.TEXTURE_CUBE_MAP, null); // Unbind to test
-                        envMapEnabled = CONFIG.render.envMapIntensity > 0;
-                    } catch (e) {
-                        envMapEnabled = false;
-                    }
-                }
-                
-                this.shader.setUniform('uEnvMapEnabled', envMapEnabled);
                 this.shader.setUniform('uEnvMapIntensity', CONFIG.render.envMapIntensity);
 
                 // Set time for animations
                 this.shader.setUniform('uTime', p.millis() / 1000.0);
 
+                // Reference mode: one jittered path per pixel, seeded by the sample index
+                this.shader.setUniform('uReferenceMode', referenceMode);
+                this.shader.setUniform('uResolution', resolution);
+                if (referenceMode) {
+                    this.shader.setUniform('uFrameIndex', this.postProcess.sampleCount);
+                    this.shader.setUniform('uPathBounces', this.pathBounces);
+                }
+                
+                // Anti-aliasing: the path tracer jitters by itself, TAA also needs the hit distances
+                this.shader.setUniform('uJitter', referenceMode ? [0, 0] : jitterUV);
+                this.shader.setUniform('uWriteDepth', !!taaBuffer);
+
                 // Bind data textures
                 if (shapeCount > 0 && this.shapeDataTexture) {
                     this.shapeDataTexture.bind(this.shader);
                 }
 
-                // Bind environment map 
-                if (envMapEnabled) {
-                    try {
-                        const gl = p._renderer.GL;
-                        if (gl && this.shader._glProgram) {
-                            const uniformLocation = gl.getUniformLocation(this.shader._glProgram, 'uEnvironmentMap');
-                            if (uniformLocation !== null) {
-                                // Activate texture unit 2 for environment map
-                                gl.activeTexture(gl.TEXTURE2);
-                                gl.bindTexture(gl.TEXTURE_CUBE_MAP, this.environmentTexture._tex);
-                                gl.uniform1i(uniformLocation, 2);
-                            }
-                        }
-                    } catch (e) {
-                        console.warn("Error binding environment map:", e);
-                    }
-                }
+                // Bind the environment maps; without them the shader falls back to a plain gradient sky
+                const useEnvironment = this.environment && CONFIG.render.envMapEnabled !== false && CONFIG.render.envMapIntensity > 0;
+                const environmentUnits = useEnvironment ? this.environment.bind(this.shader) : [];
+                this.shader.setUniform('uEnvMapEnabled', environmentUnits.length > 0);
 
                 // Bind material textures
                 if (this.textureManager) {
-                    this.textureManager.bindTextures(this.shader, 3);
+                    this.textureManager.bindTextures(this.shader);
                 }
 
                 // Draw a full-screen quad
@@ -751,27 +1081,40 @@ class Renderer {
                     p.pop();
                 }
 
+                if (scaledTarget) this.resolutionScaler.end(scaledTarget);
+                
+                if (taaTarget) {
+                    this.temporalAA.end(taaTarget, {
+                        position: [this.cameraPos.x, this.cameraPos.y, this.cameraPos.z],
+                        viewMatrix: this.viewMatrix,
+                        fov: CONFIG.camera.fov,
+                        aspect: p.width / p.height,
+                        jitter: jitterUV
+                    });
+                }
+
                 // Unbind textures
                 if (p._renderer && p._renderer.GL) {
                     const gl = p._renderer.GL;
                     gl.activeTexture(gl.TEXTURE0); gl.bindTexture(gl.TEXTURE_2D, null);
                     gl.activeTexture(gl.TEXTURE1); gl.bindTexture(gl.TEXTURE_2D, null);
-                    if (envMapEnabled) {
-                        gl.activeTexture(gl.TEXTURE2); gl.bindTexture(gl.TEXTURE_CUBE_MAP, null);
-                    }
-                    // Unbind texture manager units
-                    if (this.textureManager) {
-                        this.textureManager.unbindTextures(3);
-                    }
+                    if (this.environment) this.environment.unbind(environmentUnits);
+                    // Material textures are sampler uniforms, which p5 unbinds itself
                 }
 
-                // Apply post-processing
-                if (usePostProcess && this.postProcess) {
+                // Average the new sample, or apply post-processing
+                if (accumulating) {
+                    this.postProcess.endSample();
+                } else if (usePostProcess && this.postProcess) {
                     this.postProcess.endRender();
                 }
             } catch (err) {
                 console.error("Error during render:", err);
                 
+                // Don't leave offscreen buffers bound, or every later draw would go into them
+                let activeBuffer;
+                while ((activeBuffer = p._renderer.activeFramebuffer())) activeBuffer.end();
+                
                 // If we encounter an error during render, try to switch to fallback rendering
                 if (!this.usesFallback) {
                     console.warn("Switching to fallback rendering due to error");
@@ -795,6 +1138,11 @@ class Renderer {
         // Measure frame time
         const frameTime = performance.now() - frameStartTime;
         this.updatePerformanceMetrics(frameTime);
+
+        // Let the resolution follow the frame rate (accumulated samples have their own buffers)
+        if (this.resolutionScaler && !accumulating) {
+            this.resolutionScaler.update(p.deltaTime);
+        }
     }
     
     /**
@@ -841,16 +1189,19 @@ class Renderer {
             this.ambientColor[2] * 255
         );
         
-        // Add directional light
-        const dirX = -this.lightDirection[0];
-        const dirY = -this.lightDirection[1];
-        const dirZ = -this.lightDirection[2];
-        p.directionalLight(
-            this.lightColor[0] * 255 * this.lightIntensity,
-            this.lightColor[1] * 255 * this.lightIntensity,
-            this.lightColor[2] * 255 * this.lightIntensity,
-            dirX, dirY, dirZ
-        );
+        // Add scene lights; p5 has no area lights, so those become point lights
+        this.lightManager.getAllLights().forEach(light => {
+            const color = light.color.map(c => c * 255 * light.intensity);
+            const [x, y, z] = light.position;
+            
+            if (light.type === Light.TYPES.DIRECTIONAL) {
+                p.directionalLight(...color, -light.direction[0], -light.direction[1], -light.direction[2]);
+            } else if (light.type === Light.TYPES.SPOT) {
+                p.spotLight(...color, x, y, z, ...light.direction, MathUtils.degToRad(light.outerAngle));
+            } else {
+                p.pointLight(...color, x, y, z);
+            }
+        });
         
         // Draw a grid for reference
         p.push();
@@ -954,63 +1305,16 @@ class Renderer {
         p.strokeWeight(0.5);
         
         // Get size (handle both scalar and vector sizes)
-        let sizeX = shape.size;
-        let sizeY = shape.size;
-        let sizeZ = shape.size;
+        const size = Array.isArray(shape.size)
+            ? [shape.size[0] || 1, shape.size[1] || 1, shape.size[2] || 1]
+            : [shape.size, shape.size, shape.size];
         
-        if (Array.isArray(shape.size)) {
-            sizeX = shape.size[0] || 1;
-            sizeY = shape.size[1] || 1;
-            sizeZ = shape.size[2] || 1;
-        }
-        
-        // Draw appropriate shape based on type
-        switch (shape.type) {
-            case 0: // Sphere
-                p.sphere(sizeX);
-                break;
-                
-            case 1: // Box
-                p.box(sizeX * 2, sizeY * 2, sizeZ * 2);
-                break;
-                
-            case 2: // Torus
-                p.torus(sizeX * 1.5, sizeX * 0.5);
-                break;
-                
-            case 3: // Cylinder
-                p.cylinder(sizeX, sizeZ * 2);
-                break;
-                
-            case 4: // Cone
-                p.cone(sizeX, sizeZ * 2);
-                break;
-                
-            case 5: // Capsule (approximated as cylinder with spheres)
-                // Draw cylinder body
-                p.cylinder(sizeX, sizeZ * 2);
-                
-                // Draw end caps as spheres
-                p.push();
-                p.translate(0, sizeZ, 0);
-                p.sphere(sizeX);
-                p.pop();
-                
-                p.push();
-                p.translate(0, -sizeZ, 0);
-                p.sphere(sizeX);
-                p.pop();
-                break;
-                
-            case 6: // Plane
-                p.rotateX(Math.PI/2);
-                p.plane(sizeX * 100, sizeZ * 100);
-                break;
-                
-            default:
-                // Unknown shape type
-                p.sphere(sizeX); // Default to sphere
-                break;
+        // Draw with the routine registered for this shape type
+        if (shape.definition) {
+            shape.definition.drawFallback(p, shape, size);
+        } else {
+            // Unknown shape type
+            p.sphere(size[0]); // Default to sphere
         }
         
         p.pop(); // Restore state
@@ -1070,9 +1374,9 @@ class Renderer {
     // Utility to clean up WebGL resources (call when stopping the sketch)
     cleanup() {
         console.log("Cleaning up Renderer resources...");
-        if (this.environmentTexture && this.environmentTexture._tex) {
-            this.p._renderer.GL.deleteTexture(this.environmentTexture._tex);
-            this.environmentTexture = null;
+        if (this.environment) {
+            this.environment.cleanup();
+            this.environment = null;
         }
         if (this.shapeDataTexture) {
             this.shapeDataTexture.cleanup();
@@ -1089,6 +1393,14 @@ class Renderer {
          if (this.postProcess) {
              this.postProcess.cleanup();
              this.postProcess = null;
+        }
+        if (this.resolutionScaler) {
+            this.resolutionScaler.cleanup();
+            this.resolutionScaler = null;
+        }
+        if (this.temporalAA) {
+            this.temporalAA.cleanup();
+            this.temporalAA = null;
         }
          // Shaders are managed by p5, might not need explicit deletion unless created raw
     }
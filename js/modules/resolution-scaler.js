@@ -0,0 +1,222 @@
+/**
+ * Dynamic resolution scaler
+ * Renders the ray-march pass into a smaller buffer when frames take longer
+ * than the target frame time, upscales it with an edge-aware filter and
+ * raises the resolution again once the frame rate recovers.
+ */
+class ResolutionScaler {
+    /**
+     * Create a new resolution scaler
+     * @param {p5} p - The p5 instance
+     */
+    constructor(p) {
+        this.p = p;
+
+        // Settings
+        this.enabled = CONFIG.render.dynamicResolution.enabled;
+        this.locked = false; // Keep the current scale regardless of frame time
+        this.targetFPS = CONFIG.render.dynamicResolution.targetFPS;
+
+        // Fraction of the full resolution rendered in each dimension
+        this.scale = 1.0;
+
+        // Smoothed wall-clock frame time (ms) and when the scale last changed
+        this.frameTime = 0;
+        this.lastAdjustTime = 0;
+
+        // Low-resolution buffer and upscale shader per render target, since
+        // the screen and post-processing buffers can live in different contexts
+        this.targets = new Map();
+    }
+
+    /**
+     * Check whether the next frame should be rendered at reduced resolution
+     * @returns {boolean} True when the scale is below full resolution
+     */
+    isActive() {
+        return this.enabled && this.scale < 1.0;
+    }
+
+    /**
+     * Turn adaptive resolution on or off; off renders at full resolution
+     * @param {boolean} enabled - Whether the scale adapts to frame time
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) this.scale = 1.0;
+    }
+
+    /**
+     * Feed the time the last frame took and adjust the scale if it's due
+     * Wall-clock time between frames includes the GPU work, unlike timing the render call
+     * @param {number} frameTime - Milliseconds since the previous frame
+     */
+    update(frameTime) {
+        if (!(frameTime > 0)) return;
+
+        // Exponential moving average, so single slow frames don't trigger a change
+        this.frameTime = this.frameTime > 0 ? this.frameTime * 0.9 + frameTime * 0.1 : frameTime;
+
+        if (!this.enabled || this.locked) return;
+
+        const settings = CONFIG.render.dynamicResolution;
+        const now = performance.now();
+        if (now - this.lastAdjustTime < settings.adjustInterval) return;
+
+        const budget = 1000 / this.targetFPS;
+        let scale = this.scale;
+
+        if (this.frameTime > budget * 1.1) {
+            // Cost follows the pixel count, which goes with the square of the scale
+            scale *= Math.sqrt(budget / this.frameTime);
+        } else if (this.frameTime < budget * 1.02) {
+            // On target: probe upwards in small steps (vsync hides how much headroom is left)
+            scale += settings.recoverStep;
+        }
+
+        // Snap to steps so the buffer isn't reallocated for tiny changes
+        scale = Math.round(scale / settings.recoverStep) * settings.recoverStep;
+        scale = Math.min(1.0, Math.max(settings.minScale, scale));
+
+        if (scale !== this.scale) {
+            this.scale = scale;
+            this.lastAdjustTime = now;
+        }
+    }
+
+    /**
+     * Redirect drawing on a target into its low-resolution buffer
+     * Call before binding the ray-march shader, and end() after drawing the quad
+     * @param {p5|p5.Graphics} target - The canvas or graphics the frame is meant for
+     * @returns {p5.Framebuffer} The buffer being drawn to
+     */
+    begin(target) {
+        let entry = this.targets.get(target);
+        if (!entry) {
+            entry = {
+                buffer: target.createFramebuffer({
+                    width: 1,
+                    height: 1,
+                    format: this.p.HALF_FLOAT, // Keeps the hit distances TemporalAA reads from alpha
+                    channels: this.p.RGBA,
+                    depth: false,
+                    antialias: false,
+                    textureFiltering: this.p.NEAREST // The upscale filter reads exact texels
+                }),
+                shader: target.createShader(this.getVertexShader(), this.getUpscaleFragmentShader())
+            };
+            this.targets.set(target, entry);
+        }
+
+        const width = Math.max(1, Math.round(target.width * this.scale));
+        const height = Math.max(1, Math.round(target.height * this.scale));
+        if (entry.buffer.width !== width || entry.buffer.height !== height) {
+            entry.buffer.resize(width, height);
+        }
+
+        entry.buffer.begin();
+        return entry.buffer;
+    }
+
+    /**
+     * Stop drawing into the low-resolution buffer and upscale it onto its target
+     * @param {p5|p5.Graphics} target - The target passed to begin()
+     */
+    end(target) {
+        const entry = this.targets.get(target);
+        if (!entry) return;
+
+        const buffer = entry.buffer;
+        buffer.end();
+
+        target.push();
+        target.resetMatrix();
+        target.noStroke();
+        target.shader(entry.shader);
+        entry.shader.setUniform('uTexture', buffer);
+        entry.shader.setUniform('uTextureSize', [buffer.width * buffer.density, buffer.height * buffer.density]);
+        entry.shader.setUniform('uEdgeSharpness', CONFIG.render.dynamicResolution.edgeSharpness);
+        target.rect(0, 0, target.width, target.height);
+        target.pop();
+    }
+
+    /**
+     * Release the low-resolution buffers
+     */
+    cleanup() {
+        this.targets.forEach(entry => entry.buffer.remove());
+        this.targets.clear();
+    }
+
+    // Shader source code
+
+    /**
+     * Get vertex shader for the full-screen upscale quad
+     * @returns {string} Vertex shader source
+     */
+    getVertexShader() {
+        return `
+        attribute vec3 aPosition;
+        attribute vec2 aTexCoord;
+
+        varying vec2 vTexCoord;
+
+        void main() {
+            vTexCoord = aTexCoord;
+            vec4 positionVec4 = vec4(aPosition, 1.0);
+            positionVec4.xy = positionVec4.xy * 2.0 - 1.0;
+            gl_Position = positionVec4;
+        }`;
+    }
+
+    /**
+     * Get fragment shader for the edge-aware upscale
+     * Bilinear filtering whose weights fall off with the luminance difference
+     * to the nearest texel, so flat areas are smooth and edges stay sharp
+     * instead of blurring across silhouettes.
+     * @returns {string} Fragment shader source
+     */
+    getUpscaleFragmentShader() {
+        return `
+        precision highp float;
+
+        uniform sampler2D uTexture;
+        uniform vec2 uTextureSize;
+        uniform float uEdgeSharpness;
+
+        varying vec2 vTexCoord;
+
+        float luma(vec3 color) {
+            return dot(color, vec3(0.299, 0.587, 0.114));
+        }
+
+        void main() {
+            // The 2x2 texels around this pixel and its position between them
+            vec2 texel = vTexCoord * uTextureSize - 0.5;
+            vec2 base = floor(texel);
+            vec2 f = texel - base;
+            vec2 texelSize = 1.0 / uTextureSize;
+            vec2 uv = (base + 0.5) * texelSize;
+
+            vec3 c00 = texture2D(uTexture, uv).rgb;
+            vec3 c10 = texture2D(uTexture, uv + vec2(texelSize.x, 0.0)).rgb;
+            vec3 c01 = texture2D(uTexture, uv + vec2(0.0, texelSize.y)).rgb;
+            vec3 c11 = texture2D(uTexture, uv + texelSize).rgb;
+
+            vec3 nearest = f.y < 0.5 ? (f.x < 0.5 ? c00 : c10) : (f.x < 0.5 ? c01 : c11);
+            vec4 lumas = vec4(luma(c00), luma(c10), luma(c01), luma(c11));
+
+            // Bilinear weights, damped for texels across an edge from the nearest one
+            vec4 weights = vec4((1.0 - f.x) * (1.0 - f.y), f.x * (1.0 - f.y), (1.0 - f.x) * f.y, f.x * f.y);
+            weights *= exp(-uEdgeSharpness * abs(lumas - luma(nearest)));
+
+            vec3 color = (c00 * weights.x + c10 * weights.y + c01 * weights.z + c11 * weights.w)
+                       / (weights.x + weights.y + weights.z + weights.w);
+
+            // Alpha may hold hit distances for TemporalAA, which mustn't be averaged across edges
+            float alpha = texture2D(uTexture, (floor(vTexCoord * uTextureSize) + 0.5) * texelSize).a;
+
+            gl_FragColor = vec4(color, alpha);
+        }`;
+    }
+}
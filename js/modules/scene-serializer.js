@@ -0,0 +1,855 @@
+/**
+ * Scene serializer for saving and loading scenes as versioned JSON
+ * Captures shapes, materials, lighting, environment, background and camera pose
+ */
+class SceneSerializer {
+    /**
+     * Create a new scene serializer
+     * @param {p5} p - The p5 instance
+     * @param {ShapeManager} shapeManager - The shape manager instance
+     * @param {MaterialLibrary} materialLibrary - The material library instance
+     * @param {PhysicsSystem} physics - The physics system instance
+     * @param {Renderer} renderer - The renderer instance
+     * @param {CommandHistory} history - The command history, cleared on load (optional)
+     */
+    constructor(p, shapeManager, materialLibrary, physics, renderer, history) {
+        this.p = p;
+        this.shapeManager = shapeManager;
+        this.materialLibrary = materialLibrary;
+        this.physics = physics;
+        this.renderer = renderer;
+        this.history = history || null;
+
+        // Camera pose loaded before the first frame was drawn
+        this.pendingCameraPose = null;
+    }
+
+    /**
+     * Register a migration that upgrades scene data from one schema version to the next
+     * @param {number} fromVersion - Schema version the migration reads
+     * @param {Function} migrate - Function taking scene data and returning data for fromVersion + 1
+     */
+    static registerMigration(fromVersion, migrate) {
+        SceneSerializer.migrations[fromVersion] = migrate;
+    }
+
+    /**
+     * Capture the current scene as a plain object
+     * @returns {Object} Serialized scene data
+     */
+    serialize() {
+        return {
+            version: SceneSerializer.SCHEMA_VERSION,
+            savedAt: new Date().toISOString(),
+            customTypes: ShapeTypeRegistry.getAll()
+                .filter(type => type.custom)
+                .map(type => ({ id: type.id, name: type.name, code: type.code })),
+            shapes: this.shapeManager.getAllShapes().map(shape => shape.toJSON()),
+            materials: this.materialLibrary.getAllMaterials().map(material => material.toJSON()),
+            lighting: {
+                lights: this.renderer.lightManager.getAllLights().map(light => light.toJSON()),
+                ambientColor: [...this.renderer.ambientColor]
+            },
+            environment: this.getEnvironmentSettings(),
+            background: [...CONFIG.render.defaultBackground],
+            camera: this.getCameraPose()
+        };
+    }
+
+    /**
+     * Serialize the current scene to a JSON string
+     * @returns {string} JSON text
+     */
+    toJSONString() {
+        return JSON.stringify(this.serialize(), null, 2);
+    }
+
+    /**
+     * Rebuild the scene from serialized data
+     * @param {Object} data - Serialized scene data
+     * @returns {boolean} True if the scene was loaded
+     */
+    deserialize(data) {
+        try {
+            const scene = this.migrate(data);
+
+            // Check and build every object before the live scene is touched, so a malformed file leaves it as it was
+            this.validate(scene);
+            const materials = (scene.materials || []).map(json => Material.fromJSON(json));
+            const shapes = (scene.shapes || []).map(json => Shape.fromJSON(json, this.p));
+            const lights = scene.lighting && Array.isArray(scene.lighting.lights) ?
+                scene.lighting.lights.map(json => Light.fromJSON(json)) : null;
+
+            // Materials must be restored first so shapes resolve their material IDs
+            this.restoreMaterials(materials);
+            // Custom shape types must be compiled before the shapes that use them
+            this.restoreCustomTypes(scene.customTypes || []);
+            this.restoreShapes(shapes);
+
+            // The saved lights win over the ones a restored sky computes
+            if (scene.environment) this.restoreEnvironment(scene.environment);
+            if (scene.lighting) this.restoreLighting(lights, scene.lighting.ambientColor);
+
+            // setSky picked its sun among the previous scene's lights; point it back at the saved one
+            const environment = scene.environment;
+            if (lights && environment && environment.sky && environment.sunLightId !== undefined) {
+                this.renderer.sunLightId = environment.sunLightId;
+            }
+
+            if (Array.isArray(scene.background)) {
+                for (let i = 0; i < 3; i++) {
+                    CONFIG.render.defaultBackground[i] = scene.background[i];
+                }
+            }
+
+            if (scene.camera) this.setCameraPose(scene.camera);
+
+            // Edits recorded against the previous scene can no longer be undone
+            if (this.history) this.history.clear();
+
+            console.log(`Loaded scene (schema v${scene.version}) with ${(scene.shapes || []).length} shapes`);
+            return true;
+        } catch (err) {
+            console.error("Error loading scene:", err);
+            return false;
+        }
+    }
+
+    /**
+     * Parse JSON text and rebuild the scene from it
+     * @param {string} text - JSON text
+     * @returns {boolean} True if the scene was loaded
+     */
+    fromJSONString(text) {
+        try {
+            return this.deserialize(JSON.parse(text));
+        } catch (err) {
+            console.error("Invalid scene file:", err);
+            return false;
+        }
+    }
+
+    /**
+     * Upgrade scene data to the current schema version
+     * @param {Object} data - Serialized scene data
+     * @returns {Object} Scene data at SCHEMA_VERSION
+     */
+    migrate(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error("Scene data must be an object");
+        }
+
+        let scene = data;
+        let version = scene.version;
+
+        // Every file this app wrote carries a version; anything else is not a scene file
+        if (!Number.isInteger(version) || version < 1) {
+            throw new Error("Scene data has no schema version; only scenes saved by Material Flux can be loaded");
+        }
+        if (version > SceneSerializer.SCHEMA_VERSION) {
+            throw new Error(`Scene schema v${version} is newer than supported v${SceneSerializer.SCHEMA_VERSION}`);
+        }
+
+        while (version < SceneSerializer.SCHEMA_VERSION) {
+            const migration = SceneSerializer.migrations[version];
+            if (typeof migration !== 'function') {
+                throw new Error(`No migration registered from scene schema v${version}`);
+            }
+            scene = migration(scene);
+            version++;
+            scene.version = version;
+        }
+
+        return scene;
+    }
+
+    /**
+     * Check the values scene objects are built from
+     * Missing fields fall back to defaults, but present ones must be usable by
+     * the physics bodies and data textures.
+     * @param {Object} scene - Scene data at SCHEMA_VERSION
+     * @throws {Error} Naming the first invalid field
+     */
+    validate(scene) {
+        const number = SceneSerializer.checkNumber;
+        const vector = SceneSerializer.checkVector;
+
+        SceneSerializer.checkList(scene.customTypes, 'customTypes').forEach((type, i) => {
+            if (typeof type.name !== 'string' || typeof type.code !== 'string') {
+                throw new Error(`customTypes[${i}] needs a name and code`);
+            }
+        });
+
+        SceneSerializer.checkList(scene.shapes, 'shapes').forEach((shape, i) => {
+            const name = `shapes[${i}]`;
+            number(shape.id, `${name}.id`);
+            number(shape.type, `${name}.type`, { integer: true });
+            vector(shape.position, `${name}.position`);
+            vector(shape.orientation, `${name}.orientation`, [4]);
+            if (Array.isArray(shape.size)) {
+                vector(shape.size, `${name}.size`, [3], { positive: true });
+            } else {
+                number(shape.size, `${name}.size`, { positive: true });
+            }
+            number(shape.mass, `${name}.mass`, { nonNegative: true });
+            number(shape.friction, `${name}.friction`, { nonNegative: true });
+            number(shape.restitution, `${name}.restitution`, { nonNegative: true });
+            number(shape.materialId, `${name}.materialId`);
+            number(shape.blendMode, `${name}.blendMode`, { integer: true });
+            number(shape.blendShapeId, `${name}.blendShapeId`);
+            number(shape.blendFactor, `${name}.blendFactor`, { nonNegative: true });
+
+            if (shape.parameters !== undefined) {
+                if (!shape.parameters || typeof shape.parameters !== 'object') {
+                    throw new Error(`${name}.parameters must be an object`);
+                }
+                Shape.PARAMETER_KEYS.forEach(key => number(shape.parameters[key], `${name}.parameters.${key}`));
+            }
+
+            // Modifiers of unknown types are dropped by the Shape constructor
+            SceneSerializer.checkList(shape.modifiers, `${name}.modifiers`).forEach((modifier, j) => {
+                const definition = Shape.MODIFIER_TYPES[modifier.type];
+                if (!definition) return;
+                Object.keys(definition.params).forEach(key => {
+                    number(modifier[key], `${name}.modifiers[${j}].${key}`);
+                });
+            });
+        });
+
+        SceneSerializer.checkList(scene.materials, 'materials').forEach((material, i) => {
+            const name = `materials[${i}]`;
+            number(material.id, `${name}.id`);
+            vector(material.albedo, `${name}.albedo`);
+            vector(material.emissive, `${name}.emissive`);
+            ['metallic', 'roughness', 'emissiveFactor', 'ior', 'textureRotation', 'textureMapping'].forEach(key => {
+                number(material[key], `${name}.${key}`);
+            });
+            vector(material.textureScale, `${name}.textureScale`, [2]);
+            vector(material.textureOffset, `${name}.textureOffset`, [2]);
+
+            if (material.pattern !== undefined) {
+                if (!material.pattern || typeof material.pattern !== 'object') {
+                    throw new Error(`${name}.pattern must be an object`);
+                }
+                vector(material.pattern.color, `${name}.pattern.color`);
+                ['type', 'scale', 'turbulence', 'roughness', 'metallic'].forEach(key => {
+                    number(material.pattern[key], `${name}.pattern.${key}`);
+                });
+            }
+        });
+
+        const lighting = scene.lighting;
+        if (lighting) {
+            vector(lighting.ambientColor, 'lighting.ambientColor');
+            SceneSerializer.checkList(lighting.lights, 'lighting.lights').forEach((light, i) => {
+                const name = `lighting.lights[${i}]`;
+                number(light.id, `${name}.id`);
+                number(light.type, `${name}.type`, { integer: true });
+                vector(light.position, `${name}.position`);
+                vector(light.direction, `${name}.direction`);
+                vector(light.color, `${name}.color`);
+                ['intensity', 'range', 'innerAngle', 'outerAngle', 'width', 'height'].forEach(key => {
+                    number(light[key], `${name}.${key}`, { nonNegative: true });
+                });
+            });
+        }
+
+        const environment = scene.environment;
+        if (environment) {
+            number(environment.intensity, 'environment.intensity', { nonNegative: true });
+            vector(environment.color, 'environment.color');
+            if (environment.sky) {
+                ['timeOfDay', 'turbidity', 'heading'].forEach(key => {
+                    number(environment.sky[key], `environment.sky.${key}`);
+                });
+            }
+        }
+
+        vector(scene.background, 'background');
+        if (scene.camera) {
+            ['eye', 'center', 'up'].forEach(key => vector(scene.camera[key], `camera.${key}`));
+        }
+    }
+
+    /**
+     * Encode the current scene into a compact, URL-safe string
+     * @returns {Promise<string>} Promise resolving to the encoded scene
+     */
+    encodeForURL() {
+        const json = JSON.stringify(this.toCompact(this.serialize()));
+        const bytes = new TextEncoder().encode(json);
+
+        // Deflate when the browser supports it, otherwise ship plain JSON bytes
+        if (typeof CompressionStream === 'undefined') {
+            return Promise.resolve(SceneSerializer.HASH_PLAIN_PREFIX + SceneSerializer.bytesToBase64URL(bytes));
+        }
+
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+        return new Response(stream).arrayBuffer().then(buffer => {
+            return SceneSerializer.HASH_DEFLATE_PREFIX + SceneSerializer.bytesToBase64URL(new Uint8Array(buffer));
+        });
+    }
+
+    /**
+     * Decode a string produced by encodeForURL back into scene data
+     * @param {string} encoded - Encoded scene
+     * @returns {Promise<Object>} Promise resolving to serialized scene data
+     */
+    decodeFromURL(encoded) {
+        const compressed = encoded.startsWith(SceneSerializer.HASH_DEFLATE_PREFIX);
+        const plain = encoded.startsWith(SceneSerializer.HASH_PLAIN_PREFIX);
+        if (!compressed && !plain) {
+            return Promise.reject(new Error("Unrecognized scene link format"));
+        }
+
+        const bytes = SceneSerializer.base64URLToBytes(encoded.slice(2));
+
+        let textPromise;
+        if (compressed) {
+            if (typeof DecompressionStream === 'undefined') {
+                return Promise.reject(new Error("This browser cannot decompress scene links"));
+            }
+            const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            textPromise = new Response(stream).text();
+        } else {
+            textPromise = Promise.resolve(new TextDecoder().decode(bytes));
+        }
+
+        return textPromise.then(text => this.fromCompact(JSON.parse(text)));
+    }
+
+    /**
+     * Check location.hash for a shared scene
+     * @returns {string|null} Encoded scene from the hash, or null if none
+     */
+    getSceneFromHash() {
+        const hash = window.location.hash.replace(/^#/, '');
+        const key = SceneSerializer.HASH_KEY + '=';
+        return hash.startsWith(key) ? hash.slice(key.length) : null;
+    }
+
+    /**
+     * Load the scene encoded in location.hash
+     * @returns {Promise<boolean>} Promise resolving to true if a scene was loaded
+     */
+    loadFromHash() {
+        const encoded = this.getSceneFromHash();
+        if (!encoded) return Promise.resolve(false);
+
+        return this.decodeFromURL(encoded)
+            .then(data => this.deserialize(data))
+            .catch(err => {
+                console.error("Failed to load scene from link:", err);
+                return false;
+            });
+    }
+
+    /**
+     * Write the current scene into location.hash and return the full link
+     * @returns {Promise<string>} Promise resolving to the shareable URL
+     */
+    createShareLink() {
+        return this.encodeForURL().then(encoded => {
+            const url = `${window.location.origin}${window.location.pathname}${window.location.search}#${SceneSerializer.HASH_KEY}=${encoded}`;
+
+            // replaceState updates the address bar without firing hashchange
+            window.history.replaceState(null, '', url);
+            return url;
+        });
+    }
+
+    /**
+     * Convert serialized scene data into the compact link format
+     * Shapes become fixed-order tuples and numbers are rounded
+     * @param {Object} scene - Serialized scene data
+     * @returns {Object} Compact scene data
+     */
+    toCompact(scene) {
+        const r = SceneSerializer.round;
+
+        return {
+            v: scene.version,
+            x: (scene.customTypes || []).map(type => [type.id, type.name, type.code]),
+            s: scene.shapes.map(shape => [
+                shape.id,
+                shape.type,
+                shape.position.map(r),
+                shape.orientation.map(r),
+                Array.isArray(shape.size) ? shape.size.map(r) : r(shape.size),
+                r(shape.mass),
+                r(shape.friction),
+                r(shape.restitution),
+                shape.materialId,
+                shape.blendMode,
+                shape.blendShapeId,
+                r(shape.blendFactor),
+                shape.parameters ? Shape.PARAMETER_KEYS.map(key => r(shape.parameters[key] || 0)) : null,
+                (shape.modifiers || []).map(modifier => [
+                    modifier.type,
+                    ...Object.keys(Shape.MODIFIER_TYPES[modifier.type].params).map(key => r(modifier[key]))
+                ])
+            ]),
+            m: scene.materials.map(material => SceneSerializer.roundAll(material)),
+            l: [
+                scene.lighting.ambientColor.map(r),
+                scene.lighting.lights.map(light => [
+                    light.id,
+                    light.type,
+                    light.position.map(r),
+                    light.direction.map(r),
+                    light.color.map(r),
+                    r(light.intensity),
+                    r(light.range),
+                    r(light.innerAngle),
+                    r(light.outerAngle),
+                    r(light.width),
+                    r(light.height),
+                    light.castShadows ? 1 : 0
+                ])
+            ],
+            e: scene.environment ? SceneSerializer.roundAll(scene.environment) : null,
+            b: scene.background.map(r),
+            c: [scene.camera.eye.map(r), scene.camera.center.map(r), scene.camera.up.map(r)]
+        };
+    }
+
+    /**
+     * Expand compact link data back into serialized scene data
+     * @param {Object} compact - Compact scene data
+     * @returns {Object} Serialized scene data
+     */
+    fromCompact(compact) {
+        return {
+            version: compact.v,
+            customTypes: (compact.x || []).map(t => ({ id: t[0], name: t[1], code: t[2] })),
+            shapes: (compact.s || []).map(t => ({
+                id: t[0],
+                type: t[1],
+                position: t[2],
+                orientation: t[3],
+                size: t[4],
+                mass: t[5],
+                friction: t[6],
+                restitution: t[7],
+                materialId: t[8],
+                blendMode: t[9],
+                blendShapeId: t[10],
+                blendFactor: t[11],
+                parameters: Array.isArray(t[12]) ? Shape.PARAMETER_KEYS.reduce((parameters, key, i) => {
+                    parameters[key] = t[12][i];
+                    return parameters;
+                }, {}) : undefined,
+                modifiers: Array.isArray(t[13]) ? t[13]
+                    .filter(([type]) => Shape.MODIFIER_TYPES[type])
+                    .map(([type, ...values]) => {
+                        const modifier = Shape.createModifier(type);
+                        Object.keys(Shape.MODIFIER_TYPES[type].params).forEach((key, i) => {
+                            if (values[i] !== undefined) modifier[key] = values[i];
+                        });
+                        return modifier;
+                    }) : undefined
+            })),
+            materials: compact.m || [],
+            lighting: compact.l ? this.lightingFromCompact(compact.v, compact.l) : null,
+            environment: compact.e || null,
+            background: compact.b,
+            camera: compact.c ? { eye: compact.c[0], center: compact.c[1], up: compact.c[2] } : null
+        };
+    }
+
+    /**
+     * Expand compact lighting, in the layout of the link's schema version
+     * @param {number} version - Schema version of the link
+     * @param {Array} l - Compact lighting
+     * @returns {Object} Serialized lighting at that version
+     */
+    lightingFromCompact(version, l) {
+        // v1 links hold a single directional light
+        if (version < 2) {
+            return { direction: l[0], color: l[1], intensity: l[2], ambientColor: l[3] };
+        }
+
+        return {
+            ambientColor: l[0],
+            lights: (l[1] || []).map(t => ({
+                id: t[0],
+                type: t[1],
+                position: t[2],
+                direction: t[3],
+                color: t[4],
+                intensity: t[5],
+                range: t[6],
+                innerAngle: t[7],
+                outerAngle: t[8],
+                width: t[9],
+                height: t[10],
+                castShadows: !!t[11]
+            }))
+        };
+    }
+
+    /**
+     * Round a number for compact encoding
+     * @param {number} value - Value to round
+     * @returns {number} Value rounded to three decimals
+     */
+    static round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+
+    /**
+     * Round every number in plain data for compact encoding
+     * @param {Object} data - Data to copy
+     * @returns {Object} Copy with numbers rounded to three decimals
+     */
+    static roundAll(data) {
+        return JSON.parse(JSON.stringify(data, (key, value) => {
+            return typeof value === 'number' ? SceneSerializer.round(value) : value;
+        }));
+    }
+
+    /**
+     * Check an optional number in scene data
+     * @param {*} value - Value to check; undefined is allowed
+     * @param {string} name - Field path for the error message
+     * @param {Object} options - Extra limits {integer, positive, nonNegative}
+     * @throws {Error} If the value is present but not such a number
+     */
+    static checkNumber(value, name, options = {}) {
+        if (value === undefined) return;
+
+        let expected = null;
+        if (typeof value !== 'number' || !Number.isFinite(value)) expected = 'a finite number';
+        else if (options.integer && !Number.isInteger(value)) expected = 'an integer';
+        else if (options.positive && value <= 0) expected = 'a positive number';
+        else if (options.nonNegative && value < 0) expected = 'zero or a positive number';
+
+        if (expected) throw new Error(`${name} must be ${expected}, not ${JSON.stringify(value)}`);
+    }
+
+    /**
+     * Check an optional vector of numbers in scene data
+     * @param {*} value - Value to check; undefined is allowed
+     * @param {string} name - Field path for the error message
+     * @param {Array<number>} lengths - Allowed component counts
+     * @param {Object} options - Limits applied to every component (see checkNumber)
+     * @throws {Error} If the value is present but not such a vector
+     */
+    static checkVector(value, name, lengths = [3], options = {}) {
+        if (value === undefined) return;
+
+        if (!Array.isArray(value) || !lengths.includes(value.length)) {
+            throw new Error(`${name} must be an array of ${lengths.join(' or ')} numbers`);
+        }
+        value.forEach((component, i) => {
+            if (component === undefined) throw new Error(`${name}[${i}] is missing`);
+            SceneSerializer.checkNumber(component, `${name}[${i}]`, options);
+        });
+    }
+
+    /**
+     * Check an optional list of objects in scene data
+     * @param {*} value - Value to check; undefined and null read as empty
+     * @param {string} name - Field path for the error message
+     * @returns {Array<Object>} The list
+     * @throws {Error} If the value is not an array of objects
+     */
+    static checkList(value, name) {
+        if (value === undefined || value === null) return [];
+
+        if (!Array.isArray(value)) throw new Error(`${name} must be an array`);
+        value.forEach((item, i) => {
+            if (!item || typeof item !== 'object') throw new Error(`${name}[${i}] must be an object`);
+        });
+        return value;
+    }
+
+    /**
+     * Encode bytes as URL-safe base64 without padding
+     * @param {Uint8Array} bytes - Bytes to encode
+     * @returns {string} Base64url text
+     */
+    static bytesToBase64URL(bytes) {
+        let binary = '';
+        const chunkSize = 0x8000; // Avoid call stack limits on large scenes
+        for (let i = 0; i < bytes.length; i += chunkSize) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Decode URL-safe base64 text into bytes
+     * @param {string} text - Base64url text
+     * @returns {Uint8Array} Decoded bytes
+     */
+    static base64URLToBytes(text) {
+        let base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+        while (base64.length % 4) base64 += '=';
+
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    /**
+     * Remove all shapes from the scene and the physics world
+     */
+    clearScene() {
+        this.shapeManager.getAllShapes().forEach(shape => {
+            if (this.physics) this.physics.removeShape(shape);
+            shape.physicsBody = null;
+        });
+        this.shapeManager.clearShapes();
+    }
+
+    /**
+     * Replace the material library contents with loaded materials
+     * @param {Array<Material>} materials - Materials built from the scene file
+     */
+    restoreMaterials(materials) {
+        if (materials.length === 0) return;
+
+        this.materialLibrary.materials = [];
+        this.materialLibrary.nextId = 0;
+
+        materials.forEach(material => this.materialLibrary.addMaterial(material));
+
+        // Keep newly created materials from colliding with loaded IDs
+        Material.nextId = Math.max(Material.nextId, this.materialLibrary.nextId);
+    }
+
+    /**
+     * Replace the scene shapes with loaded shapes and create their physics bodies
+     * @param {Array<Shape>} shapes - Shapes built from the scene file
+     */
+    restoreShapes(shapes) {
+        this.clearScene();
+
+        // Add every shape before creating bodies so blend tools can find their targets
+        shapes.forEach(shape => {
+            if (!ShapeTypeRegistry.get(shape.type)) {
+                console.warn(`Unknown shape type ${shape.type}, loading shape ${shape.id} as a sphere`);
+                shape.type = 0;
+                shape.parameters = Shape.getDefaultParameters(0);
+            }
+            this.shapeManager.addShape(shape);
+        });
+
+        if (this.physics) {
+            shapes.forEach(shape => this.physics.addShape(shape));
+        }
+    }
+
+    /**
+     * Register and compile the scene's custom GLSL shape types
+     * @param {Array} customTypes - Serialized custom types [{id, name, code}]
+     */
+    restoreCustomTypes(customTypes) {
+        customTypes.forEach(type => {
+            // IDs outside the custom range would replace built-in types
+            if (!ShapeTypeRegistry.isCustomId(type.id)) {
+                console.error(`Skipping custom shape "${type.name}" with invalid type ID ${type.id}`);
+                return;
+            }
+
+            const result = this.renderer.defineCustomShape(type.name, type.code, type.id);
+            if (!result.success) {
+                console.error(`Failed to compile custom shape "${type.name}":`, result.errors);
+            }
+        });
+    }
+
+    /**
+     * Apply loaded lights and the ambient color to the renderer
+     * @param {Array<Light>|null} lights - Lights built from the scene file, null to keep the current ones
+     * @param {Array<number>} ambientColor - Serialized ambient color (optional)
+     */
+    restoreLighting(lights, ambientColor) {
+        if (lights) {
+            const lightManager = this.renderer.lightManager;
+            lightManager.clearLights();
+            lights.forEach(light => lightManager.addLight(light));
+
+            // The lighting a sky replaced belonged to the previous scene
+            this.renderer.lightingBeforeSky = null;
+        }
+        if (Array.isArray(ambientColor)) this.renderer.ambientColor = [...ambientColor];
+    }
+
+    /**
+     * Describe the renderer's environment lighting
+     * Loaded HDR images aren't stored, only their name.
+     * @returns {Object} Intensity and enabled flag, plus the preset {preset, color},
+     *                   the procedural sky {sky, sunLightId} or the image {image}
+     */
+    getEnvironmentSettings() {
+        const renderer = this.renderer;
+        const settings = {
+            enabled: CONFIG.render.envMapEnabled !== false,
+            intensity: CONFIG.render.envMapIntensity
+        };
+
+        if (renderer.sky) {
+            settings.sky = renderer.sky.toJSON();
+            settings.sunLightId = renderer.sunLightId;
+        } else if (renderer.environmentPreset) {
+            settings.preset = renderer.environmentPreset.name;
+            if (renderer.environmentPreset.color) settings.color = [...renderer.environmentPreset.color];
+        } else if (renderer.environment) {
+            settings.image = renderer.environment.name;
+        }
+
+        return settings;
+    }
+
+    /**
+     * Apply serialized environment settings to the renderer
+     * Runs before restoreLighting, which replaces the lights a sky moves with the saved ones.
+     * @param {Object} environment - Serialized environment
+     */
+    restoreEnvironment(environment) {
+        if (typeof environment.enabled === 'boolean') CONFIG.render.envMapEnabled = environment.enabled;
+        if (typeof environment.intensity === 'number') CONFIG.render.envMapIntensity = environment.intensity;
+
+        if (environment.sky) {
+            if (environment.sunLightId !== undefined) this.renderer.sunLightId = environment.sunLightId;
+            this.renderer.setSky(Sky.fromJSON(environment.sky));
+        } else if (environment.preset) {
+            this.renderer.setEnvironmentPreset(environment.preset, environment.color);
+        } else if (environment.image) {
+            console.warn(`Scene was lit by the image "${environment.image}", which scene files don't store; keeping the current environment`);
+        }
+    }
+
+    /**
+     * Read the current p5 camera pose
+     * @returns {Object} Camera pose with eye, center and up arrays
+     */
+    getCameraPose() {
+        const cam = this.p._renderer && this.p._renderer._curCamera;
+        if (!cam) {
+            return {
+                eye: [...CONFIG.camera.defaultPosition],
+                center: [...CONFIG.camera.defaultTarget],
+                up: [0, 1, 0]
+            };
+        }
+
+        return {
+            eye: [cam.eyeX, cam.eyeY, cam.eyeZ],
+            center: [cam.centerX, cam.centerY, cam.centerZ],
+            up: [cam.upX, cam.upY, cam.upZ]
+        };
+    }
+
+    /**
+     * Move the p5 camera to a serialized pose
+     * @param {Object} pose - Camera pose with eye, center and up arrays
+     */
+    setCameraPose(pose) {
+        // main.js resets the camera on the first frame, so hold the pose until then
+        if (this.p.frameCount < 1) {
+            this.pendingCameraPose = pose;
+            return;
+        }
+
+        const eye = pose.eye || CONFIG.camera.defaultPosition;
+        const center = pose.center || CONFIG.camera.defaultTarget;
+        const up = pose.up || [0, 1, 0];
+
+        this.p.camera(eye[0], eye[1], eye[2], center[0], center[1], center[2], up[0], up[1], up[2]);
+    }
+
+    /**
+     * Apply a camera pose that was loaded before the first frame
+     */
+    applyPendingCameraPose() {
+        if (!this.pendingCameraPose) return;
+
+        const pose = this.pendingCameraPose;
+        this.pendingCameraPose = null;
+        this.setCameraPose(pose);
+    }
+
+    /**
+     * Download the current scene as a JSON file
+     * @param {string} filename - Name of the downloaded file
+     */
+    downloadScene(filename = 'scene.json') {
+        const blob = new Blob([this.toJSONString()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Prompt the user for a scene file and load it
+     * @returns {Promise<boolean>} Promise resolving to true if a scene was loaded
+     */
+    uploadScene() {
+        return new Promise((resolve) => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.json,application/json';
+
+            input.addEventListener('change', () => {
+                const file = input.files && input.files[0];
+                if (!file) {
+                    resolve(false);
+                    return;
+                }
+
+                const reader = new FileReader();
+                reader.onload = () => resolve(this.fromJSONString(reader.result));
+                reader.onerror = () => {
+                    console.error("Failed to read scene file:", reader.error);
+                    resolve(false);
+                };
+                reader.readAsText(file);
+            });
+
+            input.click();
+        });
+    }
+}
+
+// Current scene file schema version
+SceneSerializer.SCHEMA_VERSION = 2;
+
+// Migrations keyed by the schema version they upgrade from
+SceneSerializer.migrations = {};
+
+// v1 stored one directional light; v2 stores a list of lights
+SceneSerializer.registerMigration(1, scene => {
+    const lighting = scene.lighting;
+    if (!lighting || Array.isArray(lighting.lights)) return scene;
+
+    return {
+        ...scene,
+        lighting: {
+            ambientColor: lighting.ambientColor,
+            lights: [{
+                type: Light.TYPES.DIRECTIONAL,
+                direction: lighting.direction,
+                color: lighting.color,
+                intensity: lighting.intensity
+            }]
+        }
+    };
+});
+
+// location.hash key and payload prefixes for shared scene links
+SceneSerializer.HASH_KEY = 'scene';
+SceneSerializer.HASH_DEFLATE_PREFIX = 'z.';
+SceneSerializer.HASH_PLAIN_PREFIX = 'j.';
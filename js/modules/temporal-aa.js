@@ -0,0 +1,291 @@
+/**
+ * Temporal anti-aliasing
+ * Offsets the camera by a different sub-pixel amount every frame and blends
+ * each frame into a history buffer. The history is reprojected with the
+ * previous view matrix, using the hit distance the ray-march shader writes to
+ * alpha, and clamped to the colors around each pixel in the new frame so
+ * moving objects don't leave trails.
+ */
+class TemporalAA {
+    /**
+     * Create a new temporal anti-aliasing pass
+     * @param {p5} p - The p5 instance
+     */
+    constructor(p) {
+        this.p = p;
+
+        this.enabled = CONFIG.render.taa.enabled;
+
+        // Position in the jitter sequence and this frame's offset in pixels
+        this.frameIndex = 0;
+        this.jitter = [0, 0];
+
+        // Input buffer, history buffers and shaders per render target, since
+        // the screen and post-processing buffers can live in different contexts
+        this.targets = new Map();
+    }
+
+    /**
+     * Turn temporal anti-aliasing on or off
+     * @param {boolean} enabled - Whether frames are jittered and blended
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.reset();
+    }
+
+    /**
+     * Drop the history, e.g. when it no longer matches what's on screen
+     */
+    reset() {
+        this.targets.forEach(entry => { entry.valid = false; });
+    }
+
+    /**
+     * Redirect drawing on a target into the TAA input buffer and pick this frame's jitter
+     * Call before binding the ray-march shader, and end() after drawing the quad
+     * @param {p5|p5.Graphics} target - The canvas or graphics the frame is meant for
+     * @returns {p5.Framebuffer} The buffer being drawn to
+     */
+    begin(target) {
+        let entry = this.targets.get(target);
+        if (!entry) {
+            entry = this.createEntry(target);
+            this.targets.set(target, entry);
+        }
+
+        // Buffers have explicit sizes so a resize can be detected and the history dropped
+        const buffers = [entry.input, ...entry.history];
+        if (buffers.some(buffer => buffer.width !== target.width || buffer.height !== target.height)) {
+            buffers.forEach(buffer => buffer.resize(target.width, target.height));
+            entry.valid = false;
+        }
+
+        this.frameIndex = (this.frameIndex + 1) % CONFIG.render.taa.jitterSamples;
+        this.jitter = TemporalAA.getJitter(this.frameIndex);
+
+        // Alpha carries the hit distance, so it must be written as is instead of blended
+        target.push();
+        target.blendMode(target.REPLACE);
+        entry.input.begin();
+        return entry.input;
+    }
+
+    /**
+     * Blend the frame drawn since begin() into the history and show the result on the target
+     * @param {p5|p5.Graphics} target - The target passed to begin()
+     * @param {Object} camera - How the frame was traced: {position, viewMatrix, fov, aspect, jitter},
+     *                          with the jitter in UV units of the buffer that was drawn
+     */
+    end(target, camera) {
+        const entry = this.targets.get(target);
+        if (!entry) return;
+
+        entry.input.end();
+
+        const previous = entry.history[entry.index];
+        const next = entry.history[1 - entry.index];
+        const view = camera.viewMatrix.mat4;
+        const shader = entry.resolveShader;
+
+        target.resetMatrix();
+        target.noStroke();
+
+        next.draw(() => {
+            target.shader(shader);
+            shader.setUniform('uCurrentTexture', entry.input);
+            shader.setUniform('uHistoryTexture', previous);
+            shader.setUniform('uTextureSize', [next.width * next.density, next.height * next.density]);
+            shader.setUniform('uCameraPosition', camera.position);
+            shader.setUniform('uInverseView', camera.viewMatrix.copy().invert().mat4);
+            shader.setUniform('uPreviousView', entry.previousView || view);
+            shader.setUniform('uFovScale', Math.tan(MathUtils.degToRad(camera.fov) * 0.5));
+            shader.setUniform('uAspect', camera.aspect);
+            shader.setUniform('uJitter', camera.jitter);
+            shader.setUniform('uBlend', CONFIG.render.taa.blend);
+            shader.setUniform('uReset', !entry.valid);
+            target.rect(0, 0, next.width, next.height);
+        });
+
+        entry.index = 1 - entry.index;
+        entry.valid = true;
+        entry.previousView = Array.from(view);
+
+        target.shader(entry.copyShader);
+        entry.copyShader.setUniform('uTexture', next);
+        target.rect(0, 0, target.width, target.height);
+        target.pop();
+    }
+
+    /**
+     * Create the buffers and shaders for a render target
+     * @param {p5|p5.Graphics} target - The canvas or graphics to resolve onto
+     * @returns {Object} Entry {input, history, index, valid, previousView, resolveShader, copyShader}
+     */
+    createEntry(target) {
+        const options = {
+            width: target.width,
+            height: target.height,
+            format: this.p.HALF_FLOAT, // Holds hit distances in alpha, and history blending below 1/255
+            channels: this.p.RGBA,
+            depth: false,
+            antialias: false
+        };
+
+        return {
+            // Read texel by texel; the history is sampled between texels after reprojection
+            input: target.createFramebuffer({ ...options, textureFiltering: this.p.NEAREST }),
+            history: [target.createFramebuffer(options), target.createFramebuffer(options)],
+            index: 0, // History buffer holding the latest result
+            valid: false,
+            previousView: null,
+            resolveShader: target.createShader(this.getVertexShader(), this.getResolveFragmentShader()),
+            copyShader: target.createShader(this.getVertexShader(), this.getCopyFragmentShader())
+        };
+    }
+
+    /**
+     * Release the buffers
+     */
+    cleanup() {
+        this.targets.forEach(entry => {
+            entry.input.remove();
+            entry.history.forEach(buffer => buffer.remove());
+        });
+        this.targets.clear();
+    }
+
+    /**
+     * Get a sub-pixel offset from the Halton (2, 3) sequence, which covers a pixel evenly
+     * @param {number} index - Position in the sequence
+     * @returns {Array<number>} Offset [x, y] in pixels, each in [-0.5, 0.5)
+     */
+    static getJitter(index) {
+        // Index 0 of the sequence is the pixel corner in both axes, so start at 1
+        return [TemporalAA.halton(index + 1, 2) - 0.5, TemporalAA.halton(index + 1, 3) - 0.5];
+    }
+
+    /**
+     * Get an element of the Halton low-discrepancy sequence
+     * @param {number} index - Element index (1 or more)
+     * @param {number} base - Prime base
+     * @returns {number} Value in [0, 1)
+     */
+    static halton(index, base) {
+        let result = 0;
+        let fraction = 1 / base;
+        while (index > 0) {
+            result += (index % base) * fraction;
+            index = Math.floor(index / base);
+            fraction /= base;
+        }
+        return result;
+    }
+
+    // Shader source code
+
+    /**
+     * Get vertex shader for the full-screen resolve quad
+     * @returns {string} Vertex shader source
+     */
+    getVertexShader() {
+        return `
+        attribute vec3 aPosition;
+        attribute vec2 aTexCoord;
+
+        varying vec2 vTexCoord;
+
+        void main() {
+            vTexCoord = aTexCoord;
+            vec4 positionVec4 = vec4(aPosition, 1.0);
+            positionVec4.xy = positionVec4.xy * 2.0 - 1.0;
+            gl_Position = positionVec4;
+        }`;
+    }
+
+    /**
+     * Get fragment shader that blends the new frame into the reprojected history
+     * Camera rays are rebuilt the way getCameraRay in the ray-march shader
+     * builds them, so only camera motion is reprojected; objects that move on
+     * their own rely on the neighbourhood clamp.
+     * @returns {string} Fragment shader source
+     */
+    getResolveFragmentShader() {
+        return `
+        precision highp float;
+
+        uniform sampler2D uCurrentTexture; // Color, and the hit distance in alpha (-1 where nothing was hit)
+        uniform sampler2D uHistoryTexture;
+        uniform vec2 uTextureSize;
+        uniform vec3 uCameraPosition;
+        uniform mat4 uInverseView;
+        uniform mat4 uPreviousView;
+        uniform float uFovScale;
+        uniform float uAspect;
+        uniform vec2 uJitter;
+        uniform float uBlend;
+        uniform bool uReset;
+
+        varying vec2 vTexCoord;
+
+        void main() {
+            vec4 current = texture2D(uCurrentTexture, vTexCoord);
+            if (uReset) {
+                gl_FragColor = vec4(current.rgb, 1.0);
+                return;
+            }
+
+            // The jittered ray this pixel was traced along (the ray-march shader flips Y)
+            vec2 ndc = 2.0 * (vec2(vTexCoord.x, 1.0 - vTexCoord.y) + uJitter) - 1.0;
+            vec3 viewDir = normalize(vec3(ndc.x * uAspect * uFovScale, ndc.y * uFovScale, -1.0));
+            vec3 worldDir = (uInverseView * vec4(viewDir, 0.0)).xyz;
+
+            // Reproject the hit point; for the background only the direction, so the sky follows rotation
+            vec4 point = current.a >= 0.0 ? vec4(uCameraPosition + worldDir * current.a, 1.0) : vec4(worldDir, 0.0);
+            vec3 previous = (uPreviousView * point).xyz;
+            vec2 previousUV = vec2(previous.x / (uFovScale * uAspect), previous.y / uFovScale) / -previous.z * 0.5 + 0.5;
+
+            // The history is stored unjittered
+            previousUV -= uJitter;
+            vec2 historyCoord = vec2(previousUV.x, 1.0 - previousUV.y);
+
+            // Nothing to blend with where the point was behind the camera or off screen
+            if (previous.z >= 0.0 || any(lessThan(historyCoord, vec2(0.0))) || any(greaterThan(historyCoord, vec2(1.0)))) {
+                gl_FragColor = vec4(current.rgb, 1.0);
+                return;
+            }
+
+            // Clamp the history to the colors around this pixel, rejecting what it no longer shows
+            vec2 texelSize = 1.0 / uTextureSize;
+            vec3 minColor = current.rgb;
+            vec3 maxColor = current.rgb;
+            for (int x = -1; x <= 1; x++) {
+                for (int y = -1; y <= 1; y++) {
+                    vec3 neighbour = texture2D(uCurrentTexture, vTexCoord + vec2(float(x), float(y)) * texelSize).rgb;
+                    minColor = min(minColor, neighbour);
+                    maxColor = max(maxColor, neighbour);
+                }
+            }
+            vec3 history = clamp(texture2D(uHistoryTexture, historyCoord).rgb, minColor, maxColor);
+
+            gl_FragColor = vec4(mix(history, current.rgb, uBlend), 1.0);
+        }`;
+    }
+
+    /**
+     * Get fragment shader that copies the resolved history onto the target
+     * @returns {string} Fragment shader source
+     */
+    getCopyFragmentShader() {
+        return `
+        precision highp float;
+
+        uniform sampler2D uTexture;
+
+        varying vec2 vTexCoord;
+
+        void main() {
+            gl_FragColor = vec4(texture2D(uTexture, vTexCoord).rgb, 1.0);
+        }`;
+    }
+}
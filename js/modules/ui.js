@@ -12,8 +12,10 @@ class UIManager {
      * @param {PhysicsSystem} physics - The physics system instance
      * @param {AudioSystem} audio - The audio system instance
      * @param {Renderer} renderer - The renderer instance
+     * @param {SceneSerializer} sceneSerializer - The scene serializer instance
+     * @param {RenderBenchmark} benchmark - The render benchmark instance
      */
-    constructor(p, shapeManager, materialLibrary, interaction, physics, audio, renderer) {
+    constructor(p, shapeManager, materialLibrary, interaction, physics, audio, renderer, sceneSerializer, benchmark) {
         this.p = p;
         this.shapeManager = shapeManager;
         this.materialLibrary = materialLibrary;
@@ -21,10 +23,60 @@ class UIManager {
         this.physics = physics;
         this.audio = audio;
         this.renderer = renderer;
+        this.sceneSerializer = sceneSerializer;
+        this.benchmark = benchmark;
         
         // UI objects
         this.pane = null;
         this.fpsElement = null;
+        this.shapeTab = null;
+        this.typeInput = null;
+        this.materialInput = null;
+        this.customEditor = null; // DOM elements of the custom SDF editor panel
+        this.selectedFolder = null;
+        this.selectedMaterialInput = null;
+        this.blendTargetInput = null;
+        this.parameterFolder = null;
+        this.parameterInputs = [];
+        this.parameterShapeType = null; // Shape type the parameter sliders were built for
+        this.modifierFolder = null;
+        this.modifierValues = [];       // Objects bound to the modifier inputs, one per modifier
+        this.modifierSignature = null;  // Shape ID and modifier types the modifier controls were built for
+        
+        // Material pattern editing state (see setupMaterialPatternControls)
+        this.patternFolder = null;
+        this.patternMaterialInput = null;
+        this.patternInputs = [];
+        this.syncingPattern = false;      // Suppresses change handlers during refresh
+        
+        // Material texture editing state (see setupMaterialTextureControls)
+        this.textureFolder = null;
+        this.textureMaterialInput = null;
+        this.textureSlotInputs = [];      // Texture dropdowns, one per UIManager.TEXTURE_SLOTS entry
+        this.textureInputs = [];
+        this.textureOptionCount = 0;      // Textures loaded when the dropdowns were built
+        this.syncingTexture = false;      // Suppresses change handlers during refresh
+        
+        // Light editing state (see setupLightControls)
+        this.lightManager = renderer ? renderer.lightManager : null;
+        this.lightGizmo = null;
+        this.lightTab = null;
+        this.lightSelectInput = null;
+        this.lightFolder = null;
+        this.lightInputs = [];
+        this.lightListSignature = null;   // Light IDs the light dropdown was built for
+        this.lightEditorSignature = null; // Light ID and type the light editor was built for
+        this.lastSelectedLight = null;
+        this.syncingLight = false;        // Suppresses change handlers during refresh
+        this.syncingEnvironment = false;  // Suppresses environment rebuilds during refresh
+        this.emissiveFolder = null;
+        this.emissiveMaterialInput = null;
+        this.emitsLightInput = null;
+        
+        // Selected shape editing state
+        this.lastSelectedShape = null;
+        this.pendingEdit = null;      // Snapshot taken when a slider drag starts
+        this.syncingSelection = false; // Suppresses change handlers during refresh
         
         // UI state
         this.params = {
@@ -54,21 +106,109 @@ class UIManager {
                 bloomEnabled: CONFIG.render.postProcess.bloom,
                 bloomThreshold: CONFIG.render.postProcess.bloomThreshold,
                 bloomIntensity: CONFIG.render.postProcess.bloomIntensity,
+                taaEnabled: CONFIG.render.taa.enabled,
+                supersampleStill: false,
                 envMapEnabled: CONFIG.render.envMapIntensity > 0,
                 envMapIntensity: CONFIG.render.envMapIntensity,
-                reflectionQuality: CONFIG.render.reflectionQuality
+                environmentName: CONFIG.render.environment.preset,
+                environmentPreset: CONFIG.render.environment.preset,
+                environmentColor: { r: 128, g: 128, b: 128 },  // Color of the Pure Color preset
+                reflectionQuality: CONFIG.render.reflectionQuality,
+                referenceMode: false,
+                pathBounces: CONFIG.render.accumulation.bounces,
+                samples: '0',         // Accumulated samples, shown while the reference render runs
+                dynamicResolution: CONFIG.render.dynamicResolution.enabled,
+                targetFPS: CONFIG.render.dynamicResolution.targetFPS,
+                lockScale: false,
+                renderScale: 1.0      // Current dynamic resolution scale, shown read-only
             },
             
             // Lighting
             lighting: {
-                intensity: CONFIG.lights.directional.intensity,
-                // Fix: Replace array with separate RGB values
-                colorR: Math.round(CONFIG.lights.directional.color[0] * 255),
-                colorG: Math.round(CONFIG.lights.directional.color[1] * 255),
-                colorB: Math.round(CONFIG.lights.directional.color[2] * 255),
                 ambient: CONFIG.lights.ambient.intensity
             },
             
+            // Procedural sky
+            sky: {
+                enabled: false,
+                timeOfDay: CONFIG.render.sky.timeOfDay,
+                turbidity: CONFIG.render.sky.turbidity,
+                heading: CONFIG.render.sky.heading
+            },
+            
+            // Light list
+            lights: {
+                newType: Light.TYPES.POINT,
+                selected: -1,
+                showGizmos: true,
+                emissiveBudget: CONFIG.lights.emissive.maxShapes,
+                material: 0,      // Material whose emitsLight toggle is shown
+                emitsLight: true
+            },
+            
+            // Selected light
+            light: {
+                posX: 0,
+                posY: 0,
+                posZ: 0,
+                dirX: 0,
+                dirY: -1,
+                dirZ: 0,
+                color: { r: 255, g: 255, b: 255 },
+                intensity: 1,
+                range: CONFIG.lights.point.range,
+                innerAngle: CONFIG.lights.spot.innerAngle,
+                outerAngle: CONFIG.lights.spot.outerAngle,
+                width: CONFIG.lights.area.width,
+                height: CONFIG.lights.area.height,
+                castShadows: true
+            },
+            
+            // Pattern of the material picked in the Material Pattern folder
+            pattern: {
+                material: 0,
+                type: Material.PATTERNS.NONE,
+                color: { r: 51, g: 51, b: 51 },
+                scale: 4.0,
+                turbulence: 1.0,
+                roughness: 0.5,
+                metallic: 0.0
+            },
+            
+            // Textures of the material picked in the Material Textures folder
+            texture: {
+                material: 0,
+                diffuse: -1,          // Texture index per UIManager.TEXTURE_SLOTS entry, -1 for none
+                normal: -1,
+                roughness: -1,
+                metallic: -1,
+                mapping: Material.TEXTURE_MAPPINGS.TRIPLANAR,
+                scaleX: 1.0,
+                scaleY: 1.0,
+                offsetX: 0.0,
+                offsetY: 0.0,
+                rotation: 0           // Degrees
+            },
+            
+            // Selected shape
+            selected: {
+                material: 0,
+                posX: 0,
+                posY: 0,
+                posZ: 0,
+                mass: CONFIG.physics.defaultMass,
+                friction: CONFIG.physics.defaultFriction,
+                restitution: CONFIG.physics.defaultRestitution,
+                blendMode: Shape.BLEND_MODES.UNION,
+                blendShapeId: -1,
+                blendFactor: 0.5,
+                param1: 0,
+                param2: 0,
+                param3: 0,
+                param4: 0,
+                newModifier: 'twist'
+            },
+            
             // Audio
             audio: {
                 enabled: CONFIG.audio.enabled,
@@ -99,6 +239,7 @@ class UIManager {
                 {title: 'Shapes'},
                 {title: 'Physics'},
                 {title: 'Rendering'},
+                {title: 'Lights'},
                 {title: 'Audio'}
             ]
         });
@@ -112,8 +253,11 @@ class UIManager {
         // Setup rendering controls
         this.setupRenderingControls(tabs.pages[2]);
         
+        // Setup light controls
+        this.setupLightControls(tabs.pages[3]);
+        
         // Setup audio controls
-        this.setupAudioControls(tabs.pages[3]);
+        this.setupAudioControls(tabs.pages[4]);
         
         // Setup FPS display if enabled
         if (CONFIG.ui.fps.show) {
@@ -128,19 +272,16 @@ class UIManager {
     setupShapeControls(tab) {
         // Store 'this' reference for use in closures
         const self = this;
+        this.shapeTab = tab;
         
-        // Shape type dropdown
-        tab.addInput(this.params.shape, 'type', {
-            label: 'Type',
-            options: {
-                Sphere: 0,
-                Box: 1,
-                Torus: 2,
-                Cylinder: 3,
-                Cone: 4,
-                Capsule: 5
-            }
-        });
+        // Shape type dropdown, listing every spawnable registered type
+        this.typeInput = this.createTypeInput(tab);
+        
+        // User-defined GLSL shapes
+        tab.addButton({
+            title: 'Edit Custom SDF',
+            label: 'Custom'
+        }).on('click', () => this.toggleCustomShapeEditor());
         
         // Shape size slider
         tab.addInput(this.params.shape, 'size', {
@@ -151,30 +292,9 @@ class UIManager {
         });
         
         // Material dropdown
-        const materialOptions = {};
-        
-        // FIXED: Direct material access without using getAllMaterials
-        if (this.materialLibrary && this.materialLibrary.materials) {
-            // Use direct array access instead of the problematic getAllMaterials method
-            const materials = this.materialLibrary.materials;
-            for (let i = 0; i < materials.length; i++) {
-                const material = materials[i];
-                if (material && material.name) {
-                    materialOptions[material.name] = material.id;
-                }
-            }
-        } else {
-            // Fallback material options
-            materialOptions["Default"] = 0;
-            materialOptions["Metal"] = 1;
-            materialOptions["Glass"] = 2;
-            materialOptions["Wood"] = 3;
-            materialOptions["Emissive"] = 4;
-        }
-        
-        tab.addInput(this.params.shape, 'material', {
+        this.materialInput = tab.addInput(this.params.shape, 'material', {
             label: 'Material',
-            options: materialOptions
+            options: this.getMaterialOptions()
         });
         
         // Add shape button
@@ -215,14 +335,14 @@ class UIManager {
                 console.log("Inside click handler, typeof this.p?.createVector:", typeof this.p?.createVector);
                 // --- END DEBUG LOGGING ---
                 // Call interaction handler to create shape
-                this.interaction.spawnShape(
+                const shape = this.interaction.spawnShape(
  // Use 'this' directly
                     this.params.shape.type,
                     position,
                     this.params.shape.size,
                     this.params.shape.material
                 );
-                console.log("Shape spawned successfully");
+                if (shape) console.log("Shape spawned successfully");
             } catch (err) {
                 console.error("Error creating shape:", err, err.stack);
             }
@@ -234,45 +354,927 @@ class UIManager {
             label: 'Clear'
         }).on('click', () => {
             try {
-                // Use a simple direct approach to clear shapes
                 console.log("Clearing all shapes");
                 
-                if (self.shapeManager && typeof self.shapeManager.clearShapes === 'function') {
-                    // Use built-in clear method if available
-                    self.shapeManager.clearShapes();
-                } else if (self.shapeManager && Array.isArray(self.shapeManager.shapes)) {
-                    // Manually clear shapes if needed
-                    const shapes = [...self.shapeManager.shapes];
-                    for (let i = 0; i < shapes.length; i++) {
-                        const shape = shapes[i];
-                        if (shape && shape.id !== undefined) {
-                            if (self.physics) self.physics.removeShape(shape);
-                            self.shapeManager.removeShape(shape.id);
-                        }
-                    }
+                // Remove through the interaction handler so the clear can be undone
+                if (self.interaction && typeof self.interaction.removeShapes === 'function') {
+                    self.interaction.removeShapes(self.shapeManager.getAllShapes(), 'Clear All');
                 } else {
-                    console.warn("ShapeManager doesn't have expected methods or properties");
+                    console.warn("InteractionHandler doesn't have expected methods");
                 }
             } catch (err) {
                 console.error("Error clearing shapes:", err);
             }
         });
         
-        // Add help text
-        tab.addSeparator();
+        // Undo/redo buttons
+        tab.addSeparator();
+        
+        tab.addButton({
+            title: 'Undo (Ctrl+Z)',
+            label: 'Undo'
+        }).on('click', () => {
+            this.interaction.undo();
+        });
+        
+        tab.addButton({
+            title: 'Redo (Ctrl+Shift+Z)',
+            label: 'Redo'
+        }).on('click', () => {
+            this.interaction.redo();
+        });
+        
+        // Selected shape editor
+        this.setupSelectedShapeControls(tab);
+        
+        // Procedural patterns and textures of the library materials
+        this.setupMaterialPatternControls(tab);
+        this.setupMaterialTextureControls(tab);
+        
+        // Scene save/load buttons
+        tab.addSeparator();
+        
+        tab.addButton({
+            title: 'Save Scene',
+            label: 'Download'
+        }).on('click', () => {
+            if (!this.sceneSerializer) return;
+            this.sceneSerializer.downloadScene();
+        });
+        
+        tab.addButton({
+            title: 'Load Scene',
+            label: 'Upload'
+        }).on('click', () => {
+            if (!this.sceneSerializer) return;
+            this.sceneSerializer.uploadScene().then(loaded => {
+                if (loaded) this.syncWithScene();
+            });
+        });
+        
+        tab.addButton({
+            title: 'Copy Scene Link',
+            label: 'Share'
+        }).on('click', () => {
+            if (!this.sceneSerializer) return;
+            this.sceneSerializer.createShareLink()
+                .then(url => this.copyToClipboard(url))
+                .catch(err => console.error("Failed to create scene link:", err));
+        });
+        
+        // Add help text
+        tab.addSeparator();
+        
+        // Help text parameter on the UI params object
+        if (!this.params.helpText) {
+            this.params.helpText = 'Click+drag to move objects\nDelete key to remove selected\nCtrl+Z / Ctrl+Shift+Z to undo/redo';
+        }
+        
+        // Add the text using a proper parameter binding
+        tab.addInput(this.params, 'helpText', {
+            label: 'Controls',
+            multiline: true,
+            readonly: true,
+            rows: 3
+        });
+    }
+    
+    /**
+     * Create the shape type dropdown
+     * @param {TweakpaneTab} tab - The tab to add the dropdown to
+     * @param {number} index - Position to insert the dropdown at (optional)
+     * @returns {Object} The input binding
+     */
+    createTypeInput(tab, index) {
+        const input = tab.addInput(this.params.shape, 'type', {
+            label: 'Type',
+            options: ShapeTypeRegistry.getUIOptions(),
+            index: index
+        });
+        
+        input.on('change', (ev) => {
+            // Start from the new type's default size
+            const type = ShapeTypeRegistry.get(ev.value);
+            if (type) {
+                this.params.shape.size = type.defaultSize;
+                this.pane.refresh();
+            }
+        });
+        
+        return input;
+    }
+    
+    /**
+     * Rebuild the shape type dropdown after the shape type registry changed
+     */
+    refreshShapeTypeOptions() {
+        if (!this.shapeTab || !this.typeInput) return;
+        
+        const index = this.shapeTab.children.indexOf(this.typeInput);
+        this.typeInput.dispose();
+        
+        if (!ShapeTypeRegistry.get(this.params.shape.type)) {
+            this.params.shape.type = 0;
+        }
+        
+        this.typeInput = this.createTypeInput(this.shapeTab, index >= 0 ? index : undefined);
+    }
+    
+    /**
+     * Show or hide the custom SDF editor panel, creating it on first use
+     */
+    toggleCustomShapeEditor() {
+        if (!this.customEditor) {
+            this.setupCustomShapeEditor();
+            return;
+        }
+        
+        const panel = this.customEditor.panel;
+        panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+    }
+    
+    /**
+     * Create the custom SDF editor panel
+     * Users paste a GLSL function float sdCustom(vec3 p, vec4 params) and compile it
+     * into a new shape type; compile errors are listed against the snippet's lines
+     */
+    setupCustomShapeEditor() {
+        const panel = document.createElement('div');
+        panel.style.position = 'absolute';
+        panel.style.top = '10px';
+        panel.style.left = '10px';
+        panel.style.width = '420px';
+        panel.style.padding = '8px';
+        panel.style.color = 'white';
+        panel.style.fontFamily = 'monospace';
+        panel.style.fontSize = '12px';
+        panel.style.backgroundColor = 'rgba(0, 0, 0, 0.75)';
+        panel.style.borderRadius = '3px';
+        panel.style.zIndex = '100';
+        
+        // Custom type being edited (New creates another type)
+        const typeSelect = document.createElement('select');
+        typeSelect.style.width = '100%';
+        
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.placeholder = 'Shape name';
+        nameInput.style.width = '100%';
+        nameInput.style.boxSizing = 'border-box';
+        nameInput.style.margin = '4px 0';
+        
+        const codeInput = document.createElement('textarea');
+        codeInput.rows = 16;
+        codeInput.spellcheck = false;
+        codeInput.style.width = '100%';
+        codeInput.style.boxSizing = 'border-box';
+        codeInput.style.fontFamily = 'monospace';
+        codeInput.style.fontSize = '12px';
+        codeInput.value = UIManager.CUSTOM_SDF_TEMPLATE;
+        
+        const compileButton = document.createElement('button');
+        compileButton.textContent = 'Compile';
+        
+        const closeButton = document.createElement('button');
+        closeButton.textContent = 'Close';
+        closeButton.style.marginLeft = '4px';
+        
+        const status = document.createElement('pre');
+        status.style.whiteSpace = 'pre-wrap';
+        status.style.margin = '6px 0 0 0';
+        
+        panel.append(typeSelect, nameInput, codeInput, compileButton, closeButton, status);
+        document.body.appendChild(panel);
+        
+        // Keep clicks and drags inside the panel away from the canvas interaction handlers
+        ['mousedown', 'mouseup', 'mousemove', 'wheel'].forEach(name => {
+            panel.addEventListener(name, (event) => event.stopPropagation());
+        });
+        
+        this.customEditor = { panel, typeSelect, nameInput, codeInput, status };
+        this.refreshCustomShapeList();
+        
+        typeSelect.addEventListener('change', () => {
+            const type = ShapeTypeRegistry.get(parseInt(typeSelect.value, 10));
+            nameInput.value = type ? type.name : '';
+            codeInput.value = type ? type.code : UIManager.CUSTOM_SDF_TEMPLATE;
+            status.textContent = '';
+        });
+        
+        compileButton.addEventListener('click', () => this.compileCustomShape());
+        closeButton.addEventListener('click', () => { panel.style.display = 'none'; });
+    }
+    
+    /**
+     * Fill the editor's type list with the registered custom shape types
+     * @param {number} selectedId - Custom type to select (optional, defaults to New)
+     */
+    refreshCustomShapeList(selectedId) {
+        const select = this.customEditor.typeSelect;
+        select.innerHTML = '';
+        
+        const newOption = document.createElement('option');
+        newOption.value = '';
+        newOption.textContent = 'New custom shape';
+        select.appendChild(newOption);
+        
+        ShapeTypeRegistry.getAll().filter(type => type.custom).forEach(type => {
+            const option = document.createElement('option');
+            option.value = String(type.id);
+            option.textContent = type.name;
+            select.appendChild(option);
+        });
+        
+        select.value = selectedId !== undefined ? String(selectedId) : '';
+    }
+    
+    /**
+     * Compile the snippet in the editor and register it as a shape type
+     * On failure the previous shader keeps running and the errors are listed
+     */
+    compileCustomShape() {
+        const { typeSelect, nameInput, codeInput, status } = this.customEditor;
+        const id = typeSelect.value === '' ? undefined : parseInt(typeSelect.value, 10);
+        
+        const result = this.renderer.defineCustomShape(nameInput.value.trim(), codeInput.value, id);
+        
+        if (!result.success) {
+            status.style.color = '#ff8080';
+            status.textContent = result.errors.map(error => {
+                if (error.typeId === result.typeId) {
+                    return error.line > 0 ? `Line ${error.line}: ${error.message}` : error.message;
+                }
+                return `Shader line ${error.line} (outside this snippet): ${error.message}`;
+            }).join('\n');
+            return;
+        }
+        
+        const type = ShapeTypeRegistry.get(result.typeId);
+        status.style.color = '#80ff80';
+        status.textContent = `Compiled "${type.name}"`;
+        nameInput.value = type.name;
+        
+        // Offer the new type in the Shapes tab
+        this.refreshCustomShapeList(type.id);
+        this.params.shape.type = type.id;
+        this.refreshShapeTypeOptions();
+        this.pane.refresh();
+    }
+    
+    /**
+     * Build the material dropdown options from the material library
+     * @returns {Object} Map of material name to material ID
+     */
+    getMaterialOptions() {
+        const materialOptions = {};
+        
+        // FIXED: Direct material access without using getAllMaterials
+        if (this.materialLibrary && this.materialLibrary.materials) {
+            // Use direct array access instead of the problematic getAllMaterials method
+            const materials = this.materialLibrary.materials;
+            for (let i = 0; i < materials.length; i++) {
+                const material = materials[i];
+                if (material && material.name) {
+                    materialOptions[material.name] = material.id;
+                }
+            }
+        } else {
+            // Fallback material options
+            materialOptions["Default"] = 0;
+            materialOptions["Metal"] = 1;
+            materialOptions["Glass"] = 2;
+            materialOptions["Wood"] = 3;
+            materialOptions["Emissive"] = 4;
+        }
+        
+        return materialOptions;
+    }
+    
+    /**
+     * Rebuild the material dropdowns after the material library changed
+     */
+    refreshMaterialOptions() {
+        if (this.shapeTab && this.materialInput) {
+            this.materialInput = this.replaceMaterialInput(this.shapeTab, this.materialInput, this.params.shape);
+        }
+        
+        if (this.selectedFolder && this.selectedMaterialInput) {
+            this.selectedMaterialInput = this.replaceMaterialInput(
+                this.selectedFolder, this.selectedMaterialInput, this.params.selected
+            );
+            this.selectedMaterialInput.on('change', (ev) => {
+                this.editSelectedShape('Assign Material', shape => { shape.materialId = ev.value; }, true);
+            });
+        }
+        
+        if (this.patternFolder && this.patternMaterialInput) {
+            this.patternMaterialInput = this.replaceMaterialInput(
+                this.patternFolder, this.patternMaterialInput, this.params.pattern
+            );
+            this.patternMaterialInput.on('change', () => this.syncPatternParams());
+            this.syncPatternParams();
+        }
+        
+        if (this.textureFolder && this.textureMaterialInput) {
+            this.textureMaterialInput = this.replaceMaterialInput(
+                this.textureFolder, this.textureMaterialInput, this.params.texture
+            );
+            this.textureMaterialInput.on('change', () => this.syncTextureParams());
+            this.syncTextureParams();
+        }
+        
+        if (this.emissiveFolder && this.emissiveMaterialInput) {
+            this.emissiveMaterialInput = this.replaceMaterialInput(
+                this.emissiveFolder, this.emissiveMaterialInput, this.params.lights
+            );
+            this.emissiveMaterialInput.on('change', () => this.syncEmitsLightParam());
+            this.syncEmitsLightParam();
+        }
+    }
+    
+    /**
+     * Replace a material dropdown in place with one listing the current materials
+     * Tweakpane list options are fixed at creation, so the input is recreated
+     * @param {Object} container - Tweakpane tab page or folder holding the input
+     * @param {Object} input - The existing input binding
+     * @param {Object} target - Params object bound to the input
+     * @returns {Object} The new input binding
+     */
+    replaceMaterialInput(container, input, target) {
+        const index = container.children.indexOf(input);
+        input.dispose();
+        
+        const options = this.getMaterialOptions();
+        if (!Object.values(options).includes(target.material)) {
+            target.material = Object.values(options)[0] || 0;
+        }
+        
+        return container.addInput(target, 'material', {
+            label: 'Material',
+            options: options,
+            index: index >= 0 ? index : undefined
+        });
+    }
+    
+    /**
+     * Update UI parameters to match the current scene after a load
+     */
+    syncWithScene() {
+        this.refreshMaterialOptions();
+        this.refreshShapeTypeOptions();
+        if (this.customEditor) this.refreshCustomShapeList();
+        this.syncSelectedShapeParams();
+        
+        // Background
+        this.params.render.backgroundR = Math.round(CONFIG.render.defaultBackground[0] * 255);
+        this.params.render.backgroundG = Math.round(CONFIG.render.defaultBackground[1] * 255);
+        this.params.render.backgroundB = Math.round(CONFIG.render.defaultBackground[2] * 255);
+        
+        // Lighting and environment (refreshes the pane)
+        this.syncEnvironmentParams();
+    }
+    
+    /**
+     * Copy text to the clipboard, falling back to a prompt where the API is unavailable
+     * @param {string} text - Text to copy
+     */
+    copyToClipboard(text) {
+        if (navigator.clipboard && typeof navigator.clipboard.writeText === 'function') {
+            navigator.clipboard.writeText(text)
+                .then(() => console.log("Scene link copied to clipboard"))
+                .catch(() => window.prompt('Copy this scene link:', text));
+        } else {
+            window.prompt('Copy this scene link:', text);
+        }
+    }
+    
+    /**
+     * Setup controls for the procedural pattern of a library material
+     * Edits apply to the material, so every shape using it changes
+     * @param {TweakpaneTab} tab - The tab to add controls to
+     */
+    setupMaterialPatternControls(tab) {
+        const folder = tab.addFolder({ title: 'Material Pattern', expanded: false });
+        this.patternFolder = folder;
+        
+        // Start on the first patterned material
+        const patterned = this.materialLibrary.getAllMaterials()
+            .find(material => material.pattern.type !== Material.PATTERNS.NONE);
+        if (patterned) this.params.pattern.material = patterned.id;
+        
+        this.patternMaterialInput = folder.addInput(this.params.pattern, 'material', {
+            label: 'Material',
+            options: this.getMaterialOptions()
+        });
+        this.patternMaterialInput.on('change', () => this.syncPatternParams());
+        
+        const patternOptions = {};
+        Material.PATTERN_NAMES.forEach((name, type) => { patternOptions[name] = type; });
+        
+        // Each input writes one pattern property of the picked material
+        const addInput = (key, options, apply) => {
+            const input = folder.addInput(this.params.pattern, key, options);
+            input.on('change', (ev) => {
+                if (this.syncingPattern) return;
+                const material = this.materialLibrary.getMaterial(this.params.pattern.material);
+                if (!material) return;
+                
+                apply(material.pattern, ev.value);
+                material.markDirty();
+            });
+            this.patternInputs.push(input);
+        };
+        
+        addInput('type', { label: 'Pattern', options: patternOptions }, (pattern, value) => { pattern.type = value; });
+        addInput('color', { label: 'Color' }, (pattern, value) => {
+            pattern.color = [value.r / 255, value.g / 255, value.b / 255];
+        });
+        addInput('scale', { label: 'Scale', min: 0.1, max: 20, step: 0.1 },
+            (pattern, value) => { pattern.scale = value; });
+        addInput('turbulence', { label: 'Turbulence', min: 0, max: 5, step: 0.05 },
+            (pattern, value) => { pattern.turbulence = value; });
+        addInput('roughness', { label: 'Roughness', min: 0, max: 1, step: 0.01 },
+            (pattern, value) => { pattern.roughness = value; });
+        addInput('metallic', { label: 'Metallic', min: 0, max: 1, step: 0.01 },
+            (pattern, value) => { pattern.metallic = value; });
+        
+        this.syncPatternParams();
+    }
+    
+    /**
+     * Show the pattern of the material picked in the Material Pattern folder
+     */
+    syncPatternParams() {
+        const material = this.materialLibrary.getMaterial(this.params.pattern.material);
+        if (!material) return;
+        
+        const pattern = material.pattern;
+        const params = this.params.pattern;
+        params.type = pattern.type;
+        params.color = {
+            r: Math.round(pattern.color[0] * 255),
+            g: Math.round(pattern.color[1] * 255),
+            b: Math.round(pattern.color[2] * 255)
+        };
+        params.scale = pattern.scale;
+        params.turbulence = pattern.turbulence;
+        params.roughness = pattern.roughness;
+        params.metallic = pattern.metallic;
+        
+        this.syncingPattern = true;
+        this.patternInputs.forEach(input => input.refresh());
+        this.syncingPattern = false;
+    }
+    
+    /**
+     * Setup controls for the textures of a library material and how they are projected
+     * @param {TweakpaneTab} tab - The tab to add controls to
+     */
+    setupMaterialTextureControls(tab) {
+        const folder = tab.addFolder({ title: 'Material Textures', expanded: false });
+        this.textureFolder = folder;
+        
+        this.textureMaterialInput = folder.addInput(this.params.texture, 'material', {
+            label: 'Material',
+            options: this.getMaterialOptions()
+        });
+        this.textureMaterialInput.on('change', () => this.syncTextureParams());
+        
+        // Texture dropdowns are rebuilt as textures finish loading (see refreshTextureSlotInputs)
+        this.textureSlotInputs = UIManager.TEXTURE_SLOTS.map(slot => this.createTextureSlotInput(slot));
+        this.textureOptionCount = this.renderer.textureManager.textures.length;
+        
+        // Each input writes the material's projection settings
+        const addInput = (key, options, apply) => {
+            const input = folder.addInput(this.params.texture, key, options);
+            input.on('change', (ev) => {
+                if (this.syncingTexture) return;
+                const material = this.materialLibrary.getMaterial(this.params.texture.material);
+                if (material) apply(material, ev.value);
+            });
+            this.textureInputs.push(input);
+        };
+        
+        const mappingOptions = {};
+        Material.TEXTURE_MAPPING_NAMES.forEach((name, mapping) => { mappingOptions[name] = mapping; });
+        
+        addInput('mapping', { label: 'Mapping', options: mappingOptions }, (material, value) => {
+            material.textureMapping = value;
+            material.markDirty();
+        });
+        
+        // Scale, offset and rotation go through setTextureTransform together
+        const setTransform = (material) => {
+            const params = this.params.texture;
+            material.setTextureTransform(
+                [params.scaleX, params.scaleY],
+                [params.offsetX, params.offsetY],
+                MathUtils.degToRad(params.rotation)
+            );
+        };
+        addInput('scaleX', { label: 'Scale U', min: 0.05, max: 10, step: 0.05 }, setTransform);
+        addInput('scaleY', { label: 'Scale V', min: 0.05, max: 10, step: 0.05 }, setTransform);
+        addInput('offsetX', { label: 'Offset U', min: -1, max: 1, step: 0.01 }, setTransform);
+        addInput('offsetY', { label: 'Offset V', min: -1, max: 1, step: 0.01 }, setTransform);
+        addInput('rotation', { label: 'Rotation', min: -180, max: 180, step: 1 }, setTransform);
+        
+        this.syncTextureParams();
+    }
+    
+    /**
+     * Create the dropdown assigning a texture to one material slot
+     * @param {Object} slot - Entry of UIManager.TEXTURE_SLOTS
+     * @param {number} index - Position in the folder (optional, appended otherwise)
+     * @returns {Object} The input binding
+     */
+    createTextureSlotInput(slot, index) {
+        const input = this.textureFolder.addInput(this.params.texture, slot.key, {
+            label: slot.label,
+            options: this.renderer.textureManager.getTextureOptions(),
+            index: index
+        });
+        
+        input.on('change', (ev) => {
+            if (this.syncingTexture) return;
+            const material = this.materialLibrary.getMaterial(this.params.texture.material);
+            if (!material || material.textures[slot.key] === ev.value) return;
+            
+            if (ev.value < 0) {
+                material.removeTexture(slot.key);
+            } else {
+                material.setTexture(ev.value, slot.key);
+            }
+        });
+        
+        return input;
+    }
+    
+    /**
+     * Rebuild the texture dropdowns so they list every loaded texture
+     */
+    refreshTextureSlotInputs() {
+        this.textureSlotInputs = this.textureSlotInputs.map((input, i) => {
+            const index = this.textureFolder.children.indexOf(input);
+            input.dispose();
+            return this.createTextureSlotInput(UIManager.TEXTURE_SLOTS[i], index >= 0 ? index : undefined);
+        });
+        this.textureOptionCount = this.renderer.textureManager.textures.length;
+    }
+    
+    /**
+     * Show the textures and projection of the material picked in the Material Textures folder
+     */
+    syncTextureParams() {
+        const material = this.materialLibrary.getMaterial(this.params.texture.material);
+        if (!material) return;
+        
+        const params = this.params.texture;
+        UIManager.TEXTURE_SLOTS.forEach(slot => { params[slot.key] = material.textures[slot.key]; });
+        params.mapping = material.textureMapping;
+        params.scaleX = material.textureScale[0];
+        params.scaleY = material.textureScale[1];
+        params.offsetX = material.textureOffset[0];
+        params.offsetY = material.textureOffset[1];
+        params.rotation = Math.round(MathUtils.radToDeg(material.textureRotation));
+        
+        this.syncingTexture = true;
+        [...this.textureSlotInputs, ...this.textureInputs].forEach(input => input.refresh());
+        this.syncingTexture = false;
+    }
+    
+    /**
+     * Setup controls for editing the selected shape
+     * Every edit is recorded in the command history
+     * @param {TweakpaneTab} tab - The tab to add controls to
+     */
+    setupSelectedShapeControls(tab) {
+        const folder = tab.addFolder({ title: 'Selected Shape' });
+        this.selectedFolder = folder;
+        
+        this.selectedMaterialInput = folder.addInput(this.params.selected, 'material', {
+            label: 'Material',
+            options: this.getMaterialOptions()
+        });
+        this.selectedMaterialInput.on('change', (ev) => {
+            this.editSelectedShape('Assign Material', shape => { shape.materialId = ev.value; }, true);
+        });
+        
+        // Transform
+        ['posX', 'posY', 'posZ'].forEach((key, axis) => {
+            folder.addInput(this.params.selected, key, {
+                label: `Position ${'XYZ'[axis]}`,
+                min: -20,
+                max: 20,
+                step: 0.1
+            }).on('change', (ev) => {
+                this.editSelectedShape('Move Shape', shape => {
+                    const pos = [shape.position.x, shape.position.y, shape.position.z];
+                    pos[axis] = ev.value;
+                    shape.position = this.p.createVector(pos[0], pos[1], pos[2]);
+                }, ev.last, false);
+            });
+        });
+        
+        // Physics parameters
+        folder.addInput(this.params.selected, 'mass', {
+            label: 'Mass',
+            min: 0,
+            max: 20,
+            step: 0.1
+        }).on('change', (ev) => {
+            this.editSelectedShape('Change Mass', shape => { shape.mass = ev.value; }, ev.last);
+        });
+        
+        folder.addInput(this.params.selected, 'friction', {
+            label: 'Friction',
+            min: 0,
+            max: 1,
+            step: 0.01
+        }).on('change', (ev) => {
+            this.editSelectedShape('Change Friction', shape => { shape.friction = ev.value; }, ev.last);
+        });
+        
+        folder.addInput(this.params.selected, 'restitution', {
+            label: 'Restitution',
+            min: 0,
+            max: 1,
+            step: 0.01
+        }).on('change', (ev) => {
+            this.editSelectedShape('Change Restitution', shape => { shape.restitution = ev.value; }, ev.last);
+        });
+        
+        // Shape-specific SDF parameters, rebuilt for the selected shape's type
+        this.parameterFolder = folder.addFolder({ title: 'Shape Parameters' });
+        this.parameterFolder.hidden = true;
+        
+        // Ordered domain modifiers, rebuilt when the list changes
+        this.modifierFolder = folder.addFolder({ title: 'Modifiers', expanded: false });
+        
+        // CSG blending against another shape
+        folder.addSeparator();
+        
+        folder.addInput(this.params.selected, 'blendMode', {
+            label: 'Blend Mode',
+            options: {
+                'Union': Shape.BLEND_MODES.UNION,
+                'Subtraction': Shape.BLEND_MODES.SUBTRACTION,
+                'Intersection': Shape.BLEND_MODES.INTERSECTION,
+                'Smooth Union': Shape.BLEND_MODES.SMOOTH_UNION
+            }
+        }).on('change', (ev) => {
+            this.editSelectedShape('Change Blend Mode', shape => { shape.blendMode = ev.value; }, true);
+        });
+        
+        this.blendTargetInput = folder.addInput(this.params.selected, 'blendShapeId', {
+            label: 'Blend With',
+            options: this.getBlendTargetOptions(null)
+        });
+        this.blendTargetInput.on('change', (ev) => this.onBlendTargetChange(ev));
+        
+        folder.addInput(this.params.selected, 'blendFactor', {
+            label: 'Blend Radius',
+            min: 0.01,
+            max: 2,
+            step: 0.01
+        }).on('change', (ev) => {
+            this.editSelectedShape('Change Blend Radius', shape => { shape.blendFactor = ev.value; }, ev.last);
+        });
+        
+        // Keep the editor in sync when undo/redo changes the scene
+        if (this.interaction && this.interaction.history) {
+            this.interaction.history.onChange(() => this.syncSelectedShapeParams());
+        }
+    }
+    
+    /**
+     * Get blend target options: every shape except the given one
+     * @param {Shape} shape - The shape being edited (excluded from the list)
+     * @returns {Object} Options object for a Tweakpane list
+     */
+    getBlendTargetOptions(shape) {
+        const options = { 'None': -1 };
+        
+        this.shapeManager.getAllShapes().forEach(other => {
+            if (shape && other.id === shape.id) return;
+            options[`${other.typeName} #${other.id}`] = other.id;
+        });
+        
+        return options;
+    }
+    
+    /**
+     * Handle a change of the blend target dropdown
+     * @param {Object} ev - Tweakpane change event
+     */
+    onBlendTargetChange(ev) {
+        this.editSelectedShape('Change Blend Target', shape => { shape.blendShapeId = ev.value; }, true);
+    }
+    
+    /**
+     * Rebuild the blend target dropdown for the selected shape
+     * Tweakpane list options are fixed at creation, so the input is recreated
+     * @param {Shape} shape - The selected shape
+     */
+    refreshBlendTargetOptions(shape) {
+        if (!this.selectedFolder || !this.blendTargetInput) return;
+        
+        const index = this.selectedFolder.children.indexOf(this.blendTargetInput);
+        this.blendTargetInput.dispose();
+        
+        const options = this.getBlendTargetOptions(shape);
+        if (!Object.values(options).includes(this.params.selected.blendShapeId)) {
+            this.params.selected.blendShapeId = -1;
+        }
+        
+        this.blendTargetInput = this.selectedFolder.addInput(this.params.selected, 'blendShapeId', {
+            label: 'Blend With',
+            options: options,
+            index: index >= 0 ? index : undefined
+        });
+        this.blendTargetInput.on('change', (ev) => this.onBlendTargetChange(ev));
+    }
+    
+    /**
+     * Rebuild the shape parameter sliders for the selected shape's type
+     * @param {Shape} shape - The selected shape
+     */
+    refreshParameterInputs(shape) {
+        if (!this.parameterFolder || shape.type === this.parameterShapeType) return;
+        this.parameterShapeType = shape.type;
+        
+        this.parameterInputs.forEach(input => input.dispose());
+        this.parameterInputs = [];
+        
+        const definitions = shape.parameterDefinitions;
+        Object.keys(definitions).forEach(key => {
+            const definition = definitions[key];
+            const input = this.parameterFolder.addInput(this.params.selected, key, {
+                label: definition.label,
+                min: definition.min,
+                max: definition.max,
+                step: definition.step || 0.01
+            });
+            input.on('change', (ev) => {
+                this.editSelectedShape(`Change ${definition.label}`, shape => {
+                    shape.parameters = { ...shape.parameters, [key]: ev.value };
+                }, ev.last);
+            });
+            this.parameterInputs.push(input);
+        });
+        
+        this.parameterFolder.hidden = this.parameterInputs.length === 0;
+    }
+    
+    /**
+     * Rebuild the modifier controls when the selected shape or its modifier list changed
+     * @param {Shape} shape - The selected shape
+     */
+    refreshModifierControls(shape) {
+        if (!this.modifierFolder) return;
+        
+        const signature = `${shape.id}:${shape.modifiers.map(modifier => modifier.type).join(',')}`;
+        if (signature === this.modifierSignature) {
+            // Same list; only the values may have changed
+            shape.modifiers.forEach((modifier, i) => Object.assign(this.modifierValues[i], modifier));
+            return;
+        }
+        this.modifierSignature = signature;
+        
+        [...this.modifierFolder.children].forEach(child => child.dispose());
+        this.modifierValues = shape.modifiers.map(modifier => ({ ...modifier }));
+        
+        shape.modifiers.forEach((modifier, index) => {
+            const definition = Shape.MODIFIER_TYPES[modifier.type];
+            const modifierFolder = this.modifierFolder.addFolder({ title: `${index + 1}. ${definition.name}` });
+            
+            Object.keys(definition.params).forEach(key => {
+                const param = definition.params[key];
+                const options = param.options
+                    ? { label: param.label, options: param.options }
+                    : { label: param.label, min: param.min, max: param.max, step: param.step || 0.01 };
+                
+                modifierFolder.addInput(this.modifierValues[index], key, options).on('change', (ev) => {
+                    this.editSelectedShape(`Edit ${definition.name}`, shape => {
+                        shape.modifiers = shape.modifiers.map((m, i) => i === index ? { ...m, [key]: ev.value } : m);
+                    }, ev.last);
+                });
+            });
+            
+            if (index > 0) {
+                modifierFolder.addButton({ title: 'Move Up' }).on('click', () => {
+                    this.editModifierList('Reorder Modifiers', modifiers => {
+                        [modifiers[index - 1], modifiers[index]] = [modifiers[index], modifiers[index - 1]];
+                    });
+                });
+            }
+            
+            modifierFolder.addButton({ title: 'Remove' }).on('click', () => {
+                this.editModifierList(`Remove ${definition.name}`, modifiers => modifiers.splice(index, 1));
+            });
+        });
+        
+        if (shape.modifiers.length < Shape.MAX_MODIFIERS) {
+            const typeOptions = {};
+            Object.keys(Shape.MODIFIER_TYPES).forEach(type => {
+                typeOptions[Shape.MODIFIER_TYPES[type].name] = type;
+            });
+            
+            this.modifierFolder.addInput(this.params.selected, 'newModifier', {
+                label: 'New',
+                options: typeOptions
+            });
+            this.modifierFolder.addButton({ title: 'Add Modifier' }).on('click', () => {
+                const type = this.params.selected.newModifier;
+                this.editModifierList(`Add ${Shape.MODIFIER_TYPES[type].name}`, modifiers => {
+                    modifiers.push(Shape.createModifier(type));
+                });
+            });
+        }
+    }
+    
+    /**
+     * Change the selected shape's modifier list as one undoable edit
+     * @param {string} name - Display name of the command
+     * @param {Function} change - Callback mutating a copy of the modifier list
+     */
+    editModifierList(name, change) {
+        const shape = this.shapeManager.selectedShape;
+        if (!shape) return;
         
-        // Help text parameter on the UI params object
-        if (!this.params.helpText) {
-            this.params.helpText = 'Click+drag to move objects\nDelete key to remove selected';
+        this.editSelectedShape(name, shape => {
+            const modifiers = shape.modifiers.map(modifier => ({ ...modifier }));
+            change(modifiers);
+            shape.modifiers = modifiers;
+        }, true);
+        
+        this.refreshModifierControls(shape);
+    }
+    
+    /**
+     * Apply an edit to the selected shape and record it for undo once the edit is complete
+     * @param {string} name - Display name of the command
+     * @param {Function} apply - Callback mutating the shape
+     * @param {boolean} isLast - True when the control has finished changing (e.g. slider released)
+     * @param {boolean} keepMotion - Restore the body's velocity after rebuilding it
+     */
+    editSelectedShape(name, apply, isLast, keepMotion = true) {
+        const shape = this.shapeManager.selectedShape;
+        if (!shape || this.syncingSelection) return;
+        
+        // Snapshot once at the start of a continuous edit
+        if (!this.pendingEdit) {
+            this.pendingEdit = ShapeCommands.captureState(shape, this.physics);
         }
         
-        // Add the text using a proper parameter binding
-        tab.addInput(this.params, 'helpText', {
-            label: 'Controls',
-            multiline: true,
-            readonly: true,
-            rows: 2
+        apply(shape);
+        shape.markDirty();
+        
+        // Rebuild the body so the new parameters take effect
+        if (this.physics) {
+            this.physics.rebuildShape(shape);
+            if (keepMotion) this.physics.setBodyState(shape, this.pendingEdit.body);
+        }
+        
+        if (isLast) {
+            const after = ShapeCommands.captureState(shape, this.physics);
+            if (this.interaction && this.interaction.history) {
+                this.interaction.history.record(ShapeCommands.update(
+                    this.interaction.getCommandContext(), this.pendingEdit, after, name
+                ));
+            }
+            this.pendingEdit = null;
+        }
+    }
+    
+    /**
+     * Copy the selected shape's properties into the editor
+     */
+    syncSelectedShapeParams() {
+        const shape = this.shapeManager.selectedShape;
+        this.lastSelectedShape = shape;
+        if (!shape || !this.selectedFolder) return;
+        
+        const selected = this.params.selected;
+        selected.material = shape.materialId;
+        selected.posX = shape.position.x;
+        selected.posY = shape.position.y;
+        selected.posZ = shape.position.z;
+        selected.mass = shape.mass;
+        selected.friction = shape.friction;
+        selected.restitution = shape.restitution;
+        selected.blendMode = shape.blendMode;
+        selected.blendShapeId = shape.blendShapeId;
+        selected.blendFactor = shape.blendFactor;
+        Shape.PARAMETER_KEYS.forEach(key => {
+            selected[key] = shape.getParameter(key);
         });
+        
+        this.syncingSelection = true;
+        this.refreshBlendTargetOptions(shape);
+        this.refreshParameterInputs(shape);
+        this.refreshModifierControls(shape);
+        if (this.pane) this.pane.refresh();
+        this.syncingSelection = false;
     }
     
     /**
@@ -288,7 +1290,7 @@ class UIManager {
             step: 0.1
         }).on('change', (ev) => {
             // Update gravity in physics world
-            this.physics.world.gravity.set(0, ev.value, 0);
+            this.physics.setGravity(ev.value);
         });
         
         // Physics enabled toggle
@@ -297,10 +1299,10 @@ class UIManager {
         }).on('change', (ev) => {
             if (!ev.value) {
                 // Zero gravity to "pause" physics
-                this.physics.world.gravity.set(0, 0, 0);
+                this.physics.setGravity(0);
             } else {
                 // Restore gravity
-                this.physics.world.gravity.set(0, this.params.physics.gravity, 0);
+                this.physics.setGravity(this.params.physics.gravity);
             }
         });
         
@@ -313,7 +1315,7 @@ class UIManager {
             label: 'Zero-G'
         }).on('click', () => {
             this.params.physics.gravity = 0;
-            this.physics.world.gravity.set(0, 0, 0);
+            this.physics.setGravity(0);
             this.pane.refresh();
         });
         
@@ -323,7 +1325,7 @@ class UIManager {
             label: 'Moon'
         }).on('click', () => {
             this.params.physics.gravity = -1.62;
-            this.physics.world.gravity.set(0, -1.62, 0);
+            this.physics.setGravity(-1.62);
             this.pane.refresh();
         });
         
@@ -333,7 +1335,7 @@ class UIManager {
             label: 'Earth'
         }).on('click', () => {
             this.params.physics.gravity = -9.82;
-            this.physics.world.gravity.set(0, -9.82, 0);
+            this.physics.setGravity(-9.82);
             this.pane.refresh();
         });
         
@@ -417,6 +1419,86 @@ class UIManager {
             }
         });
         
+        // Anti-aliasing: TAA while things move, averaged jittered frames for stills
+        const antiAliasingFolder = tab.addFolder({ title: 'Anti-Aliasing' });
+        
+        antiAliasingFolder.addInput(this.params.render, 'taaEnabled', {
+            label: 'Temporal AA'
+        }).on('change', (ev) => {
+            if (this.renderer && this.renderer.temporalAA) {
+                this.renderer.temporalAA.setEnabled(ev.value);
+            }
+        });
+        
+        antiAliasingFolder.addInput(this.params.render, 'supersampleStill', {
+            label: 'Supersample Still'
+        }).on('change', (ev) => {
+            if (this.renderer && typeof this.renderer.setSupersampleStill === 'function') {
+                this.renderer.setSupersampleStill(ev.value);
+            }
+        });
+        
+        antiAliasingFolder.addButton({
+            title: 'Save Screenshot'
+        }).on('click', () => {
+            this.p.saveCanvas('raymarch-screenshot', 'png');
+        });
+        
+        // Path-traced reference render, accumulated while the camera and scene are still
+        tab.addSeparator();
+        const referenceFolder = tab.addFolder({ title: 'Reference Render' });
+        
+        referenceFolder.addInput(this.params.render, 'referenceMode', {
+            label: 'Path Tracing'
+        }).on('change', (ev) => {
+            if (this.renderer && typeof this.renderer.setReferenceMode === 'function') {
+                this.renderer.setReferenceMode(ev.value);
+            }
+        });
+        
+        referenceFolder.addInput(this.params.render, 'pathBounces', {
+            label: 'Bounces',
+            min: 1,
+            max: 8,
+            step: 1
+        }).on('change', (ev) => {
+            if (this.renderer) this.renderer.pathBounces = ev.value;
+        });
+        
+        referenceFolder.addMonitor(this.params.render, 'samples', {
+            label: 'Samples'
+        });
+        
+        // Dynamic resolution, trading sharpness for frame rate
+        const resolutionFolder = tab.addFolder({ title: 'Dynamic Resolution' });
+        const scaler = this.renderer ? this.renderer.resolutionScaler : null;
+        
+        resolutionFolder.addInput(this.params.render, 'dynamicResolution', {
+            label: 'Enabled'
+        }).on('change', (ev) => {
+            if (scaler) scaler.setEnabled(ev.value);
+        });
+        
+        resolutionFolder.addInput(this.params.render, 'targetFPS', {
+            label: 'Target FPS',
+            min: 15,
+            max: 144,
+            step: 1
+        }).on('change', (ev) => {
+            if (scaler) scaler.targetFPS = ev.value;
+        });
+        
+        resolutionFolder.addInput(this.params.render, 'lockScale', {
+            label: 'Lock Scale'
+        }).on('change', (ev) => {
+            if (scaler) scaler.locked = ev.value;
+        });
+        
+        resolutionFolder.addMonitor(this.params.render, 'renderScale', {
+            label: 'Scale',
+            format: (value) => `${Math.round(value * 100)}%`
+        });
+        
         // Environment mapping controls
         tab.addSeparator();
         const envMapFolder = tab.addFolder({ title: 'Environment Map' });
@@ -436,6 +1518,44 @@ class UIManager {
             CONFIG.render.envMapIntensity = ev.value;
         });
         
+        // Environment shown: a preset, an uploaded .hdr panorama or the procedural sky below
+        envMapFolder.addMonitor(this.params.render, 'environmentName', {
+            label: 'Current'
+        });
+        
+        const presetOptions = { 'Custom': '' };
+        Object.keys(CONFIG.render.environment.presets).forEach(name => { presetOptions[name] = name; });
+        
+        envMapFolder.addInput(this.params.render, 'environmentPreset', {
+            label: 'Preset',
+            options: presetOptions
+        }).on('change', (ev) => {
+            if (this.syncingEnvironment || !ev.value) return;
+            this.renderer.setEnvironmentPreset(ev.value, this.getEnvironmentColor());
+            this.syncEnvironmentParams();
+        });
+        
+        envMapFolder.addInput(this.params.render, 'environmentColor', {
+            label: 'Pure Color'
+        }).on('change', () => {
+            if (this.syncingEnvironment) return;
+            this.renderer.setEnvironmentPreset('Pure Color', this.getEnvironmentColor());
+            this.syncEnvironmentParams();
+        });
+        
+        envMapFolder.addButton({
+            title: 'Load HDR...'
+        }).on('click', () => {
+            HDRLoader.upload().then(image => {
+                if (image && this.renderer.setEnvironmentImage(image, image.name)) {
+                    this.syncEnvironmentParams();
+                }
+            });
+        });
+        
+        // Procedural sky replacing the environment image and driving the sun light
+        this.setupSkyControls(tab);
+        
         // Reflections quality
         envMapFolder.addInput(this.params.render, 'reflectionQuality', {
             label: 'Reflection Quality',
@@ -492,65 +1612,409 @@ class UIManager {
             CONFIG.render.defaultBackground[2] = ev.value / 255;
         });
         
-        // Light settings
+        // Ambient light (scene lights are edited in the Lights tab)
         tab.addSeparator();
-        tab.addInput(this.params.lighting, 'intensity', {
-            label: 'Light Intensity',
+        tab.addInput(this.params.lighting, 'ambient', {
+            label: 'Ambient Light',
             min: 0.0,
-            max: 2.0,
+            max: 1.0,
             step: 0.05
         }).on('change', (ev) => {
-            this.renderer.lightIntensity = ev.value;
+            this.renderer.ambientColor = CONFIG.lights.ambient.color.map(c => c * ev.value);
         });
         
-        // Create individual color components for light color
-        tab.addInput(this.params.lighting, 'colorR', {
-            label: 'Light Color Red',
-            min: 0,
-            max: 255,
-            step: 1
+        // FPS display toggle
+        tab.addSeparator();
+        tab.addInput(this.params.render, 'showFPS', {
+            label: 'Show FPS'
+        }).on('change', (ev) => {
+            if (ev.value) {
+                this.setupFPSDisplay();
+            } else if (this.fpsElement) {
+                this.fpsElement.style.display = 'none';
+            }
+        });
+        
+        // Frame-time benchmark on a generated scene; results go to the console
+        tab.addButton({
+            title: 'Run Benchmark',
+            label: 'Benchmark'
+        }).on('click', () => {
+            if (!this.benchmark || this.benchmark.isRunning()) return;
+            this.benchmark.start()
+                .then(() => this.syncWithScene())
+                .catch(err => console.error("Benchmark failed:", err));
+            this.syncWithScene();
+        });
+    }
+    
+    /**
+     * Setup the procedural sky: time of day, haze, sun heading and presets
+     * @param {TweakpaneTab} tab - The tab to add controls to
+     */
+    setupSkyControls(tab) {
+        const skyFolder = tab.addFolder({ title: 'Sky' });
+        const params = this.params.sky;
+        
+        // Rebuild the sky from the params; the renderer moves the sun light and ambient with it
+        const applySky = () => {
+            if (!params.enabled || this.syncingEnvironment) return;
+            this.renderer.setSky(new Sky({
+                timeOfDay: params.timeOfDay,
+                turbidity: params.turbidity,
+                heading: params.heading
+            }));
+            this.syncEnvironmentParams();
+        };
+        
+        skyFolder.addInput(params, 'enabled', {
+            label: 'Procedural Sky'
         }).on('change', (ev) => {
-            this.renderer.lightColor[0] = ev.value / 255;
+            if (this.syncingEnvironment) return;
+            if (ev.value) {
+                applySky();
+            } else if (this.renderer.sky) {
+                this.renderer.resetEnvironment();
+                this.syncEnvironmentParams();
+            }
         });
         
-        tab.addInput(this.params.lighting, 'colorG', {
-            label: 'Light Color Green',
+        skyFolder.addInput(params, 'timeOfDay', {
+            label: 'Time of Day',
             min: 0,
-            max: 255,
+            max: 24,
+            step: 0.05,
+            format: (value) => Sky.formatTime(value)
+        }).on('change', applySky);
+        
+        skyFolder.addInput(params, 'turbidity', {
+            label: 'Turbidity',
+            min: 1.7,
+            max: 10,
+            step: 0.1
+        }).on('change', applySky);
+        
+        skyFolder.addInput(params, 'heading', {
+            label: 'Sun Heading',
+            min: 0,
+            max: 360,
             step: 1
+        }).on('change', applySky);
+        
+        // Presets switch the sky on with their time and haze
+        Object.entries(CONFIG.render.sky.presets).forEach(([name, preset]) => {
+            skyFolder.addButton({
+                title: name,
+                label: 'Preset'
+            }).on('click', () => {
+                params.enabled = true;
+                params.timeOfDay = preset.timeOfDay;
+                params.turbidity = preset.turbidity;
+                applySky();
+            });
+        });
+    }
+    
+    /**
+     * Get the Pure Color preset color picked in the UI
+     * @returns {Array<number>} Linear RGB in range [0-1]
+     */
+    getEnvironmentColor() {
+        const color = this.params.render.environmentColor;
+        return [color.r / 255, color.g / 255, color.b / 255];
+    }
+    
+    /**
+     * Show the renderer's environment and sky in the params, and the lights the sky moved
+     */
+    syncEnvironmentParams() {
+        const sky = this.renderer.sky;
+        this.params.sky.enabled = !!sky;
+        if (sky) {
+            this.params.sky.timeOfDay = sky.timeOfDay;
+            this.params.sky.turbidity = sky.turbidity;
+            this.params.sky.heading = sky.heading;
+        }
+        
+        const preset = this.renderer.environmentPreset;
+        this.params.render.environmentPreset = preset ? preset.name : '';
+        if (preset && preset.color) {
+            [this.params.render.environmentColor.r, this.params.render.environmentColor.g,
+                this.params.render.environmentColor.b] = preset.color.map(c => Math.round(c * 255));
+        }
+        
+        const environment = this.renderer.environment;
+        this.params.render.environmentName = environment ? environment.name : '';
+        this.params.render.envMapEnabled = CONFIG.render.envMapEnabled !== false;
+        this.params.render.envMapIntensity = CONFIG.render.envMapIntensity;
+        this.syncLightingParams();
+        
+        // Refreshing fires the inputs' change handlers, which must not rebuild the environment again
+        this.syncingEnvironment = true;
+        if (this.pane) this.pane.refresh();
+        this.syncingEnvironment = false;
+    }
+    
+    /**
+     * Show the renderer's ambient color and the lights in the params
+     */
+    syncLightingParams() {
+        if (this.lightManager) this.refreshLightControls();
+        if (this.renderer) {
+            const baseAmbient = CONFIG.lights.ambient.color[0];
+            if (baseAmbient > 0 && this.renderer.ambientColor) {
+                this.params.lighting.ambient = this.renderer.ambientColor[0] / baseAmbient;
+            }
+        }
+    }
+    
+    /**
+     * Setup light controls: add lights, pick one to edit, and the viewport gizmo
+     * @param {TweakpaneTab} tab - The tab to add controls to
+     */
+    setupLightControls(tab) {
+        if (!this.lightManager) return;
+        this.lightTab = tab;
+        
+        // New light type and add button
+        const typeOptions = {};
+        Light.TYPE_NAMES.forEach((name, type) => { typeOptions[name] = type; });
+        
+        tab.addInput(this.params.lights, 'newType', {
+            label: 'Light Type',
+            options: typeOptions
+        });
+        
+        tab.addButton({
+            title: 'Add Light',
+            label: 'Create'
+        }).on('click', () => {
+            this.addLight(this.params.lights.newType);
+        });
+        
+        // Light being edited
+        tab.addSeparator();
+        this.lightSelectInput = this.createLightSelectInput();
+        this.lightFolder = tab.addFolder({ title: 'Selected Light' });
+        
+        // Viewport handles for positional lights
+        tab.addSeparator();
+        this.lightGizmo = new LightGizmo(this.p, this.lightManager, this.renderer, () => this.refreshLightControls());
+        tab.addInput(this.params.lights, 'showGizmos', {
+            label: 'Show Gizmos'
         }).on('change', (ev) => {
-            this.renderer.lightColor[1] = ev.value / 255;
+            this.lightGizmo.setVisible(ev.value);
         });
         
-        tab.addInput(this.params.lighting, 'colorB', {
-            label: 'Light Color Blue',
+        // Glowing shapes as light sources
+        this.emissiveFolder = tab.addFolder({ title: 'Emissive Shapes' });
+        
+        this.emissiveFolder.addInput(this.params.lights, 'emissiveBudget', {
+            label: 'Light Budget',
             min: 0,
-            max: 255,
+            max: CONFIG.lights.maxCount,
             step: 1
         }).on('change', (ev) => {
-            this.renderer.lightColor[2] = ev.value / 255;
+            this.renderer.emissiveLightBudget = ev.value;
         });
         
-        // Ambient light
-        tab.addInput(this.params.lighting, 'ambient', {
-            label: 'Ambient Light',
-            min: 0.0,
-            max: 1.0,
-            step: 0.05
-        }).on('change', (ev) => {
-            this.renderer.ambientColor = CONFIG.lights.ambient.color.map(c => c * ev.value);
+        // Start on the first glowing material, the one users will look for
+        const glowing = this.materialLibrary.getAllMaterials().find(material => material.emissiveFactor > 0);
+        if (glowing) this.params.lights.material = glowing.id;
+        
+        this.emissiveMaterialInput = this.emissiveFolder.addInput(this.params.lights, 'material', {
+            label: 'Material',
+            options: this.getMaterialOptions()
         });
+        this.emissiveMaterialInput.on('change', () => this.syncEmitsLightParam());
         
-        // FPS display toggle
-        tab.addSeparator();
-        tab.addInput(this.params.render, 'showFPS', {
-            label: 'Show FPS'
-        }).on('change', (ev) => {
-            if (ev.value) {
-                this.setupFPSDisplay();
-            } else if (this.fpsElement) {
-                this.fpsElement.style.display = 'none';
-            }
+        this.emitsLightInput = this.emissiveFolder.addInput(this.params.lights, 'emitsLight', {
+            label: 'Emits Light'
+        });
+        this.emitsLightInput.on('change', (ev) => {
+            const material = this.materialLibrary.getMaterial(this.params.lights.material);
+            if (!material || material.emitsLight === ev.value) return;
+            
+            material.emitsLight = ev.value;
+            material.markDirty();
+        });
+        
+        this.syncEmitsLightParam();
+        this.refreshLightControls();
+    }
+    
+    /**
+     * Show the emitsLight toggle of the material picked in the Emissive Shapes folder
+     */
+    syncEmitsLightParam() {
+        const material = this.materialLibrary.getMaterial(this.params.lights.material);
+        this.params.lights.emitsLight = material ? material.emitsLight : false;
+        if (this.emitsLightInput) this.emitsLightInput.refresh();
+    }
+    
+    /**
+     * Add a light of the given type above the scene and select it
+     * @param {number} type - Light type (Light.TYPES)
+     */
+    addLight(type) {
+        const light = this.lightManager.addLight(new Light({ type: type, position: [0, 4, 0] }));
+        if (!light) return;
+        
+        this.lightManager.selectedLight = light;
+        this.refreshLightControls();
+    }
+    
+    /**
+     * Create the dropdown choosing which light the editor shows
+     * Tweakpane list options are fixed at creation, so it is recreated when lights change
+     * @param {number} index - Position in the tab (optional)
+     * @returns {Object} The input binding
+     */
+    createLightSelectInput(index) {
+        const options = { 'None': -1 };
+        this.lightManager.getAllLights().forEach(light => { options[light.name] = light.id; });
+        
+        const input = this.lightTab.addInput(this.params.lights, 'selected', {
+            label: 'Edit Light',
+            options: options,
+            index: index
+        });
+        input.on('change', (ev) => {
+            if (this.syncingLight) return;
+            this.lightManager.selectedLight = this.lightManager.getLight(ev.value);
+            this.refreshLightControls();
+        });
+        
+        return input;
+    }
+    
+    /**
+     * Bring the light dropdown and editor in line with the light list and selection
+     */
+    refreshLightControls() {
+        if (!this.lightTab) return;
+        
+        const lights = this.lightManager.getAllLights();
+        const light = this.lightManager.selectedLight;
+        this.lastSelectedLight = light;
+        
+        this.syncingLight = true;
+        this.params.lights.selected = light ? light.id : -1;
+        
+        const listSignature = lights.map(l => `${l.id}:${l.type}`).join(',');
+        if (listSignature !== this.lightListSignature) {
+            this.lightListSignature = listSignature;
+            const index = this.lightTab.children.indexOf(this.lightSelectInput);
+            this.lightSelectInput.dispose();
+            this.lightSelectInput = this.createLightSelectInput(index >= 0 ? index : undefined);
+        }
+        
+        const editorSignature = light ? `${light.id}:${light.type}` : '';
+        if (editorSignature !== this.lightEditorSignature) {
+            this.lightEditorSignature = editorSignature;
+            this.buildLightEditor(light);
+        }
+        
+        if (light) this.copyLightToParams(light);
+        this.lightInputs.forEach(input => input.refresh());
+        if (this.lightSelectInput) this.lightSelectInput.refresh();
+        this.syncingLight = false;
+    }
+    
+    /**
+     * Copy a light's properties into the editor params
+     * @param {Light} light - The light to show
+     */
+    copyLightToParams(light) {
+        const params = this.params.light;
+        [params.posX, params.posY, params.posZ] = light.position;
+        [params.dirX, params.dirY, params.dirZ] = light.direction;
+        params.color = {
+            r: Math.round(light.color[0] * 255),
+            g: Math.round(light.color[1] * 255),
+            b: Math.round(light.color[2] * 255)
+        };
+        params.intensity = light.intensity;
+        params.range = light.range;
+        params.innerAngle = light.innerAngle;
+        params.outerAngle = light.outerAngle;
+        params.width = light.width;
+        params.height = light.height;
+        params.castShadows = light.castShadows;
+    }
+    
+    /**
+     * Rebuild the selected light editor with the controls its type uses
+     * @param {Light|null} light - The selected light
+     */
+    buildLightEditor(light) {
+        [...this.lightFolder.children].forEach(child => child.dispose());
+        this.lightInputs = [];
+        this.lightFolder.hidden = !light;
+        if (!light) return;
+        
+        this.lightFolder.title = light.name;
+        this.copyLightToParams(light);
+        
+        const types = Light.TYPES;
+        const addInput = (key, options, apply) => {
+            const input = this.lightFolder.addInput(this.params.light, key, options);
+            input.on('change', (ev) => {
+                if (this.syncingLight) return;
+                apply(ev.value);
+                light.markDirty();
+            });
+            this.lightInputs.push(input);
+        };
+        
+        if (light.isPositional) {
+            ['posX', 'posY', 'posZ'].forEach((key, axis) => {
+                addInput(key, { label: `Position ${'XYZ'[axis]}`, min: -20, max: 20, step: 0.1 },
+                    value => { light.position[axis] = value; });
+            });
+        }
+        
+        if (light.type !== types.POINT) {
+            ['dirX', 'dirY', 'dirZ'].forEach((key, axis) => {
+                addInput(key, { label: `Direction ${'XYZ'[axis]}`, min: -1, max: 1, step: 0.05 },
+                    value => { light.direction[axis] = value; });
+            });
+        }
+        
+        addInput('color', { label: 'Color' }, value => {
+            light.color = [value.r / 255, value.g / 255, value.b / 255];
+        });
+        
+        addInput('intensity', { label: 'Intensity', min: 0, max: light.isPositional ? 50 : 5, step: 0.05 },
+            value => { light.intensity = value; });
+        
+        if (light.isPositional) {
+            addInput('range', { label: 'Range', min: 0.5, max: 100, step: 0.5 },
+                value => { light.range = value; });
+        }
+        
+        if (light.type === types.SPOT) {
+            addInput('innerAngle', { label: 'Inner Angle', min: 0, max: 89, step: 1 },
+                value => { light.innerAngle = value; });
+            addInput('outerAngle', { label: 'Outer Angle', min: 1, max: 90, step: 1 },
+                value => { light.outerAngle = value; });
+        }
+        
+        if (light.type === types.AREA) {
+            addInput('width', { label: 'Width', min: 0.1, max: 10, step: 0.1 },
+                value => { light.width = value; });
+            addInput('height', { label: 'Height', min: 0.1, max: 10, step: 0.1 },
+                value => { light.height = value; });
+        }
+        
+        addInput('castShadows', { label: 'Cast Shadows' }, value => { light.castShadows = value; });
+        
+        this.lightFolder.addButton({
+            title: 'Delete Light',
+            label: 'Remove'
+        }).on('click', () => {
+            this.lightManager.removeLight(light.id);
+            this.refreshLightControls();
         });
     }
     
@@ -615,6 +2079,35 @@ class UIManager {
      * Update UI (called every frame)
      */
     update() {
+        // Refresh the selected shape editor when the selection changes
+        if (this.shapeManager.selectedShape !== this.lastSelectedShape) {
+            this.syncSelectedShapeParams();
+        }
+        
+        // Keep light handles on their lights as the camera moves
+        if (this.lightGizmo) this.lightGizmo.update();
+        if (this.lightManager && this.lightManager.selectedLight !== this.lastSelectedLight) {
+            this.refreshLightControls();
+        }
+        
+        // List textures that finished loading since the dropdowns were built
+        const textureManager = this.renderer.textureManager;
+        if (this.textureFolder && textureManager && textureManager.textures.length !== this.textureOptionCount) {
+            this.refreshTextureSlotInputs();
+            this.syncTextureParams();
+        }
+        
+        // Dynamic resolution scale
+        if (this.renderer.resolutionScaler) {
+            this.params.render.renderScale = this.renderer.resolutionScaler.isActive() ? this.renderer.resolutionScaler.scale : 1.0;
+        }
+        
+        // Reference render or supersampled still progress
+        if ((this.params.render.referenceMode || this.params.render.supersampleStill) && typeof this.renderer.getAccumulationProgress === 'function') {
+            const progress = this.renderer.getAccumulationProgress();
+            this.params.render.samples = `${progress.samples} / ${progress.maxSamples}`;
+        }
+        
         // Update FPS display if enabled
         if (this.params.render.showFPS && this.fpsElement) {
             this.fpsElement.textContent = `FPS: ${this.renderer.getFPS()}`;
@@ -653,9 +2146,28 @@ class UIManager {
                 distance.normalize();
                 distance.scale(strength, distance);
                 
-                // Apply impulse
+                // Apply impulse, waking bodies that have come to rest
+                shape.physicsBody.wakeUp();
                 shape.physicsBody.applyImpulse(distance, bodyPos);
             }
         });
     }
-}
\ No newline at end of file
+}
+
+// Starting point for the custom SDF editor
+UIManager.CUSTOM_SDF_TEMPLATE = `// Distance to a unit-sized shape in object space
+// params holds the shape's Param 1-4 sliders
+float sdCustom(vec3 p, vec4 params) {
+    // Sphere carved by a gyroid
+    float sphere = length(p) - 0.5;
+    float gyroid = abs(dot(sin(p * 8.0), cos(p.zxy * 8.0))) / 8.0 - 0.02 - params.x * 0.05;
+    return max(sphere, gyroid);
+}`;
+
+// Material texture slots offered in the Material Textures folder
+UIManager.TEXTURE_SLOTS = [
+    { key: 'diffuse', label: 'Diffuse' },
+    { key: 'normal', label: 'Normal Map' },
+    { key: 'roughness', label: 'Roughness Map' },
+    { key: 'metallic', label: 'Metallic Map' }
+];
@@ -3,22 +3,38 @@
  * This handles all the rendering of shapes, materials, and lighting
  */
 
-const FRAGMENT_SHADER = `
-#ifdef GL_ES
+/**
+ * Build the fragment shader source from the current shape type registry
+ * @param {string} defines - Extra preprocessor lines, e.g. from DataTexture.getShaderDefines (optional)
+ * @returns {string} GLSL source
+ */
+function buildFragmentShader(defines = '') {
+    return `#version 300 es
 precision highp float;
-#endif
-
+precision highp int;
+${defines}
 // Constants
 #define PI 3.14159265359
 #define MAX_BOUNCES 2
 
 // Varying inputs from vertex shader
-varying vec2 vTexCoord;
+in vec2 vTexCoord;
+
+// Final pixel color
+out vec4 fragColor;
 
 // Texture samplers
 uniform sampler2D uShapeData;  // Texture containing shape data
 uniform sampler2D uMaterialData;  // Texture containing material data
-uniform samplerCube uEnvironmentMap; // Environment map for reflections
+uniform sampler2D uBVHData;  // Texture containing the BVH over shape rows
+uniform sampler2D uLightData;  // Texture containing the light list
+uniform samplerCube uEnvironmentMap; // Radiance, prefiltered for increasing roughness along its mips
+uniform samplerCube uIrradianceMap;  // Radiance convolved with the cosine lobe, for diffuse light
+uniform sampler2D uBRDFLut;  // Split-sum scale and bias to F0 by N·V and roughness
+
+// Material textures by TextureManager index (see TextureManager.bindTextures)
+${Array.from({ length: TextureManager.MAX_SHADER_TEXTURES }, (_, i) =>
+`uniform sampler2D uMaterialTexture${i};`).join('\n')}
 
 // Camera uniforms
 uniform vec3 uCameraPosition;
@@ -31,23 +47,37 @@ uniform float uFar;
 
 // Scene uniforms
 uniform int uShapeCount;
-uniform vec3 uLightDirection;
-uniform vec3 uLightColor;
+uniform int uBVHNodeCount;
+uniform int uLightCount;
 uniform vec3 uAmbientColor;
 uniform float uShadowSoftness;
 uniform vec3 uBackgroundColor;
 uniform bool uEnvMapEnabled;
 uniform float uEnvMapIntensity;
+uniform float uEnvMapMaxLod;  // Mip level of uEnvironmentMap prefiltered for roughness 1
 
 // Time uniform for animations
 uniform float uTime;
 
+// Reference render mode (path tracing, see tracePath)
+uniform bool uReferenceMode;
+uniform int uFrameIndex;     // Index of the sample being accumulated, seeds the random numbers
+uniform int uPathBounces;    // Indirect bounces per path
+uniform vec2 uResolution;    // Render target size in pixels, for sub-pixel jitter
+
+// Temporal anti-aliasing
+uniform vec2 uJitter;        // Sub-pixel camera offset in UV units, changed every frame
+uniform bool uWriteDepth;    // Output the first hit distance in alpha for reprojection
+
 // Import SDF and lighting functions 
-${SDF_FUNCTIONS}
+${buildSDFFunctions()}
 ${LIGHTING_FUNCTIONS}
 
 // Calculate camera ray based on UV coordinates
 vec3 getCameraRay(vec2 uv) {
+    // Shift by the TAA jitter so successive frames sample different points in each pixel
+    uv += uJitter;
+    
     // Convert UV from (0,1) to (-1,1) range
     uv = 2.0 * uv - 1.0;
     
@@ -66,9 +96,259 @@ vec3 getCameraRay(vec2 uv) {
     return normalize(worldRayDir);
 }
 
+// Procedural pattern types (matches Material.PATTERNS)
+#define PATTERN_NONE 0
+#define PATTERN_STRIPES 1
+#define PATTERN_WOOD 2
+#define PATTERN_MARBLE 3
+#define PATTERN_NOISE 4
+
+// Hash a lattice point to [0, 1)
+float hash3(vec3 p) {
+    p = fract(p * 0.3183099 + 0.1);
+    p *= 17.0;
+    return fract(p.x * p.y * p.z * (p.x + p.y + p.z));
+}
+
+// Value noise in [0, 1), smoothly interpolated between lattice points
+float valueNoise(vec3 p) {
+    vec3 i = floor(p);
+    vec3 f = fract(p);
+    f = f * f * (3.0 - 2.0 * f);
+    
+    return mix(
+        mix(mix(hash3(i), hash3(i + vec3(1.0, 0.0, 0.0)), f.x),
+            mix(hash3(i + vec3(0.0, 1.0, 0.0)), hash3(i + vec3(1.0, 1.0, 0.0)), f.x), f.y),
+        mix(mix(hash3(i + vec3(0.0, 0.0, 1.0)), hash3(i + vec3(1.0, 0.0, 1.0)), f.x),
+            mix(hash3(i + vec3(0.0, 1.0, 1.0)), hash3(i + vec3(1.0, 1.0, 1.0)), f.x), f.y),
+        f.z
+    );
+}
+
+// Fractal noise in [0, 1): four octaves of value noise
+float fbm(vec3 p) {
+    float value = 0.0;
+    float amplitude = 0.5;
+    for (int i = 0; i < 4; i++) {
+        value += amplitude * valueNoise(p);
+        p = p * 2.03 + vec3(1.7, 9.2, 5.3); // Offset octaves so their lattices don't line up
+        amplitude *= 0.5;
+    }
+    return value / 0.9375;
+}
+
+// Evaluate a material pattern at an object-space point
+// Returns 0 where the base material shows and 1 where the pattern's does;
+// turbulence is how far noise bends the pattern (contrast for plain noise)
+float evaluatePattern(int type, vec3 p, float scale, float turbulence) {
+    p *= scale;
+    
+    if (type == PATTERN_STRIPES) {
+        // Bands along Y with slightly softened edges
+        float bands = p.y + turbulence * (fbm(p) - 0.5);
+        return smoothstep(-0.1, 0.1, sin(bands * 2.0 * PI));
+    }
+    if (type == PATTERN_WOOD) {
+        // Growth rings around the Y axis, dark at the end of each ring, plus fine grain along it
+        float rings = fract(length(p.xz) + turbulence * fbm(p * vec3(1.0, 0.25, 1.0)));
+        float grain = fbm(p * vec3(12.0, 0.5, 12.0));
+        return clamp(smoothstep(0.55, 1.0, rings) + 0.3 * grain, 0.0, 1.0);
+    }
+    if (type == PATTERN_MARBLE) {
+        // Thin veins where a noise-bent wave across X crosses zero
+        float veins = sin((p.x + turbulence * 2.0 * fbm(p)) * PI);
+        return 1.0 - smoothstep(0.0, 0.25, abs(veins));
+    }
+    if (type == PATTERN_NOISE) {
+        return clamp(0.5 + (fbm(p) - 0.5) * (1.0 + 3.0 * turbulence), 0.0, 1.0);
+    }
+    return 0.0;
+}
+
+// Texture projections (matches Material.TEXTURE_MAPPINGS)
+#define TEXTURE_MAPPING_TRIPLANAR 0
+#define TEXTURE_MAPPING_PRIMITIVE 1
+
+// Sample a material texture by its TextureManager index
+// Sampler arrays can only be indexed with constants, hence one branch per
+// slot; level 0 is explicit because screen-space derivatives are meaningless
+// for rays that diverge inside the march and bounce loops
+vec4 sampleMaterialTexture(int index, vec2 uv) {
+${Array.from({ length: TextureManager.MAX_SHADER_TEXTURES }, (_, i) =>
+`    if (index == ${i}) return textureLod(uMaterialTexture${i}, uv, 0.0);`).join('\n')}
+    return vec4(1.0);
+}
+
+// Where a surface point falls in a material's texture space: up to three
+// projections with blend weights (one with weight 1 for analytic UVs)
+struct TextureMapping {
+    vec2 uvX;
+    vec2 uvY;
+    vec2 uvZ;
+    vec3 weights;
+    int uvMapping; // The shape's UV_* mapping, or UV_NONE for triplanar projection
+};
+
+// Apply a material's texture scale and rotation (pixels 4-5) to a UV difference
+vec2 transformTextureDirection(vec2 direction, int matIndex) {
+    vec2 scale = fetchData(uMaterialData, 4, matIndex).xy;
+    float rotation = fetchData(uMaterialData, 5, matIndex).x;
+    return rotate2D(direction * scale, rotation);
+}
+
+// Apply a material's texture scale, rotation and offset (pixels 4-5) to a UV
+vec2 transformTextureUV(vec2 uv, int matIndex) {
+    return transformTextureDirection(uv, matIndex) + fetchData(uMaterialData, 4, matIndex).zw;
+}
+
+// Analytic UV of an object-space point on a unit-size primitive
+vec2 getPrimitiveUV(vec3 p, int uvMapping) {
+    float angle = atan(p.z, p.x) / (2.0 * PI) + 0.5;
+    
+    if (uvMapping == UV_SPHERICAL) {
+        return vec2(angle, acos(clamp(normalize(p).y, -1.0, 1.0)) / PI);
+    }
+    if (uvMapping == UV_CYLINDRICAL) {
+        return vec2(angle, 0.5 - p.y);
+    }
+    
+    // Box: the face the point lies on, each face holding the whole texture
+    vec3 a = abs(p);
+    vec2 uv;
+    if (a.x >= a.y && a.x >= a.z) {
+        uv = vec2(-sign(p.x) * p.z, -p.y);
+    } else if (a.y >= a.z) {
+        uv = vec2(p.x, sign(p.y) * p.z);
+    } else {
+        uv = vec2(sign(p.z) * p.x, -p.y);
+    }
+    return uv + 0.5;
+}
+
+// Project a surface point of a shape into a material's texture space
+// Primitive mapping uses the shape type's analytic UVs on the unit-size
+// primitive, so the texture wraps once around the shape whatever its size.
+// Triplanar mapping, the default and the fallback for shapes without UVs,
+// projects along the object axes at world scale and blends the three
+// projections by the object-space normal.
+TextureMapping getTextureMapping(vec3 worldPos, vec3 normal, int row, int matIndex) {
+    vec4 posData = fetchData(uShapeData, 0, row);
+    vec4 quaternion = fetchData(uShapeData, 1, row);
+    vec4 sizeType = fetchData(uShapeData, 2, row);
+    
+    TextureMapping mapping;
+    mapping.uvY = vec2(0.0);
+    mapping.uvZ = vec2(0.0);
+    
+    int mode = int(fetchData(uMaterialData, 7, matIndex).y + 0.5);
+    mapping.uvMapping = mode == TEXTURE_MAPPING_PRIMITIVE ? getShapeUVMapping(int(sizeType.w + 0.5)) : UV_NONE;
+    
+    if (mapping.uvMapping != UV_NONE) {
+        vec3 p = transformPoint(worldPos, posData.xyz, quaternion, sizeType.xyz);
+        mapping.uvX = transformTextureUV(getPrimitiveUV(p, mapping.uvMapping), matIndex);
+        mapping.weights = vec3(1.0, 0.0, 0.0);
+        return mapping;
+    }
+    
+    // Object space without the scale, like the procedural patterns
+    vec3 p = transformPoint(worldPos, posData.xyz, quaternion, vec3(1.0));
+    vec3 n = transformPoint(normal, vec3(0.0), quaternion, vec3(1.0));
+    
+    // Sharpened weights keep the blend zones between projections narrow
+    vec3 weights = pow(abs(n), vec3(4.0));
+    mapping.weights = weights / max(weights.x + weights.y + weights.z, 1e-5);
+    mapping.uvX = transformTextureUV(p.zy, matIndex);
+    mapping.uvY = transformTextureUV(p.xz, matIndex);
+    mapping.uvZ = transformTextureUV(p.xy, matIndex);
+    return mapping;
+}
+
+// Sample a material texture through a mapping, skipping projections without weight
+vec4 sampleMappedTexture(int index, TextureMapping mapping) {
+    vec4 color = vec4(0.0);
+    if (mapping.weights.x > 0.0) color += sampleMaterialTexture(index, mapping.uvX) * mapping.weights.x;
+    if (mapping.weights.y > 0.0) color += sampleMaterialTexture(index, mapping.uvY) * mapping.weights.y;
+    if (mapping.weights.z > 0.0) color += sampleMaterialTexture(index, mapping.uvZ) * mapping.weights.z;
+    return color;
+}
+
+// Decode a normal map texel; 128 is zero, so TextureManager's default normal map is exactly flat
+vec3 decodeNormalMap(vec3 texel) {
+    return clamp((texel * 255.0 - 128.0) / 127.0, -1.0, 1.0);
+}
+
+// Turn a decoded normal map sample into a normal around N, given two surface
+// directions and how far the texture coordinates move along each of them
+vec3 tangentToSurface(vec3 t, vec3 dirA, vec3 dirB, vec2 uvA, vec2 uvB, vec3 N) {
+    // Surface directions in which U and V increase
+    mat2 toDirections = inverse(mat2(uvA, uvB));
+    vec3 T = normalize(dirA * toDirections[0].x + dirB * toDirections[0].y);
+    vec3 B = normalize(dirA * toDirections[1].x + dirB * toDirections[1].y);
+    
+    // Green points up the image, which is -V since images are stored top row first
+    return T * t.x - B * t.y + N * t.z;
+}
+
+// Tilt a world-space normal by a tangent-space normal map
+// Triplanar projections take their tangent frames from the object axes they
+// project along and are blended like the color samples. Analytic UVs have no
+// fixed axes, so their frame comes from differencing the UVs across the surface.
+vec3 applyNormalMap(int index, TextureMapping mapping, vec3 worldPos, vec3 normal, int row, int matIndex) {
+    vec4 posData = fetchData(uShapeData, 0, row);
+    vec4 quaternion = fetchData(uShapeData, 1, row);
+    
+    if (mapping.uvMapping != UV_NONE) {
+        vec3 sizeData = fetchData(uShapeData, 2, row).xyz;
+        vec3 dirA = normalize(cross(abs(normal.y) < 0.999 ? vec3(0.0, 1.0, 0.0) : vec3(1.0, 0.0, 0.0), normal));
+        vec3 dirB = cross(normal, dirA);
+        
+        const float h = 0.001;
+        vec2 uv = getPrimitiveUV(transformPoint(worldPos, posData.xyz, quaternion, sizeData), mapping.uvMapping);
+        vec2 uvA = getPrimitiveUV(transformPoint(worldPos + dirA * h, posData.xyz, quaternion, sizeData), mapping.uvMapping) - uv;
+        vec2 uvB = getPrimitiveUV(transformPoint(worldPos + dirB * h, posData.xyz, quaternion, sizeData), mapping.uvMapping) - uv;
+        
+        // Angles wrap around at the seam, where the difference would jump by a whole turn
+        uvA.x -= floor(uvA.x + 0.5);
+        uvB.x -= floor(uvB.x + 0.5);
+        
+        vec3 t = decodeNormalMap(sampleMaterialTexture(index, mapping.uvX).rgb);
+        return normalize(tangentToSurface(t, dirA, dirB,
+                                          transformTextureDirection(uvA / h, matIndex),
+                                          transformTextureDirection(uvB / h, matIndex), normal));
+    }
+    
+    // Object-space projections: X maps (Z, Y) to UV, Y maps (X, Z) and Z maps (X, Y)
+    vec3 n = transformPoint(normal, vec3(0.0), quaternion, vec3(1.0));
+    vec3 s = vec3(n.x < 0.0 ? -1.0 : 1.0, n.y < 0.0 ? -1.0 : 1.0, n.z < 0.0 ? -1.0 : 1.0);
+    vec2 uvU = transformTextureDirection(vec2(1.0, 0.0), matIndex);
+    vec2 uvV = transformTextureDirection(vec2(0.0, 1.0), matIndex);
+    
+    vec3 objectNormal = vec3(0.0);
+    if (mapping.weights.x > 0.0) {
+        vec3 t = decodeNormalMap(sampleMaterialTexture(index, mapping.uvX).rgb);
+        objectNormal += tangentToSurface(t, vec3(0.0, 0.0, 1.0), vec3(0.0, 1.0, 0.0), uvU, uvV, vec3(s.x, 0.0, 0.0)) * mapping.weights.x;
+    }
+    if (mapping.weights.y > 0.0) {
+        vec3 t = decodeNormalMap(sampleMaterialTexture(index, mapping.uvY).rgb);
+        objectNormal += tangentToSurface(t, vec3(1.0, 0.0, 0.0), vec3(0.0, 0.0, 1.0), uvU, uvV, vec3(0.0, s.y, 0.0)) * mapping.weights.y;
+    }
+    if (mapping.weights.z > 0.0) {
+        vec3 t = decodeNormalMap(sampleMaterialTexture(index, mapping.uvZ).rgb);
+        objectNormal += tangentToSurface(t, vec3(1.0, 0.0, 0.0), vec3(0.0, 1.0, 0.0), uvU, uvV, vec3(0.0, 0.0, s.z)) * mapping.weights.z;
+    }
+    
+    // Back to world space (the conjugate quaternion undoes transformPoint's inverse rotation)
+    return normalize(transformPoint(objectNormal, vec3(0.0), vec4(-quaternion.xyz, quaternion.w), vec3(1.0)));
+}
+
 // Fetch material properties from the material data texture
+// The hit point, its normal and the shape row place procedural patterns and
+// textures in the shape's object space; a normal map tilts the normal in place
 void getMaterialProperties(
     float materialId, 
+    vec3 worldPos,
+    inout vec3 normal,
+    float shapeRow,
     out vec3 albedo, 
     out float metallic, 
     out float roughness, 
@@ -86,73 +366,99 @@ void getMaterialProperties(
     ior = 1.45;
     transparent = 0.0;
     
-    // Read material data from texture
-    vec4 albedoMetal = texelFetch(uMaterialData, ivec2(0, matIndex), 0);
-    vec4 roughIorData = texelFetch(uMaterialData, ivec2(1, matIndex), 0);
-    vec4 emissiveData = texelFetch(uMaterialData, ivec2(2, matIndex), 0);
+    // Read material data from texture (layout in DataTexture.updateMaterialTexture)
+    vec4 albedoFlags = fetchData(uMaterialData, 0, matIndex);
+    vec4 surfaceData = fetchData(uMaterialData, 1, matIndex);
+    vec4 emissiveData = fetchData(uMaterialData, 2, matIndex);
     
     // Extract properties
-    albedo = albedoMetal.rgb;
-    metallic = albedoMetal.a;
-    roughness = roughIorData.x;
-    emissive = emissiveData.rgb;
-    ior = roughIorData.z;
+    albedo = albedoFlags.rgb;
+    roughness = surfaceData.x;
+    metallic = surfaceData.y;
+    ior = surfaceData.z;
+    emissive = emissiveData.rgb * surfaceData.w;
     
     // Extract transparency flag from flags
-    float flags = roughIorData.w;
+    float flags = albedoFlags.w;
     transparent = step(0.5, mod(flags, 2.0)); // Check bit 0 for transparency
-}
-
-// Sample environment map with roughness
-vec3 sampleEnvironmentMap(vec3 direction, float roughness) {
-    if (uEnvMapEnabled) {
-        // Adjust roughness for better visual results
-        float adjustedRoughness = roughness * roughness * 8.0;
+    
+    if (shapeRow < -0.5) return;
+    int row = int(shapeRow + 0.5);
+    
+    // Procedural pattern: type, scale and turbulence in pixel 5, its surface in pixels 6-7
+    vec4 patternData = fetchData(uMaterialData, 5, matIndex);
+    int patternType = int(patternData.y + 0.5);
+    if (patternType != PATTERN_NONE) {
+        // Object space without the scale, so patterns keep their size when shapes are resized
+        vec3 objectPos = transformPoint(worldPos, fetchData(uShapeData, 0, row).xyz, fetchData(uShapeData, 1, row), vec3(1.0));
+        float amount = evaluatePattern(patternType, objectPos, patternData.z, patternData.w);
         
-        // For simple env map sampling without importance sampling, 
-        // just use a high mipmap level for rough surfaces
-        // Note: this is just an approximation, real engines use importance sampling
-        return textureLod(uEnvironmentMap, direction, adjustedRoughness).rgb * uEnvMapIntensity;
+        vec4 patternSurface = fetchData(uMaterialData, 6, matIndex);
+        albedo = mix(albedo, patternSurface.rgb, amount);
+        roughness = mix(roughness, patternSurface.a, amount);
+        metallic = mix(metallic, fetchData(uMaterialData, 7, matIndex).r, amount);
     }
     
-    // Default sky color if no environment map is available
-    vec3 skyColor = vec3(0.2, 0.3, 0.5);
-    vec3 groundColor = vec3(0.1, 0.1, 0.1);
-    float blend = 0.5 + 0.5 * direction.y;
-    return mix(groundColor, skyColor, blend);
+    // Texture indices in pixel 3: diffuse, normal, roughness, metallic (-1 when unset)
+    ivec4 textureIndices = ivec4(floor(fetchData(uMaterialData, 3, matIndex) + 0.5));
+    if (all(lessThan(textureIndices, ivec4(0)))) return;
+    
+    TextureMapping mapping = getTextureMapping(worldPos, normal, row, matIndex);
+    
+    // The diffuse texture tints the albedo
+    if (textureIndices.x >= 0) {
+        vec3 diffuse = sampleMappedTexture(textureIndices.x, mapping).rgb;
+        albedo *= pow(diffuse, vec3(2.2)); // Images are sRGB, lighting is linear
+    }
+    
+    // Roughness and metallic maps are linear and scale the material's values (red channel)
+    if (textureIndices.z >= 0) {
+        roughness *= sampleMappedTexture(textureIndices.z, mapping).r;
+    }
+    if (textureIndices.w >= 0) {
+        metallic *= sampleMappedTexture(textureIndices.w, mapping).r;
+    }
+    
+    if (textureIndices.y >= 0) {
+        normal = applyNormalMap(textureIndices.y, mapping, worldPos, normal, row, matIndex);
+    }
 }
 
 // Trace a ray through the scene
+// GLSL ES has no recursion, so reflection and refraction rays are followed
+// in a loop: each hit adds its own shading weighted by how much light still
+// reaches the camera along the path, then the ray continues as the bounce.
+// Only one bounce ray is followed per hit; transparent surfaces refract and
+// take their reflection from the environment map.
+// Alpha holds the distance to the first hit, or -1 when the ray escapes.
 vec4 traceRay(vec3 ro, vec3 rd, float maxDist, int bounces) {
-    // Ray march the scene
-    vec2 result = rayMarch(ro, rd, uShapeData, uShapeCount);
-    float dist = result.x;
-    float objectId = result.y;
+    vec3 color = vec3(0.0);
+    vec3 throughput = vec3(1.0);
+    float firstHit = -1.0;
     
-    // If we hit something
-    if (objectId > -0.5 && dist < maxDist) {
+    for (int bounce = 0; bounce <= MAX_BOUNCES; bounce++) {
+        // Ray march the scene
+        // The hit record carries the shape's row and material, so no lookup is needed
+        vec3 result = rayMarch(ro, rd, uShapeData, uShapeCount);
+        float dist = result.x;
+        float shapeRow = result.y;
+        float materialId = result.z;
+        
+        // Return environment/skybox color when no object is hit
+        if (shapeRow < -0.5 || dist >= maxDist) {
+            color += throughput * sampleEnvironmentMap(rd, 0.0);
+            break;
+        }
+        
+        if (bounce == 0) firstHit = dist;
+        bool canBounce = bounce < bounces;
+        
         // Calculate world position of hit point
         vec3 worldPos = ro + rd * dist;
         
         // Calculate surface normal
         vec3 normal = calcNormal(worldPos, uShapeData, uShapeCount);
         
-        // Get material ID for this object
-        float materialId = -1.0;
-        
-        // Find the shape with matching ID to get its material
-        for (int i = 0; i < MAX_STEPS; i++) {
-            if (i >= uShapeCount) break;
-            
-            vec4 posData = texelFetch(uShapeData, ivec2(0, i), 0);
-            vec4 matData = texelFetch(uShapeData, ivec2(3, i), 0);
-            
-            if (abs(posData.w - objectId) < 0.1) { // Compare IDs with a small epsilon
-                materialId = matData.x;
-                break;
-            }
-        }
-        
         // Get material properties
         vec3 albedo;
         float metallic;
@@ -161,12 +467,16 @@ vec4 traceRay(vec3 ro, vec3 rd, float maxDist, int bounces) {
         float ior;
         float transparent;
         
-        getMaterialProperties(materialId, albedo, metallic, roughness, emissive, ior, transparent);
+        getMaterialProperties(materialId, worldPos, normal, shapeRow, albedo, metallic, roughness, emissive, ior, transparent);
         
         // Calculate view direction
-        vec3 viewDir = normalize(uCameraPosition - worldPos);
+        vec3 viewDir = -rd;
         
-        // Initialize color with direct lighting
+        // Smooth and transparent surfaces follow their reflection or refraction ray
+        // below; the others take their reflection from the prefiltered environment
+        bool followsBounce = canBounce && (transparent > 0.5 || roughness < 0.1);
+        
+        // Initialize color with direct and environment lighting
         vec3 directColor = calculatePBRLighting(
             worldPos, 
             normal, 
@@ -177,70 +487,209 @@ vec4 traceRay(vec3 ro, vec3 rd, float maxDist, int bounces) {
             emissive,
             uShapeData,
             uShapeCount,
-            uLightDirection,
-            uLightColor,
             uAmbientColor,
-            uShadowSoftness
+            uShadowSoftness,
+            !followsBounce
         );
         
-        // Add reflection contribution if material is reflective (metallic or smooth)
-        if ((metallic > 0.0 || roughness < 0.5) && bounces > 0) {
-            // Calculate reflection direction
-            vec3 reflectDir = reflect(-viewDir, normal);
+        // For transparent materials, continue along the refracted ray
+        if (transparent > 0.5 && canBounce) {
+            // Calculate refraction direction
+            float eta = 1.0 / ior; // Assuming ray goes from air to material
+            vec3 refractDir = refract(-viewDir, normal, eta);
             
-            // Calculate reflection contribution based on Fresnel
-            vec3 F0 = vec3(0.04);
-            F0 = mix(F0, albedo, metallic);
+            if (length(refractDir) > 0.0) { // Check for total internal reflection
+                vec3 reflectDir = reflect(-viewDir, normal);
+                vec3 F = fresnelSchlickRoughness(max(dot(normal, viewDir), 0.0), vec3(0.04), roughness);
+                vec3 surfaceColor = mix(directColor, sampleEnvironmentMap(reflectDir, roughness), F * (1.0 - roughness));
+                
+                // Blend refraction with direct lighting
+                color += throughput * surfaceColor * 0.2;
+                throughput *= 0.8;
+                
+                ro = worldPos - normal * 0.01; // Offset against the normal
+                rd = refractDir;
+                continue;
+            }
+        }
+        
+        // For very smooth surfaces, trace a reflection ray weighted by Fresnel
+        if (roughness < 0.1 && canBounce) {
+            vec3 F0 = mix(vec3(0.04), albedo, metallic);
             vec3 F = fresnelSchlickRoughness(max(dot(normal, viewDir), 0.0), F0, roughness);
+            vec3 reflectWeight = F * (1.0 - roughness);
             
-            // Use environment map for reflection or trace another ray
-            vec3 reflectionColor;
+            color += throughput * directColor * (1.0 - reflectWeight);
+            throughput *= reflectWeight;
             
-            if (roughness < 0.1 && bounces > 0) {
-                // For very smooth surfaces, trace a reflection ray
-                vec4 reflectionResult = traceRay(
-                    worldPos + normal * 0.01, // Slight offset to avoid self-intersection
-                    reflectDir, 
-                    maxDist, 
-                    bounces - 1
-                );
-                reflectionColor = reflectionResult.rgb;
-            } else {
-                // For rougher surfaces, use environment map directly
-                reflectionColor = sampleEnvironmentMap(reflectDir, roughness);
+            ro = worldPos + normal * 0.01; // Slight offset to avoid self-intersection
+            rd = reflect(-viewDir, normal);
+            continue;
+        }
+        
+        color += throughput * directColor;
+        break;
+    }
+    
+    return vec4(color, firstHit);
+}
+
+// Random number state for the path tracer, seeded per pixel and sample in main()
+uint rngState;
+
+// Uniform random number in [0, 1) (PCG hash)
+float random() {
+    rngState = rngState * 747796405u + 2891336453u;
+    uint word = ((rngState >> ((rngState >> 28u) + 4u)) ^ rngState) * 277803737u;
+    return float((word >> 22u) ^ word) / 4294967296.0;
+}
+
+// Rotate a direction from the frame where N is +Z into world space
+vec3 toWorld(vec3 local, vec3 N) {
+    vec3 tangent = normalize(cross(abs(N.z) < 0.999 ? vec3(0.0, 0.0, 1.0) : vec3(1.0, 0.0, 0.0), N));
+    vec3 bitangent = cross(N, tangent);
+    return tangent * local.x + bitangent * local.y + N * local.z;
+}
+
+// Cosine-weighted direction in the hemisphere around N
+vec3 sampleCosineHemisphere(vec3 N) {
+    float phi = 2.0 * PI * random();
+    float r = sqrt(random());
+    return toWorld(vec3(r * cos(phi), r * sin(phi), sqrt(max(1.0 - r * r, 0.0))), N);
+}
+
+// Microfacet normal drawn from the GGX distribution around N
+vec3 sampleGGX(vec3 N, float roughness) {
+    float a = max(roughness * roughness, 0.001);
+    float u = random();
+    float phi = 2.0 * PI * random();
+    float cosTheta = sqrt((1.0 - u) / (1.0 + (a * a - 1.0) * u));
+    float sinTheta = sqrt(max(1.0 - cosTheta * cosTheta, 0.0));
+    return toWorld(vec3(sinTheta * cos(phi), sinTheta * sin(phi), cosTheta), N);
+}
+
+// Distance along rd at which a ray starting inside a solid leaves it
+float marchInterior(vec3 ro, vec3 rd) {
+    float dist = 0.0;
+    
+    for (int i = 0; i < MAX_STEPS; i++) {
+        float dS = -mapScene(ro + rd * dist, uShapeData, uShapeCount).x;
+        if (dS < SURF_DIST || dist > MAX_DIST) break;
+        dist += dS;
+    }
+    
+    return dist;
+}
+
+// Estimate the radiance arriving along a camera ray with one random path
+// Every hit adds light from the scene lights (except emissive shapes, which
+// count when a path hits them) and continues in a direction drawn from the
+// material: a GGX reflection or a diffuse bounce, or for transparent materials
+// a Fresnel-weighted choice between reflecting and refracting through the solid.
+// Averaged over many frames this converges to global illumination.
+vec3 tracePath(vec3 ro, vec3 rd) {
+    vec3 radiance = vec3(0.0);
+    vec3 throughput = vec3(1.0);
+    
+    for (int bounce = 0; bounce <= uPathBounces; bounce++) {
+        vec3 result = rayMarch(ro, rd, uShapeData, uShapeCount);
+        if (result.y < -0.5) {
+            radiance += throughput * sampleEnvironmentMap(rd, 0.0);
+            break;
+        }
+        
+        vec3 worldPos = ro + rd * result.x;
+        vec3 N = calcNormal(worldPos, uShapeData, uShapeCount);
+        vec3 V = -rd;
+        
+        vec3 albedo;
+        float metallic;
+        float roughness;
+        vec3 emissive;
+        float ior;
+        float transparent;
+        getMaterialProperties(result.z, worldPos, N, result.y, albedo, metallic, roughness, emissive, ior, transparent);
+        
+        radiance += throughput * emissive;
+        if (bounce == uPathBounces) break;
+        
+        float NdotV = max(dot(N, V), 0.0001);
+        
+        if (transparent > 0.5) {
+            // Dielectric: reflect with the Fresnel probability, otherwise refract through the solid
+            float r0 = (1.0 - ior) / (1.0 + ior);
+            float reflectance = fresnelSchlick(NdotV, vec3(r0 * r0)).x;
+            
+            if (random() < reflectance) {
+                ro = worldPos + N * 0.01;
+                rd = reflect(rd, N);
+                continue;
             }
             
-            // Add reflection contribution
-            directColor = mix(directColor, reflectionColor, F * (1.0 - roughness));
+            vec3 inside = refract(rd, N, 1.0 / ior);
+            vec3 entry = worldPos - N * 0.01;
+            vec3 exitPos = entry + inside * marchInterior(entry, inside);
+            vec3 exitNormal = calcNormal(exitPos, uShapeData, uShapeCount);
+            vec3 outside = refract(inside, -exitNormal, ior);
+            
+            // Total internal reflection would need another interior march; leave along the inner ray instead
+            if (dot(outside, outside) == 0.0) outside = inside;
+            
+            throughput *= albedo;
+            ro = exitPos + exitNormal * 0.01;
+            rd = outside;
+            continue;
         }
         
-        // For transparent materials, add refraction
-        if (transparent > 0.5 && bounces > 0) {
-            // Calculate refraction direction
-            float eta = 1.0 / ior; // Assuming ray goes from air to material
-            vec3 refractDir = refract(-viewDir, normal, eta);
+        // Direct light from the scene lights
+        radiance += throughput * calculateDirectLighting(worldPos, N, V, albedo, metallic, roughness,
+                                                         uShapeData, uShapeCount, uShadowSoftness, false);
+        
+        // Pick the specular or diffuse lobe in proportion to its expected weight
+        vec3 F0 = mix(vec3(0.04), albedo, metallic);
+        vec3 F = fresnelSchlickRoughness(NdotV, F0, roughness);
+        float specularChance = clamp(mix(max(F.r, max(F.g, F.b)), 1.0, metallic), 0.05, 1.0);
+        
+        if (random() < specularChance) {
+            vec3 H = sampleGGX(N, roughness);
+            vec3 L = reflect(-V, H);
+            if (dot(N, L) <= 0.0) break;
             
-            if (length(refractDir) > 0.0) { // Check for total internal reflection
-                vec4 refractResult = traceRay(
-                    worldPos - normal * 0.01, // Offset against the normal
-                    refractDir, 
-                    maxDist, 
-                    bounces - 1
-                );
-                
-                // Blend refraction with direct lighting
-                directColor = mix(directColor, refractResult.rgb, 0.8);
-            }
+            // GGX sample weight: F * G * VdotH / (NdotH * NdotV)
+            float VdotH = max(dot(V, H), 0.0);
+            float NdotH = max(dot(N, H), 0.0001);
+            throughput *= fresnelSchlick(VdotH, F0) * geometrySmith(N, V, L, roughness) * VdotH
+                        / (NdotH * NdotV * specularChance);
+            rd = L;
+        } else {
+            vec3 kD = (vec3(1.0) - F) * (1.0 - metallic);
+            throughput *= kD * albedo / (1.0 - specularChance);
+            rd = sampleCosineHemisphere(N);
         }
+        ro = worldPos + N * 0.01;
         
-        return vec4(directColor, 1.0);
+        // Russian roulette: end dim paths early without biasing the average
+        if (bounce >= 2) {
+            float survival = clamp(max(throughput.r, max(throughput.g, throughput.b)), 0.05, 1.0);
+            if (random() > survival) break;
+            throughput /= survival;
+        }
     }
     
-    // Return environment/skybox color when no object is hit
-    return vec4(sampleEnvironmentMap(rd, 0.0), 1.0);
+    return radiance;
 }
 
 void main() {
+    if (uReferenceMode) {
+        // One jittered path per pixel; PostProcessSystem averages the frames and tone maps
+        rngState = (uint(gl_FragCoord.x) * 1973u + uint(gl_FragCoord.y) * 9277u + uint(uFrameIndex) * 26699u) | 1u;
+        vec2 jitter = (vec2(random(), random()) - 0.5) / uResolution;
+        vec2 pixelUV = vec2(vTexCoord.x, 1.0 - vTexCoord.y) + jitter;
+        
+        fragColor = vec4(tracePath(uCameraPosition, getCameraRay(pixelUV)), 1.0);
+        return;
+    }
+    
     // Flip Y coordinate to match p5.js texture coordinates
     vec2 uv = vec2(vTexCoord.x, 1.0 - vTexCoord.y);
     
@@ -258,7 +707,11 @@ void main() {
     // Gamma correction
     color = pow(color, vec3(1.0/2.2));
     
-    // Output final color
-    gl_FragColor = vec4(color, 1.0);
+    // Output final color, with the hit distance for TemporalAA when it reprojects this frame
+    fragColor = vec4(color, uWriteDepth ? colorResult.a : 1.0);
 }
-`;
\ No newline at end of file
+`;
+}
+
+// Fragment shader for the shape types registered at load time
+const FRAGMENT_SHADER = buildFragmentShader();
@@ -20,16 +20,6 @@ float distributionGGX(vec3 N, vec3 H, float roughness) {
     return nom / max(denom, 0.0001);
 }
 
-// Calculate geometric attenuation (Smith's method with GGX)
-float geometrySmith(vec3 N, vec3 V, vec3 L, float roughness) {
-    float NdotV = max(dot(N, V), 0.0);
-    float NdotL = max(dot(N, L), 0.0);
-    float ggx1 = geometrySchlickGGX(NdotV, roughness);
-    float ggx2 = geometrySchlickGGX(NdotL, roughness);
-    
-    return ggx1 * ggx2;
-}
-
 // Helper for geometric attenuation calculation
 float geometrySchlickGGX(float NdotV, float roughness) {
     float r = (roughness + 1.0);
@@ -41,6 +31,16 @@ float geometrySchlickGGX(float NdotV, float roughness) {
     return nom / max(denom, 0.0001);
 }
 
+// Calculate geometric attenuation (Smith's method with GGX)
+float geometrySmith(vec3 N, vec3 V, vec3 L, float roughness) {
+    float NdotV = max(dot(N, V), 0.0);
+    float NdotL = max(dot(N, L), 0.0);
+    float ggx1 = geometrySchlickGGX(NdotV, roughness);
+    float ggx2 = geometrySchlickGGX(NdotL, roughness);
+    
+    return ggx1 * ggx2;
+}
+
 // Calculate Fresnel effect (Schlick approximation)
 vec3 fresnelSchlick(float cosTheta, vec3 F0) {
     return F0 + (1.0 - F0) * pow(max(1.0 - cosTheta, 0.0), 5.0);
@@ -51,59 +51,213 @@ vec3 fresnelSchlickRoughness(float cosTheta, vec3 F0, float roughness) {
     return F0 + (max(vec3(1.0 - roughness), F0) - F0) * pow(max(1.0 - cosTheta, 0.0), 5.0);
 }
 
-// Calculate PBR lighting
-vec3 calculatePBRLighting(
-    vec3 worldPos, 
-    vec3 N, 
+// Light types, matching Light.TYPES in light.js
+#define LIGHT_DIRECTIONAL 0
+#define LIGHT_POINT 1
+#define LIGHT_SPOT 2
+#define LIGHT_AREA 3
+#define LIGHT_EMISSIVE_SHAPE 4
+
+// Shadow rays toward directional lights stop after this distance
+#define DIRECTIONAL_SHADOW_DIST 20.0
+
+// Smooth window taking a light's falloff to zero at its range (no cutoff when range is 0)
+float rangeWindow(float dist, float range) {
+    if (range <= 0.0) return 1.0;
+    float ratio = dist / range;
+    float window = clamp(1.0 - ratio * ratio * ratio * ratio, 0.0, 1.0);
+    return window * window;
+}
+
+// Evaluate one light from uLightData (layout in DataTexture.updateLightTexture)
+// Outputs the direction toward the light, the distance a shadow ray should
+// travel, the radiance arriving at worldPos and the soft shadow sharpness.
+// Area lights are approximated by the closest point on their rectangle and
+// emissive shapes by a sphere light enclosing the shape.
+void evaluateLight(int index, vec3 worldPos, float shadowSoftness,
+                   out vec3 L, out float lightDist, out vec3 radiance, out float shadowK) {
+    vec4 posData = fetchData(uLightData, 0, index);
+    vec4 dirData = fetchData(uLightData, 1, index);
+    vec4 colorData = fetchData(uLightData, 2, index);
+    vec4 extentData = fetchData(uLightData, 3, index);
+    
+    int type = int(posData.w + 0.5);
+    vec3 dir = dirData.xyz;
+    float range = dirData.w;
+    radiance = colorData.rgb;
+    shadowK = shadowSoftness;
+    
+    if (type == LIGHT_DIRECTIONAL) {
+        L = -dir;
+        lightDist = DIRECTIONAL_SHADOW_DIST;
+        return;
+    }
+    
+    vec3 lightPos = posData.xyz;
+    if (type == LIGHT_EMISSIVE_SHAPE) {
+        float radius = extentData.z;
+        vec3 toCenter = lightPos - worldPos;
+        float centerDist = length(toCenter);
+        L = toCenter / max(centerDist, EPSILON);
+        
+        // Shadow rays stop at the bounding sphere so the glowing shape doesn't shadow itself
+        lightDist = max(centerDist - radius, 0.0);
+        shadowK /= 1.0 + radius;
+        
+        // Irradiance from a uniformly glowing sphere, capped at its surface
+        radiance *= PI * radius * radius / max(centerDist * centerDist, radius * radius);
+        radiance *= rangeWindow(centerDist, range);
+        return;
+    }
+    
+    if (type == LIGHT_AREA) {
+        // Clamp the point into the rectangle spanned around the light's facing direction
+        vec3 tangent = normalize(cross(abs(dir.y) < 0.99 ? vec3(0.0, 1.0, 0.0) : vec3(1.0, 0.0, 0.0), dir));
+        vec3 bitangent = cross(dir, tangent);
+        vec3 offset = worldPos - lightPos;
+        lightPos += tangent * clamp(dot(offset, tangent), -0.5 * extentData.z, 0.5 * extentData.z)
+                  + bitangent * clamp(dot(offset, bitangent), -0.5 * extentData.w, 0.5 * extentData.w);
+        
+        // Larger rectangles cast softer shadows
+        shadowK /= 1.0 + max(extentData.z, extentData.w);
+    }
+    
+    vec3 toLight = lightPos - worldPos;
+    lightDist = length(toLight);
+    L = toLight / max(lightDist, EPSILON);
+    
+    // Inverse-square falloff (offset so it stays finite at the light), windowed to reach zero at range
+    radiance *= rangeWindow(lightDist, range) / (lightDist * lightDist + 1.0);
+    
+    if (type == LIGHT_SPOT) {
+        radiance *= smoothstep(extentData.y, extentData.x, dot(-L, dir));
+    } else if (type == LIGHT_AREA) {
+        // One-sided emitter whose output scales with its area
+        radiance *= max(dot(-L, dir), 0.0) * extentData.z * extentData.w;
+    }
+}
+
+// Reflected radiance from every light in uLightData (Cook-Torrance BRDF)
+// The path tracer leaves out emissive shape lights because its rays hit
+// the glowing shapes themselves.
+vec3 calculateDirectLighting(
+    vec3 worldPos,
+    vec3 N,
     vec3 V,
     vec3 albedo,
     float metallic,
     float roughness,
-    vec3 emissive,
     sampler2D shapeData,
     int shapeCount,
-    vec3 lightDir,
-    vec3 lightColor,
-    vec3 ambientColor,
-    float shadowSoftness
+    float shadowSoftness,
+    bool includeEmissiveShapes
 ) {
     // Calculate base reflectivity
     vec3 F0 = vec3(0.04);
     F0 = mix(F0, albedo, metallic);
     
-    // Initialize lighting components
     vec3 Lo = vec3(0.0);
     
-    // Calculate directional light
-    vec3 L = normalize(-lightDir); // Light direction (pointing towards the fragment)
-    vec3 H = normalize(V + L);     // Halfway vector
+    for (int i = 0; i < uLightCount; i++) {
+        if (!includeEmissiveShapes && int(fetchData(uLightData, 0, i).w + 0.5) == LIGHT_EMISSIVE_SHAPE) continue;
+        
+        vec3 L;
+        float lightDist;
+        vec3 radiance;
+        float shadowK;
+        evaluateLight(i, worldPos, shadowSoftness, L, lightDist, radiance, shadowK);
+        
+        // Skip lights that can't reach this point before paying for the shadow march
+        float NdotL = max(dot(N, L), 0.0);
+        if (NdotL <= 0.0 || max(radiance.r, max(radiance.g, radiance.b)) < 0.0001) continue;
+        
+        vec3 H = normalize(V + L); // Halfway vector
+        
+        // Calculate shadow
+        float shadow = 1.0;
+        if (fetchData(uLightData, 2, i).a > 0.5) {
+            shadow = calcSoftShadow(worldPos, L, 0.1, lightDist, shadowK, shapeData, shapeCount);
+        }
+        
+        // Cook-Torrance BRDF
+        float NDF = distributionGGX(N, H, roughness);
+        float G = geometrySmith(N, V, L, roughness);
+        vec3 F = fresnelSchlick(max(dot(H, V), 0.0), F0);
+        
+        vec3 kS = F;
+        vec3 kD = vec3(1.0) - kS;
+        kD *= 1.0 - metallic;
+        
+        vec3 numerator = NDF * G * F;
+        float denominator = 4.0 * max(dot(N, V), 0.0) * NdotL;
+        vec3 specular = numerator / max(denominator, 0.001);
+        
+        // Add contribution
+        Lo += (kD * albedo / PI + specular) * radiance * NdotL * shadow;
+    }
     
-    // Calculate shadow
-    float shadow = calcSoftShadow(worldPos, L, 0.1, 20.0, shadowSoftness, shapeData, shapeCount);
+    return Lo;
+}
+
+// Sample the environment in a direction, blurred as a reflection off a surface of this roughness
+// The mips of uEnvironmentMap hold the GGX-prefiltered radiance (see EnvironmentMap)
+vec3 sampleEnvironmentMap(vec3 direction, float roughness) {
+    if (uEnvMapEnabled) {
+        return textureLod(uEnvironmentMap, direction, roughness * uEnvMapMaxLod).rgb * uEnvMapIntensity;
+    }
     
-    // Calculate radiance
-    vec3 radiance = lightColor;
+    // Default sky color if no environment map is available
+    vec3 skyColor = vec3(0.2, 0.3, 0.5);
+    vec3 groundColor = vec3(0.1, 0.1, 0.1);
+    float blend = 0.5 + 0.5 * direction.y;
+    return mix(groundColor, skyColor, blend);
+}
+
+// Image-based lighting with the split-sum approximation
+// Diffuse light comes from the irradiance map; specular light is the
+// prefiltered radiance along the reflection, scaled and biased by the BRDF
+// lookup table. The specular part can be left out for surfaces whose
+// reflection ray is traced instead.
+vec3 calculateEnvironmentLighting(vec3 N, vec3 V, vec3 albedo, float metallic, float roughness, bool includeSpecular) {
+    if (!uEnvMapEnabled) return vec3(0.0);
     
-    // Cook-Torrance BRDF
-    float NDF = distributionGGX(N, H, roughness);
-    float G = geometrySmith(N, V, L, roughness);
-    vec3 F = fresnelSchlick(max(dot(H, V), 0.0), F0);
+    float NdotV = max(dot(N, V), 0.0);
+    vec3 F0 = mix(vec3(0.04), albedo, metallic);
+    vec3 F = fresnelSchlickRoughness(NdotV, F0, roughness);
+    vec3 kD = (vec3(1.0) - F) * (1.0 - metallic);
     
-    vec3 kS = F;
-    vec3 kD = vec3(1.0) - kS;
-    kD *= 1.0 - metallic;
+    vec3 irradiance = textureLod(uIrradianceMap, N, 0.0).rgb * uEnvMapIntensity;
+    vec3 color = kD * albedo * irradiance;
     
-    vec3 numerator = NDF * G * F;
-    float denominator = 4.0 * max(dot(N, V), 0.0) * max(dot(N, L), 0.0);
-    vec3 specular = numerator / max(denominator, 0.001);
+    if (includeSpecular) {
+        vec2 brdf = textureLod(uBRDFLut, vec2(NdotV, roughness), 0.0).rg;
+        color += sampleEnvironmentMap(reflect(-V, N), roughness) * (F0 * brdf.x + brdf.y);
+    }
     
-    // Add contribution
-    float NdotL = max(dot(N, L), 0.0);
-    Lo += (kD * albedo / PI + specular) * radiance * NdotL * shadow;
+    return color;
+}
+
+// Calculate PBR lighting from every light in uLightData and the environment
+vec3 calculatePBRLighting(
+    vec3 worldPos, 
+    vec3 N, 
+    vec3 V,
+    vec3 albedo,
+    float metallic,
+    float roughness,
+    vec3 emissive,
+    sampler2D shapeData,
+    int shapeCount,
+    vec3 ambientColor,
+    float shadowSoftness,
+    bool environmentSpecular
+) {
+    vec3 Lo = calculateDirectLighting(worldPos, N, V, albedo, metallic, roughness,
+                                      shapeData, shapeCount, shadowSoftness, true);
     
-    // Calculate ambient lighting (with ambient occlusion)
+    // Calculate ambient and environment lighting (with ambient occlusion)
     float ao = calcAO(worldPos, N, shapeData, shapeCount);
-    vec3 ambient = ambientColor * albedo * ao;
+    vec3 ambient = (ambientColor * albedo + calculateEnvironmentLighting(N, V, albedo, metallic, roughness, environmentSpecular)) * ao;
     
     // Combine lighting components
     vec3 color = ambient + Lo + emissive;
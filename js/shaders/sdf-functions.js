@@ -1,10 +1,16 @@
 /**
  * SDF (Signed Distance Function) implementations for ray marching
  * These functions will be included in the fragment shader
+ * Per-type primitive SDFs are generated from ShapeTypeRegistry (js/models/shape-types.js)
  */
 
-// Store the SDF functions as strings to be included in the shader
-const SDF_FUNCTIONS = `
+/**
+ * Build the SDF functions source to be included in the shader
+ * Rebuilt whenever ShapeTypeRegistry changes (e.g. a custom SDF is registered)
+ * @returns {string} GLSL source
+ */
+function buildSDFFunctions() {
+    return `
 // SDF utilities
 // Constants
 #define MAX_STEPS 100
@@ -12,76 +18,55 @@ const SDF_FUNCTIONS = `
 #define SURF_DIST 0.001
 #define EPSILON 0.0001
 
-// Shape type enumeration
-#define SHAPE_SPHERE 0
-#define SHAPE_BOX 1
-#define SHAPE_TORUS 2
-#define SHAPE_CYLINDER 3
-#define SHAPE_CONE 4
-#define SHAPE_CAPSULE 5
-#define SHAPE_PLANE 6
+// BVH traversal (see DataTexture.updateBVHTexture)
+// Median splits keep the tree depth near log2(shape count), far below the stack size
+#define BVH_STACK_SIZE 32
+#define BVH_LEAF_MARGIN 1.0
 
-// Basic shape SDFs
+// Blend mode enumeration (matches Shape.BLEND_MODES)
+#define BLEND_UNION 0
+#define BLEND_SUBTRACTION 1
+#define BLEND_INTERSECTION 2
+#define BLEND_SMOOTH_UNION 3
 
-// Sphere SDF
-float sdSphere(vec3 p, float radius) {
-    return length(p) - radius;
-}
+// Domain modifier enumeration (matches Shape.MODIFIER_TYPES)
+#define MAX_MODIFIERS 4
+#define MODIFIER_PIXEL 8
+#define MODIFIER_NONE 0
+#define MODIFIER_TWIST 1
+#define MODIFIER_BEND 2
+#define MODIFIER_ELONGATE 3
+#define MODIFIER_ROUND 4
+#define MODIFIER_ONION 5
+#define MODIFIER_REPEAT 6
 
-// Box SDF
-float sdBox(vec3 p, vec3 size) {
-    vec3 d = abs(p) - size * 0.5;
-    return min(max(d.x, max(d.y, d.z)), 0.0) + length(max(d, 0.0));
-}
+// ------------------
+// Data texture access
+// ------------------
 
-// Torus SDF
-float sdTorus(vec3 p, float radius, float thickness) {
-    vec2 q = vec2(length(p.xz) - radius, p.y);
-    return length(q) - thickness;
+// Reads one data pixel (see DataTexture). Without float texture support each
+// float is stored as its four bytes in an RGBA8 texel, four texels per pixel.
+#ifdef DATA_TEXTURE_PACKED
+float unpackDataFloat(sampler2D data, int x, int y) {
+    uvec4 bytes = uvec4(texelFetch(data, ivec2(x, y), 0) * 255.0 + 0.5);
+    return uintBitsToFloat(bytes.r | (bytes.g << 8u) | (bytes.b << 16u) | (bytes.a << 24u));
 }
 
-// Cylinder SDF
-float sdCylinder(vec3 p, float radius, float height) {
-    // Distance from cylinder axis and height
-    vec2 d = vec2(length(p.xz) - radius, abs(p.y) - height * 0.5);
-    return min(max(d.x, d.y), 0.0) + length(max(d, 0.0));
-}
-
-// Cone SDF
-float sdCone(vec3 p, float radius, float height) {
-    // Move apex to the origin
-    vec3 q = p;
-    q.y += height * 0.5;
-    
-    // Calculate distance from cone surface
-    float d1 = length(q.xz);
-    float d2 = -q.y;
-    float scale = radius / height;
-    vec2 dist = vec2(d1 - q.y * scale, d2);
-    
-    float sigDist = length(max(dist, 0.0)) + min(max(dist.x, dist.y), 0.0);
-    return sigDist;
+vec4 fetchData(sampler2D data, int x, int y) {
+    return vec4(
+        unpackDataFloat(data, x * 4, y),
+        unpackDataFloat(data, x * 4 + 1, y),
+        unpackDataFloat(data, x * 4 + 2, y),
+        unpackDataFloat(data, x * 4 + 3, y)
+    );
 }
-
-// Capsule SDF
-float sdCapsule(vec3 p, float radius, float height) {
-    // Line segment from -h/2 to h/2 on y-axis
-    vec3 a = vec3(0.0, -height * 0.5, 0.0);
-    vec3 b = vec3(0.0, height * 0.5, 0.0);
-    
-    // Project point onto line segment
-    vec3 pa = p - a;
-    vec3 ba = b - a;
-    float h = clamp(dot(pa, ba) / dot(ba, ba), 0.0, 1.0);
-    
-    // Distance to closest point on line segment
-    return length(pa - ba * h) - radius;
+#else
+vec4 fetchData(sampler2D data, int x, int y) {
+    return texelFetch(data, ivec2(x, y), 0);
 }
+#endif
 
-// Plane SDF
-float sdPlane(vec3 p, vec3 normal, float distance) {
-    return dot(p, normalize(normal)) - distance;
-}
+${ShapeTypeRegistry.generateGLSL()}
 
 // Signed distance function operations
 
@@ -129,77 +114,219 @@ vec3 transformPoint(vec3 p, vec3 translation, vec4 quaternion, vec3 scale) {
     return result;
 }
 
+// Rotate a 2D vector by an angle
+vec2 rotate2D(vec2 v, float angle) {
+    float c = cos(angle);
+    float s = sin(angle);
+    return vec2(c * v.x - s * v.y, s * v.x + c * v.y);
+}
+
+// Apply a domain modifier to an object-space point before the primitive SDF
+// modifier is (type, params...) as packed by DataTexture.encodeModifier
+// stepScale shrinks for modifiers that stretch space, keeping the march conservative
+vec3 applyDomainModifier(vec3 p, vec4 modifier, inout float stepScale) {
+    int type = int(modifier.x + 0.5);
+    
+    // Twist: rotate around the axis proportionally to the position along it
+    if (type == MODIFIER_TWIST) {
+        float k = modifier.y;
+        int axis = int(modifier.z + 0.5);
+        if (axis == 0) p.yz = rotate2D(p.yz, k * p.x);
+        else if (axis == 1) p.xz = rotate2D(p.xz, k * p.y);
+        else p.xy = rotate2D(p.xy, k * p.z);
+        stepScale /= 1.0 + abs(k) * 0.5;
+    }
+    // Bend: curve the shape along the axis
+    else if (type == MODIFIER_BEND) {
+        float k = modifier.y;
+        int axis = int(modifier.z + 0.5);
+        if (axis == 0) p.xy = rotate2D(p.xy, k * p.x);
+        else if (axis == 1) p.yz = rotate2D(p.yz, k * p.y);
+        else p.zx = rotate2D(p.zx, k * p.z);
+        stepScale /= 1.0 + abs(k) * 0.5;
+    }
+    // Elongate: stretch the shape by inserting a straight section
+    else if (type == MODIFIER_ELONGATE) {
+        vec3 h = modifier.yzw;
+        p = p - clamp(p, -h, h);
+    }
+    // Finite repetition: copies on each side along the masked axes
+    else if (type == MODIFIER_REPEAT) {
+        float spacing = max(modifier.y, EPSILON);
+        float count = modifier.z;
+        int mask = int(modifier.w + 0.5);
+        vec3 axes = vec3(
+            mod(float(mask), 2.0) >= 1.0 ? 1.0 : 0.0,
+            mod(float(mask / 2), 2.0) >= 1.0 ? 1.0 : 0.0,
+            mod(float(mask / 4), 2.0) >= 1.0 ? 1.0 : 0.0
+        );
+        p = p - axes * spacing * clamp(floor(p / spacing + 0.5), -count, count);
+    }
+    
+    return p;
+}
+
+// Apply a modifier that acts on the distance after the primitive SDF
+float applyDistanceModifier(float d, vec4 modifier) {
+    int type = int(modifier.x + 0.5);
+    
+    // Round: inflate the surface
+    if (type == MODIFIER_ROUND) {
+        return d - modifier.y;
+    }
+    // Onion: hollow shell of the given thickness
+    if (type == MODIFIER_ONION) {
+        return abs(d) - modifier.y;
+    }
+    
+    return d;
+}
+
 // ----------------
 // Scene evaluation
 // ----------------
 
-// Maps a scene point to the closest SDF
-// Returns vec2(distance, objectId)
-vec2 mapScene(vec3 p, sampler2D shapeData, int shapeCount) {
-    float minDist = MAX_DIST;
-    float objectId = -1.0;
+// Evaluates a run of shape rows, folding the result into minDist/hitShape
+// Shapes are stored in blend groups: a union shape followed by the shapes
+// blended into it (see DataTexture.orderShapesForBlending). A run always
+// holds whole groups. hitShape is vec2(row, materialId) of the closest shape.
+void mapShapeRows(vec3 p, sampler2D shapeData, int firstRow, int rowCount, inout float minDist, inout vec2 hitShape) {
+    // Distance, row and material of the blend group being accumulated
+    float groupDist = MAX_DIST;
+    vec2 groupShape = vec2(-1.0);
     
-    // Iterate through all shapes
-    for (int i = 0; i < MAX_STEPS; i++) {
-        if (i >= shapeCount) break;
+    for (int i = firstRow; i < firstRow + rowCount; i++) {
         
         // Get shape data from texture
-        vec4 posData = texelFetch(shapeData, ivec2(0, i), 0);
-        vec4 quatData = texelFetch(shapeData, ivec2(1, i), 0);
-        vec4 sizeTypeData = texelFetch(shapeData, ivec2(2, i), 0);
-        vec4 matData = texelFetch(shapeData, ivec2(3, i), 0);
+        vec4 posData = fetchData(shapeData, 0, i);
+        vec4 quatData = fetchData(shapeData, 1, i);
+        vec4 sizeTypeData = fetchData(shapeData, 2, i);
+        vec4 matData = fetchData(shapeData, 3, i);
+        vec4 params = fetchData(shapeData, 4, i);
         
         // Extract data
         vec3 position = posData.xyz;
-        float id = posData.w;
+        vec2 shape = vec2(float(i), matData.x);
         vec4 quaternion = quatData;
         vec3 size = sizeTypeData.xyz;
-        float shapeType = sizeTypeData.w;
-        float materialId = matData.x;
+        int shapeType = int(sizeTypeData.w + 0.5);
+        int blendMode = int(matData.y + 0.5);
+        float blendFactor = matData.z;
         
         // Transform point to object space
         vec3 objSpace = transformPoint(p, position, quaternion, size);
         
+        // Deform the domain with the shape's modifiers, in order
+        vec4 modifiers[MAX_MODIFIERS];
+        float stepScale = 1.0;
+        for (int m = 0; m < MAX_MODIFIERS; m++) {
+            modifiers[m] = fetchData(shapeData, MODIFIER_PIXEL + m, i);
+            objSpace = applyDomainModifier(objSpace, modifiers[m], stepScale);
+        }
+        
         // Calculate SDF based on shape type
-        float dist = MAX_DIST;
+        float dist = evaluateShape(objSpace, shapeType, params);
+        for (int m = 0; m < MAX_MODIFIERS; m++) {
+            dist = applyDistanceModifier(dist, modifiers[m]);
+        }
+        
+        // Rescale to world units so blended shapes of different sizes combine correctly
+        dist *= stepScale * min(size.x, min(size.y, size.z));
         
-        // Sphere
-        if (shapeType == SHAPE_SPHERE) {
-            dist = sdSphere(objSpace, 1.0); // Unit sphere (scaled by size)
-        } 
-        // Box
-        else if (shapeType == SHAPE_BOX) {
-            dist = sdBox(objSpace, vec3(1.0)); // Unit box (scaled by size)
-        } 
-        // Torus
-        else if (shapeType == SHAPE_TORUS) {
-            dist = sdTorus(objSpace, 0.5, 0.2); // Torus with major radius 0.5 and thickness 0.2
-        } 
-        // Cylinder
-        else if (shapeType == SHAPE_CYLINDER) {
-            dist = sdCylinder(objSpace, 0.5, 1.0); // Cylinder with radius 0.5 and height 1.0
-        } 
-        // Cone
-        else if (shapeType == SHAPE_CONE) {
-            dist = sdCone(objSpace, 0.5, 1.0); // Cone with base radius 0.5 and height 1.0
-        } 
-        // Capsule
-        else if (shapeType == SHAPE_CAPSULE) {
-            dist = sdCapsule(objSpace, 0.5, 1.0); // Capsule with radius 0.5 and height 1.0
-        } 
-        // Plane (ground)
-        else if (shapeType == SHAPE_PLANE) {
-            dist = sdPlane(objSpace, vec3(0.0, 1.0, 0.0), 0.0); // Ground plane
+        if (blendMode == BLEND_SUBTRACTION) {
+            groupDist = opSubtraction(dist, groupDist);
+        } else if (blendMode == BLEND_INTERSECTION) {
+            groupDist = opIntersection(dist, groupDist);
+        } else if (blendMode == BLEND_SMOOTH_UNION) {
+            // Surface belongs to whichever shape is closer
+            if (dist < groupDist) groupShape = shape;
+            groupDist = opSmoothUnion(dist, groupDist, max(blendFactor, EPSILON));
+        } else {
+            // Union starts a new group; close the previous one
+            if (groupDist < minDist) {
+                minDist = groupDist;
+                hitShape = groupShape;
+            }
+            groupDist = dist;
+            groupShape = shape;
         }
+    }
+    
+    // Close the last group
+    if (groupDist < minDist) {
+        minDist = groupDist;
+        hitShape = groupShape;
+    }
+}
+
+// Distance from a point to an axis-aligned box, 0 inside
+float distToBounds(vec3 p, vec3 boundsMin, vec3 boundsMax) {
+    vec3 q = max(boundsMin - p, p - boundsMax);
+    return length(max(q, 0.0));
+}
+
+// Maps a scene point to the closest SDF
+// Walks the BVH built by DataTexture (uBVHData, one node per row), skipping
+// nodes whose bounds are further away than the closest surface found so far.
+// Returns vec3(distance, shape row, material id); row and material are -1
+// when no shape was evaluated
+vec3 mapScene(vec3 p, sampler2D shapeData, int shapeCount) {
+    float minDist = MAX_DIST;
+    vec2 hitShape = vec2(-1.0);
+    
+    if (shapeCount <= 0 || uBVHNodeCount <= 0) return vec3(minDist, hitShape);
+    
+    // Nodes to visit and the distance to their bounds
+    int stack[BVH_STACK_SIZE];
+    float stackDist[BVH_STACK_SIZE];
+    int stackSize = 1;
+    stack[0] = 0;
+    stackDist[0] = distToBounds(p, fetchData(uBVHData, 0, 0).xyz, fetchData(uBVHData, 1, 0).xyz);
+    
+    while (stackSize > 0) {
+        stackSize--;
+        int node = stack[stackSize];
+        float nodeDist = stackDist[stackSize];
+        if (nodeDist >= minDist) continue;
+        
+        vec4 minData = fetchData(uBVHData, 0, node);
+        vec4 maxData = fetchData(uBVHData, 1, node);
+        int rowCount = int(minData.w + 0.5);
         
-        // Check if this shape is closer than previous ones
-        if (dist < minDist) {
-            minDist = dist;
-            objectId = id;
+        if (rowCount > 0) {
+            // Far from the leaf its bounds are a cheap, safe step size
+            if (nodeDist > BVH_LEAF_MARGIN) {
+                minDist = nodeDist;
+                hitShape = vec2(-1.0);
+            } else {
+                mapShapeRows(p, shapeData, int(maxData.w + 0.5), rowCount, minDist, hitShape);
+            }
+            continue;
+        }
+        
+        // Push the further child first so the nearer one is visited first
+        int left = int(maxData.w + 0.5);
+        float leftDist = distToBounds(p, fetchData(uBVHData, 0, left).xyz, fetchData(uBVHData, 1, left).xyz);
+        float rightDist = distToBounds(p, fetchData(uBVHData, 0, left + 1).xyz, fetchData(uBVHData, 1, left + 1).xyz);
+        
+        int nearNode = leftDist <= rightDist ? left : left + 1;
+        int farNode = leftDist <= rightDist ? left + 1 : left;
+        float nearDist = min(leftDist, rightDist);
+        float farDist = max(leftDist, rightDist);
+        
+        if (farDist < minDist && stackSize < BVH_STACK_SIZE) {
+            stack[stackSize] = farNode;
+            stackDist[stackSize] = farDist;
+            stackSize++;
+        }
+        if (nearDist < minDist && stackSize < BVH_STACK_SIZE) {
+            stack[stackSize] = nearNode;
+            stackDist[stackSize] = nearDist;
+            stackSize++;
         }
     }
     
-    return vec2(minDist, objectId);
+    return vec3(minDist, hitShape);
 }
 
 // Calculate normal using the SDF gradient
@@ -214,23 +341,24 @@ vec3 calcNormal(vec3 p, sampler2D shapeData, int shapeCount) {
 }
 
 // Ray marching algorithm
-vec2 rayMarch(vec3 ro, vec3 rd, sampler2D shapeData, int shapeCount) {
+// Returns vec3(distance, shape row, material id) of the hit; row is -1 on a miss
+vec3 rayMarch(vec3 ro, vec3 rd, sampler2D shapeData, int shapeCount) {
     float dist = 0.0;
-    float objectId = -1.0;
+    vec2 hitShape = vec2(-1.0);
     
     for (int i = 0; i < MAX_STEPS; i++) {
         vec3 p = ro + rd * dist;
-        vec2 result = mapScene(p, shapeData, shapeCount);
+        vec3 result = mapScene(p, shapeData, shapeCount);
         float dS = result.x;
-        objectId = result.y;
+        hitShape = result.yz;
         
         dist += dS;
         if (dS < SURF_DIST || dist > MAX_DIST) break;
     }
     
-    if (dist > MAX_DIST) objectId = -1.0;
+    if (dist > MAX_DIST) hitShape = vec2(-1.0);
     
-    return vec2(dist, objectId);
+    return vec3(dist, hitShape);
 }
 
 // Calculate soft shadows
@@ -263,4 +391,8 @@ float calcAO(vec3 pos, vec3 nor, sampler2D shapeData, int shapeCount) {
     
     return clamp(1.0 - 3.0 * occ, 0.0, 1.0);
 }
-`;
\ No newline at end of file
+`;
+}
+
+// SDF functions for the shape types registered at load time
+const SDF_FUNCTIONS = buildSDFFunctions();
@@ -3,11 +3,11 @@
  * This is a simple pass-through shader that sets up texture coordinates
  */
 
-const VERTEX_SHADER = `
-attribute vec3 aPosition;
-attribute vec2 aTexCoord;
+const VERTEX_SHADER = `#version 300 es
+in vec3 aPosition;
+in vec2 aTexCoord;
 
-varying vec2 vTexCoord;
+out vec2 vTexCoord;
 
 void main() {
     // Copy texture coordinates
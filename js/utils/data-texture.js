@@ -13,62 +13,202 @@ class DataTexture {
         // Create textures for different data types
         this.materialTexture = null;
         this.shapeTexture = null;
+        this.bvhTexture = null;
+        this.lightTexture = null;
         
-        // Maximum counts (power of 2 recommended)
-        this.maxMaterials = 64;
-        this.maxShapes = 64;
+        // Storage format picked by detectFormat (see DataTexture.FORMATS)
+        this.format = null;
+        
+        // Largest texture height the GPU supports, read in init
+        this.maxRows = 0;
+        
+        // Rows written by the last update of each texture
+        this.materialCount = 0;
+        this.shapeCount = 0;
+        this.nodeCount = 0;
+        this.lightCount = 0;
+        
+        // Set while shapes are being dropped for exceeding the GPU limit, so it is logged once
+        this.shapesTruncated = false;
+        
+        // What the shape texture holds, so unchanged rows are not re-uploaded:
+        // the shape list it was built from and the {shape, blendMode} written to each row
+        this.uploadedShapes = [];
+        this.rowEntries = [];
     }
     
     /**
      * Initialize data textures
      */
     init() {
-        const p = this.p;
-        const gl = p._renderer.GL;
+        const gl = this.p._renderer.GL;
         
-        // Create material data texture
-        this.materialTexture = p.createImage(8, this.maxMaterials);
+        this.format = this.detectFormat(gl);
+        this.maxRows = gl.getParameter(gl.MAX_TEXTURE_SIZE);
+        console.log(`Data textures use ${this.format.name}, up to ${this.getShapeLimit()} shapes`);
         
-        // Create shape data texture
-        this.shapeTexture = p.createImage(8, this.maxShapes);
+        // Textures start small and are resized to fit the scene (see ensureRows)
+        this.materialTexture = this.createTexture(8, DataTexture.MIN_ROWS);
         
-        // Set filtering mode to NEAREST for precise data retrieval
-        this.materialTexture.setParameters = function(tex, renderer) {
-            renderer.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
-            renderer.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
-        };
+        // Create shape data texture (wider rows hold the modifier stack)
+        this.shapeTexture = this.createTexture(DataTexture.SHAPE_ROW_WIDTH, DataTexture.MIN_ROWS);
         
-        this.shapeTexture.setParameters = function(tex, renderer) {
-            renderer.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
-            renderer.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
-        };
+        // Create BVH node texture (see updateShapeTexture)
+        this.bvhTexture = this.createTexture(2, DataTexture.MIN_ROWS);
         
-        // Set the willReadFrequently attribute for Canvas contexts
-        if (this.materialTexture && this.materialTexture.canvas) {
-            try {
-                const origContext = this.materialTexture.canvas.getContext('2d');
-                if (origContext) {
-                    // Create a new context with willReadFrequently set to true
-                    const newContext = this.materialTexture.canvas.getContext('2d', { willReadFrequently: true });
-                    console.log("Set willReadFrequently=true for materialTexture canvas");
-                }
-            } catch (e) {
-                console.warn("Could not optimize materialTexture canvas:", e);
+        // Create light texture (see updateLightTexture)
+        this.lightTexture = this.createTexture(4, DataTexture.MIN_ROWS);
+    }
+    
+    /**
+     * Get the number of shapes the GPU can hold
+     * The BVH needs up to two node rows per shape, so it reaches the texture height limit first
+     * @returns {number} Maximum shape count
+     */
+    getShapeLimit() {
+        return Math.floor(this.maxRows / 2);
+    }
+    
+    /**
+     * Resize a data texture so it holds the given number of rows
+     * Textures grow to the next power of two and shrink once they are less than
+     * a quarter full, so scenes hovering around a size don't reallocate every frame
+     * @param {Object} texture - Texture from createTexture
+     * @param {number} rows - Rows that need to fit
+     * @returns {boolean} True if the texture was resized; its data is cleared and needs a full upload
+     */
+    ensureRows(texture, rows) {
+        const tooSmall = rows > texture.height;
+        const tooLarge = texture.height > DataTexture.MIN_ROWS && rows < texture.height / 4;
+        if (!tooSmall && !tooLarge) return false;
+        
+        let height = DataTexture.MIN_ROWS;
+        while (height < rows) height *= 2;
+        height = Math.min(height, this.maxRows);
+        
+        texture.height = height;
+        texture.data = new Float32Array(texture.width * height * 4);
+        return true;
+    }
+    
+    /**
+     * Pick the most precise texture format the context can sample from
+     * Float formats need WebGL2; anything else falls back to packing each
+     * 32-bit float into the four bytes of an RGBA8 texel.
+     * @param {WebGLRenderingContext} gl - The WebGL context
+     * @returns {Object} Entry of DataTexture.FORMATS
+     */
+    detectFormat(gl) {
+        const isWebGL2 = typeof WebGL2RenderingContext !== 'undefined' && gl instanceof WebGL2RenderingContext;
+        
+        if (isWebGL2) {
+            for (const format of [DataTexture.FORMATS.RGBA32F, DataTexture.FORMATS.RGBA16F]) {
+                if (this.canUploadFloat(gl, gl[format.internalFormat])) return format;
             }
         }
         
-        if (this.shapeTexture && this.shapeTexture.canvas) {
-            try {
-                const origContext = this.shapeTexture.canvas.getContext('2d');
-                if (origContext) {
-                    // Create a new context with willReadFrequently set to true
-                    const newContext = this.shapeTexture.canvas.getContext('2d', { willReadFrequently: true });
-                    console.log("Set willReadFrequently=true for shapeTexture canvas");
-                }
-            } catch (e) {
-                console.warn("Could not optimize shapeTexture canvas:", e);
-            }
+        return DataTexture.FORMATS.PACKED_RGBA8;
+    }
+    
+    /**
+     * Check that a float texture with the given internal format can be created
+     * @param {WebGL2RenderingContext} gl - The WebGL context
+     * @param {number} internalFormat - GL internal format enum
+     * @returns {boolean} True if the upload succeeded
+     */
+    canUploadFloat(gl, internalFormat) {
+        // Clear errors left over from earlier calls
+        while (gl.getError() !== gl.NO_ERROR) { /* drain */ }
+        
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, 1, 1, 0, gl.RGBA, gl.FLOAT, new Float32Array(4));
+        const ok = gl.getError() === gl.NO_ERROR;
+        gl.bindTexture(gl.TEXTURE_2D, null);
+        gl.deleteTexture(texture);
+        
+        return ok;
+    }
+    
+    /**
+     * Create a data texture backed by a float array
+     * @param {number} width - Width in data pixels
+     * @param {number} height - Height in rows
+     * @returns {Object} Texture with width, height, data, glTexture and p5Texture
+     */
+    createTexture(width, height) {
+        const gl = this.p._renderer.GL;
+        
+        const texture = {
+            width: width,
+            height: height,
+            density: 1,
+            data: new Float32Array(width * height * 4),
+            glTexture: gl.createTexture()
+        };
+        
+        // Wrapping the raw texture lets p5 bind it like its own when set as a
+        // sampler uniform; NEAREST keeps data pixels from being interpolated
+        texture.p5Texture = new p5.Texture(this.p._renderer, new p5.FramebufferTexture(texture, 'glTexture'), {
+            minFilter: gl.NEAREST,
+            magFilter: gl.NEAREST
+        });
+        
+        this.uploadTexture(texture);
+        return texture;
+    }
+    
+    /**
+     * Upload a data texture's values to the GPU
+     * @param {Object} texture - Texture from createTexture
+     */
+    uploadTexture(texture) {
+        const gl = this.p._renderer.GL;
+        gl.bindTexture(gl.TEXTURE_2D, texture.glTexture);
+        
+        if (this.format.packed) {
+            // Each float becomes one RGBA8 texel holding its bytes (little-endian)
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, texture.width * 4, texture.height, 0,
+                gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array(texture.data.buffer));
+        } else {
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl[this.format.internalFormat], texture.width, texture.height, 0,
+                gl.RGBA, gl.FLOAT, texture.data);
+        }
+        
+        gl.bindTexture(gl.TEXTURE_2D, null);
+    }
+    
+    /**
+     * Upload a run of rows of a data texture that is already allocated at its current size
+     * @param {Object} texture - Texture from createTexture
+     * @param {number} first - First row to upload
+     * @param {number} count - Number of rows
+     */
+    uploadRows(texture, first, count) {
+        if (count <= 0) return;
+        
+        const gl = this.p._renderer.GL;
+        const rowFloats = texture.width * 4;
+        gl.bindTexture(gl.TEXTURE_2D, texture.glTexture);
+        
+        if (this.format.packed) {
+            const bytes = new Uint8Array(texture.data.buffer, first * rowFloats * 4, count * rowFloats * 4);
+            gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, first, texture.width * 4, count,
+                gl.RGBA, gl.UNSIGNED_BYTE, bytes);
+        } else {
+            gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, first, texture.width, count,
+                gl.RGBA, gl.FLOAT, texture.data.subarray(first * rowFloats, (first + count) * rowFloats));
         }
+        
+        gl.bindTexture(gl.TEXTURE_2D, null);
+    }
+    
+    /**
+     * Get the shader defines matching the chosen storage format
+     * @returns {string} GLSL preprocessor lines
+     */
+    getShaderDefines() {
+        return this.format && this.format.packed ? '#define DATA_TEXTURE_PACKED\n' : '';
     }
     
     /**
@@ -78,183 +218,505 @@ class DataTexture {
     updateMaterialTexture(materials) {
         if (!this.materialTexture) this.init();
         
-        const maxMaterials = Math.min(materials.length, this.maxMaterials);
-        this.materialTexture.loadPixels();
+        const count = Math.min(materials.length, this.maxRows);
+        this.ensureRows(this.materialTexture, count);
+        this.materialCount = count;
         
         // Pack material data into texture
-        for (let i = 0; i < maxMaterials; i++) {
+        for (let i = 0; i < count; i++) {
             const material = materials[i];
             
             if (!material) continue;
             
             // Pixel 0: albedo (RGB) + flags (A) 
             this.setRGBAPixel(this.materialTexture, 0, i, 
-                material.albedo[0] * 255,
-                material.albedo[1] * 255,
-                material.albedo[2] * 255,
+                material.albedo[0],
+                material.albedo[1],
+                material.albedo[2],
                 this.encodeMaterialFlags(material.flags)
             );
             
             // Pixel 1: roughness (R), metallic (G), ior (B), emissiveFactor (A)
             this.setRGBAPixel(this.materialTexture, 1, i,
-                material.roughness * 255,
-                material.metallic * 255,
-                (material.ior - 1.0) * 255, // Map IOR range [1.0-2.0] to [0-255]
-                material.emissiveFactor * 63.75 // Map [0-4.0] to [0-255]
+                material.roughness,
+                material.metallic,
+                material.ior,
+                material.emissiveFactor
             );
             
             // Pixel 2: emissive color (RGB) + unused (A)
             this.setRGBAPixel(this.materialTexture, 2, i,
-                material.emissive[0] * 255,
-                material.emissive[1] * 255,
-                material.emissive[2] * 255,
+                material.emissive[0],
+                material.emissive[1],
+                material.emissive[2],
                 0 // Reserved for future use
             );
             
             // Pixel 3: diffuse texture (R), normal texture (G), 
-            // roughness texture (B), metallic texture (A)
+            // roughness texture (B), metallic texture (A), -1 if unset
             this.setRGBAPixel(this.materialTexture, 3, i,
-                material.textures.diffuse > 0 ? material.textures.diffuse : 255, 
-                material.textures.normal > 0 ? material.textures.normal : 255,
-                material.textures.roughness > 0 ? material.textures.roughness : 255,
-                material.textures.metallic > 0 ? material.textures.metallic : 255
+                material.textures.diffuse,
+                material.textures.normal,
+                material.textures.roughness,
+                material.textures.metallic
             );
             
             // Pixel 4: texture scale (RG) + offset (BA)
             this.setRGBAPixel(this.materialTexture, 4, i,
-                this.encodeFloat(material.textureScale[0], 0, 10), // Map [0-10] range to [0-255]
-                this.encodeFloat(material.textureScale[1], 0, 10),
-                this.encodeFloat(material.textureOffset[0], -1, 1), // Map [-1,1] range to [0-255]
-                this.encodeFloat(material.textureOffset[1], -1, 1)
+                material.textureScale[0],
+                material.textureScale[1],
+                material.textureOffset[0],
+                material.textureOffset[1]
             );
             
-            // Pixel 5: texture rotation (R) + reserved (GBA)
+            // Pixel 5: texture rotation in radians (R), pattern type (G),
+            // pattern scale (B), pattern turbulence (A)
+            const pattern = material.pattern;
             this.setRGBAPixel(this.materialTexture, 5, i,
-                this.encodeFloat(material.textureRotation, 0, Math.PI * 2), // Map [0-2π] to [0-255]
-                0, // Reserved
-                0, // Reserved
-                0  // Reserved
+                material.textureRotation,
+                pattern.type,
+                pattern.scale,
+                pattern.turbulence
             );
             
-            // Pixels 6-7: Reserved for future use (e.g., additional texture properties)
-            this.setRGBAPixel(this.materialTexture, 6, i, 0, 0, 0, 0);
-            this.setRGBAPixel(this.materialTexture, 7, i, 0, 0, 0, 0);
+            // Pixel 6: pattern color (RGB) + pattern roughness (A)
+            this.setRGBAPixel(this.materialTexture, 6, i,
+                pattern.color[0],
+                pattern.color[1],
+                pattern.color[2],
+                pattern.roughness
+            );
+            
+            // Pixel 7: pattern metallic (R), texture mapping (G) + reserved (BA)
+            this.setRGBAPixel(this.materialTexture, 7, i, pattern.metallic, material.textureMapping, 0, 0);
         }
         
-        this.materialTexture.updatePixels();
+        this.uploadTexture(this.materialTexture);
     }
     
     /**
      * Update shape data texture from shape array
+     * 
+     * Row layout (one row per shape, read by mapScene in sdf-functions.js):
+     *   Pixel 0: position (XYZ) + shape ID (A)
+     *   Pixel 1: rotation quaternion (XYZW)
+     *   Pixel 2: size (XYZ) + shape type (A)
+     *   Pixel 3: material ID (R) + blend mode (G) + blend factor (B) + blend shape ID (A)
+     *   Pixel 4: shape-specific parameters
+     *   Pixel 5: shape flags (R) + reserved (GBA)
+     *   Pixels 6-7: reserved
+     *   Pixels 8-11: domain modifiers, one per pixel: type (R) + params (GBA)
+     * 
+     * Rows are written in BVH leaf order so every leaf covers a contiguous run
+     * of rows; the node texture is filled by updateBVHTexture.
+     * 
+     * Only rows whose contents changed are rewritten and uploaded. Shapes are
+     * flagged dirty by edits and while their physics body is awake (see
+     * Shape.markDirty), and the whole update is skipped while nothing changed.
+     * 
      * @param {Array<Shape>} shapes - Array of shapes
      */
     updateShapeTexture(shapes) {
         if (!this.shapeTexture) this.init();
         
-        const maxShapes = Math.min(shapes.length, this.maxShapes);
-        this.shapeTexture.loadPixels();
+        if (!this.hasShapeChanges(shapes)) return;
+        
+        // Blended shapes must directly follow the shape they modify, so the
+        // hierarchy is built over whole blend groups rather than single shapes
+        const groups = this.groupShapesForBlending(this.orderShapesForBlending(shapes));
+        const bvh = SceneBVH.build(groups);
         
-        // Pack shape data into texture
-        for (let i = 0; i < maxShapes; i++) {
-            const shape = shapes[i];
+        // First row of each group in leaf order
+        const ordered = [];
+        const groupRows = [];
+        bvh.order.forEach(group => {
+            groupRows.push(ordered.length);
+            ordered.push(...group.entries);
+        });
+        groupRows.push(ordered.length);
+        
+        this.updateBVHTexture(bvh.nodes, groupRows);
+        const resized = this.ensureRows(this.shapeTexture, ordered.length);
+        if (resized) this.rowEntries = [];
+        this.shapeCount = ordered.length;
+        
+        // Rewrite rows that now hold another shape or blend role, or whose shape
+        // changed, uploading each contiguous run of them (or everything after a resize)
+        let runStart = -1;
+        for (let i = 0; i <= ordered.length; i++) {
+            const entry = ordered[i];
+            const previous = this.rowEntries[i];
+            const changed = i < ordered.length && (entry.shape.dirty || !previous ||
+                previous.shape !== entry.shape || previous.blendMode !== entry.blendMode);
             
-            if (!shape || !shape.isActive) {
-                // For inactive shapes, set type to 0 (NONE)
-                this.setRGBAPixel(this.shapeTexture, 0, i, 0, 0, 0, 0);
-                continue;
+            if (changed) {
+                this.writeShapeRow(i, entry.shape, entry.blendMode);
+                if (runStart < 0) runStart = i;
+            } else if (runStart >= 0) {
+                if (!resized) this.uploadRows(this.shapeTexture, runStart, i - runStart);
+                runStart = -1;
             }
+        }
+        
+        if (resized) this.uploadTexture(this.shapeTexture);
+        
+        this.rowEntries = ordered;
+        this.uploadedShapes = [...shapes];
+        shapes.forEach(shape => { shape.dirty = false; });
+    }
+    
+    /**
+     * Check whether the shape texture is out of date
+     * @param {Array<Shape>} shapes - Array of shapes
+     * @returns {boolean} True if a shape was added, removed, reordered or is dirty
+     */
+    hasShapeChanges(shapes) {
+        if (shapes.length !== this.uploadedShapes.length) return true;
+        
+        for (let i = 0; i < shapes.length; i++) {
+            if (shapes[i].dirty || shapes[i] !== this.uploadedShapes[i]) return true;
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Write one shape into a row of the shape texture (layout in updateShapeTexture)
+     * @param {number} row - Row to write
+     * @param {Shape} shape - Shape to write
+     * @param {number} blendMode - Blend mode the shape is drawn with (see orderShapesForBlending)
+     */
+    writeShapeRow(row, shape, blendMode) {
+        const size = Array.isArray(shape.size) ? shape.size : [shape.size, shape.size, shape.size];
+        
+        // Pixel 0: position (XYZ) + shape ID (A)
+        this.setRGBAPixel(this.shapeTexture, 0, row,
+            shape.position.x,
+            shape.position.y,
+            shape.position.z,
+            shape.id
+        );
+        
+        // Pixel 1: rotation quaternion (XYZW)
+        this.setRGBAPixel(this.shapeTexture, 1, row,
+            shape.orientation[0],
+            shape.orientation[1],
+            shape.orientation[2],
+            shape.orientation[3]
+        );
+        
+        // Pixel 2: size (XYZ) + shape type (A)
+        this.setRGBAPixel(this.shapeTexture, 2, row,
+            size[0],
+            size[1],
+            size[2],
+            shape.type // Shape type enum
+        );
+        
+        // Pixel 3: material ID (R) + blend mode (G) + blend factor (B) + blend shape ID (A, -1 if none)
+        this.setRGBAPixel(this.shapeTexture, 3, row,
+            shape.materialId,
+            blendMode,
+            shape.blendFactor,
+            shape.blendShapeId >= 0 ? shape.blendShapeId : -1
+        );
+        
+        // Pixel 4: Shape-specific parameters (see ShapeTypeRegistry)
+        this.setRGBAPixel(this.shapeTexture, 4, row,
+            shape.getParameter('param1'),
+            shape.getParameter('param2'),
+            shape.getParameter('param3'),
+            shape.getParameter('param4')
+        );
+        
+        // Pixel 5: shape flags (R) + reserved (GBA)
+        this.setRGBAPixel(this.shapeTexture, 5, row, this.encodeShapeFlags(shape.flags), 0, 0, 0);
+        
+        // Pixels 6-7: Reserved for future use
+        this.setRGBAPixel(this.shapeTexture, 6, row, 0, 0, 0, 0);
+        this.setRGBAPixel(this.shapeTexture, 7, row, 0, 0, 0, 0);
+        
+        // Pixels 8-11: domain modifiers in application order, type 0 ends the list
+        for (let m = 0; m < Shape.MAX_MODIFIERS; m++) {
+            const [r, g, b, a] = this.encodeModifier(shape.modifiers[m]);
+            this.setRGBAPixel(this.shapeTexture, DataTexture.MODIFIER_PIXEL + m, row, r, g, b, a);
+        }
+    }
+    
+    /**
+     * Update light data texture from the light list
+     * 
+     * Row layout (one row per light, read by calculatePBRLighting in lighting.js):
+     *   Pixel 0: position (XYZ) + light type (A)
+     *   Pixel 1: normalized direction the light shines in (XYZ) + range (A)
+     *   Pixel 2: color premultiplied by intensity (RGB) + casts shadows (A)
+     *   Pixel 3: cosine of the spot inner (R) and outer (G) angles + area width (B) and height (A);
+     *            emissive shape lights keep their bounding radius in B
+     * 
+     * @param {Array<Light>} lights - Array of lights
+     */
+    updateLightTexture(lights) {
+        if (!this.lightTexture) this.init();
+        
+        const count = Math.min(lights.length, CONFIG.lights.maxCount);
+        this.ensureRows(this.lightTexture, count);
+        this.lightCount = count;
+        
+        for (let i = 0; i < count; i++) {
+            const light = lights[i];
+            const direction = MathUtils.normalize(light.direction);
             
-            // Pixel 0: position (XYZ) + shape type (A)
-            this.setRGBAPixel(this.shapeTexture, 0, i,
-                this.encodeFloat(shape.position.x, -50, 50),
-                this.encodeFloat(shape.position.y, -50, 50),
-                this.encodeFloat(shape.position.z, -50, 50),
-                shape.type // Shape type enum
+            this.setRGBAPixel(this.lightTexture, 0, i,
+                light.position[0],
+                light.position[1],
+                light.position[2],
+                light.type
             );
             
-            // Pixel 1: rotation quaternion (XYZW)
-            this.setRGBAPixel(this.shapeTexture, 1, i,
-                this.encodeFloat(shape.quaternion.x, -1, 1),
-                this.encodeFloat(shape.quaternion.y, -1, 1),
-                this.encodeFloat(shape.quaternion.z, -1, 1),
-                this.encodeFloat(shape.quaternion.w, -1, 1)
+            this.setRGBAPixel(this.lightTexture, 1, i,
+                direction[0],
+                direction[1],
+                direction[2],
+                light.range
             );
             
-            // Pixel 2: scale (XYZ) + material ID (A)
-            this.setRGBAPixel(this.shapeTexture, 2, i,
-                this.encodeFloat(shape.scale.x, 0, 20),
-                this.encodeFloat(shape.scale.y, 0, 20),
-                this.encodeFloat(shape.scale.z, 0, 20),
-                shape.materialId
+            this.setRGBAPixel(this.lightTexture, 2, i,
+                light.color[0] * light.intensity,
+                light.color[1] * light.intensity,
+                light.color[2] * light.intensity,
+                light.castShadows ? 1 : 0
             );
             
-            // Pixel 3: blend factor (R) + blend shape ID (G) + shape flags (BA)
-            this.setRGBAPixel(this.shapeTexture, 3, i,
-                shape.blendFactor * 255,
-                shape.blendShapeId || 0,
-                this.encodeShapeFlags(shape.flags),
-                0 // Reserved
+            // Inner is clamped inside outer so the cone falloff never inverts
+            this.setRGBAPixel(this.lightTexture, 3, i,
+                Math.cos(MathUtils.degToRad(Math.min(light.innerAngle, light.outerAngle))),
+                Math.cos(MathUtils.degToRad(light.outerAngle)),
+                light.width,
+                light.height
             );
+        }
+        
+        this.uploadTexture(this.lightTexture);
+    }
+    
+    /**
+     * Write BVH nodes into the node texture
+     * 
+     * Row layout (one row per node, read by mapScene in sdf-functions.js):
+     *   Pixel 0: bounds min (XYZ) + shape row count (A), 0 for internal nodes
+     *   Pixel 1: bounds max (XYZ) + first shape row (A) for leaves,
+     *            or left child index for internal nodes (the right child follows it)
+     * 
+     * @param {Array<Object>} nodes - Nodes from SceneBVH.build
+     * @param {Array<number>} groupRows - First shape row of each group in leaf order, plus the row count
+     */
+    updateBVHTexture(nodes, groupRows) {
+        const resized = this.ensureRows(this.bvhTexture, nodes.length);
+        this.nodeCount = nodes.length;
+        for (let i = 0; i < nodes.length; i++) {
+            const node = nodes[i];
+            const isLeaf = node.count !== undefined;
             
-            // Pixel 4-7: Reserved for shape-specific parameters
-            // Different shape types can use these differently
+            this.setRGBAPixel(this.bvhTexture, 0, i,
+                node.min[0],
+                node.min[1],
+                node.min[2],
+                isLeaf ? groupRows[node.first + node.count] - groupRows[node.first] : 0
+            );
             
-            // For example, SDF parameters for specific shape types
-            if (shape.parameters) {
-                // Box roundness, cone tapering, etc.
-                this.setRGBAPixel(this.shapeTexture, 4, i,
-                    shape.parameters.param1 ? shape.parameters.param1 * 255 : 0,
-                    shape.parameters.param2 ? shape.parameters.param2 * 255 : 0,
-                    shape.parameters.param3 ? shape.parameters.param3 * 255 : 0,
-                    shape.parameters.param4 ? shape.parameters.param4 * 255 : 0
-                );
-            } else {
-                this.setRGBAPixel(this.shapeTexture, 4, i, 0, 0, 0, 0);
+            this.setRGBAPixel(this.bvhTexture, 1, i,
+                node.max[0],
+                node.max[1],
+                node.max[2],
+                isLeaf ? groupRows[node.first] : node.left
+            );
+        }
+        
+        // Nodes move whenever shapes do, so every used row is uploaded
+        if (resized) {
+            this.uploadTexture(this.bvhTexture);
+        } else {
+            this.uploadRows(this.bvhTexture, 0, nodes.length);
+        }
+    }
+    
+    /**
+     * Split blend-ordered entries into groups with world-space bounds
+     * Groups are added whole until the GPU shape limit is reached; later shapes are not drawn
+     * @param {Array<Object>} ordered - Entries from orderShapesForBlending
+     * @returns {Array<Object>} Groups of {entries, bounds}
+     */
+    groupShapesForBlending(ordered) {
+        const groups = [];
+        let current = null;
+        
+        ordered.forEach(entry => {
+            if (entry.blendMode === Shape.BLEND_MODES.UNION || !current) {
+                current = { entries: [] };
+                groups.push(current);
+            }
+            current.entries.push(entry);
+        });
+        
+        const result = [];
+        const limit = this.getShapeLimit();
+        let rows = 0;
+        let truncated = false;
+        for (const group of groups) {
+            rows += group.entries.length;
+            if (rows > limit) {
+                truncated = true;
+                break;
+            }
+            
+            const bounds = this.getShapeBounds(group.entries[0].shape);
+            let padding = 0;
+            for (let i = 1; i < group.entries.length; i++) {
+                const { shape, blendMode } = group.entries[i];
+                const shapeBounds = this.getShapeBounds(shape);
+                for (let axis = 0; axis < 3; axis++) {
+                    bounds.min[axis] = Math.min(bounds.min[axis], shapeBounds.min[axis]);
+                    bounds.max[axis] = Math.max(bounds.max[axis], shapeBounds.max[axis]);
+                }
+                
+                // Smooth unions bulge out by up to their blend radius
+                if (blendMode === Shape.BLEND_MODES.SMOOTH_UNION) padding = Math.max(padding, shape.blendFactor);
             }
             
-            // Pixels 5-7: Reserved for future use
-            this.setRGBAPixel(this.shapeTexture, 5, i, 0, 0, 0, 0);
-            this.setRGBAPixel(this.shapeTexture, 6, i, 0, 0, 0, 0);
-            this.setRGBAPixel(this.shapeTexture, 7, i, 0, 0, 0, 0);
+            for (let axis = 0; axis < 3; axis++) {
+                bounds.min[axis] = Math.max(bounds.min[axis] - padding, -DataTexture.WORLD_EXTENT);
+                bounds.max[axis] = Math.min(bounds.max[axis] + padding, DataTexture.WORLD_EXTENT);
+            }
+            
+            result.push({ entries: group.entries, bounds: bounds });
+        }
+        
+        if (truncated && !this.shapesTruncated) {
+            console.warn(`Scene has ${ordered.length} shapes but the GPU limit is ${limit}; the rest are not drawn`);
+        }
+        this.shapesTruncated = truncated;
+        
+        return result;
+    }
+    
+    /**
+     * Estimate the world-space bounds of a shape's rendered SDF
+     * @param {Shape} shape - The shape
+     * @returns {Object} Bounds {min: [x, y, z], max: [x, y, z]}
+     */
+    getShapeBounds(shape) {
+        const center = [shape.position.x, shape.position.y, shape.position.z];
+        let half;
+        
+        const body = shape.physicsBody;
+        if (body) {
+            // The collider already follows the shape's parameters and modifiers
+            body.updateAABB();
+            const lower = body.aabb.lowerBound;
+            const upper = body.aabb.upperBound;
+            half = [
+                Math.max(center[0] - lower.x, upper.x - center[0]),
+                Math.max(center[1] - lower.y, upper.y - center[1]),
+                Math.max(center[2] - lower.z, upper.z - center[2])
+            ];
+        } else {
+            // Without a body, fall back to the sphere the type says encloses its SDF
+            const size = Array.isArray(shape.size) ? shape.size : [shape.size, shape.size, shape.size];
+            const definition = shape.definition;
+            let radius = Math.hypot(size[0], size[1], size[2]);
+            if (definition && shape.modifiers.length === 0) {
+                if (definition.enclosingRadius) radius = definition.enclosingRadius(shape, size);
+                else if (definition.boundingRadius) radius = definition.boundingRadius * Math.max(...size);
+            }
+            half = [radius, radius, radius];
         }
         
-        this.shapeTexture.updatePixels();
+        return {
+            min: center.map((value, axis) => Math.max(value - half[axis], -DataTexture.WORLD_EXTENT)),
+            max: center.map((value, axis) => Math.min(value + half[axis], DataTexture.WORLD_EXTENT))
+        };
+    }
+    
+    /**
+     * Order shapes so each blend group is contiguous: a union shape followed by
+     * every shape blended into it. mapScene evaluates groups in a single pass.
+     * @param {Array<Shape>} shapes - Array of shapes
+     * @returns {Array<Object>} Entries of {shape, blendMode} in texture row order
+     */
+    orderShapesForBlending(shapes) {
+        const byId = new Map();
+        shapes.forEach(shape => {
+            if (shape) byId.set(shape.id, shape);
+        });
+        
+        // Follow blend targets to the union shape at the root of the chain
+        const findRoot = (shape) => {
+            const visited = new Set();
+            let current = shape;
+            while (current.isBlended && byId.has(current.blendShapeId) && !visited.has(current.id)) {
+                visited.add(current.id);
+                current = byId.get(current.blendShapeId);
+            }
+            return current;
+        };
+        
+        const roots = [];
+        const children = new Map(); // Root ID -> blended shapes
+        
+        shapes.forEach(shape => {
+            if (!shape) return;
+            
+            const root = findRoot(shape);
+            if (root === shape) {
+                roots.push(shape);
+            } else {
+                if (!children.has(root.id)) children.set(root.id, []);
+                children.get(root.id).push(shape);
+            }
+        });
+        
+        const ordered = [];
+        roots.forEach(root => {
+            ordered.push({ shape: root, blendMode: Shape.BLEND_MODES.UNION });
+            (children.get(root.id) || []).forEach(child => {
+                ordered.push({ shape: child, blendMode: child.blendMode });
+            });
+        });
+        
+        return ordered;
     }
     
     /**
      * Set pixel RGBA values in data texture
-     * @param {p5.Image} texture - The data texture to modify
+     * @param {Object} texture - The data texture to modify
      * @param {number} x - X coordinate
      * @param {number} y - Y coordinate
-     * @param {number} r - Red component [0-255]
-     * @param {number} g - Green component [0-255]
-     * @param {number} b - Blue component [0-255]
-     * @param {number} a - Alpha component [0-255]
+     * @param {number} r - Red component
+     * @param {number} g - Green component
+     * @param {number} b - Blue component
+     * @param {number} a - Alpha component
      */
     setRGBAPixel(texture, x, y, r, g, b, a) {
         const index = 4 * (y * texture.width + x);
-        texture.pixels[index] = r;
-        texture.pixels[index + 1] = g;
-        texture.pixels[index + 2] = b;
-        texture.pixels[index + 3] = a;
+        texture.data[index] = r;
+        texture.data[index + 1] = g;
+        texture.data[index + 2] = b;
+        texture.data[index + 3] = a;
     }
     
     /**
-     * Encode a float value to the [0-255] range
-     * @param {number} value - Value to encode
-     * @param {number} min - Minimum possible value
-     * @param {number} max - Maximum possible value
-     * @returns {number} Encoded value in [0-255] range
+     * Encode a domain modifier as RGBA: type ID (R) + params in definition order (GBA)
+     * @param {Object} modifier - Modifier object, or undefined for an empty slot
+     * @returns {Array<number>} Encoded [r, g, b, a]
      */
-    encodeFloat(value, min, max) {
-        // Clamp to range
-        value = Math.max(min, Math.min(max, value));
+    encodeModifier(modifier) {
+        const definition = modifier ? Shape.MODIFIER_TYPES[modifier.type] : null;
+        if (!definition) return [0, 0, 0, 0];
         
-        // Map to [0-1] range
-        const normalized = (value - min) / (max - min);
+        const values = Object.keys(definition.params).map(key => modifier[key]);
+        while (values.length < 3) values.push(0);
         
-        // Map to [0-255] range
-        return Math.floor(normalized * 255);
+        return [definition.id, values[0], values[1], values[2]];
     }
     
     /**
@@ -300,14 +762,39 @@ class DataTexture {
     bind(shader) {
         if (!shader || !this.materialTexture || !this.shapeTexture) return;
         
-        // Bind shape data texture to texture unit 0
-        shader.setUniform('uShapeData', this.shapeTexture);
+        // Bind shape data texture
+        shader.setUniform('uShapeData', this.shapeTexture.p5Texture);
+        
+        // Bind the BVH over the shape rows
+        shader.setUniform('uBVHData', this.bvhTexture.p5Texture);
+        shader.setUniform('uBVHNodeCount', this.nodeCount);
+        
+        // Bind material data texture
+        shader.setUniform('uMaterialData', this.materialTexture.p5Texture);
         
-        // Bind material data texture to texture unit 1
-        shader.setUniform('uMaterialData', this.materialTexture);
+        // Bind light data texture
+        shader.setUniform('uLightData', this.lightTexture.p5Texture);
+        shader.setUniform('uLightCount', this.lightCount);
         
-        // Set count uniforms
-        shader.setUniform('uShapeCount', this.maxShapes);
-        shader.setUniform('uMaterialCount', this.maxMaterials);
+        // Set count uniforms to the rows actually written
+        shader.setUniform('uShapeCount', this.shapeCount);
+        shader.setUniform('uMaterialCount', this.materialCount);
     }
-}
\ No newline at end of file
+}
+
+// Pixels per shape row, and the first pixel of the modifier stack
+DataTexture.SHAPE_ROW_WIDTH = 12;
+DataTexture.MODIFIER_PIXEL = 8;
+
+// Smallest data texture height; textures grow in powers of two from here
+DataTexture.MIN_ROWS = 16;
+
+// BVH bounds are clamped to [-WORLD_EXTENT, WORLD_EXTENT] so infinite shapes (planes) stay finite
+DataTexture.WORLD_EXTENT = 10000;
+
+// Texture storage formats, most precise first (see detectFormat)
+DataTexture.FORMATS = {
+    RGBA32F: { name: 'RGBA32F', internalFormat: 'RGBA32F', packed: false },
+    RGBA16F: { name: 'RGBA16F', internalFormat: 'RGBA16F', packed: false },
+    PACKED_RGBA8: { name: 'RGBA8 with packed floats', internalFormat: 'RGBA', packed: true }
+};
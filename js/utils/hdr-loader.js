@@ -0,0 +1,176 @@
+/**
+ * HDRLoader reads Radiance .hdr (RGBE) images
+ * Used for equirectangular environment maps, which need the light values
+ * above 1.0 that 8-bit images clip.
+ */
+class HDRLoader {
+    /**
+     * Decode a Radiance .hdr file
+     * Supports uncompressed and run-length encoded scanlines in the usual
+     * "-Y height +X width" orientation (and "+Y", which is stored bottom row first).
+     * @param {ArrayBuffer} buffer - File contents
+     * @returns {Object} Image {width, height, data}, data holding linear RGBA floats, top row first
+     * @throws {Error} If the file isn't a supported RGBE image
+     */
+    static parse(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let position = 0;
+
+        // Header lines up to the first empty line, then the resolution line
+        const readLine = () => {
+            let line = '';
+            while (position < bytes.length && bytes[position] !== 0x0a) {
+                line += String.fromCharCode(bytes[position++]);
+            }
+            if (position >= bytes.length) throw new Error('Unexpected end of HDR header');
+            position++;
+            return line;
+        };
+
+        const signature = readLine();
+        if (!signature.startsWith('#?')) throw new Error('Not a Radiance HDR file');
+
+        let line;
+        while ((line = readLine()) !== '') {
+            const format = line.match(/^FORMAT=(.*)$/);
+            if (format && format[1].trim() !== '32-bit_rle_rgbe') {
+                throw new Error(`Unsupported HDR pixel format ${format[1]}`);
+            }
+        }
+
+        const resolution = readLine().trim().match(/^([+-])Y (\d+) \+X (\d+)$/);
+        if (!resolution) throw new Error('Unsupported HDR orientation');
+        const bottomUp = resolution[1] === '+';
+        const height = parseInt(resolution[2], 10);
+        const width = parseInt(resolution[3], 10);
+
+        const data = new Float32Array(width * height * 4);
+        const scanline = new Uint8Array(width * 4); // RGBE, one channel after the other
+
+        for (let y = 0; y < height; y++) {
+            position = HDRLoader.readScanline(bytes, position, width, scanline);
+
+            const row = bottomUp ? height - 1 - y : y;
+            for (let x = 0; x < width; x++) {
+                const exponent = scanline[x + width * 3];
+                const offset = (row * width + x) * 4;
+
+                // Mantissas are scaled by 2^(exponent - 128) / 256, sampled at the middle of each step
+                const scale = exponent > 0 ? Math.pow(2, exponent - 136) : 0;
+                data[offset] = exponent > 0 ? (scanline[x] + 0.5) * scale : 0;
+                data[offset + 1] = exponent > 0 ? (scanline[x + width] + 0.5) * scale : 0;
+                data[offset + 2] = exponent > 0 ? (scanline[x + width * 2] + 0.5) * scale : 0;
+                data[offset + 3] = 1;
+            }
+        }
+
+        return { width, height, data };
+    }
+
+    /**
+     * Read one scanline into planar channels (all R, then all G, B and E)
+     * @param {Uint8Array} bytes - File contents
+     * @param {number} position - Offset of the scanline
+     * @param {number} width - Pixels per scanline
+     * @param {Uint8Array} scanline - Output, 4 * width bytes
+     * @returns {number} Offset of the next scanline
+     * @private
+     */
+    static readScanline(bytes, position, width, scanline) {
+        if (position + 4 > bytes.length) throw new Error('Unexpected end of HDR data');
+
+        // Run-length encoded scanlines start with 2, 2 and the width; anything else is flat
+        const encoded = width >= 8 && width < 0x8000 &&
+            bytes[position] === 2 && bytes[position + 1] === 2 && ((bytes[position + 2] << 8) | bytes[position + 3]) === width;
+
+        if (!encoded) {
+            if (position + width * 4 > bytes.length) throw new Error('Unexpected end of HDR data');
+            for (let x = 0; x < width; x++) {
+                for (let channel = 0; channel < 4; channel++) {
+                    scanline[x + width * channel] = bytes[position++];
+                }
+            }
+            return position;
+        }
+
+        position += 4;
+
+        // Each channel is a sequence of runs (count above 128) and literal spans
+        for (let channel = 0; channel < 4; channel++) {
+            const end = width * (channel + 1);
+            let x = width * channel;
+
+            while (x < end) {
+                let count = bytes[position++];
+                if (count > 128) {
+                    count -= 128;
+                    if (count === 0 || x + count > end) throw new Error('Corrupt HDR run');
+                    scanline.fill(bytes[position++], x, x + count);
+                } else {
+                    if (count === 0 || x + count > end) throw new Error('Corrupt HDR span');
+                    scanline.set(bytes.subarray(position, position + count), x);
+                    position += count;
+                }
+                x += count;
+
+                if (position > bytes.length) throw new Error('Unexpected end of HDR data');
+            }
+        }
+
+        return position;
+    }
+
+    /**
+     * Fetch and decode an .hdr file
+     * @param {string} url - Location of the file
+     * @returns {Promise<Object>} Promise resolving to the image (see parse)
+     */
+    static load(url) {
+        return fetch(url)
+            .then(response => {
+                if (!response.ok) throw new Error(`Failed to load ${url}: ${response.status}`);
+                return response.arrayBuffer();
+            })
+            .then(buffer => HDRLoader.parse(buffer));
+    }
+
+    /**
+     * Prompt the user for an .hdr file and decode it
+     * @returns {Promise<Object|null>} Promise resolving to the image with its file name
+     *                                 as name, or null if nothing usable was picked
+     */
+    static upload() {
+        return new Promise((resolve) => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.hdr';
+
+            input.addEventListener('change', () => {
+                const file = input.files && input.files[0];
+                if (!file) {
+                    resolve(null);
+                    return;
+                }
+
+                const reader = new FileReader();
+                reader.onload = () => {
+                    try {
+                        const image = HDRLoader.parse(reader.result);
+                        image.name = file.name.replace(/\.[^.]*$/, '');
+                        resolve(image);
+                    } catch (err) {
+                        console.error(`Invalid HDR file ${file.name}:`, err);
+                        resolve(null);
+                    }
+                };
+                reader.onerror = () => {
+                    console.error("Failed to read HDR file:", reader.error);
+                    resolve(null);
+                };
+                reader.readAsArrayBuffer(file);
+            });
+
+            input.click();
+        });
+    }
+}
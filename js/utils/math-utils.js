@@ -66,7 +66,19 @@ class MathUtils {
     static lerpVec(a, b, t) {
         return a.map((v, i) => MathUtils.lerp(v, b[i], t));
     }
-    
+
+    /**
+     * Smooth Hermite step between two edges, as GLSL smoothstep
+     * @param {number} edge0 - Value where the result starts rising from 0
+     * @param {number} edge1 - Value where the result reaches 1
+     * @param {number} x - Input value
+     * @returns {number} Result (0-1)
+     */
+    static smoothstep(edge0, edge1, x) {
+        const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+        return t * t * (3 - 2 * t);
+    }
+
     /**
      * Converts a p5.Vector to an array
      * @param {p5.Vector} vec - The p5.Vector to convert
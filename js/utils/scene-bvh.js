@@ -0,0 +1,121 @@
+/**
+ * SceneBVH builds a bounding volume hierarchy over world-space bounds
+ * DataTexture uploads the nodes so mapScene only evaluates shapes near the sample point
+ */
+class SceneBVH {
+    /**
+     * Build a hierarchy over a list of items
+     * Children of an internal node are stored next to each other (left, left + 1)
+     * and leaves reference a contiguous run of the returned item order.
+     * @param {Array<Object>} items - Items with bounds {min: [x, y, z], max: [x, y, z]}
+     * @param {number} leafSize - Maximum number of items per leaf
+     * @returns {Object} {nodes, order} where nodes are {min, max, left} (internal)
+     *                   or {min, max, first, count} (leaf) and order is the items in leaf order
+     */
+    static build(items, leafSize = SceneBVH.LEAF_SIZE) {
+        const nodes = [];
+        const order = [];
+
+        if (items.length === 0) return { nodes, order };
+
+        const entries = items.map(item => ({
+            item: item,
+            centroid: [0, 1, 2].map(axis => (item.bounds.min[axis] + item.bounds.max[axis]) * 0.5)
+        }));
+
+        nodes.push(null); // Root
+        SceneBVH.buildNode(entries, 0, entries.length, 0, nodes, order, leafSize);
+
+        return { nodes, order };
+    }
+
+    /**
+     * Fill in a node, recursing into its children
+     * Entries are partitioned in place, so each node owns the range [start, end)
+     * @param {Array<Object>} entries - Entries {item, centroid}
+     * @param {number} start - First entry under this node
+     * @param {number} end - One past the last entry under this node
+     * @param {number} index - Index of the node being built
+     * @param {Array<Object>} nodes - Node list being built
+     * @param {Array<Object>} order - Item order being built
+     * @param {number} leafSize - Maximum number of items per leaf
+     */
+    static buildNode(entries, start, end, index, nodes, order, leafSize) {
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        const centroidMin = [Infinity, Infinity, Infinity];
+        const centroidMax = [-Infinity, -Infinity, -Infinity];
+
+        for (let i = start; i < end; i++) {
+            const { item, centroid } = entries[i];
+            for (let axis = 0; axis < 3; axis++) {
+                min[axis] = Math.min(min[axis], item.bounds.min[axis]);
+                max[axis] = Math.max(max[axis], item.bounds.max[axis]);
+                centroidMin[axis] = Math.min(centroidMin[axis], centroid[axis]);
+                centroidMax[axis] = Math.max(centroidMax[axis], centroid[axis]);
+            }
+        }
+
+        if (end - start <= leafSize) {
+            nodes[index] = { min: min, max: max, first: order.length, count: end - start };
+            for (let i = start; i < end; i++) order.push(entries[i].item);
+            return;
+        }
+
+        // Split at the median centroid along the axis the centroids spread furthest on
+        let axis = 0;
+        for (let a = 1; a < 3; a++) {
+            if (centroidMax[a] - centroidMin[a] > centroidMax[axis] - centroidMin[axis]) axis = a;
+        }
+
+        const mid = (start + end) >> 1;
+        SceneBVH.selectNth(entries, start, end - 1, mid, axis);
+
+        const left = nodes.length;
+        nodes.push(null, null);
+        nodes[index] = { min: min, max: max, left: left };
+
+        SceneBVH.buildNode(entries, start, mid, left, nodes, order, leafSize);
+        SceneBVH.buildNode(entries, mid, end, left + 1, nodes, order, leafSize);
+    }
+
+    /**
+     * Partially sort entries so the nth has its sorted centroid, with smaller
+     * centroids before it and larger ones after (quickselect)
+     * @param {Array<Object>} entries - Entries {item, centroid}
+     * @param {number} left - First index of the range
+     * @param {number} right - Last index of the range (inclusive)
+     * @param {number} n - Index to place
+     * @param {number} axis - Centroid axis to compare
+     */
+    static selectNth(entries, left, right, n, axis) {
+        while (left < right) {
+            const pivot = entries[(left + right) >> 1].centroid[axis];
+            let i = left;
+            let j = right;
+
+            while (i <= j) {
+                while (entries[i].centroid[axis] < pivot) i++;
+                while (entries[j].centroid[axis] > pivot) j--;
+                if (i <= j) {
+                    const swap = entries[i];
+                    entries[i] = entries[j];
+                    entries[j] = swap;
+                    i++;
+                    j--;
+                }
+            }
+
+            if (n <= j) {
+                right = j;
+            } else if (n >= i) {
+                left = i;
+            } else {
+                return;
+            }
+        }
+    }
+}
+
+// Blend groups per leaf; small leaves cull more, larger ones mean fewer node visits
+SceneBVH.LEAF_SIZE = 2;
@@ -54,6 +54,7 @@ class TextureManager {
     
     /**
      * Create a default normal map (facing forward/Z direction)
+     * The shader decodes 128 as zero, so assigning this map leaves normals untouched
      * @returns {p5.Image} The created normal map
      */
     createNormalMapDefault() {
@@ -160,48 +161,68 @@ class TextureManager {
     }
     
     /**
-     * Bind all textures to shader uniform sampler array
-     * @param {p5.Shader} shader - The shader to bind textures to
-     * @param {number} startUnit - Starting texture unit (usually 3, after shape/material/env data)
+     * Get a display name for a texture
+     * @param {number} index - Index of the texture
+     * @returns {string} File name without extension, or the default texture's name
      */
-    bindTextures(shader, startUnit = 3) {
-        if (!shader || this.textures.length === 0) return;
-        
-        const p = this.p;
-        const gl = p._renderer.GL;
+    getTextureName(index) {
+        const texture = this.textures[index];
+        if (!texture) return `Texture ${index}`;
+        if (texture.path) return texture.path.split('/').pop().replace(/\.[^.]*$/, '');
         
-        // Create texture handles array if needed
-        const textureCount = Math.min(16, this.textures.length); // WebGL typically supports 16-32 texture units
-        
-        // Set texture count uniform
-        shader.setUniform('uTextureCount', textureCount);
+        const defaultName = Object.keys(this.defaultTextures).find(name => this.defaultTextures[name] === texture);
+        return defaultName || `Texture ${index}`;
+    }
+    
+    /**
+     * Get options for a Tweakpane list of the textures the shader can sample
+     * @returns {Object} Map of texture name to index, with None as -1
+     */
+    getTextureOptions() {
+        const options = { None: -1 };
+        const count = Math.min(TextureManager.MAX_SHADER_TEXTURES, this.textures.length);
+        for (let i = 0; i < count; i++) {
+            options[this.getTextureName(i)] = i;
+        }
+        return options;
+    }
+    
+    /**
+     * Bind the textures to the shader's uMaterialTexture samplers
+     * p5 can't bind sampler arrays, so every slot is its own uniform and p5
+     * assigns the texture units along with the data textures'. Slots without
+     * a texture get the white default.
+     * @param {p5.Shader} shader - The shader to bind textures to
+     */
+    bindTextures(shader) {
+        if (!shader) return;
         
-        // Set up uniform sampler array
-        const textureHandles = [];
+        const renderer = this.p._renderer;
         
-        // Bind each texture to a texture unit
-        for (let i = 0; i < textureCount; i++) {
-            const textureUnit = startUnit + i;
-            const glTextureUnit = gl[`TEXTURE${textureUnit}`]; // e.g., gl.TEXTURE3, gl.TEXTURE4, etc.
-            const texture = this.textures[i];
+        for (let i = 0; i < TextureManager.MAX_SHADER_TEXTURES; i++) {
+            let image = this.textures[i];
+            if (!image || !(image.width > 0)) image = this.defaultTextures.white;
             
-            // Activate texture unit
-            gl.activeTexture(glTextureUnit);
-            
-            // Bind the texture
-            if (texture && texture.width > 0) {
-                gl.bindTexture(gl.TEXTURE_2D, texture.getTexture());
-            } else {
-                // Fallback to white texture if issue with this texture
-                gl.bindTexture(gl.TEXTURE_2D, this.defaultTextures.white.getTexture());
+            // Textures tile, so they repeat instead of stretching their edge texels
+            const texture = renderer.getTexture(image);
+            if (!texture.repeatWrapSet) {
+                texture.setWrapMode(this.p.REPEAT, this.p.REPEAT);
+                texture.repeatWrapSet = true;
             }
             
-            // Add the texture unit number to the array
-            textureHandles.push(textureUnit);
+            shader.setUniform(`uMaterialTexture${i}`, texture);
         }
-        
-        // Set the texture handles array uniform
-        shader.setUniform('uTextureSamplers', textureHandles);
+    }
+    
+    /**
+     * Drop all loaded textures, keeping the defaults
+     */
+    cleanup() {
+        this.textures.slice(Object.keys(this.defaultTextures).length).forEach(image => {
+            this.p._renderer.textures.delete(image);
+        });
+        this.textures = Object.values(this.defaultTextures);
+        this.loadingPromises = {};
     }
     
     /**
@@ -322,4 +343,8 @@ class TextureManager {
             }
         }
     }
-}
\ No newline at end of file
+}
+
+// Textures the fragment shader has samplers for (uMaterialTexture0..N-1); later ones can't be sampled
+// With the data textures and environment maps this uses 15 texture units; many GPUs have 16
+TextureManager.MAX_SHADER_TEXTURES = 8;